@@ -1 +1 @@
-javascript:(function(){const BASE="http://localhost:8000/";const SNIFFER=BASE+"iiif_to_csl_sniffer_0_2_0_dl.js";const BUNDLE=BASE+"iiif_to_csl_browser_1_0_9.bundle.js";function loadScript(u){return new Promise(function(R,E){var s=document.createElement("script");s.src=u;s.async=true;s.onload=function(){R()};s.onerror=function(){E(new Error("Failed to load "+u))};(document.head||document.documentElement).appendChild(s)})}async function main(){await loadScript(SNIFFER);await loadScript(BUNDLE);var S=window.iiifToCslSniffer,B=window.iiifToCslBrowser;if(!S||!B){alert("dev_0_5_0: missing sniffer/browser");return}var p;if(typeof S.sniffAndConvertManifests==="function"){p=S.sniffAndConvertManifests({quiet:false})}else if(typeof S.sniffManifestUrls==="function"){var info=S.sniffManifestUrls(document),urls=info&&info.manifestUrls?info.manifestUrls:info;if(!urls||!urls.length){alert("dev_0_5_0: no manifests");return}console.log("[DEV 0.5.0] manifest URLs:",urls);p=B.fromManifestUrls(urls)}else{alert("dev_0_5_0: unknown sniffer API");return}p&&typeof p.then==="function"&&p.then(function(i){console.log("[DEV 0.5.0] CSL items:",i);return i}).catch(function(e){console.error("[DEV 0.5.0] error:",e)})}main();})();
+javascript:(function(){const BASE="http://localhost:8000/";const SNIFFER=BASE+"iiif_to_csl_sniffer_0_2_0_dl.js";const BUNDLE=BASE+"iiif_to_csl_browser_1_0_9.bundle.js";const SEND_URL="";const SEND_ORIGIN="";const HOST_ID="iiif-to-csl-overlay";const CONCURRENCY=3;const PER_HOST=1;const PRESELECT_SCORE=0.6;const CSS=[":host{all:initial}",".panel{position:fixed;top:12px;right:12px;z-index:2147483647;width:440px;max-height:80vh;display:flex;flex-direction:column;background:#fff;color:#222;font:13px/1.4 system-ui,sans-serif;border:1px solid #999;border-radius:6px;box-shadow:0 4px 16px rgba(0,0,0,.3)}",".head{display:flex;align-items:center;gap:8px;padding:8px 10px;background:#2b4a6f;color:#fff;border-radius:6px 6px 0 0;font-weight:600}",".head .title{flex:1}",".bar{display:flex;align-items:center;gap:6px;padding:6px 10px;border-bottom:1px solid #ddd}",".bar .status{flex:1;color:#666;font-size:12px}","button{font:inherit;padding:2px 8px;border:1px solid #888;border-radius:4px;background:#f4f4f4;color:#222;cursor:pointer}","button:disabled{opacity:.5;cursor:default}",".head button{background:transparent;color:#fff;border-color:#fff}","ul{list-style:none;margin:0;padding:0;overflow:auto}","li{display:flex;gap:8px;padding:6px 10px;border-bottom:1px solid #eee}","li .body{flex:1;min-width:0}",".label{font-weight:600;overflow-wrap:anywhere}",".url{color:#666;font-size:11px;overflow-wrap:anywhere}",".meta{color:#888;font-size:11px}",".preview{margin-top:2px}",".pending{color:#888;font-style:italic}",".badge{display:inline-block;padding:0 5px;border-radius:3px;background:#b3261e;color:#fff;font-size:11px;margin-right:4px}",".error{color:#b3261e}",".empty{padding:12px 10px;color:#666}"].join("\n");function loadScript(u){return new Promise(function(R,E){var s=document.createElement("script");s.src=u; s.async=true;s.onload=function(){R()};s.onerror=function(){E(new Error("Failed to load "+u))};(document.head||document.documentElement).appendChild(s);});}function h(tag,cls,text){var e=document.createElement(tag);if(cls)e.className=cls;if(text!=null)e.textContent=String(text);return e;}function describeItem(it){var a=(it.author||it.editor||[])[0];var who=a?(a.literal||[a.family,a.given].filter(Boolean).join(", ")):"";var d=it.issued||{};var when=d["date-parts"]&&d["date-parts"][0]?d["date-parts"][0][0]:(d.literal||d.raw||"");return [it.title||"(untitled)",who,when?"("+when+")":""].filter(Boolean).join(" \u2014 ");}async function convertOne(B,url,scheduler){if(typeof B.fromManifestUrlsReport==="function"){var r=await B.fromManifestUrlsReport([url],{retries:1,scheduler:scheduler});var errs=r.results.filter(function(x){return x.status!=="ok"}).map(function(x){return x.error||{code:x.status,message:x.url}});return {items:r.items,errors:errs};}var items=await B.fromManifestUrls([url]);return {items:items,errors:items.length?[]:[{code:"NOT_CONVERTED",message:"see the console for details"}]};}async function copyText(text){if(navigator.clipboard&&navigator.clipboard.writeText){await navigator.clipboard.writeText(text);return;}var ta=document.createElement("textarea");ta.value=text;document.body.appendChild(ta);ta.select();document.execCommand("copy");document.body.removeChild(ta);}async function sendItems(items){document.dispatchEvent(new CustomEvent("iiif-to-csl:send",{detail:{items:items}}));if(window.opener&&SEND_ORIGIN)window.opener.postMessage({type:"iiif-to-csl:send",items:items},SEND_ORIGIN);if(!SEND_URL)return "sent as an iiif-to-csl:send event";var res=await fetch(SEND_URL,{method:"POST",headers:{"Content-Type":"application/vnd.citationstyles.csl+json"},body:JSON.stringify(items)});if(!res.ok)throw new Error("HTTP "+res.status+" from "+SEND_URL);return "sent to "+SEND_URL;}function openPanel(S,B,unique){var old=document.getElementById(HOST_ID);if(old)old.remove();var host=document.createElement("div");host.id=HOST_ID;var root=host.attachShadow({mode:"open"});var style=document.createElement("style");style.textContent=CSS;root.appendChild(style);var panel=h("div","panel");var head=h("div","head");head.appendChild(h("span","title","IIIF \u2192 CSL: "+unique.length+" manifest(s)"));var close=h("button",null,"\u00d7");close.title="Close";close.onclick=function(){host.remove()};head.appendChild(close);panel.appendChild(head);var bar=h("div","bar");var all=document.createElement("input");all.type="checkbox";all.title="Select all / none";var status=h("span","status","");var bDl=h("button",null,"Download");var bCopy=h("button",null,"Copy");var bSend=h("button",null,"Send");bSend.title=SEND_URL?"POST the selected items to "+SEND_URL:"Dispatch the selected items as an iiif-to-csl:send event";[all,status,bDl,bCopy,bSend].forEach(function(e){bar.appendChild(e)});panel.appendChild(bar);var list=h("ul");panel.appendChild(list);root.appendChild(panel);document.body.appendChild(host);if(!unique.length){list.appendChild(h("li","empty","No IIIF manifests found on this page."));[all,bDl,bCopy,bSend].forEach(function(e){e.disabled=true});return;}var rows=unique.map(function(c){var li=h("li");var box=document.createElement("input");box.type="checkbox";box.checked=c.score==null||c.score>=PRESELECT_SCORE;var body=h("div","body");body.appendChild(h("div","label",c.label||"(no label)"));body.appendChild(h("div","url",c.resolvedHref));body.appendChild(h("div","meta",(c.strategies||[c.strategy]).filter(Boolean).join(", ")+(c.score!=null?" \u00b7 score "+c.score:"")));var preview=h("div","preview pending","converting\u2026");body.appendChild(preview);li.appendChild(box);li.appendChild(body);list.appendChild(li);var row={candidate:c,box:box,preview:preview,items:null,done:false};box.onchange=update;return row;});function selectedItems(){return rows.filter(function(r){return r.box.checked&&r.items}).reduce(function(acc,r){return acc.concat(r.items)},[]);}function update(){var n=selectedItems().length;var done=rows.filter(function(r){return r.done}).length;var checked=rows.filter(function(r){return r.box.checked}).length;all.checked=checked===rows.length;all.indeterminate=checked>0&&checked<rows.length;status.textContent=(done<rows.length?"converting "+done+"/"+rows.length+" \u00b7 ":"")+n+" item(s) selected";[bDl,bCopy,bSend].forEach(function(e){e.disabled=n===0});}function flash(msg){status.textContent=msg;setTimeout(update,2500);}all.onchange=function(){rows.forEach(function(r){r.box.checked=all.checked});update();};bDl.onclick=function(){S.triggerDownloadFromJson(JSON.stringify(selectedItems(),null,2));};bCopy.onclick=function(){copyText(JSON.stringify(selectedItems(),null,2)).then(function(){flash("copied")}).catch(function(e){flash("copy failed: "+e.message)});};bSend.onclick=function(){sendItems(selectedItems()).then(flash).catch(function(e){flash("send failed: "+e.message)});};function render(row,res){row.done=true;row.preview.className="preview";row.preview.textContent="";if(res.items&&res.items.length){row.items=res.items;res.items.forEach(function(it){row.preview.appendChild(h("div",null,describeItem(it)))});}(res.errors||[]).forEach(function(e){var d=h("div","error");d.appendChild(h("span","badge",e.code||"ERROR"));d.appendChild(document.createTextNode(e.message||""));row.preview.appendChild(d);});if(!row.items)row.box.checked=false;update();}var next=0;var scheduler=typeof B.createRequestScheduler==="function"?B.createRequestScheduler({concurrency:CONCURRENCY,perHostConcurrency:PER_HOST}):null;async function worker(){while(next<rows.length){var row=rows[next++];try{render(row,await convertOne(B,row.candidate.resolvedHref,scheduler));}catch(e){render(row,{items:null,errors:[{code:e&&e.code||"ERROR",message:e&&e.message||String(e)}]});}}}update();var workers=[];for(var i=0;i<Math.min(CONCURRENCY,rows.length);i++)workers.push(worker());Promise.all(workers).then(function(){console.log("[DEV 0.5.0] CSL items:",rows.reduce(function(acc,r){return acc.concat(r.items||[])},[]));});}async function main(){await loadScript(SNIFFER);await loadScript(BUNDLE);var S=window.iiifToCslSniffer,B=window.iiifToCslBrowser;if(!S||!B){alert("dev_0_5_0: missing sniffer/browser");return}if(typeof S.sniffManifestUrls!=="function"){alert("dev_0_5_0: unknown sniffer API");return}var info=S.sniffManifestUrls(document);var unique=info&&info.unique?info.unique:[];console.log("[DEV 0.5.0] candidates:",unique);openPanel(S,B,unique);}main().catch(function(e){console.error("[DEV 0.5.0] error:",e);});})();
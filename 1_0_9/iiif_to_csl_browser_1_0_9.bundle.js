@@ -2,309 +2,4196 @@
 (() => {
   var __getOwnPropNames = Object.getOwnPropertyNames;
   var __commonJS = (cb, mod) => function __require() {
-    return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    try {
+      return mod || (0, cb[__getOwnPropNames(cb)[0]])((mod = { exports: {} }).exports, mod), mod.exports;
+    } catch (e) {
+      throw mod = 0, e;
+    }
   };
 
-  // iiif_to_csl_core_1_0_9_fruitcounter.js
-  var require_iiif_to_csl_core_1_0_9_fruitcounter = __commonJS({
-    "iiif_to_csl_core_1_0_9_fruitcounter.js"(exports, module) {
+  // iiif_to_csl_records_1_1_0.js
+  var require_iiif_to_csl_records_1_1_0 = __commonJS({
+    "iiif_to_csl_records_1_1_0.js"(exports, module) {
       "use strict";
-      function looksLikeIIIFManifest(text) {
-        if (!text) return false;
-        return /iiif\.io/.test(text);
+      var XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+      function decodeXmlEntities(str) {
+        return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, ent) => {
+          if (ent[0] === "#") {
+            const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+            return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+          }
+          const named = XML_ENTITIES[ent.toLowerCase()];
+          return named != null ? named : whole;
+        });
+      }
+      function parseXml(text) {
+        const root = { name: "#document", attrs: {}, children: [], text: "" };
+        const stack = [root];
+        const tagRe = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        const localName = (n) => n.replace(/^[^:]*:/, "");
+        let last = 0;
+        let m;
+        while (m = tagRe.exec(text)) {
+          const top = stack[stack.length - 1];
+          if (m.index > last) top.text += decodeXmlEntities(text.slice(last, m.index));
+          last = tagRe.lastIndex;
+          if (m[1] != null) {
+            top.text += m[1];
+          } else if (m[2]) {
+            const name = localName(m[2]);
+            for (let i = stack.length - 1; i > 0; i--) {
+              if (stack[i].name === name) {
+                stack.length = i;
+                break;
+              }
+            }
+          } else if (m[3]) {
+            const attrs = {};
+            const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+            let a;
+            while (a = attrRe.exec(m[4] || "")) {
+              attrs[localName(a[1])] = decodeXmlEntities(a[2] != null ? a[2] : a[3]);
+            }
+            const el = { name: localName(m[3]), attrs, children: [], text: "" };
+            top.children.push(el);
+            if (!m[5]) stack.push(el);
+          }
+        }
+        if (root.children.length === 0) {
+          throw new Error("Not XML: no root element");
+        }
+        return root.children[0];
+      }
+      function childrenNamed(el, name) {
+        if (!el) return [];
+        return el.children.filter((c) => name === "*" || c.name === name);
+      }
+      function firstChild(el, name) {
+        return childrenNamed(el, name)[0] || null;
+      }
+      function descendantsNamed(el, name) {
+        const out = [];
+        const walk = (node) => {
+          for (const c of node.children) {
+            if (c.name === name) out.push(c);
+            walk(c);
+          }
+        };
+        if (el) walk(el);
+        return out;
+      }
+      function textOf(el) {
+        if (!el) return "";
+        const parts = [el.text];
+        for (const c of el.children) parts.push(textOf(c));
+        return parts.join(" ").replace(/\s+/g, " ").trim();
+      }
+      var MARC_RELATOR_CODES = {
+        aut: "author",
+        cre: "author",
+        edt: "editor",
+        com: "compiler",
+        trl: "translator",
+        ill: "illustrator",
+        ilu: "illuminator",
+        art: "artist",
+        egr: "engraver",
+        ctg: "cartographer",
+        pht: "photographer",
+        scr: "scribe",
+        prt: "printer",
+        pbl: "publisher",
+        fmo: "former owner",
+        own: "former owner",
+        bnd: "binder",
+        cmp: "composer",
+        lyr: "lyricist",
+        cmm: "commentator",
+        ann: "annotator",
+        dnr: "donor",
+        dte: "dedicatee",
+        pat: "patron",
+        rcp: "recipient",
+        ivr: "interviewer",
+        drt: "director",
+        prf: "performer",
+        ctb: "contributor"
+      };
+      function emptyRecord(format) {
+        return {
+          format,
+          title: "",
+          names: [],
+          issued: "",
+          publisher: "",
+          place: "",
+          edition: "",
+          languages: [],
+          identifiers: {},
+          extent: "",
+          dimensions: "",
+          shelfmark: "",
+          repository: "",
+          abstract: "",
+          typeHints: []
+        };
+      }
+      function trimIsbd(str) {
+        return String(str || "").replace(/\s*[:;,/=]\s*$/, "").replace(/(^|\s)([^\s.]{3,})\.$/, "$1$2").trim();
+      }
+      function cleanImprint(str) {
+        const v = trimIsbd(str).replace(/^\[(.*)\]$/, "$1").replace(/^\[|\]$/g, "").trim();
+        return /^(?:s\.\s?[ln]\.|n\.\s?d\.|sine loco|sine nomine|place of publication not identified|publisher not identified|date of publication not identified|o\.\s?o\.|o\.\s?j\.)$/i.test(v) ? "" : v;
+      }
+      function addIdentifier(record, kind, value) {
+        const v = String(value || "").trim();
+        if (!v) return;
+        const list = record.identifiers[kind] = record.identifiers[kind] || [];
+        if (!list.includes(v)) list.push(v);
+      }
+      function classifyIdentifier(record, value) {
+        const v = String(value || "").trim();
+        const doi = /(?:doi\.org\/|^doi:\s*)(10\.\d{4,9}\/\S+)/i.exec(v) || /^(10\.\d{4,9}\/\S+)$/.exec(v);
+        if (doi) return addIdentifier(record, "DOI", doi[1]);
+        const isbn = /^(?:urn:)?isbn:?\s*([\d-]{9,17}[\dx])$/i.exec(v);
+        if (isbn) return addIdentifier(record, "ISBN", isbn[1]);
+        const issn = /^(?:urn:)?issn:?\s*(\d{4}-?\d{3}[\dx])$/i.exec(v);
+        if (issn) return addIdentifier(record, "ISSN", issn[1]);
+        const oclc = /^(?:\(OCoLC\)|oclc:?\s*|https?:\/\/(?:www\.)?worldcat\.org\/oclc\/)(?:ocm|ocn|on)?(\d+)$/i.exec(v);
+        if (oclc) return addIdentifier(record, "OCLC", oclc[1]);
+        if (/(?:^|\/)ark:\/?\d{5}\//i.test(v)) return addIdentifier(record, "ARK", v);
+        if (/hdl\.handle\.net\/|^hdl:/i.test(v)) return addIdentifier(record, "Handle", v);
+        if (/^https?:\/\//i.test(v)) return addIdentifier(record, "URL", v);
+        return void 0;
+      }
+      function modsTypeHints(mods) {
+        const hints = [];
+        for (const t of childrenNamed(mods, "typeOfResource")) {
+          const value = textOf(t).toLowerCase();
+          if (value) hints.push("mods/" + value);
+          if (t.attrs.manuscript === "yes") hints.push("mods/manuscript");
+        }
+        for (const g of childrenNamed(mods, "genre")) {
+          const value = textOf(g).toLowerCase();
+          if (value) hints.push("genre/" + value);
+        }
+        return hints;
+      }
+      function modsName(nameEl) {
+        const parts = childrenNamed(nameEl, "namePart");
+        const family = parts.filter((p) => p.attrs.type === "family").map(textOf).join(" ");
+        const given = parts.filter((p) => p.attrs.type === "given").map(textOf).join(" ");
+        const plain = parts.filter((p) => !p.attrs.type).map(textOf).join(", ");
+        const corporate = nameEl.attrs.type === "corporate" || nameEl.attrs.type === "conference";
+        const roles = [];
+        for (const roleEl of childrenNamed(nameEl, "role")) {
+          for (const term of childrenNamed(roleEl, "roleTerm")) {
+            const value = textOf(term).toLowerCase();
+            if (term.attrs.type === "code" || /^[a-z]{3}$/.test(value)) {
+              if (MARC_RELATOR_CODES[value]) roles.push(MARC_RELATOR_CODES[value]);
+            } else if (value) {
+              roles.push(value.replace(/\.$/, ""));
+            }
+          }
+        }
+        const role = roles[0] || (nameEl.attrs.usage === "primary" ? "author" : "");
+        if (corporate) {
+          const literal = textOf(firstChild(nameEl, "displayForm")) || parts.map(textOf).join(". ");
+          return literal ? { literal, role, corporate: true } : null;
+        }
+        if (family || given) {
+          return { family, given, role, corporate: false };
+        }
+        const text = plain || textOf(firstChild(nameEl, "displayForm"));
+        return text ? { text, role, corporate: false } : null;
+      }
+      function modsDate(elements) {
+        if (elements.length === 0) return "";
+        const start = elements.find((d) => d.attrs.point === "start");
+        const end = elements.find((d) => d.attrs.point === "end");
+        if (start && end) return `${textOf(start)}/${textOf(end)}`;
+        const encoded = elements.find((d) => d.attrs.encoding && !d.attrs.point);
+        const key = elements.find((d) => d.attrs.keyDate === "yes");
+        return textOf(encoded || key || start || elements[0]);
+      }
+      function parseMods(root) {
+        const record = emptyRecord("mods");
+        const mods = root.name === "mods" ? root : descendantsNamed(root, "mods")[0];
+        if (!mods) throw new Error("No <mods> element");
+        const titleInfo = childrenNamed(mods, "titleInfo").find((t) => !t.attrs.type) || firstChild(mods, "titleInfo");
+        if (titleInfo) {
+          const nonSort = textOf(firstChild(titleInfo, "nonSort"));
+          const title = textOf(firstChild(titleInfo, "title"));
+          const subTitle = textOf(firstChild(titleInfo, "subTitle"));
+          record.title = [nonSort ? nonSort + (/['’-]$/.test(nonSort) ? "" : " ") + title : title, subTitle].filter(Boolean).join(": ").replace(/\s+/g, " ").trim();
+        }
+        for (const nameEl of childrenNamed(mods, "name")) {
+          const n = modsName(nameEl);
+          if (n) record.names.push(n);
+        }
+        const origin = firstChild(mods, "originInfo");
+        if (origin) {
+          record.publisher = cleanImprint(textOf(firstChild(origin, "publisher")));
+          const places = descendantsNamed(origin, "placeTerm");
+          const textPlace = places.find((p) => p.attrs.type === "text") || (places.length === 1 ? places[0] : null);
+          record.place = cleanImprint(textOf(textPlace));
+          record.edition = trimIsbd(textOf(firstChild(origin, "edition")));
+          for (const name of ["dateIssued", "dateCreated", "copyrightDate", "dateOther"]) {
+            const date = modsDate(childrenNamed(origin, name));
+            if (date) {
+              record.issued = trimIsbd(date);
+              break;
+            }
+          }
+        }
+        for (const language of childrenNamed(mods, "language")) {
+          for (const term of childrenNamed(language, "languageTerm")) {
+            const value = textOf(term);
+            if (value && !record.languages.includes(value)) record.languages.push(value);
+          }
+        }
+        for (const id of childrenNamed(mods, "identifier")) {
+          const value = textOf(id);
+          const type = (id.attrs.type || "").toLowerCase();
+          if (type === "isbn") addIdentifier(record, "ISBN", value);
+          else if (type === "issn") addIdentifier(record, "ISSN", value);
+          else if (type === "doi") addIdentifier(record, "DOI", value.replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:)/i, ""));
+          else if (type === "hdl" || type === "handle") addIdentifier(record, "Handle", value);
+          else if (type === "ark") addIdentifier(record, "ARK", value);
+          else if (type === "oclc") addIdentifier(record, "OCLC", value.replace(/^\D+/, ""));
+          else classifyIdentifier(record, value);
+        }
+        const physical = firstChild(mods, "physicalDescription");
+        if (physical) {
+          record.extent = childrenNamed(physical, "extent").map(textOf).join("; ");
+        }
+        const location = firstChild(mods, "location");
+        if (location) {
+          record.repository = textOf(firstChild(location, "physicalLocation"));
+          record.shelfmark = textOf(descendantsNamed(location, "shelfLocator")[0]);
+        }
+        record.abstract = textOf(firstChild(mods, "abstract"));
+        record.typeHints = modsTypeHints(mods);
+        return record;
+      }
+      var MARC_RECORD_TYPES = {
+        a: "marc/text",
+        t: "marc/manuscript",
+        c: "marc/notated-music",
+        d: "marc/manuscript-music",
+        e: "marc/cartographic",
+        f: "marc/manuscript-cartographic",
+        g: "marc/projected-medium",
+        i: "marc/nonmusical-sound",
+        j: "marc/musical-sound",
+        k: "marc/graphic"
+      };
+      function marcSubfields(field, codes) {
+        return childrenNamed(field, "subfield").filter((sf) => !codes || codes.includes(sf.attrs.code)).map((sf) => ({ code: sf.attrs.code, value: textOf(sf) }));
+      }
+      function marcSubfield(field, code) {
+        const sf = marcSubfields(field, [code])[0];
+        return sf ? sf.value : "";
+      }
+      function marcName(field, defaultRole) {
+        const tag = field.attrs.tag;
+        const corporate = /^(?:110|111|710|711)$/.test(tag);
+        const nameParts = marcSubfields(field, corporate ? ["a", "b", "c", "n"] : ["a", "b", "c", "q", "d"]).map((sf) => sf.value);
+        const text = trimIsbd(nameParts.join(" ").replace(/\s*,\s*$/, ""));
+        if (!text) return null;
+        const roleTerm = marcSubfield(field, "e");
+        const roleCode = marcSubfield(field, "4").toLowerCase().replace(/^.*\//, "");
+        const role = trimIsbd(roleTerm).toLowerCase() || MARC_RELATOR_CODES[roleCode] || defaultRole;
+        return corporate ? { literal: text, role, corporate: true } : { text, role, corporate: false };
+      }
+      function parseMarcXml(root) {
+        const record = emptyRecord("marcxml");
+        const marc = root.name === "record" ? root : descendantsNamed(root, "record")[0];
+        if (!marc) throw new Error("No MARC <record> element");
+        const fields = childrenNamed(marc, "datafield");
+        const controls = childrenNamed(marc, "controlfield");
+        const field = (tag) => fields.filter((f) => f.attrs.tag === tag);
+        const control = (tag) => {
+          const c = controls.find((el) => el.attrs.tag === tag);
+          return c ? c.text : "";
+        };
+        const leaderEl = firstChild(marc, "leader");
+        const leader = leaderEl ? leaderEl.text : "";
+        if (leader.length > 7) {
+          const hint = MARC_RECORD_TYPES[leader[6]];
+          if (hint) record.typeHints.push(hint);
+          if (leader[6] === "a" && leader[7] === "s") record.typeHints.push("marc/serial");
+        }
+        const title = field("245")[0];
+        if (title) {
+          record.title = trimIsbd(marcSubfields(title, ["a", "b", "n", "p"]).map((sf) => trimIsbd(sf.value)).join(": "));
+        }
+        for (const tag of ["100", "110", "111"]) {
+          for (const f of field(tag)) {
+            const n = marcName(f, "author");
+            if (n) record.names.push(n);
+          }
+        }
+        for (const tag of ["700", "710", "711"]) {
+          for (const f of field(tag)) {
+            const n = marcName(f, "contributor");
+            if (n) record.names.push(n);
+          }
+        }
+        const imprint = field("264").find((f) => f.attrs.ind2 === "1") || field("260")[0];
+        if (imprint) {
+          record.place = cleanImprint(marcSubfield(imprint, "a"));
+          record.publisher = cleanImprint(marcSubfield(imprint, "b"));
+          record.issued = trimIsbd(marcSubfield(imprint, "c"));
+        }
+        const f008 = control("008");
+        if (f008.length >= 15) {
+          const dateType = f008[6];
+          const date1 = f008.slice(7, 11).replace(/u/g, "0");
+          const date2 = f008.slice(11, 15).replace(/u/g, "9");
+          const valid = (d) => /^\d{4}$/.test(d) && d !== "9999";
+          if (valid(date1)) {
+            if ("ikmq".includes(dateType) && valid(date2) && date2 !== date1) {
+              record.issued = `${date1}/${date2}`;
+            } else if (!record.issued || !/\d{4}/.test(record.issued)) {
+              record.issued = date1;
+            }
+            if (dateType === "q" && !/^ca?\./.test(record.issued)) {
+              record.issued = "ca. " + record.issued;
+            }
+          }
+        }
+        if (f008.length >= 38) {
+          const lang = f008.slice(35, 38).trim();
+          if (/^[a-z]{3}$/.test(lang)) record.languages.push(lang);
+        }
+        for (const f of field("041")) {
+          for (const sf of marcSubfields(f, ["a"])) {
+            if (!record.languages.includes(sf.value)) record.languages.push(sf.value);
+          }
+        }
+        for (const f of field("020")) addIdentifier(record, "ISBN", marcSubfield(f, "a").split(/\s/)[0]);
+        for (const f of field("022")) addIdentifier(record, "ISSN", marcSubfield(f, "a"));
+        for (const f of field("024")) {
+          const source = marcSubfield(f, "2").toLowerCase();
+          const value = marcSubfield(f, "a");
+          if (source === "doi") addIdentifier(record, "DOI", value);
+          else if (source === "hdl" || source === "handle") addIdentifier(record, "Handle", value);
+          else if (source === "ark") addIdentifier(record, "ARK", value);
+          else classifyIdentifier(record, value);
+        }
+        for (const f of field("035")) classifyIdentifier(record, marcSubfield(f, "a"));
+        const edition = field("250")[0];
+        if (edition) record.edition = trimIsbd(marcSubfield(edition, "a"));
+        const physical = field("300")[0];
+        if (physical) {
+          record.extent = trimIsbd(marcSubfield(physical, "a"));
+          record.dimensions = trimIsbd(marcSubfield(physical, "c"));
+        }
+        const summary = field("520")[0];
+        if (summary) record.abstract = marcSubfield(summary, "a");
+        const holding = field("852")[0];
+        if (holding) {
+          record.repository = [marcSubfield(holding, "a"), marcSubfield(holding, "b")].filter(Boolean).join(", ");
+          record.shelfmark = marcSubfields(holding, ["h", "i", "j"]).map((sf) => sf.value).join(" ");
+        }
+        return record;
+      }
+      function parseDublinCore(root) {
+        const record = emptyRecord("dc");
+        const values = (name) => descendantsNamed(root, name).map(textOf).filter(Boolean);
+        record.title = values("title")[0] || "";
+        for (const text of values("creator")) record.names.push({ text, role: "author", corporate: false });
+        for (const text of values("contributor")) record.names.push({ text, role: "contributor", corporate: false });
+        record.issued = values("issued")[0] || values("created")[0] || values("date")[0] || "";
+        record.publisher = cleanImprint(values("publisher")[0]);
+        record.languages = values("language");
+        record.extent = values("extent")[0] || "";
+        record.abstract = values("abstract")[0] || values("description")[0] || "";
+        for (const id of values("identifier")) classifyIdentifier(record, id);
+        for (const type of values("type")) {
+          const dcmi = /dcmitype\/([A-Za-z]+)/.exec(type);
+          if (dcmi) record.typeHints.push("dcmitype/" + dcmi[1].toLowerCase());
+          else if (/^(?:text|image|stillimage|movingimage|sound|physicalobject|collection|dataset)$/i.test(type.replace(/\s+/g, ""))) {
+            record.typeHints.push("dcmitype/" + type.replace(/\s+/g, "").toLowerCase());
+          } else {
+            record.typeHints.push("genre/" + type.toLowerCase());
+          }
+        }
+        return record;
+      }
+      function jsonLdTypes(node) {
+        return [].concat(node["@type"] || node.type || []).map((t) => String(t).replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, ""));
+      }
+      function jsonLdText(v) {
+        if (v == null) return "";
+        if (typeof v === "string" || typeof v === "number") return String(v);
+        if (Array.isArray(v)) return jsonLdText(v[0]);
+        if (typeof v === "object") return jsonLdText(v["@value"] != null ? v["@value"] : v.name);
+        return "";
+      }
+      function jsonLdName(v, role) {
+        if (!v) return null;
+        if (typeof v === "string") return { text: v, role, corporate: false };
+        const types = jsonLdTypes(v);
+        if (types.includes("Organization") || types.some((t) => /Organization$|Library|Museum|Archive/.test(t))) {
+          const literal = jsonLdText(v.name);
+          return literal ? { literal, role, corporate: true } : null;
+        }
+        if (v.familyName || v.givenName) {
+          return { family: jsonLdText(v.familyName), given: jsonLdText(v.givenName), role, corporate: false };
+        }
+        const text = jsonLdText(v.name);
+        return text ? { text, role, corporate: false } : null;
+      }
+      var JSONLD_NAME_PROPERTIES = {
+        author: "author",
+        creator: "author",
+        editor: "editor",
+        translator: "translator",
+        illustrator: "illustrator",
+        contributor: "contributor",
+        composer: "composer",
+        recipient: "recipient",
+        director: "director"
+      };
+      function parseJsonLd(data) {
+        const record = emptyRecord("jsonld");
+        const nodes = Array.isArray(data) ? data : Array.isArray(data["@graph"]) ? data["@graph"] : [data];
+        const main = nodes.find((n) => n && jsonLdTypes(n).some((t) => !/^(?:Person|Organization|Place|WebPage|WebSite|BreadcrumbList|ImageObject)$/.test(t))) || nodes[0];
+        if (!main || typeof main !== "object") throw new Error("No JSON-LD node");
+        for (const t of jsonLdTypes(main)) record.typeHints.push("schema.org/" + t.toLowerCase());
+        record.title = jsonLdText(main.name || main.headline);
+        for (const [prop, role] of Object.entries(JSONLD_NAME_PROPERTIES)) {
+          for (const v of [].concat(main[prop] || [])) {
+            const n = jsonLdName(v, role);
+            if (n) record.names.push(n);
+          }
+        }
+        record.issued = jsonLdText(main.datePublished || main.dateCreated || main.temporalCoverage);
+        record.publisher = jsonLdText(main.publisher);
+        record.place = jsonLdText(main.locationCreated || main.publisher && main.publisher.location);
+        record.edition = jsonLdText(main.bookEdition || main.version);
+        record.languages = [].concat(main.inLanguage || []).map(jsonLdText).filter(Boolean);
+        record.abstract = jsonLdText(main.description || main.abstract);
+        record.repository = jsonLdText(main.holdingArchive);
+        if (main.numberOfPages) record.extent = `${jsonLdText(main.numberOfPages)} pages`;
+        record.dimensions = [main.height, main.width].map(jsonLdText).filter(Boolean).join(" \xD7 ");
+        for (const v of [].concat(main.isbn || [])) addIdentifier(record, "ISBN", jsonLdText(v));
+        for (const v of [].concat(main.issn || [])) addIdentifier(record, "ISSN", jsonLdText(v));
+        for (const v of [].concat(main.identifier || [])) {
+          if (v && typeof v === "object" && v.propertyID) {
+            const kind = String(v.propertyID).toUpperCase();
+            const value = jsonLdText(v.value);
+            if (["DOI", "ISBN", "ISSN", "OCLC", "ARK"].includes(kind)) addIdentifier(record, kind, value);
+            else classifyIdentifier(record, value);
+          } else {
+            classifyIdentifier(record, jsonLdText(v));
+          }
+        }
+        for (const v of [].concat(main.sameAs || [])) classifyIdentifier(record, jsonLdText(v));
+        return record;
+      }
+      var SEE_ALSO_FORMATS = [
+        { format: "mods", mime: /^application\/mods\+xml/i, profile: /loc\.gov\/(?:standards\/)?mods|\bmods\b/i },
+        { format: "marcxml", mime: /^application\/marcxml\+xml/i, profile: /MARC21\/slim|marcxml|\bmarc\b/i },
+        { format: "dc", mime: /^application\/(?:rdf\+xml|dc\+xml)/i, profile: /purl\.org\/dc\/|dublincore|oai_dc|\bdc\b/i },
+        { format: "jsonld", mime: /^application\/ld\+json/i, profile: /schema\.org/i }
+      ];
+      function detectSeeAlsoFormat(entry) {
+        if (!entry || typeof entry !== "object") return "";
+        const mime = String(entry.format || "");
+        const described = [entry.profile, entry.schema, entry.dcterms_conformsTo, entry.label].concat(entry.type && entry.type !== "Dataset" ? [entry.type] : []).map((v) => typeof v === "object" && v ? JSON.stringify(v) : String(v || "")).join(" ");
+        for (const f of SEE_ALSO_FORMATS) {
+          if (f.mime.test(mime)) return f.format;
+        }
+        if (!mime || /xml|json/i.test(mime)) {
+          for (const f of SEE_ALSO_FORMATS) {
+            if (f.profile.test(described)) return f.format;
+          }
+        }
+        return "";
+      }
+      function sniffRecordFormat(text) {
+        const head = String(text || "").slice(0, 2e3);
+        if (/^\s*[[{]/.test(head)) return /schema\.org/.test(head) ? "jsonld" : "";
+        if (/<(?:\w+:)?mods[\s>]|<(?:\w+:)?modsCollection[\s>]/.test(head)) return "mods";
+        if (/MARC21\/slim|<(?:\w+:)?record[\s>][\s\S]*<(?:\w+:)?leader/.test(head)) return "marcxml";
+        if (/purl\.org\/dc\/(?:elements|terms)/.test(head)) return "dc";
+        return "";
+      }
+      function parseSeeAlsoRecord(text, format) {
+        const fmt = format || sniffRecordFormat(text);
+        switch (fmt) {
+          case "mods":
+            return parseMods(parseXml(text));
+          case "marcxml":
+            return parseMarcXml(parseXml(text));
+          case "dc":
+            return parseDublinCore(parseXml(text));
+          case "jsonld":
+            return parseJsonLd(JSON.parse(text));
+          default:
+            throw new Error("Unrecognized record format");
+        }
       }
-      function iiifLabelToString(label) {
-        if (!label) return "";
-        if (typeof label === "object" && !Array.isArray(label)) {
-          const pieces = [];
+      module.exports = {
+        parseXml,
+        textOf,
+        MARC_RELATOR_CODES,
+        SEE_ALSO_FORMATS,
+        detectSeeAlsoFormat,
+        sniffRecordFormat,
+        parseSeeAlsoRecord
+      };
+    }
+  });
+
+  // iiif_to_csl_core_1_1_0_fruittimer.js
+  var require_iiif_to_csl_core_1_1_0_fruittimer = __commonJS({
+    "iiif_to_csl_core_1_1_0_fruittimer.js"(exports, module) {
+      "use strict";
+      var {
+        detectSeeAlsoFormat,
+        parseSeeAlsoRecord
+      } = require_iiif_to_csl_records_1_1_0();
+      var DEFAULT_LANGUAGES = ["en", "none", "*"];
+      function getLabelLanguageEntries(label) {
+        if (label == null || label === "") return [];
+        const entries = [];
+        const add = (language, value) => {
+          if (value == null || value === "") return;
+          const lang = !language || language === "@none" ? "none" : String(language);
+          let entry = entries.find((e) => e.language === lang);
+          if (!entry) {
+            entry = { language: lang, values: [] };
+            entries.push(entry);
+          }
+          entry.values.push(String(value).trim());
+        };
+        const addV2 = (item) => {
+          if (item && typeof item === "object" && "@value" in item) {
+            add(item["@language"], item["@value"]);
+          } else if (item != null && typeof item !== "object") {
+            add("none", item);
+          }
+        };
+        if (Array.isArray(label)) {
+          label.forEach(addV2);
+        } else if (typeof label === "object" && "@value" in label) {
+          addV2(label);
+        } else if (typeof label === "object") {
           for (const lang in label) {
             const vals = label[lang];
-            if (Array.isArray(vals)) {
-              for (const v of vals) {
-                if (v) pieces.push(String(v));
+            for (const v of Array.isArray(vals) ? vals : [vals]) {
+              if (typeof v !== "object") add(lang, v);
+            }
+          }
+        } else {
+          add("none", label);
+        }
+        return entries.filter((e) => e.values.some(Boolean));
+      }
+      function pickLanguageEntry(entries, languages) {
+        const prefs = Array.isArray(languages) && languages.length > 0 ? languages : DEFAULT_LANGUAGES;
+        for (const pref of prefs) {
+          const p = String(pref).toLowerCase();
+          if (p === "*") return entries[0] || null;
+          const exact = entries.find((e) => e.language.toLowerCase() === p);
+          if (exact) return exact;
+          if (p === "none") continue;
+          const narrower = entries.find((e) => e.language.toLowerCase().startsWith(p + "-"));
+          if (narrower) return narrower;
+          const primary = p.split("-")[0];
+          const broader = entries.find((e) => e.language.toLowerCase() === primary);
+          if (broader) return broader;
+        }
+        return entries[0] || null;
+      }
+      function iiifLabelToString(label, options) {
+        const opts = options || {};
+        const entry = pickLanguageEntry(getLabelLanguageEntries(label), opts.languages);
+        if (!entry) return "";
+        const separator = opts.separator != null ? opts.separator : " ";
+        return entry.values.filter(Boolean).join(separator).trim();
+      }
+      function getAlternateLanguageLabels(label, options) {
+        const opts = options || {};
+        const entries = getLabelLanguageEntries(label);
+        const chosen = pickLanguageEntry(entries, opts.languages);
+        return entries.filter((e) => e !== chosen).map((e) => ({ language: e.language, value: e.values.filter(Boolean).join(" ") })).filter((e) => e.value);
+      }
+      function getFirstMetadataValue(manifest, keyCandidates, options) {
+        const metadata = manifest.metadata || [];
+        const keys = keyCandidates.map((k) => k.toLowerCase());
+        for (const entry of metadata) {
+          const labelStrs = getLabelLanguageEntries(entry.label || entry["label"]).map((e) => e.values.join(" ").toLowerCase());
+          if (labelStrs.some((l) => keys.includes(l))) {
+            const valueStr = iiifLabelToString(
+              entry.value || entry["value"],
+              { ...options, separator: "; " }
+            );
+            if (valueStr) return valueStr;
+          }
+        }
+        return "";
+      }
+      var TYPE_KEYWORD_RULES = [
+        { type: "manuscript", weight: 1, re: /\bmanuscri(?:pt|ts|pts)\b|\bmanuscrit|\bhandschrift|\bcodex\b|\bcodices\b|\bcod\.\s|\bmss?\.?\s+[a-z0-9]|\bautograph\b|\bholograph\b|\bcharters?\b|\burkunde|\bdiplom[ae]\b|\bcartular|\broll\b|\bpapyr/i },
+        { type: "map", weight: 1, re: /\bmaps?\b|\batlas(?:es)?\b|\bcartograph|\bkarten?\b|\bcartes?\b(?!\s+de\s+visite)|\bplans? of\b|\bnautical chart|\bsea chart|\bglobes?\b|\bmappa\b|\btopographic/i },
+        { type: "graphic", weight: 1, re: /\bphotographs?\b|\bphotos?\b|\bphotographie|\bfotografie|\bdaguerreotype|\bnegatives?\b|\blantern slides?\b|\bengravings?\b|\betchings?\b|\bwoodcuts?\b|\blithographs?\b|\bprints? and drawings\b|\bdrawings?\b|\bpaintings?\b|\bposters?\b|\bplakat|\baffiches?\b|\bpostcards?\b|\bansichtskarte|\bstill ?image\b|\bvisual material|\bpictures?\b|\bportraits?\b|\bwatercolou?rs?\b|\bminiatures?\b|\bartworks?\b|\bgrafik\b|\bestampes?\b|\bdessins?\b/i },
+        { type: "letter", weight: 1, re: /\bletters?\b(?!\s*(?:press|patent|book))|\bcorrespondence\b|\bbriefe?\b|\blettres?\b|\bepistol|\bmissive\b|\btelegrams?\b/i },
+        { type: "article-newspaper", weight: 1, re: /\bnewspapers?\b|\bzeitung(?:en)?\b|\bgazett[ea]s?\b|\bquotidien|\bdaily\b|\bnewsletters?\b/i },
+        { type: "article-magazine", weight: 1, re: /\bmagazines?\b|\billustrierte\b/i },
+        { type: "periodical", weight: 1, re: /\bperiodicals?\b|\bserials?\b|\bzeitschriften?\b|\brevues?\b|\bjournals?\b/i },
+        { type: "article-journal", weight: 1, re: /\barticles?\b|\baufsatz\b|\boffprints?\b|\bsonderdruck/i },
+        { type: "song", weight: 1, re: /\bsound recordings?\b|\baudio\b|\bsound\b|\bmusic recordings?\b|\bsongs?\b|\bphonograph|\bgramophone|\bwax cylinders?\b|\baudiocassette|\b78 ?rpm\b|\btonträger|\bschallplatte/i },
+        { type: "motion_picture", weight: 1, re: /\bmotion pictures?\b|\bmoving ?images?\b|\bfilms?\b|\bvideos?\b|\bvideorecording|\bnewsreels?\b|\bmovies?\b|\bcinema/i },
+        { type: "musical_score", weight: 1, re: /\bscores?\b|\bsheet music\b|\bnotated music\b|\bmusical notation\b|\bmusikdruck|\bnoten\b|\bpartitions?\b/i },
+        { type: "interview", weight: 1, re: /\boral histor(?:y|ies)\b|\binterviews?\b/i },
+        { type: "thesis", weight: 1, re: /\btheses\b|\bthesis\b|\bdissertations?\b|\bhochschulschrift/i },
+        { type: "pamphlet", weight: 1, re: /\bpamphlets?\b|\bbroadsides?\b|\bflugschrift|\bflugblatt|\bchapbooks?\b|\btracts?\b/i },
+        { type: "book", weight: 1, re: /\bbooks?\b|\bprinted\b|\bmonographs?\b|\bincunabul|\bimprimés?\b|\bdrucke?\b|\bvolumes?\b|\bbuch\b/i }
+      ];
+      var VOCABULARY_TYPE_HINTS = {
+        "dcmitype/text": { type: "book", weight: 1 },
+        "dcmitype/stillimage": { type: "graphic", weight: 2 },
+        "dcmitype/image": { type: "graphic", weight: 2 },
+        "dcmitype/sound": { type: "song", weight: 3 },
+        "dcmitype/movingimage": { type: "motion_picture", weight: 3 },
+        "schema.org/map": { type: "map", weight: 3 },
+        "schema.org/photograph": { type: "graphic", weight: 3 },
+        "schema.org/visualartwork": { type: "graphic", weight: 3 },
+        "schema.org/painting": { type: "graphic", weight: 3 },
+        "schema.org/poster": { type: "graphic", weight: 3 },
+        "schema.org/imageobject": { type: "graphic", weight: 2 },
+        "schema.org/manuscript": { type: "manuscript", weight: 3 },
+        "schema.org/book": { type: "book", weight: 3 },
+        "schema.org/newspaper": { type: "article-newspaper", weight: 3 },
+        "schema.org/periodical": { type: "periodical", weight: 3 },
+        "schema.org/publicationissue": { type: "periodical", weight: 2 },
+        "schema.org/article": { type: "article-journal", weight: 2 },
+        "schema.org/scholarlyarticle": { type: "article-journal", weight: 3 },
+        "schema.org/newsarticle": { type: "article-newspaper", weight: 3 },
+        "schema.org/letter": { type: "letter", weight: 3 },
+        "schema.org/musicrecording": { type: "song", weight: 3 },
+        "schema.org/audioobject": { type: "song", weight: 3 },
+        "schema.org/movie": { type: "motion_picture", weight: 3 },
+        "schema.org/videoobject": { type: "motion_picture", weight: 3 },
+        "schema.org/sheetmusic": { type: "musical_score", weight: 3 },
+        "schema.org/musiccomposition": { type: "musical_score", weight: 2 },
+        "schema.org/thesis": { type: "thesis", weight: 3 },
+        "schema.org/archivecomponent": { type: "manuscript", weight: 1 },
+        // MODS typeOfResource and MARC leader/06, from seeAlso records.
+        "mods/text": { type: "book", weight: 1 },
+        "mods/manuscript": { type: "manuscript", weight: 3 },
+        "mods/cartographic": { type: "map", weight: 3 },
+        "mods/notated music": { type: "musical_score", weight: 3 },
+        "mods/sound recording": { type: "song", weight: 3 },
+        "mods/sound recording-musical": { type: "song", weight: 3 },
+        "mods/sound recording-nonmusical": { type: "song", weight: 3 },
+        "mods/still image": { type: "graphic", weight: 3 },
+        "mods/moving image": { type: "motion_picture", weight: 3 },
+        "marc/text": { type: "book", weight: 1 },
+        "marc/serial": { type: "periodical", weight: 2 },
+        "marc/manuscript": { type: "manuscript", weight: 3 },
+        "marc/notated-music": { type: "musical_score", weight: 3 },
+        "marc/manuscript-music": { type: "musical_score", weight: 3 },
+        "marc/cartographic": { type: "map", weight: 3 },
+        "marc/manuscript-cartographic": { type: "map", weight: 3 },
+        "marc/projected-medium": { type: "motion_picture", weight: 2 },
+        "marc/nonmusical-sound": { type: "song", weight: 3 },
+        "marc/musical-sound": { type: "song", weight: 3 },
+        "marc/graphic": { type: "graphic", weight: 3 }
+      };
+      var TYPE_SOURCE_WEIGHTS = {
+        metadata: 3,
+        label: 2,
+        description: 1
+      };
+      var TYPE_PRIORITY = [
+        "motion_picture",
+        "song",
+        "musical_score",
+        "map",
+        "letter",
+        "article-newspaper",
+        "article-magazine",
+        "article-journal",
+        "periodical",
+        "interview",
+        "thesis",
+        "pamphlet",
+        "graphic",
+        "manuscript",
+        "book"
+      ];
+      var DEFAULT_CSL_TYPE = "book";
+      function getManifestCanvases(manifest) {
+        if (!manifest || typeof manifest !== "object") return [];
+        if (Array.isArray(manifest.items)) {
+          return manifest.items.filter((c) => getResourceType(c) === "Canvas");
+        }
+        const sequences = Array.isArray(manifest.sequences) ? manifest.sequences : [];
+        const first = sequences[0];
+        return first && Array.isArray(first.canvases) ? first.canvases : [];
+      }
+      function getCanvasBodyTypes(canvas) {
+        const types = [];
+        if (Array.isArray(canvas.images) && canvas.images.length > 0) types.push("Image");
+        for (const page of canvas.items || []) {
+          for (const anno of page && page.items || []) {
+            const bodies = [].concat(anno.body || []);
+            for (const body of bodies) {
+              const items = body && body.type === "Choice" ? body.items || [] : [body];
+              for (const b of items) {
+                const t = getResourceType(b);
+                if (t) types.push(t);
+                else if (b && typeof b.format === "string") {
+                  if (/^audio\//.test(b.format)) types.push("Sound");
+                  if (/^video\//.test(b.format)) types.push("Video");
+                  if (/^image\//.test(b.format)) types.push("Image");
+                }
               }
             }
           }
-          return pieces.join(" ").trim();
         }
-        if (Array.isArray(label)) {
-          const pieces = [];
-          for (const item of label) {
-            if (item && typeof item === "object" && "@value" in item) {
-              pieces.push(String(item["@value"]));
-            } else if (item != null) {
-              pieces.push(String(item));
+        return types;
+      }
+      function getVocabularyTypeHints(manifest) {
+        const strings = [];
+        const collect = (v) => {
+          if (typeof v === "string") strings.push(v);
+          else if (Array.isArray(v)) v.forEach(collect);
+          else if (v && typeof v === "object") collect(v["@id"] || v.id);
+        };
+        const seeAlso = [].concat(manifest.seeAlso || []);
+        for (const entry of seeAlso) {
+          if (!entry || typeof entry !== "object") continue;
+          collect(entry.profile);
+          collect(entry.schema);
+          collect(entry.type);
+          collect(entry["@type"]);
+          collect(entry["dcterms:type"]);
+          collect(entry["dc:type"]);
+        }
+        collect(manifest.additionalType);
+        collect(manifest["dcterms:type"]);
+        const hints = [];
+        for (const s of strings) {
+          const m = /(dcmitype|schema\.org)[/#:]([A-Za-z]+)\/?$/i.exec(s) || /^(schema):([A-Za-z]+)$/i.exec(s);
+          if (!m) continue;
+          const vocab = /dcmitype/i.test(m[1]) ? "dcmitype" : "schema.org";
+          hints.push(`${vocab}/${m[2].toLowerCase()}`);
+        }
+        return hints;
+      }
+      function classifyCslType(manifest, options) {
+        const opts = options || {};
+        const rationale = [];
+        const add = (type2, weight, source, evidence) => {
+          rationale.push({ type: type2, weight, source, evidence });
+        };
+        const scanKeywords = (text, source) => {
+          if (!text) return;
+          for (const rule of TYPE_KEYWORD_RULES) {
+            const m = rule.re.exec(text);
+            if (m) add(rule.type, rule.weight * TYPE_SOURCE_WEIGHTS[source], source, m[0].trim());
+          }
+        };
+        for (const value of getProfileFieldValues(manifest, "type", opts)) {
+          scanKeywords(value, "metadata");
+        }
+        const hints = getVocabularyTypeHints(manifest).concat(opts.typeHints || []);
+        for (const hint of hints) {
+          const key = String(hint).toLowerCase();
+          if (key.startsWith("genre/")) {
+            scanKeywords(key.slice("genre/".length), "metadata");
+            continue;
+          }
+          const h = VOCABULARY_TYPE_HINTS[key];
+          if (h) add(h.type, h.weight, "vocabulary", hint);
+        }
+        const canvases = getManifestCanvases(manifest);
+        const bodyTypes = /* @__PURE__ */ new Set();
+        let timed = 0;
+        let visual = 0;
+        for (const canvas of canvases) {
+          getCanvasBodyTypes(canvas).forEach((t) => bodyTypes.add(t));
+          if (typeof canvas.duration === "number" && canvas.duration > 0) timed++;
+          if (canvas.width && canvas.height) visual++;
+        }
+        if (bodyTypes.has("Video")) add("motion_picture", 4, "content", "Video body");
+        if (bodyTypes.has("Sound") || bodyTypes.has("Audio")) add("song", 4, "content", "Sound body");
+        if (timed > 0 && !bodyTypes.has("Video") && !bodyTypes.has("Sound")) {
+          if (visual > 0) add("motion_picture", 2, "content", "Canvas with duration and size");
+          else add("song", 2, "content", "Canvas with duration, no size");
+        }
+        const behavior = [].concat(manifest.behavior || manifest.viewingHint || []);
+        if (behavior.includes("paged") || behavior.includes("facing-pages")) {
+          add("book", 1, "behavior", "paged");
+        }
+        if (timed === 0 && canvases.length === 1) {
+          const c = canvases[0];
+          if (c.width && c.height && Math.max(c.width, c.height) >= 6e3 && c.width > c.height) {
+            add("map", 1, "canvases", `large landscape Canvas (${c.width}\xD7${c.height})`);
+          }
+        } else if (timed === 0 && canvases.length >= 10) {
+          add("book", 1, "canvases", `${canvases.length} Canvases`);
+        }
+        scanKeywords(iiifLabelToString(manifest.label || manifest["label"], opts), "label");
+        scanKeywords(
+          iiifLabelToString(manifest.summary || manifest.description || manifest["description"], opts),
+          "description"
+        );
+        if (timed === 0 && canvases.length === 1 && rationale.some((r) => r.type === "graphic")) {
+          add("graphic", 1, "canvases", "single Canvas");
+        }
+        const scores = {};
+        for (const r of rationale) {
+          scores[r.type] = (scores[r.type] || 0) + r.weight;
+        }
+        let type = DEFAULT_CSL_TYPE;
+        let best = 0;
+        for (const t of TYPE_PRIORITY) {
+          if ((scores[t] || 0) > best) {
+            type = t;
+            best = scores[t];
+          }
+        }
+        rationale.sort((a, b) => b.weight - a.weight);
+        return { type, scores, rationale };
+      }
+      function inferTypeFromMetadata(manifest, options) {
+        return classifyCslType(manifest, options).type;
+      }
+      function formatTypeRationale(classification) {
+        const { type, scores, rationale } = classification;
+        const lines = [`Type: ${type} (${Object.entries(scores).sort((a, b) => b[1] - a[1]).map(([t, s]) => `${t} ${s}`).join(", ") || "no signals, default"})`];
+        for (const r of rationale) {
+          lines.push(`  +${r.weight} ${r.type} \u2190 ${r.source}: ${r.evidence}`);
+        }
+        return lines;
+      }
+      var ROLE_TERMS = {
+        "author": "author",
+        "auteur": "author",
+        "verfasser": "author",
+        "editor": "editor",
+        "ed.": "editor",
+        "eds.": "editor",
+        "ed": "editor",
+        "herausgeber": "editor",
+        "hrsg.": "editor",
+        "\xE9diteur scientifique": "editor",
+        "compiler": "compiler",
+        "comp.": "compiler",
+        "translator": "translator",
+        "trans.": "translator",
+        "tr.": "translator",
+        "\xFCbersetzer": "translator",
+        "traducteur": "translator",
+        "illustrator": "illustrator",
+        "ill.": "illustrator",
+        "illuminator": "illuminator",
+        "enlumineur": "illuminator",
+        "buchmaler": "illuminator",
+        "artist": "artist",
+        "engraver": "engraver",
+        "woodcutter": "engraver",
+        "scribe": "scribe",
+        "copyist": "scribe",
+        "calligrapher": "scribe",
+        "schreiber": "scribe",
+        "copiste": "scribe",
+        "printer": "printer",
+        "drucker": "printer",
+        "imprimeur": "printer",
+        "publisher": "publisher",
+        "bookseller": "publisher",
+        "cartographer": "cartographer",
+        "photographer": "photographer",
+        "composer": "composer",
+        "lyricist": "lyricist",
+        "former owner": "former owner",
+        "owner": "former owner",
+        "provenance": "former owner",
+        "vorbesitz": "former owner",
+        "binder": "binder",
+        "bookbinder": "binder",
+        "commentator": "commentator",
+        "annotator": "annotator",
+        "contributor": "contributor",
+        "donor": "donor",
+        "dedicatee": "dedicatee",
+        "patron": "patron",
+        "attributed name": "author",
+        "addressee": "recipient",
+        "recipient": "recipient",
+        "interviewer": "interviewer",
+        "director": "director",
+        "performer": "performer"
+      };
+      var NAME_PARTICLES = [
+        "van",
+        "von",
+        "de",
+        "der",
+        "den",
+        "del",
+        "della",
+        "degli",
+        "dei",
+        "di",
+        "da",
+        "du",
+        "des",
+        "la",
+        "le",
+        "lo",
+        "ter",
+        "ten",
+        "te",
+        "zu",
+        "zur",
+        "zum",
+        "y",
+        "d'",
+        "dal",
+        "dalla",
+        "af",
+        "av",
+        "al",
+        "el",
+        "bin",
+        "ibn",
+        "ben",
+        "op",
+        "'t",
+        "vom"
+      ];
+      var NAME_SUFFIXES = /^(?:jr\.?|jun\.?|sr\.?|sen\.?|ii|iii|iv|esq\.?|the elder|the younger|d\.\s*ä\.|d\.\s*j\.)$/i;
+      var NAME_TITLES = /^(?:saint|st\.|sainte|heilige|sir|dame|lady|lord|king|queen|emperor|empress|pope|bishop|archbishop|cardinal|abbot|abbess|prior|duke|duchess|count|countess|earl|prince|princess|baron|baroness|marquis|elector|rabbi|brother|sister|father|mother|fra|frère|dom)\b/i;
+      var CORPORATE_NAME_RE = /biblioth[eè][kq]|\blibrar(?:y|ies)\b|museum|musée|museo|universit|\bcollege\b|collège|\bsociety\b|société|gesellschaft|\bcompany\b|compagnie|\bcouncil\b|\bchurch\b|église|kirche|\babbey\b|abbaye|\babtei\b|monaster|kloster|archiv|\binstitut|academ|akademie|\bdepartment\b|\bministry\b|ministère|\bpress\b|verlag|\binc\.?$|\bltd\.?$|gmbh|\bfoundation\b|fondation|stiftung|\bassociation\b|\bcommission\b|\bgovernment\b|\boffice\b|\bparliament\b|\bcongress\b|\bcommittee\b|\bbureau\b|\bschool\b|\bhospital\b|\bcorporation\b|\b& co\b|\bco\.$/i;
+      var ANONYMOUS_NAME_RE = /^(?:anon(?:ymous|yme|ym|imo)?\.?|unknown(?:\s+(?:author|artist|scribe|maker|creator))?|unbekannt|inconnu|ignoto|n\.\s?n\.|nn|not identified|author unknown|artiste inconnu)$/i;
+      var LIFE_DATES_RE = /^(?:(?:b|d|fl|ca|c|born|died|active|approximately|geb|gest|né|mort)\.?\s*)*(?:\d{3,4}\??|\d{1,2}(?:st|nd|rd|th|\.)?\s*(?:century|cent\.?|jh\.?))?\s*(?:[-–]\s*(?:(?:ca|c)\.?\s*)?(?:\d{3,4}\??)?)?\.?$/i;
+      function splitCreatorRole(str) {
+        let name = String(str || "").trim();
+        let role = "";
+        const takeRole = (text) => {
+          const t = text.trim().toLowerCase().replace(/\s+/g, " ");
+          if (!t) return false;
+          const terms = t.split(/\s*(?:,|;| and | & )\s*/).filter(Boolean);
+          const known = terms.map((term) => ROLE_TERMS[term] || ROLE_TERMS[term.replace(/\.$/, "")]);
+          if (known.every(Boolean)) {
+            if (!role) role = known[0];
+            return true;
+          }
+          return false;
+        };
+        name = name.replace(/\s*[([]([^)\]]*)[)\]]\s*/g, (whole, inner) => {
+          if (takeRole(inner)) return " ";
+          if (LIFE_DATES_RE.test(inner.trim())) return " ";
+          if (/\d/.test(inner)) return " ";
+          return whole;
+        }).trim();
+        name = name.replace(/^(?:attributed to|attr\.|workshop of|school of|circle of|follower of|after)\s+/i, "");
+        const parts = name.split(/\s*,\s*/);
+        while (parts.length > 1) {
+          const last = parts[parts.length - 1];
+          if (takeRole(last) || LIFE_DATES_RE.test(last)) {
+            parts.pop();
+            continue;
+          }
+          break;
+        }
+        name = parts.join(", ").replace(/[\s,;:]+$/, "");
+        if (/[\p{Ll}]{2}\.$/u.test(name) && !NAME_SUFFIXES.test(name.split(/[\s,]+/).pop())) {
+          name = name.slice(0, -1);
+        }
+        name = name.replace(/\s+(?:(?:b|d|fl|ca)\.\s*)?\d{3,4}\??\s*[-–]\s*\d{0,4}\??$/, "").trim();
+        return { name, role };
+      }
+      function isCorporateName(name) {
+        if (!CORPORATE_NAME_RE.test(name)) return false;
+        const comma = name.indexOf(",");
+        if (comma < 0) return true;
+        const before = name.slice(0, comma);
+        const after = name.slice(comma + 1).trim();
+        const looksLikeGiven = /^(?:[A-ZÀ-Ý][\p{L}'.-]*\s*){1,3}$/u.test(after) && !CORPORATE_NAME_RE.test(after);
+        return !(looksLikeGiven && before.trim().split(/\s+/).length <= 2);
+      }
+      function isNameParticle(word) {
+        return NAME_PARTICLES.includes(String(word).toLowerCase());
+      }
+      function splitParticles(words) {
+        let i = 0;
+        while (i < words.length - 1 && isNameParticle(words[i])) i++;
+        return { particles: words.slice(0, i).join(" "), rest: words.slice(i) };
+      }
+      function parseCslName(str) {
+        const { name } = splitCreatorRole(str);
+        if (!name || ANONYMOUS_NAME_RE.test(name)) return null;
+        if (/^master of\b/i.test(name) || isCorporateName(name)) {
+          return { literal: name };
+        }
+        let parts = name.split(/\s*,\s*/).filter(Boolean);
+        let suffix = "";
+        let hadTitle = false;
+        parts = parts.filter((p, i) => {
+          if (i === 0) return true;
+          if (NAME_SUFFIXES.test(p)) {
+            suffix = p;
+            return false;
+          }
+          if (NAME_TITLES.test(p)) {
+            hadTitle = true;
+            return false;
+          }
+          return true;
+        });
+        if (hadTitle || parts.length === 2 && /^[IVXL]+$/.test(parts[1])) {
+          return { literal: parts.join(" ") };
+        }
+        const withSuffix = (n) => suffix ? { ...n, suffix } : n;
+        if (parts.length >= 2) {
+          const familyWords = parts[0].split(/\s+/);
+          const givenWords = parts[1].split(/\s+/);
+          const out2 = {};
+          const lead = splitParticles(familyWords);
+          out2.family = lead.rest.join(" ");
+          if (lead.particles) out2["non-dropping-particle"] = lead.particles;
+          let tail = givenWords.length;
+          while (tail > 1 && isNameParticle(givenWords[tail - 1])) tail--;
+          out2.given = givenWords.slice(0, tail).join(" ");
+          if (tail < givenWords.length) {
+            out2["dropping-particle"] = givenWords.slice(tail).join(" ");
+          }
+          return withSuffix(out2);
+        }
+        const words = parts[0].split(/\s+/);
+        if (words.length === 1) {
+          return withSuffix({ family: words[0] });
+        }
+        let familyStart = words.length - 1;
+        while (familyStart > 1 && isNameParticle(words[familyStart - 1])) familyStart--;
+        const given = words.slice(0, familyStart).join(" ");
+        const { particles, rest } = splitParticles(words.slice(familyStart));
+        const out = { family: rest.join(" "), given };
+        if (particles) out["non-dropping-particle"] = particles;
+        return withSuffix(out);
+      }
+      function splitCreatorList(str) {
+        return String(str || "").split(/\s*(?:[;\n]|\s\|\s)\s*/).map((p) => p.trim()).filter(Boolean);
+      }
+      var ROLE_TO_CSL_VARIABLE = {
+        "author": "author",
+        "artist": "author",
+        "cartographer": "author",
+        "photographer": "author",
+        "editor": "editor",
+        "compiler": "compiler",
+        "translator": "translator",
+        "illustrator": "illustrator",
+        "illuminator": "illustrator",
+        "engraver": "illustrator",
+        "composer": "composer",
+        "recipient": "recipient",
+        "interviewer": "interviewer",
+        "director": "director",
+        "performer": "performer",
+        "scribe": "contributor",
+        "printer": "contributor",
+        "former owner": "contributor",
+        "binder": "contributor",
+        "commentator": "contributor",
+        "annotator": "contributor",
+        "lyricist": "contributor",
+        "donor": "contributor",
+        "dedicatee": "contributor",
+        "patron": "contributor",
+        "contributor": "contributor"
+      };
+      var CSL_NAME_VARIABLES = [
+        "author",
+        "editor",
+        "compiler",
+        "translator",
+        "illustrator",
+        "composer",
+        "recipient",
+        "interviewer",
+        "director",
+        "performer",
+        "collection-editor",
+        "reviewed-author",
+        "contributor"
+      ];
+      var METADATA_ROLE_LABELS = {
+        "author": "author",
+        "creator": "author",
+        "auteur": "author",
+        "autor": "author",
+        "verfasser": "author",
+        "artist": "artist",
+        "maker": "author",
+        "cartographer": "cartographer",
+        "photographer": "photographer",
+        "editor": "editor",
+        "herausgeber": "editor",
+        "compiler": "compiler",
+        "translator": "translator",
+        "\xFCbersetzer": "translator",
+        "traducteur": "translator",
+        "illustrator": "illustrator",
+        "illuminator": "illuminator",
+        "illumination": "illuminator",
+        "engraver": "engraver",
+        "scribe": "scribe",
+        "copyist": "scribe",
+        "schreiber": "scribe",
+        "printer": "printer",
+        "drucker": "printer",
+        "composer": "composer",
+        "recipient": "recipient",
+        "addressee": "recipient",
+        "former owner": "former owner",
+        "vorbesitzer": "former owner",
+        "binder": "binder",
+        "contributor": "contributor",
+        "other contributor": "contributor",
+        "beteiligte": "contributor"
+      };
+      function metadataLabelRole(label, options) {
+        const creators = getActiveProfile(options).creators;
+        const labelStrs = getLabelLanguageEntries(label).map((e) => e.values.join(" ").trim().toLowerCase().replace(/\s*:$/, ""));
+        for (const l of labelStrs) {
+          const bare = l.replace(/\(s\)$/, "");
+          const role = creators[bare] || creators[bare.replace(/s$/, "")];
+          if (role) return role;
+        }
+        return "";
+      }
+      function extractCreators(manifest, options) {
+        const metadata = manifest.metadata || [];
+        const creators = {};
+        const seen = /* @__PURE__ */ new Set();
+        for (const entry of metadata) {
+          const rowRole = metadataLabelRole(entry.label || entry["label"], options);
+          if (!rowRole) continue;
+          const valueStr = iiifLabelToString(
+            entry.value || entry["value"],
+            { ...options, separator: "; " }
+          );
+          for (const raw of splitCreatorList(valueStr)) {
+            const { role } = splitCreatorRole(raw);
+            const variable = ROLE_TO_CSL_VARIABLE[role || rowRole] || (role ? "contributor" : "");
+            if (!variable) continue;
+            const name = parseCslName(raw);
+            if (!name) continue;
+            const key = variable + " " + JSON.stringify(name);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            (creators[variable] = creators[variable] || []).push(name);
+          }
+        }
+        const ordered = {};
+        for (const v of CSL_NAME_VARIABLES) {
+          if (creators[v]) ordered[v] = creators[v];
+        }
+        return ordered;
+      }
+      function extractAuthors(manifest, options) {
+        return extractCreators(manifest, options).author || [];
+      }
+      var DEFAULT_PROFILE = {
+        name: "default",
+        description: "Generic labels used across IIIF providers",
+        hosts: [],
+        extends: null,
+        creators: METADATA_ROLE_LABELS,
+        fields: {
+          issued: {
+            labels: ["Date", "Publication Date", "Issued"],
+            // "Created", "Published", "Created/published", "Published - created",
+            // but *not* "Created by", "Published by", "Published for".
+            patterns: [
+              "^(created(?!\\s*by)|published(?!\\s*(by|for)))([-\\/\\s]+(created(?!\\s*by)|published(?!\\s*(by|for))))?$"
+            ]
+          },
+          // Publisher of a printed work. Holding institutions go to "archive",
+          // not here.
+          publisher: {
+            labels: ["Publisher", "Imprint"]
+          },
+          // Every matching row is a hint for classifyCslType().
+          type: {
+            labels: [
+              "Type",
+              "Object Type",
+              "Resource Type",
+              "Type of Resource",
+              "Document Type",
+              "Format",
+              "Genre",
+              "Genre/Form",
+              "Form/Genre",
+              "Form",
+              "Object Name",
+              "Work Type",
+              "Medium",
+              "Physical Description"
+            ]
+          },
+          archive: {
+            labels: [
+              "Repository",
+              "Holding Institution",
+              "Holding Library",
+              "Institution",
+              "Library",
+              "Owning Institution",
+              "Current Location"
+            ]
+          },
+          archive_location: {
+            labels: [
+              "Shelfmark",
+              "Shelf mark",
+              "Call Number",
+              "Call No.",
+              "Classmark",
+              "Pressmark",
+              "Signature",
+              "Signatur",
+              "Cote",
+              "Segnatura",
+              "Signatura",
+              "Local Identifier"
+            ]
+          },
+          "collection-title": {
+            labels: ["Digital Collection", "Collection", "Part of", "Fonds"]
+          },
+          // Rights and license rows; see extractRights().
+          rights: {
+            labels: [
+              "Rights",
+              "License",
+              "Licence",
+              "Copyright",
+              "Copyright Status",
+              "Rights Statement",
+              "Usage",
+              "Terms of Use",
+              "Conditions of Use",
+              "Reuse",
+              "Use and Reproduction"
+            ]
+          },
+          // Identifier rows; see extractIdentifiers().
+          DOI: { labels: ["DOI", "Digital Object Identifier"] },
+          ISBN: { labels: ["ISBN"] },
+          ISSN: { labels: ["ISSN"] },
+          identifier: {
+            labels: [
+              "Identifier",
+              "Identifiers",
+              "Persistent Identifier",
+              "Persistent URL",
+              "Permalink",
+              "Permanent Link",
+              "Stable URL",
+              "ARK",
+              "Handle",
+              "OCLC",
+              "OCLC Number",
+              "Other Identifier",
+              "Record Identifier"
+            ]
+          }
+        }
+      };
+      var BUILTIN_PROFILES = [
+        DEFAULT_PROFILE,
+        {
+          name: "bodleian",
+          description: "Bodleian Libraries, University of Oxford (Digital Bodleian)",
+          hosts: ["iiif.bodleian.ox.ac.uk", "digital.bodleian.ox.ac.uk"],
+          fields: {
+            issued: { labels: ["Date Statement"] },
+            archive_location: { labels: ["Shelfmark"] }
+          }
+        },
+        {
+          name: "british-library",
+          description: "British Library",
+          hosts: ["api.bl.uk", "iiif.bl.uk"],
+          fields: {
+            archive_location: { labels: ["Shelfmark"] }
+          }
+        },
+        {
+          name: "gallica",
+          description: "Biblioth\xE8que nationale de France (Gallica)",
+          hosts: ["gallica.bnf.fr"],
+          creators: { "auteur": "author", "contributeur": "contributor" },
+          fields: {
+            publisher: { labels: ["\xC9diteur"] },
+            archive: { labels: ["Source"] },
+            archive_location: { labels: ["Cote", "Shelfmark"] }
+          }
+        },
+        {
+          name: "digitale-sammlungen",
+          description: "Bayerische Staatsbibliothek (Digitale Sammlungen / MDZ)",
+          hosts: ["api.digitale-sammlungen.de", "www.digitale-sammlungen.de"],
+          creators: { "ersteller": "author", "beteiligte person": "contributor" },
+          fields: {
+            issued: { labels: ["Datierung", "Erscheinungsjahr", "Entstehungszeit"] },
+            publisher: { labels: ["Verlag"] },
+            archive: { labels: ["Bestandshaltende Einrichtung"] },
+            archive_location: { labels: ["Signatur", "Shelfmark"] }
+          }
+        },
+        {
+          name: "e-codices",
+          description: "e-codices \u2013 Virtual Manuscript Library of Switzerland",
+          hosts: ["*.e-codices.unifr.ch", "e-codices.ch"],
+          fields: {
+            issued: { labels: ["Date of Origin"] },
+            archive_location: { labels: ["Shelfmark"] }
+          }
+        },
+        {
+          name: "loc",
+          description: "Library of Congress",
+          hosts: ["*.loc.gov"],
+          creators: { "contributor names": "author" },
+          fields: {
+            issued: { labels: ["Created / Published", "Date"] },
+            archive_location: { labels: ["Call Number/Physical Location", "Call Number"] }
+          }
+        }
+      ];
+      var PROFILE_EXTRACTOR_FIELDS = [
+        "issued",
+        "publisher",
+        "type",
+        "archive",
+        "archive_location",
+        "collection-title",
+        "rights",
+        "DOI",
+        "ISBN",
+        "ISSN",
+        "identifier"
+      ];
+      var compiledProfiles = /* @__PURE__ */ new WeakSet();
+      var profileCompileCache = /* @__PURE__ */ new WeakMap();
+      var NO_EXTRA_PROFILES = [];
+      function findMappingProfile(name, options) {
+        const opts = options || {};
+        const all = (opts.profiles || []).concat(BUILTIN_PROFILES);
+        return all.find((p) => p && p.name === name) || null;
+      }
+      function listMappingProfiles(options) {
+        const opts = options || {};
+        return (opts.profiles || []).concat(BUILTIN_PROFILES).map((p) => ({
+          name: p.name,
+          description: p.description || "",
+          hosts: p.hosts || []
+        }));
+      }
+      function toPatternRegExp(pattern) {
+        if (pattern instanceof RegExp) return new RegExp(pattern.source, "i");
+        return new RegExp(String(pattern), "i");
+      }
+      function compileMappingProfile(profile, options, seen) {
+        if (compiledProfiles.has(profile)) return profile;
+        if (!profile || typeof profile !== "object") {
+          throw new TypeError("Mapping profile must be an object");
+        }
+        const scope = options && options.profiles || NO_EXTRA_PROFILES;
+        let cache = profileCompileCache.get(scope);
+        if (!cache) {
+          cache = /* @__PURE__ */ new WeakMap();
+          profileCompileCache.set(scope, cache);
+        }
+        if (cache.has(profile)) return cache.get(profile);
+        const name = profile.name || "(unnamed)";
+        const chain = seen || [];
+        if (chain.includes(profile)) {
+          throw new Error(`Mapping profile "${name}" extends itself`);
+        }
+        let parent = null;
+        const parentName = profile.extends === void 0 ? profile === DEFAULT_PROFILE ? null : "default" : profile.extends;
+        if (parentName) {
+          const parentProfile = findMappingProfile(parentName, options);
+          if (!parentProfile) {
+            throw new Error(`Mapping profile "${name}" extends unknown profile "${parentName}"`);
+          }
+          parent = compileMappingProfile(parentProfile, options, chain.concat(profile));
+        }
+        const creators = { ...parent ? parent.creators : {} };
+        for (const [label, role] of Object.entries(profile.creators || {})) {
+          creators[label.toLowerCase()] = String(role).toLowerCase();
+        }
+        const fields = {};
+        const own = profile.fields || {};
+        const fieldNames = new Set(Object.keys(parent ? parent.fields : {}).concat(Object.keys(own)));
+        for (const field of fieldNames) {
+          const spec = own[field] || {};
+          const inherited = parent && parent.fields[field] && !spec.replace ? parent.fields[field] : { labels: [], patterns: [] };
+          let patterns;
+          try {
+            patterns = (spec.patterns || []).map(toPatternRegExp);
+          } catch (err) {
+            throw new Error(`Mapping profile "${name}": invalid pattern for ${field}: ${err.message}`);
+          }
+          fields[field] = {
+            labels: (spec.labels || []).map((l) => String(l).toLowerCase()).concat(inherited.labels),
+            patterns: patterns.concat(inherited.patterns)
+          };
+        }
+        const compiled = {
+          name,
+          description: profile.description || "",
+          hosts: profile.hosts || [],
+          creators,
+          fields
+        };
+        compiledProfiles.add(compiled);
+        cache.set(profile, compiled);
+        return compiled;
+      }
+      function profileMatchesHost(profile, host) {
+        if (!host) return false;
+        const h = host.toLowerCase();
+        return (profile.hosts || []).some((pattern) => {
+          const p = String(pattern).toLowerCase();
+          const regex = /^\/(.*)\/$/.exec(String(pattern));
+          if (regex) return new RegExp(regex[1], "i").test(h);
+          if (p.startsWith("*.")) return h === p.slice(2) || h.endsWith(p.slice(1));
+          return h === p;
+        });
+      }
+      function selectMappingProfile(manifest, manifestUrl, options) {
+        const opts = options || {};
+        const choice = opts.profile;
+        if (choice && typeof choice === "object") {
+          return compileMappingProfile(choice, opts);
+        }
+        if (choice && choice !== "auto") {
+          const named = findMappingProfile(choice, opts);
+          if (!named) throw new Error(`Unknown mapping profile "${choice}"`);
+          return compileMappingProfile(named, opts);
+        }
+        const m = manifest || {};
+        const hosts = [manifestUrl, m.id, m["@id"]].filter((u) => typeof u === "string").map(getUrlHost).filter(Boolean);
+        const candidates = (opts.profiles || []).concat(BUILTIN_PROFILES);
+        for (const host of hosts) {
+          const match = candidates.find((p) => profileMatchesHost(p, host));
+          if (match) return compileMappingProfile(match, opts);
+        }
+        return compileMappingProfile(DEFAULT_PROFILE, opts);
+      }
+      function getActiveProfile(options) {
+        const opts = options || {};
+        if (compiledProfiles.has(opts.profile)) return opts.profile;
+        return selectMappingProfile(null, "", opts);
+      }
+      function getProfileFieldEntries(manifest, field, options) {
+        const spec = getActiveProfile(options).fields[field];
+        if (!spec) return [];
+        const metadata = manifest.metadata || [];
+        const labelsOf = (entry) => getLabelLanguageEntries(entry.label || entry["label"]).map((e) => e.values.join(" ").trim());
+        const valueOf = (entry) => iiifLabelToString(
+          entry.value || entry["value"],
+          { ...options, separator: "; " }
+        );
+        const matched = [];
+        const take = (entry) => {
+          if (matched.includes(entry)) return;
+          matched.push(entry);
+        };
+        for (const wanted of spec.labels) {
+          for (const entry of metadata) {
+            if (labelsOf(entry).some((l) => l.toLowerCase() === wanted)) take(entry);
+          }
+        }
+        for (const re of spec.patterns) {
+          for (const entry of metadata) {
+            if (labelsOf(entry).some((l) => re.test(l))) take(entry);
+          }
+        }
+        return matched.map((entry) => ({ label: labelsOf(entry)[0] || "", value: valueOf(entry) })).filter((e) => e.value);
+      }
+      function getProfileFieldValues(manifest, field, options) {
+        return getProfileFieldEntries(manifest, field, options).map((e) => e.value);
+      }
+      function getProfileFieldValue(manifest, field, options) {
+        return getProfileFieldValues(manifest, field, options)[0] || "";
+      }
+      function extractProfileFields(manifest, options) {
+        const profile = getActiveProfile(options);
+        const out = {};
+        for (const field of Object.keys(profile.fields)) {
+          if (PROFILE_EXTRACTOR_FIELDS.includes(field)) continue;
+          const value = getProfileFieldValue(manifest, field, options);
+          if (value) out[field] = value;
+        }
+        return out;
+      }
+      var MONTH_NAMES = [
+        ["january", "jan", "janvier", "janv", "januar", "j\xE4nner", "gennaio", "enero", "ianuarius"],
+        ["february", "feb", "f\xE9vrier", "fevrier", "f\xE9vr", "fevr", "februar", "febbraio", "febrero", "februarius"],
+        ["march", "mar", "mars", "m\xE4rz", "maerz", "marzo", "martius"],
+        ["april", "apr", "avril", "aprile", "abril", "aprilis"],
+        ["may", "mai", "maggio", "mayo", "maius"],
+        ["june", "jun", "juin", "juni", "giugno", "junio", "iunius"],
+        ["july", "jul", "juillet", "juil", "juli", "luglio", "julio", "iulius"],
+        ["august", "aug", "ao\xFBt", "aout", "agosto", "augustus"],
+        ["september", "sep", "sept", "septembre", "settembre", "septiembre"],
+        ["october", "oct", "octobre", "oktober", "okt", "ottobre", "octubre"],
+        ["november", "nov", "novembre", "noviembre"],
+        ["december", "dec", "d\xE9cembre", "decembre", "d\xE9c", "dezember", "dez", "dicembre", "diciembre"]
+      ];
+      var SEASON_NAMES = [
+        ["spring", "printemps", "fr\xFChling", "fr\xFChjahr", "primavera"],
+        ["summer", "\xE9t\xE9", "ete", "sommer", "estate", "verano"],
+        ["autumn", "fall", "automne", "herbst", "autunno", "oto\xF1o", "otono"],
+        ["winter", "hiver", "inverno", "invierno"]
+      ];
+      var ORDINAL_WORDS = [
+        "first",
+        "second",
+        "third",
+        "fourth",
+        "fifth",
+        "sixth",
+        "seventh",
+        "eighth",
+        "ninth",
+        "tenth",
+        "eleventh",
+        "twelfth",
+        "thirteenth",
+        "fourteenth",
+        "fifteenth",
+        "sixteenth",
+        "seventeenth",
+        "eighteenth",
+        "nineteenth",
+        "twentieth",
+        "twenty-first"
+      ];
+      var CIRCA_RE = /\b(?:circa|ca|approx(?:imately)?|about|around|um|vers|env(?:iron)?)\b\.?|\bc\.?\s*(?=\d)|\?/gi;
+      var OPEN_ENDED_RE = /\b(?:before|after|not (?:before|after)|prior to|vor|nach|avant|après|apres|ante|post|terminus)\b/i;
+      var RANGE_SEPARATOR_RES = [
+        /\s*(?:–|—|\s-\s|\/|\bto\b|\band\b|\bor\b|\boder\b|\bou\b|\bbis\b|\bà\b|\bau\b|\bal\b)\s*/gi,
+        /-/g
+      ];
+      var CENTURY_WORD = "(?:century|centuries|cent\\.?|c\\.|jh\\.?|jhdt\\.?|jahrhundert[s]?|si\xE8cle|siecle|sec(?:olo)?\\.?|s\\.|saec\\.?|s\xE6c\\.?)";
+      function romanToInt(str) {
+        const VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+        const s = String(str || "").toLowerCase();
+        if (!/^[ivxlc]+$/.test(s)) return 0;
+        let total = 0;
+        for (let i = 0; i < s.length; i++) {
+          const v = VALUES[s[i]];
+          const next = VALUES[s[i + 1]] || 0;
+          total += v < next ? -v : v;
+        }
+        return total;
+      }
+      function lookupName(table, word) {
+        const w = word.toLowerCase().replace(/\.$/, "");
+        const idx = table.findIndex((names) => names.includes(w));
+        return idx >= 0 ? idx + 1 : 0;
+      }
+      function parseCenturies(str) {
+        const s = str.toLowerCase();
+        const found = [];
+        const push = (n, index) => {
+          if (n >= 1 && n <= 21) found.push({ n, index });
+        };
+        const patterns = [
+          // 15th century, 15. Jh., 15e siècle, 15th c.
+          [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|e|er|\xE8me|eme|\\.)?\\s*(?:(?:[-\u2013]|\\s(?:or|and|to)\\s)\\s*(?:early|mid|late)?-?\\s*\\d{1,2}(?:st|nd|rd|th|e|er|\xE8me|eme|\\.)?\\s*)?${CENTURY_WORD}`, "g"), (m) => parseInt(m[1], 10)],
+          // XVth century, XVe siècle
+          [new RegExp(`\\b([ivxl]+)(?:th|e|er|\xE8me|eme|\\.)?\\s*(?:[-\u2013]\\s*[ivxl]+(?:th|e|er|\xE8me|eme|\\.)?\\s*)?${CENTURY_WORD}`, "g"), (m) => romanToInt(m[1])],
+          // s. XII, saec. XII, sec. XV, s. XIIex
+          [/\b(?:s|saec|sæc|sec|saeculum)(?:\.\s*|\s+)([ivxl]+?)(?:ex|in)?(?![a-zà-ÿ])/g, (m) => romanToInt(m[1])],
+          // fifteenth century
+          [new RegExp(`\\b(${ORDINAL_WORDS.join("|")})\\s+${CENTURY_WORD}`, "g"), (m) => ORDINAL_WORDS.indexOf(m[1]) + 1]
+        ];
+        for (const [re, toNumber] of patterns) {
+          let m;
+          while ((m = re.exec(s)) !== null) {
+            push(toNumber(m), m.index);
+            const second = m[0].match(/(?:[-–]|\s(?:or|and|to)\s)\s*(?:early|mid|late)?-?\s*(\d{1,2}|[ivxl]+)/);
+            if (second) {
+              push(/\d/.test(second[1]) ? parseInt(second[1], 10) : romanToInt(second[1]), m.index + 1);
+            }
+          }
+        }
+        const romanRange = s.match(/\b(?:s|saec|sæc|sec)(?:\.\s*|\s+)[ivxl]+\s*[-–]\s*([ivxl]+?)(?:ex|in)?(?![a-zà-ÿ])/);
+        if (romanRange) push(romanToInt(romanRange[1]), s.length);
+        if (found.length === 0) return null;
+        found.sort((a, b) => a.index - b.index);
+        const first = found[0].n;
+        const last = found[found.length - 1].n;
+        let start = (first - 1) * 100;
+        let end = (last - 1) * 100 + 99;
+        if (first === last) {
+          const base = start;
+          const QUARTERS = { first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4, last: 4 };
+          const quarter = s.match(/\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\s+quarter\b/);
+          const fraction = quarter ? [null, String(QUARTERS[quarter[1]]), "4"] : s.match(/\b([1-4])\s*\/\s*([234])\b/);
+          if (fraction && parseInt(fraction[1], 10) <= parseInt(fraction[2], 10)) {
+            const part = parseInt(fraction[1], 10);
+            const of = parseInt(fraction[2], 10);
+            start = base + Math.round((part - 1) * 100 / of);
+            end = base + Math.round(part * 100 / of) - 1;
+          } else if (/\b(?:first|1st|1\.|première|premiere|erste)\s+(?:half|moitié|moitie|hälfte)/.test(s)) {
+            end = base + 49;
+          } else if (/\b(?:second|2nd|2\.|seconde|deuxième|zweite)\s+(?:half|moitié|moitie|hälfte)/.test(s)) {
+            start = base + 50;
+          } else if (/\b(?:early|beginning|begin|in\.|ineunte|anfang|frühes|début|debut|inizio|principios)\b|\bin\.?$|(?:[ivxl]|\d)in\b/.test(s)) {
+            end = base + 33;
+          } else if (/\b(?:mid|middle|med\.?|medio|mitte|milieu|metà|meta|mediados)\b/.test(s)) {
+            start = base + 33;
+            end = base + 66;
+          } else if (/\b(?:late|end|ex\.?|exeunte|ende|spätes|fin|fine|finales)\b|(?:[ivxl]|\d)ex\b/.test(s)) {
+            start = base + 66;
+          }
+        }
+        return { start, end };
+      }
+      function parseDecade(str) {
+        const s = str.trim().toLowerCase();
+        let m = s.match(/^(\d{3}0)(?:'?s|er(?: jahre)?)$/);
+        if (m) {
+          const start = parseInt(m[1], 10);
+          return { start, end: start + 9 };
+        }
+        m = s.match(/^(\d{2,3})([-ux]+)$/);
+        if (m && m[1].length + m[2].length === 4) {
+          const scale = Math.pow(10, m[2].length);
+          const start = parseInt(m[1], 10) * scale;
+          return { start, end: start + scale - 1 };
+        }
+        return null;
+      }
+      function parseSingleDate(str) {
+        const s = str.trim().replace(/^[,;:\s]+|[,;:\s]+$/g, "");
+        if (!s) return null;
+        let m = s.match(/^(-?\d{1,4})-(\d{1,2})(?:-(\d{1,2}))?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+        if (m && parseInt(m[2], 10) >= 1 && parseInt(m[2], 10) <= 12) {
+          return {
+            year: parseInt(m[1], 10),
+            month: parseInt(m[2], 10),
+            day: m[3] ? parseInt(m[3], 10) : null
+          };
+        }
+        m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{3,4})$/);
+        if (m) {
+          return { year: parseInt(m[3], 10), month: parseInt(m[2], 10), day: parseInt(m[1], 10) };
+        }
+        const result = { year: null, month: null, day: null, season: null };
+        const smallNumbers = [];
+        let era = 0;
+        const tokens = s.toLowerCase().replace(/,/g, " ").split(/\s+/).filter(Boolean);
+        for (const raw of tokens) {
+          const token = raw.replace(/^[([]+|[)\]]+$/g, "");
+          if (/^(?:a\.?d\.?|c\.?e\.?|n\.?\s?chr\.?)$/.test(token)) {
+            era = 1;
+            continue;
+          }
+          if (/^(?:b\.?c\.?(?:e\.?)?|v\.?\s?chr\.?|av\.?\s?j\.?-?c\.?)$/.test(token)) {
+            era = -1;
+            continue;
+          }
+          const month = lookupName(MONTH_NAMES, token);
+          if (month && !result.month) {
+            result.month = month;
+            continue;
+          }
+          const season = lookupName(SEASON_NAMES, token);
+          if (season && !result.season) {
+            result.season = season;
+            continue;
+          }
+          const num = token.match(/^(\d{1,4})(?:st|nd|rd|th|er|e|\.)?$/);
+          if (num) {
+            if (num[1].length >= 3 && result.year == null) {
+              result.year = parseInt(num[1], 10);
+            } else {
+              smallNumbers.push(parseInt(num[1], 10));
             }
           }
-          return pieces.join(" ").trim();
         }
-        if (typeof label === "string") {
-          return label.trim();
+        if (result.year == null && era !== 0 && smallNumbers.length > 0) {
+          result.year = smallNumbers.pop();
+        }
+        if (result.year == null) {
+          const fallback = s.match(/\b(\d{4})\b/);
+          if (fallback) result.year = parseInt(fallback[1], 10);
+        }
+        if (result.year != null && era === -1) {
+          result.year = -result.year;
+        }
+        if (smallNumbers.length > 0 && smallNumbers[0] >= 1 && smallNumbers[0] <= 31) {
+          result.day = smallNumbers[0];
+        }
+        if (result.year == null && !result.month && !result.day) return null;
+        return result;
+      }
+      function isValidDateParts(d) {
+        if (!d.month) return true;
+        if (d.month < 1 || d.month > 12) return false;
+        if (!d.day) return true;
+        const leap = d.year % 4 === 0 && d.year % 100 !== 0 || d.year % 400 === 0;
+        const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][d.month - 1];
+        return d.day >= 1 && d.day <= days;
+      }
+      function datePartsOf(d) {
+        const parts = [d.year];
+        if (d.month) {
+          parts.push(d.month);
+          if (d.day) parts.push(d.day);
+        }
+        return parts;
+      }
+      function parseCslDate(str) {
+        const original = String(str || "").trim();
+        if (!original) return null;
+        const literal = { literal: original };
+        if (OPEN_ENDED_RE.test(original)) return literal;
+        let s = original;
+        const centuries = parseCenturies(s);
+        const circa = CIRCA_RE.test(s);
+        CIRCA_RE.lastIndex = 0;
+        s = s.replace(CIRCA_RE, " ").replace(/[[\]()]/g, " ").replace(/\b(?:between|from|entre|zwischen|tra|fra)\b/gi, " ").replace(/\s+/g, " ").trim();
+        const finish = (start, end) => {
+          if (!isValidDateParts(start) || end && !isValidDateParts(end)) return literal;
+          const date = { "date-parts": [datePartsOf(start)] };
+          const endParts = end ? datePartsOf(end) : null;
+          if (endParts && endParts.join("-") !== date["date-parts"][0].join("-")) {
+            date["date-parts"].push(endParts);
+          }
+          if (circa) date.circa = true;
+          if (start.season) date.season = start.season;
+          return date;
+        };
+        if (centuries) {
+          return finish({ year: centuries.start }, { year: centuries.end });
+        }
+        const decade = parseDecade(s);
+        if (decade) {
+          return finish({ year: decade.start }, { year: decade.end });
+        }
+        const iso = s.match(/^-?\d{1,4}-(\d{1,2})(?:-\d{1,2})?(?:T.*)?$/);
+        if (iso && parseInt(iso[1], 10) >= 1 && parseInt(iso[1], 10) <= 12) {
+          return finish(parseSingleDate(s));
+        }
+        if (/^-?\d{3,4}-\d{1,2}-\d{1,2}(?:T.*)?$/.test(s)) return literal;
+        for (const separatorRe of RANGE_SEPARATOR_RES) {
+          const range = parseDateRange(s, separatorRe);
+          if (range) return finish(range.start, range.end);
+        }
+        const single = parseSingleDate(s);
+        if (single && single.year != null) return finish(single);
+        return literal;
+      }
+      function parseDateRange(s, separatorRe) {
+        const re = new RegExp(separatorRe.source, separatorRe.flags);
+        let sep;
+        while ((sep = re.exec(s)) !== null) {
+          const leftStr = s.slice(0, sep.index);
+          const rightStr = s.slice(sep.index + sep[0].length);
+          const left = parseSingleDate(leftStr);
+          if (!left || !rightStr) continue;
+          if (left.year != null && !left.month && /^\d{1,2}$/.test(rightStr)) {
+            const scale = Math.pow(10, rightStr.length);
+            const endYear = left.year - left.year % scale + parseInt(rightStr, 10);
+            if (endYear > left.year) {
+              return { start: left, end: { year: endYear } };
+            }
+            continue;
+          }
+          const right = parseSingleDate(rightStr);
+          if (!right) continue;
+          if (left.year == null) left.year = right.year;
+          if (!left.month && left.day) left.month = right.month;
+          if (!right.month && right.day) right.month = left.month;
+          if (right.year == null) right.year = left.year;
+          if (left.year == null) continue;
+          if (left.month && left.day && !right.day && right.month === left.month && right.year === left.year) {
+            continue;
+          }
+          return { start: left, end: right };
+        }
+        return null;
+      }
+      function extractDate(manifest, options) {
+        let dateStr = getProfileFieldValue(manifest, "issued", options);
+        if (!dateStr && typeof manifest.navDate === "string") {
+          dateStr = manifest.navDate.replace(/T00:00:00(?:\.0+)?(?:Z|[+-]00:?00)?$/, "");
+        }
+        return (dateStr || "").trim();
+      }
+      function extractPublisher(manifest, options) {
+        return getProfileFieldValue(manifest, "publisher", options);
+      }
+      var ATTRIBUTION_PREFIX_RE = /^(?:(?:images?|digiti[sz]ation|digiti[sz]ed|content|material)\s+)?(?:provided by|courtesy of|held by|holding institution:|source:|owned by|from the collections? of|digiti[sz]ed by)\s*(?:the\s+)?/i;
+      var RIGHTS_STATEMENT_RE = /licen[cs]|creative commons|\bcc[- ]?(?:by|0|zero)\b|public domain|rights|copyright|©|\bterms\b|permission|https?:\/\//i;
+      function stripHtml(str) {
+        return String(str || "").replace(/<br\s*\/?>/gi, "\n").replace(/<[^>]*>/g, "").replace(/&nbsp;/g, " ").replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").trim();
+      }
+      function institutionFromAttribution(text) {
+        for (const line of stripHtml(text).split(/\n+/)) {
+          const sentence = line.trim().split(/(?<=[a-z)])\.\s+/)[0].replace(/\.$/, "").trim();
+          if (!sentence) continue;
+          const prefixed = ATTRIBUTION_PREFIX_RE.test(sentence);
+          const name = sentence.replace(ATTRIBUTION_PREFIX_RE, "").trim();
+          if (!name || RIGHTS_STATEMENT_RE.test(name) || name.length > 120) continue;
+          if (prefixed || isCorporateName(name)) return name;
+        }
+        return "";
+      }
+      function getAttributionStatements(manifest, options) {
+        const statements = [];
+        if (manifest.attribution) {
+          statements.push(iiifLabelToString(manifest.attribution, { ...options, separator: "\n" }));
+        }
+        if (manifest.requiredStatement) {
+          statements.push(iiifLabelToString(manifest.requiredStatement.value, { ...options, separator: "\n" }));
+        }
+        return statements.filter(Boolean);
+      }
+      function extractArchive(manifest, options) {
+        const fromMetadata = getProfileFieldValue(manifest, "archive", options);
+        if (fromMetadata) return fromMetadata;
+        const providers = Array.isArray(manifest.provider) ? manifest.provider : manifest.provider ? [manifest.provider] : [];
+        for (const agent of providers) {
+          const name = iiifLabelToString(agent && agent.label, options);
+          if (name) return name;
+        }
+        for (const statement of getAttributionStatements(manifest, options)) {
+          const name = institutionFromAttribution(statement);
+          if (name) return name;
+        }
+        return "";
+      }
+      function extractArchiveLocation(manifest, options) {
+        return getProfileFieldValue(manifest, "archive_location", options);
+      }
+      function extractCollectionTitle(manifest, options) {
+        const fromMetadata = getProfileFieldValue(manifest, "collection-title", options);
+        if (fromMetadata) return fromMetadata;
+        const parents = [].concat(manifest.partOf || [], manifest.within || []);
+        for (const parent of parents) {
+          if (!parent || typeof parent !== "object") continue;
+          const label = iiifLabelToString(parent.label, options);
+          if (label) return label;
+        }
+        return "";
+      }
+      var RIGHTS_STATEMENT_NAMES = {
+        "InC": "In Copyright",
+        "InC-OW-EU": "In Copyright \u2013 EU Orphan Work",
+        "InC-EDU": "In Copyright \u2013 Educational Use Permitted",
+        "InC-NC": "In Copyright \u2013 Non-Commercial Use Permitted",
+        "InC-RUU": "In Copyright \u2013 Rights-holder(s) Unlocatable or Unidentifiable",
+        "NoC-CR": "No Copyright \u2013 Contractual Restrictions",
+        "NoC-NC": "No Copyright \u2013 Non-Commercial Use Only",
+        "NoC-OKLR": "No Copyright \u2013 Other Known Legal Restrictions",
+        "NoC-US": "No Copyright \u2013 United States",
+        "CNE": "Copyright Not Evaluated",
+        "UND": "Copyright Undetermined",
+        "NKC": "No Known Copyright"
+      };
+      var RIGHTS_URI_RE = /https?:\/\/(?:www\.)?(?:creativecommons\.org\/(?:licenses|publicdomain)|rightsstatements\.org\/(?:vocab|page))\/[^\s"'<>)\]]+/gi;
+      function describeLicense(uri) {
+        const u = String(uri || "").trim();
+        let m = /creativecommons\.org\/licenses\/((?:by|nc|nd|sa)(?:-(?:nc|nd|sa))*)\/(\d(?:\.\d)?)(?:\/([a-z]{2})(?=\/|[?#]|$))?/i.exec(u);
+        if (m) {
+          const port = m[3] ? ` ${m[3].toUpperCase()}` : "";
+          return { uri: u, name: `CC ${m[1].toUpperCase()} ${m[2]}${port}`, kind: "license" };
+        }
+        m = /creativecommons\.org\/publicdomain\/(zero|mark)\/(\d\.\d)/i.exec(u);
+        if (m) {
+          const name = m[1].toLowerCase() === "zero" ? `CC0 ${m[2]}` : `Public Domain Mark ${m[2]}`;
+          return { uri: u, name, kind: "license" };
+        }
+        m = /rightsstatements\.org\/(?:vocab|page)\/([A-Za-z-]+)\//i.exec(u);
+        if (m) {
+          const code = Object.keys(RIGHTS_STATEMENT_NAMES).find((k) => k.toLowerCase() === m[1].toLowerCase());
+          if (code) return { uri: u, name: RIGHTS_STATEMENT_NAMES[code], kind: "statement" };
+        }
+        return { uri: u, name: "", kind: "other" };
+      }
+      function licenseKey(license) {
+        if (license.name) return `${license.kind}:${license.name}`;
+        return license.uri.replace(/^https?:\/\/(?:www\.)?/i, "").replace(/\/+$/, "").toLowerCase();
+      }
+      function extractRights(manifest, options) {
+        const licenses = [];
+        const addLicense = (uri) => {
+          if (typeof uri !== "string" || !uri.trim()) return;
+          const license = describeLicense(uri);
+          if (licenses.some((l) => licenseKey(l) === licenseKey(license))) return;
+          licenses.push(license);
+        };
+        if (manifest.rights) addLicense(resourceId(manifest.rights) || manifest.rights);
+        for (const license of [].concat(manifest.license || [])) {
+          addLicense(typeof license === "string" ? license : license && (license["@id"] || license.id));
+        }
+        const statements = [];
+        for (const value of getProfileFieldValues(manifest, "rights", options)) {
+          const text = stripHtml(value);
+          const uris = text.match(RIGHTS_URI_RE) || [];
+          uris.forEach(addLicense);
+          const rest = uris.reduce((t, uri) => t.replace(uri, ""), text).replace(/[\s;:,-]+$/, "").replace(/\s*\b(?:see|cf\.)(?:\s+also)?$/i, "").replace(/^[\s;:,.-]+|[\s;:,-]+$/g, "");
+          if (rest && !statements.includes(rest)) statements.push(rest);
+        }
+        const attribution = getAttributionStatements(manifest, options).map((a) => stripHtml(a).replace(/\s*\n\s*/g, " ")).filter(Boolean).join(" ");
+        return { licenses, attribution, statements };
+      }
+      function formatRights(rights) {
+        const parts = rights.licenses.map((l) => l.name ? `${l.name} (${l.uri})` : l.uri);
+        parts.push(...rights.statements);
+        if (rights.attribution) parts.push(`Required attribution: ${rights.attribution}`);
+        return parts.join("; ");
+      }
+      function formatRightsNote(rights) {
+        const lines = [];
+        for (const l of rights.licenses) {
+          const label = l.kind === "statement" ? "Rights statement" : "License";
+          lines.push(l.name ? `${label}: ${l.name} <${l.uri}>` : `${label}: ${l.uri}`);
+        }
+        for (const s of rights.statements) lines.push(`Rights: ${s}`);
+        if (rights.attribution) lines.push(`Required attribution: ${rights.attribution}`);
+        return lines.length > 0 ? ["Rights and reuse:", ...lines] : [];
+      }
+      var IDENTIFIER_KINDS = ["DOI", "ISBN", "ISSN", "OCLC", "ARK", "Handle"];
+      var IDENTIFIER_PROFILE_FIELDS = { DOI: "DOI", ISBN: "ISBN", ISSN: "ISSN", identifier: "" };
+      var IDENTIFIER_LABEL_KINDS = [
+        { kind: "DOI", re: /\bdoi\b/i },
+        { kind: "ISBN", re: /\bisbn\b/i },
+        { kind: "ISSN", re: /\bissn\b/i },
+        { kind: "OCLC", re: /\b(?:oclc|worldcat)\b/i },
+        { kind: "ARK", re: /\bark\b/i },
+        { kind: "Handle", re: /\b(?:handle|hdl)\b/i }
+      ];
+      var IDENTIFIER_PATTERNS = [
+        { kind: "DOI", re: /(?:doi\.org\/|\bdoi:\s*)10\.\d{4,9}\/[^\s?#"'<>]+/gi },
+        { kind: "Handle", re: /(?:hdl\.handle\.net\/|\bhdl:\s*)\d[\d.]*\/[^\s?#"'<>]+/gi },
+        { kind: "ARK", re: /\bark:\/?\d{5,}\/[^\s/?#"'<>]+/gi },
+        { kind: "OCLC", re: /(?:\(OCoLC\)\s*|\boclc(?:\s*(?:no\.|number|#))?:?\s*|worldcat\.org\/oclc\/)(?:ocm|ocn|on)?\d{4,12}\b/gi },
+        { kind: "ISBN", re: /\bisbn(?:-1[03])?:?\s*[\dXx][\d -]{8,15}[\dXx]\b/gi },
+        { kind: "ISSN", re: /\bissn:?\s*\d{4}-?\d{3}[\dXx]\b/gi }
+      ];
+      function isValidIsbn(isbn) {
+        let sum = 0;
+        if (/^\d{9}[\dX]$/.test(isbn)) {
+          for (let i = 0; i < 10; i++) sum += (isbn[i] === "X" ? 10 : Number(isbn[i])) * (10 - i);
+          return sum % 11 === 0;
+        }
+        if (/^97[89]\d{10}$/.test(isbn)) {
+          for (let i = 0; i < 13; i++) sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+          return sum % 10 === 0;
+        }
+        return false;
+      }
+      function isValidIssn(issn) {
+        if (!/^\d{7}[\dX]$/.test(issn)) return false;
+        let sum = 0;
+        for (let i = 0; i < 7; i++) sum += Number(issn[i]) * (8 - i);
+        const check = (11 - sum % 11) % 11;
+        return issn[7] === (check === 10 ? "X" : String(check));
+      }
+      function normalizeIdentifier(kind, value) {
+        let v = String(value || "").trim();
+        try {
+          v = decodeURI(v);
+        } catch (_e) {
+        }
+        const trailing = /[.,;:)\]]+$/;
+        let m;
+        switch (kind) {
+          case "DOI":
+            m = /(?:^|doi\.org\/|\bdoi:\s*)(10\.\d{4,9}\/[^\s?#"'<>]+)/i.exec(v);
+            return m ? m[1].replace(trailing, "") : "";
+          case "ISBN": {
+            m = /^(?:urn:)?(?:isbn(?:-1[03])?:?\s*)?([\dXx][\d -]{8,15}[\dXx])\b/i.exec(v);
+            const isbn = m ? m[1].replace(/[ -]/g, "").toUpperCase() : "";
+            return isValidIsbn(isbn) ? isbn : "";
+          }
+          case "ISSN": {
+            m = /^(?:urn:)?(?:issn:?\s*)?(\d{4})-?(\d{3}[\dXx])\b/i.exec(v);
+            if (!m || !isValidIssn((m[1] + m[2]).toUpperCase())) return "";
+            return `${m[1]}-${m[2].toUpperCase()}`;
+          }
+          case "OCLC":
+            m = /^(?:\(OCoLC\)\s*|oclc(?:\s*(?:no\.|number|#))?:?\s*|(?:https?:\/\/)?(?:www\.)?worldcat\.org\/oclc\/)?(?:ocm|ocn|on)?0*(\d{1,12})\b/i.exec(v);
+            return m ? m[1] : "";
+          case "ARK":
+            m = /\bark:\/?(\d{5,})\/([^\s/?#"'<>]+)/i.exec(v);
+            return m ? `ark:/${m[1]}/${m[2].replace(trailing, "")}` : "";
+          case "Handle":
+            m = /(?:^|hdl\.handle\.net\/|\bhdl:\s*)(\d[\d.]*\/[^\s?#"'<>]+)/i.exec(v);
+            return m ? m[1].replace(trailing, "") : "";
+          default:
+            return "";
+        }
+      }
+      function findIdentifiers(text) {
+        const found = [];
+        for (const { kind, re } of IDENTIFIER_PATTERNS) {
+          for (const m of String(text || "").matchAll(re)) {
+            const value = normalizeIdentifier(kind, m[0]);
+            if (value) found.push({ kind, value });
+          }
+        }
+        return found;
+      }
+      function collectStrings(node, out) {
+        if (typeof node === "string") out.push(node);
+        else if (Array.isArray(node)) node.forEach((n) => collectStrings(n, out));
+        else if (node && typeof node === "object") Object.values(node).forEach((n) => collectStrings(n, out));
+        return out;
+      }
+      function extractIdentifiers(manifest, manifestUrl, options) {
+        const ctx = options || {};
+        const found = {};
+        for (const kind of IDENTIFIER_KINDS) found[kind] = [];
+        const add = (kind, value) => {
+          const v = normalizeIdentifier(kind, value);
+          if (v && !found[kind].includes(v)) found[kind].push(v);
+        };
+        for (const [field, fieldKind] of Object.entries(IDENTIFIER_PROFILE_FIELDS)) {
+          for (const { label, value } of getProfileFieldEntries(manifest, field, ctx)) {
+            const labelKind = IDENTIFIER_LABEL_KINDS.find((k) => k.re.test(label));
+            const bareKind = fieldKind || (labelKind ? labelKind.kind : "");
+            for (const part of stripHtml(value).split(/\s*[;\n]\s*/)) {
+              const hits = findIdentifiers(part);
+              if (hits.length > 0) hits.forEach((h) => add(h.kind, h.value));
+              else if (bareKind) add(bareKind, part);
+              else if (/^10\.\d{4,9}\//.test(part)) add("DOI", part);
+            }
+          }
+        }
+        const strings = [];
+        for (const key of ["@id", "id", "homepage", "related", "seeAlso", "rendering"]) {
+          collectStrings(manifest[key], strings);
+        }
+        for (const entry of manifest.metadata || []) collectStrings(entry.value, strings);
+        if (manifestUrl) strings.push(manifestUrl);
+        for (const s of strings) {
+          for (const h of findIdentifiers(s)) add(h.kind, h.value);
+        }
+        for (const r of ctx.seeAlsoRecords || []) {
+          if (r.status !== "ok" || !r.record) continue;
+          for (const kind of IDENTIFIER_KINDS) {
+            for (const value of (r.record.identifiers || {})[kind] || []) add(kind, value);
+          }
+        }
+        return found;
+      }
+      function formatIdentifierNote(identifiers) {
+        const lines = [];
+        for (const kind of ["OCLC", "ARK", "Handle"]) {
+          for (const value of identifiers[kind] || []) lines.push(`${kind}: ${value}`);
+        }
+        return lines;
+      }
+      function extractHomepageURL(manifest, manifestUrl) {
+        const homepage = manifest.homepage;
+        const pickId = (obj) => {
+          if (!obj || typeof obj !== "object") return "";
+          if (typeof obj.id === "string") return obj.id;
+          if (typeof obj["@id"] === "string") return obj["@id"];
+          if (typeof obj.href === "string") return obj.href;
+          return "";
+        };
+        if (homepage) {
+          if (typeof homepage === "string") {
+            return homepage;
+          }
+          if (Array.isArray(homepage) && homepage.length > 0) {
+            const first = homepage[0];
+            if (typeof first === "string") return first;
+            const id = pickId(first);
+            if (id) return id;
+          } else if (typeof homepage === "object") {
+            const id = pickId(homepage);
+            if (id) return id;
+          }
+        }
+        const related = manifest.related;
+        if (related) {
+          if (typeof related === "string") return related;
+          if (Array.isArray(related) && related.length > 0) {
+            const first = related[0];
+            if (typeof first === "string") return first;
+            const id = pickId(first);
+            if (id) return id;
+          } else if (typeof related === "object") {
+            const id = pickId(related);
+            if (id) return id;
+          }
+        }
+        return "";
+      }
+      function buildIiifNote(manifest, manifestUrl, options) {
+        const ctx = options || {};
+        const lines = [];
+        lines.push("IIIF manifest metadata");
+        lines.push("======================");
+        lines.push("");
+        if (manifestUrl) {
+          lines.push(`Manifest URL: ${manifestUrl}`);
+        }
+        if (ctx.sourceFile) {
+          lines.push(`Source file: ${ctx.sourceFile}`);
+        }
+        if (manifest["@id"]) {
+          lines.push(`@id: ${manifest["@id"]}`);
+        }
+        if (manifest["@context"]) {
+          lines.push(`@context: ${manifest["@context"]}`);
+        }
+        const rightsLines = formatRightsNote(extractRights(manifest, ctx));
+        if (rightsLines.length > 0) {
+          lines.push("");
+          lines.push(...rightsLines);
+        }
+        if (ctx.alternateTitles === "note") {
+          const alternates = getAlternateLanguageLabels(manifest.label, ctx);
+          if (alternates.length > 0) {
+            lines.push("");
+            lines.push("Other titles:");
+            for (const alt of alternates) {
+              lines.push(`[${alt.language}] ${alt.value}`);
+            }
+          }
+        }
+        if (ctx.seeAlsoRecords && ctx.seeAlsoRecords.length > 0) {
+          lines.push("");
+          lines.push("seeAlso records:");
+          for (const r of ctx.seeAlsoRecords) {
+            lines.push(r.status === "ok" ? `${r.url} (${r.format})` : `${r.url} (${r.format}, not used: ${r.error.message})`);
+          }
+        }
+        if (ctx.explainType) {
+          lines.push("");
+          lines.push(...formatTypeRationale(ctx.typeClassification || classifyCslType(manifest, ctx)));
+        }
+        const metadata = manifest.metadata || [];
+        if (metadata.length > 0) {
+          lines.push("");
+          lines.push("IIIF metadata:");
+          for (const entry of metadata) {
+            const k = iiifLabelToString(entry.label || entry["label"], ctx);
+            const v = iiifLabelToString(entry.value || entry["value"], { ...ctx, separator: "; " });
+            if (k || v) {
+              lines.push(`${k || "?"}: ${v}`);
+            }
+          }
+        }
+        return lines.join("\n").trim();
+      }
+      function trimManifestDirectory(manifestUrl) {
+        if (!manifestUrl) return "";
+        try {
+          const u = new URL(manifestUrl);
+          u.search = "";
+          u.hash = "";
+          const parts = u.pathname.split("/");
+          if (parts.length > 1 && parts[parts.length - 1] === "") {
+            parts.pop();
+          }
+          if (parts.length > 1) {
+            parts.pop();
+          }
+          let newPath = parts.join("/");
+          if (!newPath.startsWith("/")) {
+            newPath = "/" + newPath;
+          }
+          u.pathname = newPath;
+          return u.toString();
+        } catch (_e) {
+          return manifestUrl;
+        }
+      }
+      function extractIdFromManifest(manifest, manifestUrl, options) {
+        if (manifest["@id"]) return String(manifest["@id"]);
+        if (manifest.id) return String(manifest.id);
+        if (manifestUrl) return String(manifestUrl);
+        const label = iiifLabelToString(manifest.label || manifest["label"], options);
+        if (label) return label;
+        return "";
+      }
+      function manifestToCSLItem(manifest, manifestUrl, options) {
+        const ctx = {
+          ...options,
+          profile: selectMappingProfile(manifest, manifestUrl, options)
+        };
+        const title = iiifLabelToString(manifest.label || manifest["label"], ctx) || extractIdFromManifest(manifest, manifestUrl, ctx) || "[untitled IIIF manifest]";
+        const id = extractIdFromManifest(manifest, manifestUrl, ctx) || title;
+        const creators = extractCreators(manifest, ctx);
+        const issued = parseCslDate(extractDate(manifest, ctx));
+        const publisher = extractPublisher(manifest, ctx);
+        const archive = extractArchive(manifest, ctx);
+        const archiveLocation = extractArchiveLocation(manifest, ctx);
+        const collectionTitle = ctx.collectionTitle === false ? "" : ctx.collectionTitle || extractCollectionTitle(manifest, ctx);
+        const profileFields = extractProfileFields(manifest, ctx);
+        const recordHints = seeAlsoTypeHints(ctx.seeAlsoRecords);
+        const classification = classifyCslType(manifest, recordHints.length > 0 ? { ...ctx, typeHints: (ctx.typeHints || []).concat(recordHints) } : ctx);
+        const identifiers = extractIdentifiers(manifest, manifestUrl, ctx);
+        const license = formatRights(extractRights(manifest, ctx));
+        const homepage = extractHomepageURL(manifest, manifestUrl);
+        const trimmedManifestUrl = trimManifestDirectory(manifestUrl);
+        const cslItem = {
+          id,
+          type: classification.type,
+          title,
+          URL: homepage || manifest["@id"] || manifest.id || trimmedManifestUrl || ""
+        };
+        if (ctx.alternateTitles === "original-title") {
+          const alternates = getAlternateLanguageLabels(manifest.label, ctx);
+          if (alternates.length > 0) {
+            cslItem["original-title"] = alternates[0].value;
+          }
+        }
+        Object.assign(cslItem, creators);
+        if (issued) {
+          cslItem.issued = issued;
+        }
+        if (publisher) {
+          cslItem.publisher = publisher;
+        }
+        if (archive) {
+          cslItem.archive = archive;
+        }
+        if (archiveLocation) {
+          cslItem["archive_location"] = archiveLocation;
+        }
+        if (collectionTitle) {
+          cslItem["collection-title"] = collectionTitle;
+        }
+        if (license) {
+          cslItem.license = license;
+        }
+        for (const kind of ["DOI", "ISBN", "ISSN"]) {
+          if (identifiers[kind].length > 0) cslItem[kind] = identifiers[kind][0];
+        }
+        for (const [field, value] of Object.entries(profileFields)) {
+          if (cslItem[field] == null) cslItem[field] = value;
+        }
+        if (ctx.seeAlsoRecords) {
+          mergeSeeAlsoRecords(cslItem, ctx.seeAlsoRecords, ctx);
+        }
+        const identifierLines = formatIdentifierNote(identifiers);
+        const iiifNote = buildIiifNote(manifest, manifestUrl, { ...ctx, typeClassification: classification });
+        const note = identifierLines.length > 0 ? [...identifierLines, "", iiifNote].join("\n").trim() : iiifNote;
+        if (note) {
+          cslItem.note = note;
+        }
+        return cslItem;
+      }
+      var FOLIO_LABEL_RE = /^(?:(?:fol(?:io)?|ff?|bl(?:att)?)\.?\s*)?(\d+\s*[rv]|[ivxlc]+\s*[rv])\.?$/i;
+      var PAGE_LABEL_RE = /^(?:(?:p(?:age)?|pp|s(?:eite)?)\.?\s*)?(\d+|[ivxlc]+)\.?$/i;
+      function parsePartSpec(spec) {
+        const s = String(spec == null ? "" : spec).trim();
+        if (/^\d+$/.test(s)) return { canvasIndex: Number(s) - 1 };
+        const hash = s.indexOf("#");
+        if (hash < 0) return { id: s };
+        const target = { id: s.slice(0, hash) };
+        const xywh = /(?:^|&)xywh=(?:pixel:)?(\d+(?:\.\d+)?,\d+(?:\.\d+)?,\d+(?:\.\d+)?,\d+(?:\.\d+)?)/.exec(s.slice(hash + 1));
+        if (xywh) target.xywh = xywh[1];
+        return target;
+      }
+      function resourceId(ref) {
+        const id = typeof ref === "string" ? ref : ref && (ref.id || ref["@id"] || ref.source && (typeof ref.source === "string" ? ref.source : ref.source.id || ref.source["@id"]));
+        return id ? String(id).split("#")[0] : "";
+      }
+      function getManifestRanges(manifest) {
+        const ranges = [];
+        const walk = (list) => {
+          for (const r of list || []) {
+            if (!r || typeof r !== "object" || getResourceType(r) !== "Range") continue;
+            ranges.push(r);
+            walk(r.items);
+          }
+        };
+        walk(manifest.structures);
+        return ranges;
+      }
+      function getRangeCanvasIds(manifest, range) {
+        const ranges = getManifestRanges(manifest);
+        const byId = new Map(ranges.map((r) => [resourceId(r), r]));
+        const ids = /* @__PURE__ */ new Set();
+        const seen = /* @__PURE__ */ new Set();
+        const walk = (r) => {
+          if (!r || seen.has(r)) return;
+          seen.add(r);
+          for (const ref of [].concat(r.canvases || [], r.items || [], r.members || [], r.ranges || [])) {
+            const id = resourceId(ref);
+            const nested = ref && typeof ref === "object" && getResourceType(ref) === "Range" && ref || byId.get(id);
+            if (nested) walk(nested);
+            else if (id) ids.add(id);
+          }
+        };
+        walk(range);
+        return getManifestCanvases(manifest).map(resourceId).filter((id) => ids.has(id));
+      }
+      function canvasPage(label) {
+        const s = String(label || "").trim();
+        const folio = FOLIO_LABEL_RE.exec(s);
+        if (folio) return folio[1].replace(/\s+/g, "");
+        const page = PAGE_LABEL_RE.exec(s);
+        if (page) return page[1];
+        return s;
+      }
+      function resolvePartTarget(manifest, target) {
+        const t = target || {};
+        const canvases = getManifestCanvases(manifest);
+        if (t.canvasIndex != null) {
+          const index = Number(t.canvasIndex);
+          return canvases[index] ? { kind: "canvas", canvas: canvases[index], index } : null;
+        }
+        const canvasId = resourceId(t.canvas || (t.range ? "" : t.id));
+        if (canvasId) {
+          const index = canvases.findIndex((c) => resourceId(c) === canvasId);
+          if (index >= 0) return { kind: "canvas", canvas: canvases[index], index };
+          if (t.canvas) return null;
+        }
+        const rangeId = resourceId(t.range || t.id);
+        const range = rangeId && getManifestRanges(manifest).find((r) => resourceId(r) === rangeId);
+        return range ? { kind: "range", range } : null;
+      }
+      function manifestPartToCSLItem(manifest, manifestUrl, target, options) {
+        const part = resolvePartTarget(manifest, target);
+        if (!part) {
+          const wanted = target && (target.canvasIndex != null ? `canvas ${Number(target.canvasIndex) + 1}` : target.canvas || target.range || target.id);
+          throw new IiifFetchError(
+            ERROR_CODES.PART_NOT_FOUND,
+            `No canvas or range ${wanted || "(none given)"} in ${manifestUrl || "manifest"}`,
+            { url: manifestUrl }
+          );
+        }
+        const ctx = options || {};
+        const item = manifestToCSLItem(manifest, manifestUrl, ctx);
+        const canvases = getManifestCanvases(manifest);
+        const lines = [];
+        if (part.kind === "canvas") {
+          const canvasId = resourceId(part.canvas);
+          const label = iiifLabelToString(part.canvas.label, ctx) || `[${part.index + 1}]`;
+          item.id = `${item.id}#${canvasId || part.index + 1}`;
+          item.locator = label;
+          item.page = canvasPage(label);
+          if (canvasId) item.URL = target.xywh ? `${canvasId}#xywh=${target.xywh}` : canvasId;
+          lines.push(`Canvas: ${label} (${part.index + 1} of ${canvases.length})`);
+          if (canvasId) lines.push(`Canvas ID: ${canvasId}`);
+          if (target.xywh) lines.push(`Region: xywh=${target.xywh}`);
+        } else {
+          const rangeId = resourceId(part.range);
+          const label = iiifLabelToString(part.range.label, ctx) || rangeId;
+          const ids = getRangeCanvasIds(manifest, part.range);
+          const pageOf = (id) => {
+            const canvas = canvases.find((c) => resourceId(c) === id);
+            return canvasPage(iiifLabelToString(canvas && canvas.label, ctx)) || String(canvases.indexOf(canvas) + 1);
+          };
+          item.id = `${item.id}#${rangeId}`;
+          item["container-title"] = item.title;
+          item.title = label;
+          if (item.type === "book") item.type = "chapter";
+          if (ids.length > 0) {
+            const first = pageOf(ids[0]);
+            const last = pageOf(ids[ids.length - 1]);
+            item.page = first === last ? first : `${first}-${last}`;
+            item.locator = item.page;
+            item.URL = ids[0];
+          }
+          lines.push(`Range: ${label} (${ids.length} canvases)`);
+          if (rangeId) lines.push(`Range ID: ${rangeId}`);
+        }
+        const note = item.note;
+        delete item.note;
+        item.note = [...lines, "", note || ""].join("\n").trim();
+        return item;
+      }
+      var CONTENT_STATE_PARAM = "iiif-content";
+      function base64UrlDecode(str) {
+        const b64 = String(str).replace(/-/g, "+").replace(/_/g, "/");
+        const padded = b64 + "===".slice((b64.length + 3) % 4);
+        if (typeof atob === "function" && typeof TextDecoder === "function") {
+          const binary = atob(padded);
+          const bytes = new Uint8Array(binary.length);
+          for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+          return new TextDecoder("utf-8").decode(bytes);
+        }
+        return Buffer.from(padded, "base64").toString("utf8");
+      }
+      function decodeContentState(value) {
+        const s = String(value || "").trim();
+        if (!s) return null;
+        if (/^https?:\/\//i.test(s)) return s;
+        if (/^[{[]/.test(s)) {
+          try {
+            return JSON.parse(s);
+          } catch (_e) {
+            return null;
+          }
+        }
+        if (!/^[A-Za-z0-9_\-+/]+=*$/.test(s)) return null;
+        let text;
+        try {
+          text = base64UrlDecode(s);
+        } catch (_e) {
+          return null;
+        }
+        try {
+          text = decodeURIComponent(text);
+        } catch (_e) {
+        }
+        text = text.trim();
+        if (/^https?:\/\//i.test(text)) return text;
+        if (!/^[{[]/.test(text)) return null;
+        try {
+          return JSON.parse(text);
+        } catch (_e) {
+          return null;
+        }
+      }
+      function contentStateTarget(target) {
+        if (typeof target === "string") {
+          return { manifestUrl: target, part: null };
+        }
+        if (!target || typeof target !== "object") return null;
+        let resource = target;
+        let xywh = "";
+        if (getResourceType(target) === "SpecificResource") {
+          resource = typeof target.source === "string" ? { id: target.source } : target.source || {};
+          for (const selector of [].concat(target.selector || [])) {
+            const m = /xywh=(?:pixel:)?([\d.]+,[\d.]+,[\d.]+,[\d.]+)/.exec(selector && selector.value || "");
+            if (m) xywh = m[1];
+          }
+        }
+        const type = getResourceType(resource);
+        const ref = parsePartSpec(resource.id || resource["@id"] || "");
+        if (type === "Manifest") {
+          return ref.id ? { manifestUrl: ref.id, part: null } : null;
+        }
+        if (type !== "Canvas" && type !== "Range") return null;
+        const parent = [].concat(resource.partOf || resource.within || []).find((p) => typeof p === "string" || ["Manifest", ""].includes(getResourceType(p)));
+        const manifestUrl = parent ? resourceId(parent) : "";
+        const part = type === "Canvas" ? { canvas: ref.id } : { range: ref.id };
+        if (type === "Canvas" && (xywh || ref.xywh)) part.xywh = xywh || ref.xywh;
+        return { manifestUrl, part };
+      }
+      function contentStateTargets(state) {
+        if (typeof state === "string") return [{ manifestUrl: state, part: null }];
+        const found = [];
+        for (const s of [].concat(state || [])) {
+          if (!s || typeof s !== "object") continue;
+          const targets = getResourceType(s) === "Annotation" ? [].concat(s.target || []) : [s];
+          for (const t of targets) {
+            const resolved = contentStateTarget(t);
+            if (resolved) found.push(resolved);
+          }
+        }
+        return found;
+      }
+      function resolveManifestReferences(input) {
+        const s = String(input || "").trim();
+        let encoded = null;
+        let viewerUrl = "";
+        if (/^https?:\/\//i.test(s)) {
+          let u = null;
+          try {
+            u = new URL(s);
+          } catch (_e) {
+          }
+          const hashParams = u ? new URLSearchParams(u.hash.replace(/^#/, "")) : null;
+          encoded = u && (u.searchParams.get(CONTENT_STATE_PARAM) || hashParams.get(CONTENT_STATE_PARAM));
+          if (!encoded) return [{ manifestUrl: s, part: null, viewerUrl: "" }];
+          viewerUrl = s;
+        } else {
+          encoded = s;
+        }
+        const state = decodeContentState(encoded);
+        if (state == null) {
+          if (!viewerUrl) return [{ manifestUrl: s, part: null, viewerUrl: "" }];
+          throw new IiifFetchError(
+            ERROR_CODES.CONTENT_STATE_ERROR,
+            `Could not decode the ${CONTENT_STATE_PARAM} parameter of ${s}`,
+            { url: s }
+          );
+        }
+        const targets = contentStateTargets(state);
+        if (targets.length === 0 || targets.some((t) => !t.manifestUrl)) {
+          throw new IiifFetchError(
+            ERROR_CODES.CONTENT_STATE_ERROR,
+            `Content State does not say which manifest it refers to: ${s.slice(0, 200)}`,
+            { url: viewerUrl }
+          );
+        }
+        return targets.map((t) => ({ ...t, viewerUrl }));
+      }
+      var LANDING_PAGE_SOURCES = ["link", "viewer-config", "data-attribute", "query-param", "iiif-logo"];
+      var DEFAULT_MAX_PAGE_MANIFESTS = 10;
+      var VIEWER_CONFIG_RE = /["']?\b(manifestUri|manifestUrl|manifestId|manifest)\b["']?\s*[:=]\s*["'](https?:\/\/[^"'\s]+)["']/g;
+      var MANIFEST_DATA_ATTRIBUTES = [
+        "data-manifest",
+        "data-manifest-url",
+        "data-manifest-uri",
+        "data-iiif-manifest",
+        "data-iiif-manifest-url"
+      ];
+      var MANIFEST_QUERY_PARAMS = ["manifest", "manifestUri", "manifestUrl", "iiif-manifest"];
+      var IIIF_SITE_HOST_RE = /(?:^|\.)iiif\.io$/i;
+      function isIiifSiteUrl(url, baseUrl) {
+        try {
+          return IIIF_SITE_HOST_RE.test(new URL(url, baseUrl || void 0).hostname);
+        } catch (_e) {
+          return false;
+        }
+      }
+      function decodeHtmlEntities(str) {
+        return String(str || "").replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCharCode(parseInt(hex, 16))).replace(/&#(\d+);/g, (_m, dec) => String.fromCharCode(Number(dec))).replace(/\\u002[fF]/g, "/").replace(/\\\//g, "/").replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&amp;/g, "&");
+      }
+      function parseTagAttributes(tag) {
+        const attrs = {};
+        const re = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+        let m;
+        while ((m = re.exec(tag)) !== null) {
+          const value = m[3] != null ? m[3] : m[4] != null ? m[4] : m[5];
+          attrs[m[1].toLowerCase()] = decodeHtmlEntities(value);
+        }
+        return attrs;
+      }
+      function manifestFromLinkParams(href, baseUrl) {
+        let u;
+        try {
+          u = new URL(href, baseUrl || void 0);
+        } catch (_e) {
+          return "";
+        }
+        const hashParams = new URLSearchParams(u.hash.replace(/^#/, ""));
+        for (const name of MANIFEST_QUERY_PARAMS) {
+          const value = u.searchParams.get(name) || hashParams.get(name);
+          if (value && /^https?:\/\//i.test(value)) return value;
+        }
+        return "";
+      }
+      function isHtmlText(text) {
+        return /^\uFEFF?\s*</.test(String(text || ""));
+      }
+      function discoverManifestUrls(html, pageUrl) {
+        const text = String(html || "");
+        const bySource = {};
+        const seen = /* @__PURE__ */ new Set();
+        const add = (source, raw) => {
+          const value = decodeHtmlEntities(raw).trim();
+          if (!value) return;
+          let url;
+          try {
+            url = new URL(value, pageUrl || void 0).href;
+          } catch (_e) {
+            return;
+          }
+          if (!/^https?:/i.test(url) || url === pageUrl || seen.has(url)) return;
+          seen.add(url);
+          (bySource[source] = bySource[source] || []).push({ url, source });
+        };
+        for (const tag of text.match(/<link\b[^>]*>/gi) || []) {
+          const a = parseTagAttributes(tag);
+          const rel = (a.rel || "").toLowerCase().split(/\s+/);
+          const type = a.type || "";
+          if (a.href && /iiif/i.test(type) && (rel.includes("alternate") || /json/i.test(type))) {
+            add("link", a.href);
+          }
+        }
+        for (const script of text.match(/<script\b[\s\S]*?<\/script>/gi) || []) {
+          const body = decodeHtmlEntities(script);
+          let m2;
+          VIEWER_CONFIG_RE.lastIndex = 0;
+          while ((m2 = VIEWER_CONFIG_RE.exec(body)) !== null) add("viewer-config", m2[2]);
+        }
+        for (const tag of text.match(/<[a-z][a-z0-9-]*\b[^>]*\bdata-[^>]*>/gi) || []) {
+          const a = parseTagAttributes(tag);
+          for (const name of MANIFEST_DATA_ATTRIBUTES) {
+            if (a[name]) add("data-attribute", a[name]);
+          }
+          if (a["data-uri"] && /\buv\b/.test(a.class || "")) add("data-attribute", a["data-uri"]);
+          for (const value of Object.values(a)) {
+            let m2;
+            VIEWER_CONFIG_RE.lastIndex = 0;
+            while ((m2 = VIEWER_CONFIG_RE.exec(value)) !== null) add("viewer-config", m2[2]);
+          }
+        }
+        const anchorRe = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+        let m;
+        while ((m = anchorRe.exec(text)) !== null) {
+          const a = parseTagAttributes(m[1]);
+          if (!a.href) continue;
+          const fromParams = manifestFromLinkParams(a.href, pageUrl);
+          if (!fromParams && isIiifSiteUrl(a.href, pageUrl)) continue;
+          const img = /<img\b[^>]*>/i.exec(m[2]);
+          const imgAttrs = img ? parseTagAttributes(img[0]) : {};
+          const isLogo = /iiif/i.test(`${imgAttrs.src || ""} ${imgAttrs.alt || ""}`);
+          if (isLogo) {
+            add("iiif-logo", fromParams || a.href);
+          } else if (fromParams) {
+            add("query-param", fromParams);
+          } else if (a.href.includes(`${CONTENT_STATE_PARAM}=`)) {
+            add("query-param", a.href);
+          }
+        }
+        const best = LANDING_PAGE_SOURCES.find((source) => bySource[source]);
+        return best ? bySource[best] : [];
+      }
+      var LANDING_PAGE = /* @__PURE__ */ Symbol("landingPage");
+      function parseManifestOrPage(text, url, httpStatus) {
+        if (isHtmlText(text)) return { [LANDING_PAGE]: true, html: text };
+        return parseManifestText(text, url, httpStatus);
+      }
+      function isLandingPage(resource) {
+        return !!(resource && resource[LANDING_PAGE]);
+      }
+      var DEFAULT_THUMBNAIL_SIZE = 400;
+      function getImageService(resource) {
+        if (!resource || typeof resource !== "object") return null;
+        for (const service of [].concat(resource.service || [])) {
+          if (!service || typeof service !== "object") continue;
+          const type = getResourceType(service);
+          const context = [].concat(service["@context"] || []).join(" ");
+          const profile = [].concat(service.profile || []).map((p) => typeof p === "string" ? p : "").join(" ");
+          const isImage = /^ImageService[123]$/.test(type) || /iiif\.io\/api\/image\//.test(context + " " + profile) || /^level[012]$/.test(profile);
+          const id = service.id || service["@id"];
+          if (!isImage || typeof id !== "string") continue;
+          const version = type === "ImageService3" || /image\/3/.test(context) ? 3 : 2;
+          const level = /\blevel([012])\b/.exec(profile);
+          return {
+            id: id.replace(/\/info\.json$/, "").replace(/\/+$/, ""),
+            version,
+            level: level ? Number(level[1]) : null
+          };
+        }
+        return null;
+      }
+      function imageApiUrl(service, size) {
+        let sizeParam;
+        if (size === 0 || service.level === 0) sizeParam = service.version === 3 ? "max" : "full";
+        else sizeParam = `!${size},${size}`;
+        return `${service.id}/full/${sizeParam}/0/default.jpg`;
+      }
+      function getCanvasImage(canvas) {
+        if (!canvas || typeof canvas !== "object") return null;
+        const v2 = Array.isArray(canvas.images) && canvas.images[0];
+        if (v2 && v2.resource) {
+          const res = v2.resource;
+          return res["@type"] === "oa:Choice" ? res.default || null : res;
+        }
+        for (const page of canvas.items || []) {
+          for (const anno of page && page.items || []) {
+            const body = [].concat(anno.body || [])[0];
+            const image = body && body.type === "Choice" ? (body.items || [])[0] : body;
+            if (image && getResourceType(image) === "Image") return image;
+          }
+        }
+        return null;
+      }
+      function getStartCanvas(manifest, canvases) {
+        const start = manifest.start || Array.isArray(manifest.sequences) && manifest.sequences[0] && manifest.sequences[0].startCanvas;
+        const id = resourceId(start);
+        return id ? canvases.find((c) => resourceId(c) === id) || null : null;
+      }
+      function resolveThumbnail(manifest, options) {
+        const ctx = options || {};
+        const size = ctx.thumbnailSize != null ? ctx.thumbnailSize : DEFAULT_THUMBNAIL_SIZE;
+        const canvases = getManifestCanvases(manifest);
+        const fromResource = (resource, source, canvas) => {
+          if (!resource) return null;
+          if (typeof resource === "string") {
+            return { url: resource, source, canvas: canvas ? resourceId(canvas) : "", service: null };
+          }
+          const service = getImageService(resource);
+          const own = resource.id || resource["@id"];
+          const url = service ? imageApiUrl(service, size) : own;
+          if (typeof url !== "string" || !url) return null;
+          return { url, source, canvas: canvas ? resourceId(canvas) : "", service };
+        };
+        const fromCanvas = (canvas, source) => canvas && (fromResource(getCanvasImage(canvas), source, canvas) || fromResource([].concat(canvas.thumbnail || [])[0], source, canvas));
+        if (ctx.part != null && ctx.part !== "") {
+          const target = typeof ctx.part === "object" ? ctx.part : parsePartSpec(ctx.part);
+          const part = resolvePartTarget(manifest, target);
+          let canvas = part && part.kind === "canvas" ? part.canvas : null;
+          if (part && part.kind === "range") {
+            const first = getRangeCanvasIds(manifest, part.range)[0];
+            canvas = canvases.find((c) => resourceId(c) === first) || null;
+          }
+          const found = fromCanvas(canvas, "part");
+          if (found) return found;
+        }
+        return fromResource([].concat(manifest.thumbnail || [])[0], "thumbnail", null) || fromCanvas(getStartCanvas(manifest, canvases), "start") || fromCanvas(canvases[0], "first-canvas") || null;
+      }
+      var SEE_ALSO_PRIORITY = ["mods", "marcxml", "jsonld", "dc"];
+      var DEFAULT_MAX_SEE_ALSO = 4;
+      var RECORD_OVERRIDE_FIELDS = ["issued", "publisher", "publisher-place"];
+      function getSeeAlsoEntries(manifest, options) {
+        const opts = options || {};
+        const max = opts.maxSeeAlso != null ? opts.maxSeeAlso : DEFAULT_MAX_SEE_ALSO;
+        const entries = [];
+        for (const ref of [].concat(manifest.seeAlso || [])) {
+          const url = typeof ref === "string" ? ref : ref && (ref.id || ref["@id"]);
+          if (typeof url !== "string" || !url) continue;
+          const format = detectSeeAlsoFormat(typeof ref === "string" ? {} : ref);
+          if (!format) continue;
+          if (entries.some((e) => e.url === url)) continue;
+          entries.push({ url, format });
+        }
+        entries.sort((a, b) => SEE_ALSO_PRIORITY.indexOf(a.format) - SEE_ALSO_PRIORITY.indexOf(b.format));
+        return entries.slice(0, max);
+      }
+      async function fetchSeeAlsoRecords(manifest, options) {
+        return Promise.all(getSeeAlsoEntries(manifest, options).map(async ({ url, format }) => {
+          try {
+            const { manifest: text } = await fetchManifestDetailed(url, options, RECORD_RESOURCE);
+            try {
+              return { url, format, status: "ok", record: parseSeeAlsoRecord(text, format) };
+            } catch (e) {
+              throw new IiifFetchError(
+                ERROR_CODES.RECORD_PARSE_ERROR,
+                `Could not parse ${format} record ${url}: ${e.message}`,
+                { url }
+              );
+            }
+          } catch (e) {
+            return { url, format, status: "error", error: toReportError(e) };
+          }
+        }));
+      }
+      function pageCountFromExtent(extent) {
+        const m = /(\d+)\s*(?:p\b|pp\b|pages?\b|leaves\b|ff?\.|fol\.|folios?\b|bl\.|s\.)/i.exec(extent || "");
+        return m ? m[1] : "";
+      }
+      function recordToCslFields(record, options) {
+        const fields = {};
+        for (const n of record.names || []) {
+          const role = ROLE_TERMS[n.role] || ROLE_TERMS[String(n.role || "").replace(/\.$/, "")] || n.role || "author";
+          const variable = ROLE_TO_CSL_VARIABLE[role] || (role === "publisher" ? "" : "contributor");
+          if (!variable) continue;
+          let name = null;
+          if (n.literal) name = { literal: n.literal };
+          else if (n.family || n.given) name = n.family ? { family: n.family, given: n.given } : { family: n.given };
+          else if (n.text) name = n.corporate ? { literal: n.text } : parseCslName(n.text);
+          if (!name) continue;
+          (fields[variable] = fields[variable] || []).push(name);
+        }
+        const issued = parseCslDate(record.issued);
+        if (issued) fields.issued = issued;
+        if (record.publisher) fields.publisher = record.publisher;
+        if (record.place) fields["publisher-place"] = record.place;
+        if (record.title) fields.title = record.title;
+        if (record.languages && record.languages.length > 0) fields.language = record.languages[0];
+        for (const kind of ["ISBN", "ISSN", "DOI"]) {
+          const ids = (record.identifiers && record.identifiers[kind] || []).map((v) => normalizeIdentifier(kind, v)).filter(Boolean);
+          if (ids.length > 0) fields[kind] = ids[0];
+        }
+        if (record.edition) fields.edition = record.edition;
+        const pages = pageCountFromExtent(record.extent);
+        if (pages) fields["number-of-pages"] = pages;
+        if (record.dimensions) fields.dimensions = record.dimensions;
+        if (record.repository) fields.archive = record.repository;
+        if (record.shelfmark) fields["archive_location"] = record.shelfmark;
+        if (record.abstract) fields.abstract = record.abstract;
+        return fields;
+      }
+      function usableSeeAlsoRecords(seeAlsoRecords) {
+        return (seeAlsoRecords || []).filter((r) => r.status === "ok" && r.record).sort((a, b) => SEE_ALSO_PRIORITY.indexOf(a.format) - SEE_ALSO_PRIORITY.indexOf(b.format));
+      }
+      function seeAlsoTypeHints(seeAlsoRecords) {
+        const withHints = usableSeeAlsoRecords(seeAlsoRecords).find(({ record }) => record.typeHints && record.typeHints.length > 0);
+        return withHints ? withHints.record.typeHints : [];
+      }
+      function mergeSeeAlsoRecords(cslItem, seeAlsoRecords, options) {
+        const records = usableSeeAlsoRecords(seeAlsoRecords);
+        if (records.length === 0) return cslItem;
+        const fromRecords = {};
+        let names = null;
+        for (const { record } of records) {
+          const fields = recordToCslFields(record, options);
+          const recordNames = CSL_NAME_VARIABLES.filter((v) => fields[v]);
+          if (!names && recordNames.length > 0) {
+            names = {};
+            for (const v of recordNames) names[v] = fields[v];
+          }
+          for (const [field, value] of Object.entries(fields)) {
+            if (CSL_NAME_VARIABLES.includes(field)) continue;
+            if (fromRecords[field] == null) fromRecords[field] = value;
+          }
+        }
+        if (names) {
+          for (const v of CSL_NAME_VARIABLES) delete cslItem[v];
+          Object.assign(cslItem, names);
+        }
+        for (const [field, value] of Object.entries(fromRecords)) {
+          const structuredDate = field !== "issued" || Array.isArray(value["date-parts"]);
+          if (RECORD_OVERRIDE_FIELDS.includes(field) && structuredDate) {
+            cslItem[field] = value;
+          } else if (cslItem[field] == null || cslItem[field] === "") {
+            cslItem[field] = value;
+          }
+        }
+        return cslItem;
+      }
+      function applySeeAlsoRecords(cslItem, manifest, seeAlsoRecords, options) {
+        mergeSeeAlsoRecords(cslItem, seeAlsoRecords, options);
+        const typeHints = seeAlsoTypeHints(seeAlsoRecords);
+        if (typeHints.length > 0) {
+          const ctx = options || {};
+          cslItem.type = classifyCslType(manifest, {
+            ...ctx,
+            typeHints: (ctx.typeHints || []).concat(typeHints)
+          }).type;
+        }
+        return cslItem;
+      }
+      function summarizeSeeAlsoRecords(seeAlsoRecords) {
+        return (seeAlsoRecords || []).map((r) => r.status === "ok" ? { url: r.url, format: r.format, status: r.status } : { url: r.url, format: r.format, status: r.status, error: r.error });
+      }
+      var DEFAULT_MAX_COLLECTION_DEPTH = 5;
+      var DEFAULT_MAX_COLLECTION_MANIFESTS = 1e3;
+      function getResourceType(resource) {
+        if (!resource || typeof resource !== "object") return "";
+        let t = resource.type || resource["@type"] || "";
+        if (Array.isArray(t)) t = t[0] || "";
+        return String(t).replace(/^sc:/, "");
+      }
+      function isIIIFCollection(resource) {
+        return getResourceType(resource) === "Collection";
+      }
+      function getCollectionMembers(collection, options) {
+        const members = [];
+        const push = (ref, fallbackType) => {
+          if (!ref) return;
+          if (typeof ref === "string") {
+            members.push({ id: ref, type: fallbackType, label: "" });
+            return;
+          }
+          if (typeof ref !== "object") return;
+          const id = ref.id || ref["@id"];
+          if (typeof id !== "string" || !id) return;
+          const type = getResourceType(ref) || fallbackType;
+          if (type !== "Manifest" && type !== "Collection") return;
+          members.push({ id, type, label: iiifLabelToString(ref.label, options) });
+        };
+        for (const m of collection.manifests || []) push(m, "Manifest");
+        for (const c of collection.collections || []) push(c, "Collection");
+        for (const m of collection.members || []) push(m, "");
+        for (const m of collection.items || []) push(m, "");
+        return members;
+      }
+      async function collectionToResults(collection, collectionUrl, options, state, depth) {
+        const opts = options || {};
+        const maxDepth = opts.maxCollectionDepth != null ? opts.maxCollectionDepth : DEFAULT_MAX_COLLECTION_DEPTH;
+        const maxManifests = opts.maxCollectionManifests != null ? opts.maxCollectionManifests : DEFAULT_MAX_COLLECTION_MANIFESTS;
+        const st = state || { visited: /* @__PURE__ */ new Set(), manifestCount: 0, truncated: 0 };
+        const level = depth || 0;
+        const results = [];
+        st.visited.add(collectionUrl);
+        const ownId = collection.id || collection["@id"];
+        if (ownId) st.visited.add(ownId);
+        const collectionTitle = opts.collectionTitle === false || opts.recordCollectionTitle === false ? false : iiifLabelToString(collection.label, opts);
+        const skipped = (url, message) => makeResult(url, "skipped", {
+          collection: collectionUrl,
+          error: { code: ERROR_CODES.COLLECTION_LIMIT, httpStatus: null, message }
+        });
+        const convertMember = async (member) => {
+          try {
+            const { manifest: resource, attempts } = await fetchManifestDetailed(member.id, opts);
+            if (isIIIFCollection(resource)) {
+              if (member.type === "Manifest") st.manifestCount--;
+              if (level + 1 > maxDepth) {
+                return [skipped(member.id, `Collection depth limit (${maxDepth}) reached`)];
+              }
+              return collectionToResults(resource, member.id, opts, st, level + 1);
+            }
+            if (member.type === "Collection") {
+              if (st.manifestCount >= maxManifests) {
+                st.truncated++;
+                return [];
+              }
+              st.manifestCount++;
+            }
+            const validation = assertValidResource(resource, member.id, opts);
+            const seeAlsoRecords = opts.enrich ? await fetchSeeAlsoRecords(resource, opts) : void 0;
+            const item = manifestToCSLItem(resource, member.id, { ...opts, collectionTitle, seeAlsoRecords });
+            return [makeResult(member.id, "ok", {
+              item,
+              attempts,
+              collection: collectionUrl,
+              validation,
+              enrichment: seeAlsoRecords && summarizeSeeAlsoRecords(seeAlsoRecords),
+              thumbnail: opts.thumbnail ? resolveThumbnail(resource, { ...opts, part: null }) : null
+            })];
+          } catch (e) {
+            return [makeResult(member.id, "error", {
+              collection: collectionUrl,
+              attempts: e && e.attempts,
+              error: toReportError(e)
+            })];
+          }
+        };
+        const tasks = [];
+        for (const member of getCollectionMembers(collection, opts)) {
+          if (st.manifestCount >= maxManifests) {
+            st.truncated++;
+            continue;
+          }
+          if (st.visited.has(member.id)) continue;
+          if (member.type === "Collection" && level + 1 > maxDepth) {
+            tasks.push([skipped(member.id, `Collection depth limit (${maxDepth}) reached`)]);
+            continue;
+          }
+          st.visited.add(member.id);
+          if (member.type === "Manifest") st.manifestCount++;
+          tasks.push(convertMember(member));
+        }
+        for (const memberResults of await Promise.all(tasks)) {
+          results.push(...memberResults);
+        }
+        if (!state && st.truncated > 0) {
+          results.push(makeResult(collectionUrl, "truncated", {
+            collection: collectionUrl,
+            error: {
+              code: ERROR_CODES.COLLECTION_LIMIT,
+              httpStatus: null,
+              message: `Collection limit reached (${maxManifests} manifests): ${st.truncated} more member(s) not converted`
+            }
+          }));
+        }
+        return results;
+      }
+      async function collectionToCSLItems(collection, collectionUrl, options, state, depth) {
+        const results = await collectionToResults(collection, collectionUrl, options, state, depth);
+        for (const r of results) {
+          if (r.status !== "ok") console.error(`Error processing ${r.url}: ${r.error.message}`);
+        }
+        return results.filter((r) => r.status === "ok").map((r) => r.item);
+      }
+      var IIIF_RESOURCE_KINDS = {
+        Manifest: "manifest",
+        Collection: "collection",
+        Canvas: "canvas",
+        Range: "range",
+        Sequence: "sequence",
+        Annotation: "annotation",
+        "oa:Annotation": "annotation",
+        AnnotationList: "annotation-list",
+        AnnotationPage: "annotation-page",
+        AnnotationCollection: "annotation-collection",
+        Layer: "annotation-collection"
+      };
+      var CONVERTIBLE_KINDS = ["manifest", "collection", "content-state"];
+      var IIIF_KIND_NAMES = {
+        "image-info": "IIIF Image API info.json",
+        canvas: "Canvas",
+        range: "Range",
+        sequence: "Sequence",
+        annotation: "Annotation",
+        "annotation-list": "AnnotationList",
+        "annotation-page": "AnnotationPage",
+        "annotation-collection": "AnnotationCollection"
+      };
+      function contextApi(context) {
+        const ctx = [].concat(context || []).filter((c) => typeof c === "string").join(" ");
+        const m = /iiif\.io\/api\/([a-z]+)\/(\d)/.exec(ctx);
+        return m ? { api: m[1], version: Number(m[2]) } : { api: "", version: null };
+      }
+      function identifyIiifResource(json) {
+        if (!json || typeof json !== "object" || Array.isArray(json)) {
+          return { kind: "unknown", version: null, type: "", api: "" };
+        }
+        const { api, version: contextVersion } = contextApi(json["@context"]);
+        const rawType = [].concat(json["@type"] || json.type || [])[0] || "";
+        const type = getResourceType(json);
+        const typeVersion = json["@type"] ? 2 : json.type ? 3 : null;
+        const isImageInfo = api === "image" || /^ImageService[123]$/.test(type) || json.protocol === "http://iiif.io/api/image";
+        if (isImageInfo) {
+          const version2 = api === "image" ? contextVersion : type === "ImageService3" ? 3 : 2;
+          return { kind: "image-info", version: version2, type: String(rawType), api: "image" };
+        }
+        let kind = IIIF_RESOURCE_KINDS[type] || "";
+        if (kind === "annotation" && [].concat(json.motivation || []).includes("contentState")) {
+          kind = "content-state";
+        }
+        const version = api === "presentation" ? contextVersion : kind ? typeVersion : null;
+        return { kind: kind || "unknown", version, type: String(rawType), api };
+      }
+      function describeNonManifest(info, json, url) {
+        const what = url || "This resource";
+        if (info.kind === "image-info") {
+          const service = json.id || json["@id"] || "";
+          return `${what} is a IIIF Image API ${info.version || ""} info.json${service ? ` (image service ${service})` : ""}, not a Presentation manifest; did you mean the manifest of the object this image belongs to?`;
+        }
+        if (info.kind === "unknown") {
+          if (info.api) {
+            return `${what} is a IIIF ${info.api} API response, not a Presentation manifest`;
+          }
+          return `${what} is JSON, but not a IIIF resource (no IIIF @context, @type or type)`;
+        }
+        const parent = [].concat(json.partOf || json.within || []).map(resourceId).find(Boolean);
+        return `${what} is a IIIF ${IIIF_KIND_NAMES[info.kind] || info.kind}, not a Manifest` + (parent ? `; did you mean ${parent}?` : "");
+      }
+      function isLanguageMap(value) {
+        return !!value && typeof value === "object" && !Array.isArray(value) && Object.values(value).every((v) => Array.isArray(v) && v.every((s) => typeof s === "string"));
+      }
+      var isHttpUri = (value) => typeof value === "string" && /^https?:\/\//i.test(value);
+      var isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+      function checkPresentation3(json, kind, errors) {
+        const expect = (ok, message) => {
+          if (!ok) errors.push(message);
+        };
+        const contexts = [].concat(json["@context"] || []);
+        expect(
+          contexts.includes("http://iiif.io/api/presentation/3/context.json"),
+          "@context: must include http://iiif.io/api/presentation/3/context.json"
+        );
+        expect(isHttpUri(json.id), "id: required, and must be an http(s) URI");
+        expect(isLanguageMap(json.label), "label: required, and must be a language map");
+        expect(Array.isArray(json.items), "items: required, and must be an array");
+        for (const key of ["metadata", "thumbnail", "homepage", "seeAlso", "rendering", "partOf", "provider", "service"]) {
+          if (json[key] != null) expect(Array.isArray(json[key]), `${key}: must be an array`);
+        }
+        if (json.summary != null) expect(isLanguageMap(json.summary), "summary: must be a language map");
+        if (json.rights != null) expect(isHttpUri(json.rights), "rights: must be an http(s) URI");
+        if (json.requiredStatement != null) {
+          expect(
+            isLanguageMap(json.requiredStatement.label) && isLanguageMap(json.requiredStatement.value),
+            "requiredStatement: label and value must be language maps"
+          );
+        }
+        (Array.isArray(json.metadata) ? json.metadata : []).forEach((entry, i) => {
+          expect(
+            entry && isLanguageMap(entry.label) && isLanguageMap(entry.value),
+            `metadata[${i}]: label and value must be language maps`
+          );
+        });
+        if (kind !== "manifest" || !Array.isArray(json.items)) return;
+        expect(json.items.length > 0, "items: a Manifest must have at least one Canvas");
+        json.items.forEach((canvas, i) => {
+          const at = `items[${i}]`;
+          if (!canvas || getResourceType(canvas) !== "Canvas") {
+            errors.push(`${at}: must be a Canvas`);
+            return;
+          }
+          expect(isHttpUri(canvas.id), `${at}.id: required, and must be an http(s) URI`);
+          const hasSize = isPositiveInteger(canvas.width) && isPositiveInteger(canvas.height);
+          expect(
+            hasSize || typeof canvas.duration === "number" && canvas.duration > 0,
+            `${at}: must have positive integer width and height, or a duration`
+          );
+          if (canvas.width != null !== (canvas.height != null)) {
+            errors.push(`${at}: width and height must be given together`);
+          }
+        });
+      }
+      function checkPresentation2(json, kind, errors) {
+        const expect = (ok, message) => {
+          if (!ok) errors.push(message);
+        };
+        const contexts = [].concat(json["@context"] || []);
+        expect(
+          contexts.includes("http://iiif.io/api/presentation/2/context.json"),
+          "@context: must be http://iiif.io/api/presentation/2/context.json"
+        );
+        expect(isHttpUri(json["@id"]), "@id: required, and must be an http(s) URI");
+        expect(json.label != null && json.label !== "", "label: required");
+        (Array.isArray(json.metadata) ? json.metadata : []).forEach((entry, i) => {
+          expect(entry && entry.label != null && entry.value != null, `metadata[${i}]: label and value are required`);
+        });
+        if (kind !== "manifest") return;
+        const sequences = json.sequences;
+        expect(
+          Array.isArray(sequences) && sequences.length > 0,
+          "sequences: a Manifest must have at least one Sequence"
+        );
+        const canvases = Array.isArray(sequences) && sequences[0] ? sequences[0].canvases : null;
+        expect(
+          Array.isArray(canvases) && canvases.length > 0,
+          "sequences[0].canvases: the first Sequence must have at least one Canvas"
+        );
+        (Array.isArray(canvases) ? canvases : []).forEach((canvas, i) => {
+          const at = `sequences[0].canvases[${i}]`;
+          if (!canvas || getResourceType(canvas) !== "Canvas") {
+            errors.push(`${at}: must be a sc:Canvas`);
+            return;
+          }
+          expect(isHttpUri(canvas["@id"]), `${at}.@id: required, and must be an http(s) URI`);
+          expect(canvas.label != null, `${at}.label: required`);
+          expect(
+            isPositiveInteger(canvas.width) && isPositiveInteger(canvas.height),
+            `${at}: width and height are required positive integers`
+          );
+        });
+      }
+      function validateIiifResource(json, options) {
+        const opts = options || {};
+        const info = identifyIiifResource(json);
+        const result = { kind: info.kind, version: info.version, errors: [], warnings: [] };
+        if (!CONVERTIBLE_KINDS.includes(info.kind)) {
+          result.errors.push(describeNonManifest(info, json, opts.url));
+          return result;
+        }
+        if (info.api !== "presentation") {
+          result.warnings.push(json["@context"] ? `non-standard @context; treated as Presentation ${info.version}` : `no @context; treated as Presentation ${info.version}`);
+        }
+        if (opts.strict && info.kind !== "content-state") {
+          if (info.version === 3) checkPresentation3(json, info.kind, result.errors);
+          else checkPresentation2(json, info.kind, result.errors);
+        }
+        return result;
+      }
+      function assertValidResource(json, url, options) {
+        const opts = options || {};
+        const v = validateIiifResource(json, { url, strict: opts.strict });
+        if (v.kind === "content-state") {
+          throw new IiifFetchError(
+            ERROR_CODES.CONTENT_STATE_ERROR,
+            `${url || "This resource"} is a IIIF Content State, not a manifest; give it (or a viewer link carrying it) as a URL input to cite what it points at`,
+            { url }
+          );
+        }
+        if (v.errors.length > 0) {
+          if (!CONVERTIBLE_KINDS.includes(v.kind)) {
+            throw new IiifFetchError(ERROR_CODES.NOT_IIIF, v.errors[0], { url });
+          }
+          const shown = v.errors.slice(0, 5).join("; ");
+          const more = v.errors.length > 5 ? ` (and ${v.errors.length - 5} more)` : "";
+          throw new IiifFetchError(
+            ERROR_CODES.INVALID_IIIF,
+            `Invalid IIIF Presentation ${v.version} ${v.kind}${url ? ` ${url}` : ""}: ${shown}${more}`,
+            { url }
+          );
+        }
+        return { kind: v.kind, version: v.version, warnings: v.warnings };
+      }
+      function looksLikeIIIFManifest(text) {
+        if (!text) return false;
+        let json = text;
+        if (typeof text === "string") {
+          try {
+            json = JSON.parse(text);
+          } catch (e) {
+            return false;
+          }
+        }
+        return CONVERTIBLE_KINDS.includes(identifyIiifResource(json).kind);
+      }
+      var ERROR_CODES = {
+        HTTP_ERROR: "HTTP_ERROR",
+        TIMEOUT: "TIMEOUT",
+        NETWORK_ERROR: "NETWORK_ERROR",
+        NOT_IIIF: "NOT_IIIF",
+        JSON_PARSE_ERROR: "JSON_PARSE_ERROR",
+        COLLECTION_LIMIT: "COLLECTION_LIMIT",
+        LANDING_PAGE_LIMIT: "LANDING_PAGE_LIMIT",
+        CACHE_MISS: "CACHE_MISS",
+        READ_ERROR: "READ_ERROR",
+        RECORD_PARSE_ERROR: "RECORD_PARSE_ERROR",
+        PART_NOT_FOUND: "PART_NOT_FOUND",
+        CONTENT_STATE_ERROR: "CONTENT_STATE_ERROR",
+        INVALID_IIIF: "INVALID_IIIF",
+        CONVERSION_ERROR: "CONVERSION_ERROR"
+      };
+      var IiifFetchError = class extends Error {
+        constructor(code, message, details) {
+          super(message);
+          const d = details || {};
+          this.name = "IiifFetchError";
+          this.code = code;
+          this.url = d.url || "";
+          this.httpStatus = d.httpStatus != null ? d.httpStatus : null;
+          this.retryAfterMs = d.retryAfterMs != null ? d.retryAfterMs : null;
+          this.attempts = d.attempts != null ? d.attempts : 1;
+        }
+      };
+      var DEFAULT_TIMEOUT_MS = 15e3;
+      var DEFAULT_USER_AGENT = "iiif-to-csl/1.1.0";
+      var DEFAULT_RETRIES = 2;
+      var DEFAULT_RETRY_BASE_DELAY_MS = 1e3;
+      var DEFAULT_RETRY_MAX_DELAY_MS = 6e4;
+      function parseRetryAfter(value, now) {
+        if (!value) return null;
+        const v = String(value).trim();
+        if (/^\d+$/.test(v)) return parseInt(v, 10) * 1e3;
+        const when = Date.parse(v);
+        if (Number.isNaN(when)) return null;
+        return Math.max(0, when - (now || Date.now()));
+      }
+      function isRetryableError(err) {
+        if (!err) return false;
+        if (err.code === ERROR_CODES.NETWORK_ERROR || err.code === ERROR_CODES.TIMEOUT) {
+          return true;
+        }
+        if (err.code === ERROR_CODES.HTTP_ERROR) {
+          const s = err.httpStatus;
+          return s === 408 || s === 429 || s >= 500 && s <= 599;
         }
-        return String(label).trim();
+        return false;
       }
-      function getFirstMetadataValue(manifest, keyCandidates) {
-        const metadata = manifest.metadata || [];
-        for (const entry of metadata) {
-          const labelStr = iiifLabelToString(entry.label || entry["label"]);
-          for (const key of keyCandidates) {
-            if (labelStr.toLowerCase() === key.toLowerCase()) {
-              const valueStr = iiifLabelToString(entry.value || entry["value"]);
-              if (valueStr) return valueStr;
-            }
-          }
+      function computeRetryDelay(attempt, err, options) {
+        const opts = options || {};
+        const base = opts.retryBaseDelayMs != null ? opts.retryBaseDelayMs : DEFAULT_RETRY_BASE_DELAY_MS;
+        const max = opts.retryMaxDelayMs != null ? opts.retryMaxDelayMs : DEFAULT_RETRY_MAX_DELAY_MS;
+        const step = base * Math.pow(2, attempt - 1);
+        let delay = step * (0.5 + Math.random() / 2);
+        if (err && err.retryAfterMs != null) {
+          delay = Math.max(delay, err.retryAfterMs);
         }
-        return "";
+        return Math.min(delay, max);
       }
-      function inferTypeFromMetadata(manifest) {
-        const label = iiifLabelToString(manifest.label || manifest["label"]);
-        const descCandidates = [
-          iiifLabelToString(manifest.description || manifest["description"]),
-          getFirstMetadataValue(manifest, ["Type", "type"])
-        ].filter(Boolean);
-        const haystack = (label + " " + descCandidates.join(" ")).toLowerCase();
-        if (/manuscript|codex|ms\b/.test(haystack)) {
-          return "manuscript";
-        }
-        if (/article|journal|periodical/.test(haystack)) {
-          return "article-journal";
-        }
-        return "book";
-      }
-      function extractAuthors(manifest) {
-        const creatorsRaw = getFirstMetadataValue(manifest, [
-          "Author",
-          "Authors",
-          "Creator",
-          "Creators",
-          "author",
-          "creator"
-        ]);
-        if (!creatorsRaw) return [];
-        const parts = creatorsRaw.split(/[;\n]+/).map((p) => p.trim()).filter(Boolean);
-        return parts.map((nameStr) => {
-          const tokens = nameStr.split(/\s+/);
-          if (tokens.length === 1) {
-            return { family: tokens[0] };
-          } else {
-            const family = tokens.pop();
-            const given = tokens.join(" ");
-            return { given, family };
-          }
-        });
+      function sleep(ms) {
+        return new Promise((resolve) => setTimeout(resolve, ms));
       }
-      var CREATED_PUBLISHED_LABEL_RE = /^(created(?!\s*by)|published(?!\s*(by|for)))([-\/\s]+(created(?!\s*by)|published(?!\s*(by|for))))?$/i;
-      function extractDate(manifest) {
-        let dateStr = getFirstMetadataValue(manifest, [
-          "Date",
-          "Publication Date",
-          "date",
-          "Issued"
-        ]);
-        if (!dateStr) {
-          const metadata = manifest.metadata || [];
-          for (const entry of metadata) {
-            const labelStr = iiifLabelToString(entry.label || entry["label"]);
-            if (CREATED_PUBLISHED_LABEL_RE.test(labelStr)) {
-              dateStr = iiifLabelToString(entry.value || entry["value"]);
-              if (dateStr) break;
-            }
+      async function fetchWithTimeout(url, opts = {}, timeoutMs = DEFAULT_TIMEOUT_MS, read) {
+        const controller = new AbortController();
+        const id = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+          const res = await fetch(url, { ...opts, signal: controller.signal });
+          return read ? await read(res) : res;
+        } catch (e) {
+          if (e instanceof IiifFetchError) throw e;
+          if (e && e.name === "AbortError") {
+            throw new IiifFetchError(
+              ERROR_CODES.TIMEOUT,
+              `Timed out after ${timeoutMs} ms: ${url}`,
+              { url }
+            );
           }
+          throw new IiifFetchError(
+            ERROR_CODES.NETWORK_ERROR,
+            `Network error for ${url}: ${e && e.message || e}`,
+            { url }
+          );
+        } finally {
+          clearTimeout(id);
         }
-        if (!dateStr) return "";
-        const m = dateStr.match(/(1[0-9]{3}|20[0-9]{2})/);
-        if (m) return m[1];
-        return dateStr.trim();
       }
-      function extractPublisher(manifest) {
-        const publisher = getFirstMetadataValue(manifest, [
-          "Publisher",
-          "publisher",
-          "Institution",
-          "Holding Institution",
-          "Repository"
-        ]);
-        return publisher || "";
-      }
-      function extractHomepageURL(manifest, manifestUrl) {
-        const homepage = manifest.homepage;
-        const pickId = (obj) => {
-          if (!obj || typeof obj !== "object") return "";
-          if (typeof obj.id === "string") return obj.id;
-          if (typeof obj["@id"] === "string") return obj["@id"];
-          if (typeof obj.href === "string") return obj.href;
+      function getUrlHost(url) {
+        try {
+          return new URL(url).host;
+        } catch (_e) {
           return "";
+        }
+      }
+      function createRequestScheduler(options) {
+        const opts = options || {};
+        const concurrency = Math.max(1, Number(opts.concurrency) || 1);
+        const perHost = Math.max(1, Number(opts.perHostConcurrency) || concurrency);
+        const hostDelayMs = Math.max(0, Number(opts.hostDelayMs) || 0);
+        const queue = [];
+        const hosts = /* @__PURE__ */ new Map();
+        let active = 0;
+        let timer = null;
+        const hostState = (host) => {
+          let hs = hosts.get(host);
+          if (!hs) {
+            hs = { active: 0, lastStart: -Infinity };
+            hosts.set(host, hs);
+          }
+          return hs;
         };
-        if (homepage) {
-          if (typeof homepage === "string") {
-            return homepage;
+        const start = (job, hs) => {
+          active++;
+          hs.active++;
+          hs.lastStart = Date.now();
+          Promise.resolve().then(job.fn).then(job.resolve, job.reject).finally(() => {
+            active--;
+            hs.active--;
+            pump();
+          });
+        };
+        function pump() {
+          if (timer) {
+            clearTimeout(timer);
+            timer = null;
           }
-          if (Array.isArray(homepage) && homepage.length > 0) {
-            const first = homepage[0];
-            if (typeof first === "string") return first;
-            const id = pickId(first);
-            if (id) return id;
-          } else if (typeof homepage === "object") {
-            const id = pickId(homepage);
-            if (id) return id;
+          const now = Date.now();
+          let nextWake = Infinity;
+          for (let i = 0; i < queue.length && active < concurrency; ) {
+            const job = queue[i];
+            const hs = hostState(job.host);
+            if (hs.active >= perHost) {
+              i++;
+              continue;
+            }
+            const wait = hs.lastStart + hostDelayMs - now;
+            if (wait > 0) {
+              nextWake = Math.min(nextWake, wait);
+              i++;
+              continue;
+            }
+            queue.splice(i, 1);
+            start(job, hs);
           }
-        }
-        const related = manifest.related;
-        if (related) {
-          if (typeof related === "string") return related;
-          if (Array.isArray(related) && related.length > 0) {
-            const first = related[0];
-            if (typeof first === "string") return first;
-            const id = pickId(first);
-            if (id) return id;
-          } else if (typeof related === "object") {
-            const id = pickId(related);
-            if (id) return id;
+          if (queue.length > 0 && nextWake !== Infinity) {
+            timer = setTimeout(pump, nextWake);
           }
         }
-        return "";
-      }
-      function buildIiifNote(manifest, manifestUrl) {
-        const lines = [];
-        lines.push("IIIF manifest metadata");
-        lines.push("======================");
-        lines.push("");
-        if (manifestUrl) {
-          lines.push(`Manifest URL: ${manifestUrl}`);
+        function run(url, fn) {
+          return new Promise((resolve, reject) => {
+            queue.push({ host: getUrlHost(url), fn, resolve, reject });
+            pump();
+          });
         }
-        if (manifest["@id"]) {
-          lines.push(`@id: ${manifest["@id"]}`);
+        return { run };
+      }
+      var CACHE_MODES = ["default", "offline", "refresh"];
+      async function readCacheEntry(cache, url) {
+        try {
+          const entry = await cache.get(url);
+          return entry && typeof entry.body === "string" ? entry : null;
+        } catch (_e) {
+          return null;
         }
-        if (manifest["@context"]) {
-          lines.push(`@context: ${manifest["@context"]}`);
+      }
+      async function writeCacheEntry(cache, url, entry) {
+        try {
+          await cache.set(url, entry);
+        } catch (_e) {
         }
-        const metadata = manifest.metadata || [];
-        if (metadata.length > 0) {
-          lines.push("");
-          lines.push("IIIF metadata:");
-          for (const entry of metadata) {
-            const k = iiifLabelToString(entry.label || entry["label"]);
-            const v = iiifLabelToString(entry.value || entry["value"]);
-            if (k || v) {
-              lines.push(`${k || "?"}: ${v}`);
-            }
+      }
+      function parseManifestText(text, url, httpStatus) {
+        let json;
+        try {
+          json = JSON.parse(text);
+        } catch (e) {
+          const preview = text.slice(0, 80).replace(/\s+/g, " ").trim();
+          if (isHtmlText(text)) {
+            throw new IiifFetchError(
+              ERROR_CODES.NOT_IIIF,
+              `Not a IIIF Presentation manifest: ${url} is HTML or XML, not JSON` + (preview ? ` (body starts: "${preview}")` : ""),
+              { url, httpStatus }
+            );
           }
+          throw new IiifFetchError(
+            ERROR_CODES.JSON_PARSE_ERROR,
+            `Invalid JSON from ${url}: ${e.message}`,
+            { url, httpStatus }
+          );
         }
-        return lines.join("\n").trim();
+        const info = identifyIiifResource(json);
+        if (!CONVERTIBLE_KINDS.includes(info.kind)) {
+          throw new IiifFetchError(ERROR_CODES.NOT_IIIF, describeNonManifest(info, json, url), { url, httpStatus });
+        }
+        return json;
       }
-      function trimManifestDirectory(manifestUrl) {
-        if (!manifestUrl) return "";
-        try {
-          const u = new URL(manifestUrl);
-          u.search = "";
-          u.hash = "";
-          const parts = u.pathname.split("/");
-          if (parts.length > 1 && parts[parts.length - 1] === "") {
-            parts.pop();
+      var MANIFEST_RESOURCE = {
+        accept: "application/json, text/html;q=0.9, */*;q=0.8",
+        parse: parseManifestText
+      };
+      var RECORD_RESOURCE = {
+        accept: "application/xml, text/xml, application/ld+json;q=0.9, application/json;q=0.8, */*;q=0.5",
+        parse: (text) => text
+      };
+      var MANIFEST_OR_PAGE_RESOURCE = {
+        accept: MANIFEST_RESOURCE.accept,
+        parse: parseManifestOrPage
+      };
+      var IMAGE_RESOURCE = {
+        accept: "image/*",
+        read: async (res) => ({
+          bytes: new Uint8Array(await res.arrayBuffer()),
+          contentType: (res.headers && res.headers.get("Content-Type") || "").split(";")[0].trim()
+        }),
+        parse: (image, url, httpStatus) => {
+          if (!/^image\//.test(image.contentType)) {
+            throw new IiifFetchError(
+              ERROR_CODES.NOT_IIIF,
+              `Not an image: ${url} (${image.contentType || "no Content-Type"})`,
+              { url, httpStatus }
+            );
           }
-          if (parts.length > 1) {
-            parts.pop();
+          return image;
+        }
+      };
+      async function fetchManifestOnce(url, options, cached, resource) {
+        const opts = options || {};
+        const kind = resource || MANIFEST_RESOURCE;
+        const timeoutMs = opts.timeoutMs != null ? opts.timeoutMs : DEFAULT_TIMEOUT_MS;
+        const userAgent = opts.userAgent != null ? opts.userAgent : DEFAULT_USER_AGENT;
+        const headers = {
+          "Accept": kind.accept,
+          "Accept-Language": "en-US,en;q=0.5"
+        };
+        if (userAgent) headers["User-Agent"] = userAgent;
+        if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+        if (cached && cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+        const { res, body } = await fetchWithTimeout(url, { headers }, timeoutMs, async (response) => ({
+          res: response,
+          body: response.ok ? kind.read ? await kind.read(response) : await response.text() : null
+        }));
+        if (res.status === 304 && cached) {
+          return {
+            manifest: kind.parse(cached.body, url, res.status),
+            text: cached.body,
+            etag: res.headers && res.headers.get("ETag") || cached.etag || "",
+            lastModified: res.headers && res.headers.get("Last-Modified") || cached.lastModified || "",
+            fromCache: true
+          };
+        }
+        if (!res.ok) {
+          throw new IiifFetchError(
+            ERROR_CODES.HTTP_ERROR,
+            `HTTP ${res.status} for ${url}`,
+            {
+              url,
+              httpStatus: res.status,
+              retryAfterMs: parseRetryAfter(res.headers && res.headers.get("Retry-After"))
+            }
+          );
+        }
+        return {
+          manifest: kind.parse(body, url, res.status),
+          text: body,
+          etag: res.headers && res.headers.get("ETag") || "",
+          lastModified: res.headers && res.headers.get("Last-Modified") || "",
+          fromCache: false
+        };
+      }
+      async function fetchManifestDetailed(url, options, resource) {
+        const opts = options || {};
+        const kind = resource || MANIFEST_RESOURCE;
+        const retries = opts.retries != null ? opts.retries : DEFAULT_RETRIES;
+        const scheduler = opts.scheduler;
+        const cache = opts.cache || null;
+        const cacheMode = opts.cacheMode || "default";
+        if (!CACHE_MODES.includes(cacheMode)) {
+          throw new TypeError(`fetchManifest: unknown cacheMode '${cacheMode}'`);
+        }
+        const cached = cache && cacheMode !== "refresh" ? await readCacheEntry(cache, url) : null;
+        if (cacheMode === "offline") {
+          if (!cached) {
+            throw new IiifFetchError(
+              ERROR_CODES.CACHE_MISS,
+              `Not in cache (offline mode): ${url}`,
+              { url, attempts: 0 }
+            );
           }
-          let newPath = parts.join("/");
-          if (!newPath.startsWith("/")) {
-            newPath = "/" + newPath;
+          return { manifest: kind.parse(cached.body, url, null), attempts: 0, fromCache: true };
+        }
+        for (let attempt = 1; ; attempt++) {
+          try {
+            const fetched = scheduler ? await scheduler.run(url, () => fetchManifestOnce(url, opts, cached, kind)) : await fetchManifestOnce(url, opts, cached, kind);
+            if (cache) {
+              await writeCacheEntry(cache, url, {
+                url,
+                body: fetched.text,
+                etag: fetched.etag,
+                lastModified: fetched.lastModified,
+                storedAt: (/* @__PURE__ */ new Date()).toISOString()
+              });
+            }
+            return { manifest: fetched.manifest, attempts: attempt, fromCache: fetched.fromCache };
+          } catch (e) {
+            if (attempt > retries || !isRetryableError(e)) {
+              if (e && typeof e === "object") e.attempts = attempt;
+              throw e;
+            }
+            await sleep(computeRetryDelay(attempt, e, opts));
           }
-          u.pathname = newPath;
-          return u.toString();
-        } catch (_e) {
-          return manifestUrl;
         }
       }
-      function extractIdFromManifest(manifest, manifestUrl) {
-        if (manifest["@id"]) return String(manifest["@id"]);
-        if (manifest.id) return String(manifest.id);
-        if (manifestUrl) return String(manifestUrl);
-        const label = iiifLabelToString(manifest.label || manifest["label"]);
-        if (label) return label;
-        return "";
+      async function fetchManifest(url, options) {
+        const { manifest } = await fetchManifestDetailed(url, options);
+        return manifest;
       }
-      function manifestToCSLItem(manifest, manifestUrl) {
-        const title = iiifLabelToString(manifest.label || manifest["label"]) || extractIdFromManifest(manifest, manifestUrl) || "[untitled IIIF manifest]";
-        const id = extractIdFromManifest(manifest, manifestUrl) || title;
-        const authors = extractAuthors(manifest);
-        const issued = extractDate(manifest);
-        const publisher = extractPublisher(manifest);
-        const type = inferTypeFromMetadata(manifest);
-        const homepage = extractHomepageURL(manifest, manifestUrl);
-        const note = buildIiifNote(manifest, manifestUrl);
-        const trimmedManifestUrl = trimManifestDirectory(manifestUrl);
-        const cslItem = {
-          id,
-          type,
-          title,
-          URL: homepage || manifest["@id"] || manifest.id || trimmedManifestUrl || ""
+      async function fetchImage(url, options) {
+        const { manifest: image } = await fetchManifestDetailed(url, { ...options, cache: null }, IMAGE_RESOURCE);
+        return image;
+      }
+      function makeResult(url, status, fields) {
+        const f = fields || {};
+        const result = {
+          url,
+          status,
+          item: f.item || null,
+          error: f.error || null,
+          attempts: f.attempts || 0
+        };
+        if (f.collection) result.collection = f.collection;
+        if (f.enrichment) result.enrichment = f.enrichment;
+        if (f.thumbnail) result.thumbnail = f.thumbnail;
+        if (f.validation) result.validation = f.validation;
+        if (f.landingPage) result.landingPage = f.landingPage;
+        return result;
+      }
+      function convertManifest(manifest, url, options) {
+        const part = options && options.part;
+        if (part == null || part === "") return manifestToCSLItem(manifest, url, options);
+        const target = typeof part === "object" ? part : parsePartSpec(part);
+        return manifestPartToCSLItem(manifest, url, target, options);
+      }
+      function toReportError(err) {
+        return {
+          code: err && err.code || ERROR_CODES.CONVERSION_ERROR,
+          httpStatus: err && err.httpStatus != null ? err.httpStatus : null,
+          message: err && err.message || String(err)
         };
-        if (authors.length > 0) {
-          cslItem.author = authors;
+      }
+      async function iiifManifestUrlsToCSLReport(manifestUrls, options) {
+        if (!Array.isArray(manifestUrls)) {
+          throw new TypeError("iiifManifestUrlsToCSLReport: manifestUrls must be an array of strings");
         }
-        if (issued) {
-          cslItem.issued = { "date-parts": [[issued]] };
+        const opts = options || {};
+        const runOpts = { ...opts, scheduler: opts.scheduler || createRequestScheduler(opts) };
+        const convertLandingPage = async (url, pageUrl, html) => {
+          const found = discoverManifestUrls(html, pageUrl);
+          if (found.length === 0) {
+            throw new IiifFetchError(
+              ERROR_CODES.NOT_IIIF,
+              `${pageUrl} is an HTML page, and no IIIF manifest link was found on it`,
+              { url: pageUrl }
+            );
+          }
+          const max = opts.maxPageManifests != null ? opts.maxPageManifests : DEFAULT_MAX_PAGE_MANIFESTS;
+          const perManifest = await Promise.all(found.map((d, i) => {
+            if (i >= max) {
+              return [makeResult(d.url, "skipped", {
+                error: {
+                  code: ERROR_CODES.LANDING_PAGE_LIMIT,
+                  httpStatus: null,
+                  message: `Landing page limit reached (${max} manifests) on ${pageUrl}`
+                }
+              })];
+            }
+            let refs;
+            try {
+              refs = resolveManifestReferences(d.url);
+            } catch (e) {
+              return [makeResult(url, "error", { error: toReportError(e) })];
+            }
+            return Promise.all(refs.map((ref) => convertReference(
+              url,
+              { ...ref, viewerUrl: ref.viewerUrl || pageUrl, landingPage: pageUrl },
+              true
+            ))).then((r) => [].concat(...r));
+          }));
+          return [].concat(...perManifest);
+        };
+        const convertReference = async (url, ref, followed) => {
+          const manifestUrl = ref.manifestUrl;
+          try {
+            const discover = !followed && opts.discoverManifests !== false;
+            const { manifest, attempts } = await fetchManifestDetailed(
+              manifestUrl,
+              runOpts,
+              discover ? MANIFEST_OR_PAGE_RESOURCE : MANIFEST_RESOURCE
+            );
+            if (isLandingPage(manifest)) {
+              return await convertLandingPage(url, manifestUrl, manifest.html);
+            }
+            if (getResourceType(manifest) === "Annotation" && !followed) {
+              const targets = contentStateTargets(manifest).filter((t) => t.manifestUrl);
+              if (targets.length === 0) {
+                throw new IiifFetchError(
+                  ERROR_CODES.CONTENT_STATE_ERROR,
+                  `Content State does not say which manifest it refers to: ${manifestUrl}`,
+                  { url: manifestUrl }
+                );
+              }
+              const perTarget = await Promise.all(targets.map((t) => convertReference(
+                url,
+                { ...t, viewerUrl: ref.viewerUrl },
+                true
+              )));
+              return [].concat(...perTarget);
+            }
+            const validation = assertValidResource(manifest, manifestUrl, opts);
+            if (isIIIFCollection(manifest)) {
+              if (opts.traverseCollections === false) {
+                throw new IiifFetchError(
+                  ERROR_CODES.NOT_IIIF,
+                  `URL is a IIIF Collection, not a Manifest: ${manifestUrl}`,
+                  { url: manifestUrl }
+                );
+              }
+              return collectionToResults(manifest, manifestUrl, runOpts);
+            }
+            const seeAlsoRecords = opts.enrich ? await fetchSeeAlsoRecords(manifest, runOpts) : void 0;
+            const item = convertManifest(manifest, manifestUrl, {
+              ...opts,
+              part: ref.part || opts.part,
+              seeAlsoRecords
+            });
+            if (ref.viewerUrl) item.URL = ref.viewerUrl;
+            return [makeResult(url, "ok", {
+              item,
+              attempts,
+              landingPage: ref.landingPage,
+              validation,
+              enrichment: seeAlsoRecords && summarizeSeeAlsoRecords(seeAlsoRecords),
+              thumbnail: opts.thumbnail ? resolveThumbnail(manifest, { ...opts, part: ref.part || opts.part }) : null
+            })];
+          } catch (e) {
+            return [makeResult(url, "error", { attempts: e && e.attempts, error: toReportError(e) })];
+          }
+        };
+        const convertUrl = async (url) => {
+          let refs;
+          try {
+            refs = resolveManifestReferences(url);
+          } catch (e) {
+            return [makeResult(url, "error", { error: toReportError(e) })];
+          }
+          const perRef = await Promise.all(refs.map((ref) => convertReference(url, ref, false)));
+          return [].concat(...perRef);
+        };
+        const perUrl = await Promise.all(manifestUrls.filter(Boolean).map(convertUrl));
+        const results = [];
+        for (const urlResults of perUrl) {
+          results.push(...urlResults);
         }
-        if (publisher) {
-          cslItem.publisher = publisher;
+        const items = results.filter((r) => r.status === "ok").map((r) => r.item);
+        return { items, results };
+      }
+      async function manifestsToCSLReport(manifests, options) {
+        const opts = options || {};
+        if (!Array.isArray(manifests)) {
+          throw new TypeError("manifestsToCSLReport: manifests must be an array of objects");
         }
-        if (note) {
-          cslItem.note = note;
+        const results = [];
+        for (const entry of manifests) {
+          if (!entry || typeof entry !== "object") continue;
+          const isWrapped = entry.manifest && typeof entry.manifest === "object";
+          const manifest = isWrapped ? entry.manifest : entry;
+          const source = isWrapped && entry.source ? String(entry.source) : "";
+          const label = source || extractIdFromManifest(manifest, "", opts);
+          try {
+            const validation = assertValidResource(manifest, label, opts);
+            if (isIIIFCollection(manifest)) {
+              throw new IiifFetchError(
+                ERROR_CODES.NOT_IIIF,
+                `${label || "(object)"} is a IIIF Collection; pass its URL to follow its members`,
+                { url: source }
+              );
+            }
+            const item = convertManifest(manifest, "", { ...opts, sourceFile: source });
+            results.push(makeResult(label, "ok", {
+              item,
+              validation,
+              thumbnail: opts.thumbnail ? resolveThumbnail(manifest, opts) : null
+            }));
+          } catch (e) {
+            results.push(makeResult(label, "error", { error: toReportError(e) }));
+          }
         }
-        return cslItem;
+        const items = results.filter((r) => r.status === "ok").map((r) => r.item);
+        return { items, results };
       }
-      async function fetchManifest(url) {
-        const res = await fetch(url, {
-          headers: {
-            "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:131.0) Gecko/20100101 Firefox/131.0",
-            "Accept": "application/json, text/html;q=0.9, */*;q=0.8",
-            "Accept-Language": "en-US,en;q=0.5"
+      async function manifestsToCSL(manifests, options) {
+        const { items, results } = await manifestsToCSLReport(manifests, options);
+        for (const r of results) {
+          if (r.status !== "ok") {
+            console.error(`Error processing ${r.url}: ${r.error.message}`);
           }
-        });
-        if (!res.ok) {
-          throw new Error(`HTTP ${res.status} for ${url}`);
         }
-        const text = await res.text();
-        if (!looksLikeIIIFManifest(text)) {
-          console.error("Body did not look like IIIF. First 500 chars:\n");
-          console.error(text.slice(0, 500));
-          throw new Error(`Not a IIIF Presentation manifest: ${url}`);
-        }
-        return JSON.parse(text);
+        return items;
       }
-      async function iiifManifestUrlsToCSL(manifestUrls) {
+      async function iiifManifestUrlsToCSL(manifestUrls, options) {
         if (!Array.isArray(manifestUrls)) {
           throw new TypeError("iiifManifestUrlsToCSL: manifestUrls must be an array of strings");
         }
-        const items = [];
-        for (const url of manifestUrls) {
-          if (!url) continue;
-          try {
-            const manifest = await fetchManifest(url);
-            const item = manifestToCSLItem(manifest, url);
-            items.push(item);
-          } catch (e) {
-            console.error(`Error processing ${url}: ${e.message || e}`);
+        const { items, results } = await iiifManifestUrlsToCSLReport(manifestUrls, options);
+        for (const r of results) {
+          if (r.status !== "ok") {
+            console.error(`Error processing ${r.url}: ${r.error.message}`);
           }
         }
         return items;
       }
       module.exports = {
         iiifManifestUrlsToCSL,
+        iiifManifestUrlsToCSLReport,
+        manifestsToCSL,
+        manifestsToCSLReport,
+        ERROR_CODES,
+        IiifFetchError,
         // Export helpers too, in case the CLI or future code wants them.
+        identifyIiifResource,
+        validateIiifResource,
+        assertValidResource,
         looksLikeIIIFManifest,
+        DEFAULT_LANGUAGES,
+        getLabelLanguageEntries,
+        pickLanguageEntry,
         iiifLabelToString,
+        getAlternateLanguageLabels,
         getFirstMetadataValue,
         inferTypeFromMetadata,
+        classifyCslType,
+        formatTypeRationale,
+        getManifestCanvases,
+        getVocabularyTypeHints,
         extractAuthors,
+        extractCreators,
+        getProfileFieldValue,
+        getProfileFieldValues,
+        getProfileFieldEntries,
+        extractProfileFields,
+        BUILTIN_PROFILES,
+        findMappingProfile,
+        listMappingProfiles,
+        compileMappingProfile,
+        selectMappingProfile,
+        metadataLabelRole,
+        ROLE_TO_CSL_VARIABLE,
+        CSL_NAME_VARIABLES,
+        splitCreatorRole,
+        splitCreatorList,
+        parseCslName,
+        isCorporateName,
         extractDate,
+        parseCslDate,
+        parseCenturies,
+        romanToInt,
         extractPublisher,
+        extractArchive,
+        extractArchiveLocation,
+        extractCollectionTitle,
+        normalizeIdentifier,
+        findIdentifiers,
+        extractIdentifiers,
+        formatIdentifierNote,
+        institutionFromAttribution,
+        getAttributionStatements,
+        describeLicense,
+        extractRights,
+        formatRights,
+        formatRightsNote,
         extractHomepageURL,
         buildIiifNote,
         trimManifestDirectory,
         extractIdFromManifest,
         manifestToCSLItem,
-        fetchManifest
+        parsePartSpec,
+        getManifestRanges,
+        getRangeCanvasIds,
+        canvasPage,
+        resolvePartTarget,
+        manifestPartToCSLItem,
+        CONTENT_STATE_PARAM,
+        decodeContentState,
+        contentStateTargets,
+        resolveManifestReferences,
+        discoverManifestUrls,
+        manifestFromLinkParams,
+        isIiifSiteUrl,
+        MANIFEST_QUERY_PARAMS,
+        MANIFEST_DATA_ATTRIBUTES,
+        VIEWER_CONFIG_RE,
+        isHtmlText,
+        DEFAULT_THUMBNAIL_SIZE,
+        getImageService,
+        imageApiUrl,
+        resolveThumbnail,
+        getResourceType,
+        isIIIFCollection,
+        getCollectionMembers,
+        collectionToResults,
+        collectionToCSLItems,
+        createRequestScheduler,
+        parseRetryAfter,
+        isRetryableError,
+        CACHE_MODES,
+        fetchManifestDetailed,
+        fetchManifest,
+        fetchImage,
+        getSeeAlsoEntries,
+        fetchSeeAlsoRecords,
+        recordToCslFields,
+        applySeeAlsoRecords,
+        RECORD_OVERRIDE_FIELDS
+      };
+    }
+  });
+
+  // iiif_to_csl_export_1_1_0.js
+  var require_iiif_to_csl_export_1_1_0 = __commonJS({
+    "iiif_to_csl_export_1_1_0.js"(exports, module) {
+      "use strict";
+      var EXPORT_FORMATS = ["csl-json", "bibtex", "biblatex", "ris"];
+      var EXPORT_FILE_TYPES = {
+        "csl-json": { extension: "json", mimeType: "application/vnd.citationstyles.csl+json" },
+        bibtex: { extension: "bib", mimeType: "application/x-bibtex" },
+        biblatex: { extension: "bib", mimeType: "application/x-bibtex" },
+        ris: { extension: "ris", mimeType: "application/x-research-info-systems" }
+      };
+      var CITEKEY_STOP_WORDS = /* @__PURE__ */ new Set([
+        "a",
+        "an",
+        "the",
+        "of",
+        "and",
+        "on",
+        "in",
+        "der",
+        "die",
+        "das",
+        "des",
+        "ein",
+        "eine",
+        "und",
+        "le",
+        "la",
+        "les",
+        "l",
+        "un",
+        "une",
+        "de",
+        "du",
+        "et",
+        "il",
+        "lo",
+        "gli",
+        "el",
+        "los",
+        "las",
+        "y"
+      ]);
+      function asciiFold(str) {
+        return String(str || "").replace(/æ/gi, "ae").replace(/œ/gi, "oe").replace(/ß/g, "ss").replace(/ø/gi, "o").replace(/ł/gi, "l").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().replace(/[^a-z0-9]+/g, "");
+      }
+      function firstDateParts(date) {
+        const parts = date && Array.isArray(date["date-parts"]) ? date["date-parts"][0] : null;
+        if (!parts || parts[0] == null) return null;
+        return { year: Number(parts[0]), month: parts[1] != null ? Number(parts[1]) : null, day: parts[2] != null ? Number(parts[2]) : null };
+      }
+      function endDateParts(date) {
+        const all = date && Array.isArray(date["date-parts"]) ? date["date-parts"] : [];
+        return all.length > 1 && all[1] && all[1][0] != null ? { year: Number(all[1][0]), month: all[1][1] != null ? Number(all[1][1]) : null, day: all[1][2] != null ? Number(all[1][2]) : null } : null;
+      }
+      var pad2 = (n) => String(n).padStart(2, "0");
+      function yearText(year) {
+        return year < 0 ? `${-year} BC` : String(year);
+      }
+      function isoYear(year) {
+        return year < 0 ? `-${String(-year - 1).padStart(4, "0")}` : String(year).padStart(4, "0");
+      }
+      function namesOf(item, role) {
+        return (Array.isArray(item[role]) ? item[role] : []).filter((n) => n && (n.family || n.literal || n.given));
+      }
+      function noteText(note) {
+        return String(note || "").split(/\r?\n/).map((l) => l.trim()).filter((l) => l && !/^[=\-_*~]{3,}$/.test(l)).join("; ");
+      }
+      function holdingNote(item) {
+        return [item.archive, item.archive_location].filter(Boolean).join(", ");
+      }
+      function citekeySuffix(n) {
+        let suffix = "";
+        for (; n > 0; n = Math.floor((n - 1) / 26)) {
+          suffix = String.fromCharCode(97 + (n - 1) % 26) + suffix;
+        }
+        return suffix;
+      }
+      function makeCitekeys(items) {
+        const used = /* @__PURE__ */ new Set();
+        const counts = /* @__PURE__ */ new Map();
+        return items.map((item) => {
+          const it = item || {};
+          const first = [...namesOf(it, "author"), ...namesOf(it, "editor")][0];
+          const who = first ? asciiFold(first.family || String(first.literal || "").split(/\s+/)[0]) : "";
+          const date = firstDateParts(it.issued);
+          const year = date && Number.isFinite(date.year) ? date.year < 0 ? `${-date.year}bc` : String(date.year) : "nd";
+          const word = String(it.title || "").split(/[\s\-–—:;,.'’()[\]]+/).map(asciiFold).find((w) => w && !CITEKEY_STOP_WORDS.has(w)) || "";
+          const titleWord = word.slice(0, 20);
+          const base = who ? `${who}${year}${titleWord}` : `${titleWord || "item"}${year}`;
+          let count = counts.get(base) || 0;
+          let key = base + citekeySuffix(count);
+          while (used.has(key)) key = base + citekeySuffix(++count);
+          counts.set(base, count + 1);
+          used.add(key);
+          return key;
+        });
+      }
+      var BIBTEX_TYPES = {
+        book: "book",
+        chapter: "incollection",
+        "article-journal": "article",
+        "article-magazine": "article",
+        "article-newspaper": "article",
+        thesis: "phdthesis",
+        pamphlet: "booklet"
+      };
+      var BIBLATEX_TYPES = {
+        book: "book",
+        chapter: "inbook",
+        "article-journal": "article",
+        "article-magazine": "article",
+        "article-newspaper": "article",
+        periodical: "periodical",
+        thesis: "thesis",
+        pamphlet: "booklet",
+        letter: "letter",
+        graphic: "image",
+        motion_picture: "movie",
+        song: "audio",
+        musical_score: "music"
+      };
+      var MISC_TYPE_LABELS = {
+        manuscript: "Manuscript",
+        map: "Map",
+        graphic: "Image",
+        letter: "Letter",
+        musical_score: "Musical score",
+        song: "Sound recording",
+        motion_picture: "Film",
+        interview: "Interview",
+        periodical: "Periodical"
+      };
+      var BIBTEX_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+      function escapeBibtex(value) {
+        return String(value == null ? "" : value).replace(/\r?\n+/g, " ").replace(/[\\{}$&%#_^~]/g, (ch) => ({
+          "\\": "\\textbackslash{}",
+          "^": "\\textasciicircum{}",
+          "~": "\\textasciitilde{}"
+        })[ch] || `\\${ch}`);
+      }
+      var CASE_PROTECTED_FIELDS = /* @__PURE__ */ new Set(["title", "origtitle", "booktitle", "series"]);
+      function protectCase(escaped) {
+        return escaped.split(" ").map((word) => /\p{Lu}/u.test(word) ? `{${word}}` : word).join(" ");
+      }
+      function escapeBibtexVerbatim(value) {
+        return String(value || "").trim().replace(/[{}\s]/g, (ch) => encodeURIComponent(ch));
+      }
+      function bibtexName(n) {
+        if (n.literal || !n.family) return `{${escapeBibtex(n.literal || n.given)}}`;
+        const family = [n["non-dropping-particle"], n.family].filter(Boolean).join(" ");
+        const given = [n.given, n["dropping-particle"]].filter(Boolean).join(" ");
+        return [family, n.suffix, given].filter(Boolean).map(escapeBibtex).join(", ");
+      }
+      function bibtexNames(names) {
+        return names.map(bibtexName).join(" and ");
+      }
+      function bibtexYear(date) {
+        if (!date) return "";
+        const start = firstDateParts(date);
+        if (!start) return date.literal || date.raw || "";
+        const end = endDateParts(date);
+        const years = end && end.year !== start.year ? `${yearText(start.year)}--${yearText(end.year)}` : yearText(start.year);
+        return date.circa ? `ca. ${years}` : years;
+      }
+      function biblatexDate(date) {
+        const start = firstDateParts(date);
+        if (!start) return "";
+        const iso = (d) => [isoYear(d.year), d.month ? pad2(d.month) : null, d.month && d.day ? pad2(d.day) : null].filter(Boolean).join("-");
+        const end = endDateParts(date);
+        const value = end ? `${iso(start)}/${iso(end)}` : iso(start);
+        return date.circa ? end ? value.replace("/", "~/") + "~" : `${value}~` : value;
+      }
+      function bibtexPages(page) {
+        return String(page || "").replace(/\s*[-–]\s*/g, "--");
+      }
+      function todayIso() {
+        return (/* @__PURE__ */ new Date()).toISOString().slice(0, 10);
+      }
+      function bibtexFields(item, dialect, options) {
+        const opts = options || {};
+        const isLatex = dialect === "biblatex";
+        const type = item.type || "";
+        let entryType = (isLatex ? BIBLATEX_TYPES : BIBTEX_TYPES)[type] || "misc";
+        if (isLatex && type === "manuscript" && opts.manuscriptEntryType === "manuscript") {
+          entryType = "manuscript";
+        }
+        const fields = [];
+        const add = (name, value, verbatim) => {
+          if (value == null || value === "") return;
+          const escaped = verbatim ? escapeBibtexVerbatim(value) : escapeBibtex(value);
+          fields.push([name, CASE_PROTECTED_FIELDS.has(name) ? protectCase(escaped) : escaped]);
+        };
+        const addRaw = (name, value) => {
+          if (value) fields.push([name, value]);
+        };
+        addRaw("author", bibtexNames(namesOf(item, "author")));
+        addRaw("editor", bibtexNames(namesOf(item, "editor")));
+        if (isLatex) addRaw("translator", bibtexNames(namesOf(item, "translator")));
+        add("title", item.title);
+        if (isLatex) add("origtitle", item["original-title"]);
+        const container = item["container-title"];
+        if (entryType === "article") add(isLatex ? "journaltitle" : "journal", container);
+        else if (container) add("booktitle", container);
+        add("series", item["collection-title"]);
+        add("edition", item.edition);
+        if (entryType === "misc" || entryType === "manuscript") {
+          const label = MISC_TYPE_LABELS[type];
+          if (label && !(entryType === "manuscript" && type === "manuscript")) {
+            add(isLatex ? "type" : "howpublished", label);
+          }
+        }
+        if (entryType === "thesis" || entryType === "phdthesis") {
+          add(isLatex ? "institution" : "school", item.publisher);
+        } else {
+          add("publisher", item.publisher);
+        }
+        add(isLatex ? "location" : "address", item["publisher-place"]);
+        if (isLatex) {
+          const date = biblatexDate(item.issued);
+          if (date) addRaw("date", date);
+          else add("year", bibtexYear(item.issued));
+        } else {
+          add("year", bibtexYear(item.issued));
+          const start = firstDateParts(item.issued);
+          if (start && start.month && !endDateParts(item.issued) && BIBTEX_MONTHS[start.month - 1]) {
+            addRaw("month", BIBTEX_MONTHS[start.month - 1]);
+          }
+        }
+        add("pages", bibtexPages(item.page));
+        if (isLatex) add("pagetotal", item["number-of-pages"]);
+        add("language", item.language);
+        if (isLatex) {
+          add("library", item.archive);
+          add("shelfmark", item.archive_location);
+        } else {
+          add("note", holdingNote(item));
+        }
+        add("doi", item.DOI, true);
+        add("isbn", item.ISBN);
+        add("issn", item.ISSN);
+        add("url", item.URL, true);
+        if (item.URL && opts.urldate !== false) {
+          const urldate = item.accessed ? biblatexDate(item.accessed) : opts.urldate || todayIso();
+          add("urldate", urldate);
+        }
+        add("abstract", item.abstract);
+        if (opts.note !== false) add(isLatex ? "annotation" : "annote", noteText(item.note));
+        return { entryType, fields };
+      }
+      function formatBibtexEntries(items, dialect, options) {
+        const list = Array.isArray(items) ? items.filter(Boolean) : [];
+        const keys = makeCitekeys(list);
+        return list.map((item, i) => {
+          const { entryType, fields } = bibtexFields(item, dialect, options);
+          const width = Math.max(0, ...fields.map(([name]) => name.length));
+          const body = fields.map(([name, value]) => {
+            const v = name === "month" ? value : `{${value}}`;
+            return `  ${name.padEnd(width)} = ${v}`;
+          });
+          return `@${entryType}{${keys[i]},
+${body.join(",\n")}
+}
+`;
+        }).join("\n");
+      }
+      function itemsToBibTeX(items, options) {
+        return formatBibtexEntries(items, "bibtex", options);
+      }
+      function itemsToBibLaTeX(items, options) {
+        return formatBibtexEntries(items, "biblatex", options);
+      }
+      var RIS_TYPES = {
+        book: "BOOK",
+        chapter: "CHAP",
+        "article-journal": "JOUR",
+        "article-magazine": "MGZN",
+        "article-newspaper": "NEWS",
+        periodical: "JFULL",
+        manuscript: "MANSCPT",
+        map: "MAP",
+        graphic: "ART",
+        thesis: "THES",
+        letter: "PCOMM",
+        pamphlet: "PAMP",
+        motion_picture: "MPCT",
+        song: "SOUND",
+        musical_score: "MUSIC"
+      };
+      function risValue(value) {
+        return String(value == null ? "" : value).replace(/\s*\r?\n\s*/g, " ").trim();
+      }
+      function risName(n) {
+        if (n.literal || !n.family) return n.literal || n.given;
+        const family = [n["non-dropping-particle"], n.family].filter(Boolean).join(" ");
+        return [family, n.given, n.suffix].filter(Boolean).join(", ");
+      }
+      function risDate(d) {
+        return [String(d.year).padStart(4, "0"), d.month ? pad2(d.month) : "", d.month && d.day ? pad2(d.day) : "", ""].join("/");
+      }
+      function itemsToRIS(items, options) {
+        const opts = options || {};
+        const list = Array.isArray(items) ? items.filter(Boolean) : [];
+        const keys = makeCitekeys(list);
+        return list.map((item, i) => {
+          const lines = [];
+          const add = (tag, value) => {
+            const v = risValue(value);
+            if (v) lines.push(`${tag}  - ${v}`);
+          };
+          add("TY", RIS_TYPES[item.type] || "GEN");
+          add("ID", keys[i]);
+          add("TI", item.title);
+          add("TT", item["original-title"]);
+          for (const n of namesOf(item, "author")) add("AU", risName(n));
+          for (const n of namesOf(item, "editor")) add("A2", risName(n));
+          for (const n of namesOf(item, "translator")) add("A4", risName(n));
+          add("T2", item["container-title"]);
+          add("T3", item["collection-title"]);
+          const start = firstDateParts(item.issued);
+          const end = endDateParts(item.issued);
+          if (start && (start.year < 1 || end && end.year < 1)) {
+            add("DA", item.issued.literal || item.issued.raw || bibtexYear(item.issued));
+          } else if (start) {
+            add("PY", String(start.year).padStart(4, "0"));
+            add("DA", item.issued.circa || end ? `${risDate(start)}${bibtexYear(item.issued)}` : risDate(start));
+          } else if (item.issued) {
+            add("DA", item.issued.literal || item.issued.raw);
+          }
+          add("PB", item.publisher);
+          add("CY", item["publisher-place"]);
+          add("ET", item.edition);
+          const pages = String(item.page || "").split(/\s*[-–]+\s*/);
+          add("SP", pages[0]);
+          add("EP", pages[1]);
+          add("DB", item.archive);
+          add("AV", item.archive_location);
+          add("LA", item.language);
+          add("DO", item.DOI);
+          add("SN", item.ISBN || item.ISSN);
+          add("UR", item.URL);
+          if (item.URL && opts.urldate !== false) {
+            const accessed = firstDateParts(item.accessed);
+            add("Y2", accessed ? risDate(accessed) : (opts.urldate || todayIso()).replace(/-/g, "/"));
+          }
+          add("AB", item.abstract);
+          if (opts.note !== false) add("N1", noteText(item.note));
+          lines.push("ER  - ");
+          return lines.join("\r\n") + "\r\n";
+        }).join("\r\n");
+      }
+      function formatItems(items, format, options) {
+        const f = String(format || "csl-json").toLowerCase();
+        if (f === "csl-json" || f === "csl" || f === "json") return JSON.stringify(items || [], null, 2);
+        if (f === "bibtex") return itemsToBibTeX(items, options);
+        if (f === "biblatex") return itemsToBibLaTeX(items, options);
+        if (f === "ris") return itemsToRIS(items, options);
+        throw new TypeError(`formatItems: unknown format '${format}' (expected ${EXPORT_FORMATS.join(", ")})`);
+      }
+      module.exports = {
+        EXPORT_FORMATS,
+        EXPORT_FILE_TYPES,
+        escapeBibtex,
+        makeCitekeys,
+        itemsToBibTeX,
+        itemsToBibLaTeX,
+        itemsToRIS,
+        formatItems
       };
     }
   });
@@ -314,33 +4201,131 @@
     "iiif_to_csl_browser_1_0_9_fruitcounter.js"(exports, module) {
       var core = {};
       try {
-        core = require_iiif_to_csl_core_1_0_9_fruitcounter();
+        core = require_iiif_to_csl_core_1_1_0_fruittimer();
       } catch (err) {
         core = typeof window !== "undefined" && window.iiifToCslCore || {};
       }
+      var exporter = {};
+      try {
+        exporter = require_iiif_to_csl_export_1_1_0();
+      } catch (err) {
+        exporter = typeof window !== "undefined" && window.iiifToCslExport || {};
+      }
       var {
-        iiifManifestUrlsToCSL
+        iiifManifestUrlsToCSL,
+        iiifManifestUrlsToCSLReport,
+        createRequestScheduler,
+        listMappingProfiles,
+        resolveManifestReferences,
+        manifestFromLinkParams,
+        isIiifSiteUrl,
+        MANIFEST_QUERY_PARAMS,
+        MANIFEST_DATA_ATTRIBUTES,
+        VIEWER_CONFIG_RE
       } = core;
       function ensureCoreAvailable() {
         if (typeof iiifManifestUrlsToCSL !== "function") {
           throw new Error(
-            "iiif_to_csl_browser_1_0_9: iiifManifestUrlsToCSL is not available.\nMake sure the core library is bundled correctly, or that your bundler\nis resolving './iiif_to_csl_core_1_0_9_fruitcounter.js' as expected."
+            "iiif_to_csl_browser_1_0_9: iiifManifestUrlsToCSL is not available.\nMake sure the core library is bundled correctly, or that your bundler\nis resolving './iiif_to_csl_core_1_1_0_fruittimer.js' as expected."
           );
         }
       }
-      async function fromManifestUrl(manifestUrl) {
+      async function fromManifestUrl(manifestUrl, options) {
         ensureCoreAvailable();
         if (!manifestUrl) {
           throw new TypeError("fromManifestUrl: manifestUrl must be a non-empty string");
         }
-        return iiifManifestUrlsToCSL([manifestUrl]);
+        return iiifManifestUrlsToCSL([manifestUrl], options);
       }
-      async function fromManifestUrls(manifestUrls) {
+      async function fromManifestUrls(manifestUrls, options) {
         ensureCoreAvailable();
         if (!Array.isArray(manifestUrls)) {
           throw new TypeError("fromManifestUrls: manifestUrls must be an array of strings");
         }
-        return iiifManifestUrlsToCSL(manifestUrls);
+        return iiifManifestUrlsToCSL(manifestUrls, options);
+      }
+      async function fromManifestUrlsReport(manifestUrls, options) {
+        ensureCoreAvailable();
+        if (!Array.isArray(manifestUrls)) {
+          throw new TypeError("fromManifestUrlsReport: manifestUrls must be an array of strings");
+        }
+        if (typeof iiifManifestUrlsToCSLReport !== "function") {
+          throw new Error("fromManifestUrlsReport: the core in this bundle has no report API");
+        }
+        return iiifManifestUrlsToCSLReport(manifestUrls, options);
+      }
+      function formatItems(items, format, options) {
+        if (typeof exporter.formatItems !== "function") {
+          throw new Error("formatItems: the export module is not in this bundle");
+        }
+        return exporter.formatItems(items, format, options);
+      }
+      var EXPORT_FILE_TYPES = exporter.EXPORT_FILE_TYPES || {
+        "csl-json": { extension: "json", mimeType: "application/vnd.citationstyles.csl+json" }
+      };
+      function listProfiles(options) {
+        ensureCoreAvailable();
+        return typeof listMappingProfiles === "function" ? listMappingProfiles(options) : [];
+      }
+      function resolveContentState(urlOrState) {
+        ensureCoreAvailable();
+        if (typeof resolveManifestReferences !== "function") {
+          throw new Error("resolveContentState: the core in this bundle does not decode Content State");
+        }
+        return resolveManifestReferences(urlOrState);
+      }
+      function createSessionStorageCache(prefix) {
+        const keyPrefix = prefix || "iiifToCsl:manifest:";
+        const storage = typeof sessionStorage !== "undefined" ? sessionStorage : null;
+        if (!storage) {
+          throw new Error("createSessionStorageCache: sessionStorage is not available here");
+        }
+        return {
+          async get(url) {
+            const raw = storage.getItem(keyPrefix + url);
+            return raw ? JSON.parse(raw) : null;
+          },
+          async set(url, entry) {
+            storage.setItem(keyPrefix + url, JSON.stringify(entry));
+          }
+        };
+      }
+      function createIndexedDbCache(dbName) {
+        const name = dbName || "iiifToCslCache";
+        const STORE = "manifests";
+        if (typeof indexedDB === "undefined") {
+          throw new Error("createIndexedDbCache: indexedDB is not available here");
+        }
+        let dbPromise = null;
+        const openDb = () => {
+          if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+              const req = indexedDB.open(name, 1);
+              req.onupgradeneeded = () => {
+                req.result.createObjectStore(STORE, { keyPath: "url" });
+              };
+              req.onsuccess = () => resolve(req.result);
+              req.onerror = () => reject(req.error);
+            });
+          }
+          return dbPromise;
+        };
+        const request = async (mode, fn) => {
+          const db = await openDb();
+          return new Promise((resolve, reject) => {
+            const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+          });
+        };
+        return {
+          async get(url) {
+            return await request("readonly", (store) => store.get(url)) || null;
+          },
+          async set(url, entry) {
+            await request("readwrite", (store) => store.put({ ...entry, url }));
+          }
+        };
       }
       function attachToGlobal() {
         const root = typeof globalThis !== "undefined" && globalThis || typeof window !== "undefined" && window || typeof global !== "undefined" && global || {};
@@ -349,7 +4334,20 @@
         const api = Object.assign(existing, {
           version: "1.0.9",
           fromManifestUrl,
-          fromManifestUrls
+          fromManifestUrls,
+          fromManifestUrlsReport,
+          createRequestScheduler,
+          listProfiles,
+          resolveContentState,
+          manifestFromLinkParams,
+          isIiifSiteUrl,
+          MANIFEST_QUERY_PARAMS,
+          MANIFEST_DATA_ATTRIBUTES,
+          VIEWER_CONFIG_RE,
+          formatItems,
+          EXPORT_FILE_TYPES,
+          createSessionStorageCache,
+          createIndexedDbCache
         });
         root[NAMESPACE] = api;
         return api;
@@ -359,6 +4357,19 @@
         module.exports = {
           fromManifestUrl,
           fromManifestUrls,
+          fromManifestUrlsReport,
+          createRequestScheduler,
+          listProfiles,
+          resolveContentState,
+          manifestFromLinkParams,
+          isIiifSiteUrl,
+          MANIFEST_QUERY_PARAMS,
+          MANIFEST_DATA_ATTRIBUTES,
+          VIEWER_CONFIG_RE,
+          formatItems,
+          EXPORT_FILE_TYPES,
+          createSessionStorageCache,
+          createIndexedDbCache,
           attachToGlobal,
           globalApi: exportedGlobal
         };
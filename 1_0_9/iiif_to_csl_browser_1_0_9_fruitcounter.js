@@ -14,8 +14,45 @@
  *
  * It ONLY exposes a small, URL-based API:
  *
- *   iiifToCslBrowser.fromManifestUrl(url)      → Promise<CSLItem[]>
- *   iiifToCslBrowser.fromManifestUrls(urls[]) → Promise<CSLItem[]>
+ *   iiifToCslBrowser.fromManifestUrl(url, options?)      → Promise<CSLItem[]>
+ *   iiifToCslBrowser.fromManifestUrls(urls[], options?) → Promise<CSLItem[]>
+ *   iiifToCslBrowser.fromManifestUrlsReport(urls[], options?)
+ *                                                       → Promise<{ items, results }>
+ *
+ * and the core's request scheduler, to pass as `options.scheduler` when
+ * several of those calls should share one set of concurrency, per-host
+ * and host-delay limits:
+ *
+ *   iiifToCslBrowser.createRequestScheduler(options?)   → { run(url, fn) }
+ *
+ * plus two manifest caches that can be passed as `options.cache`:
+ *
+ *   iiifToCslBrowser.createSessionStorageCache(prefix?)
+ *   iiifToCslBrowser.createIndexedDbCache(dbName?)
+ *
+ * and the metadata-label mapping profiles the core knows about, for
+ * `options.profile`:
+ *
+ *   iiifToCslBrowser.listProfiles()                     → [{ name, description, hosts }]
+ *
+ * and the decoding of IIIF Content State links (viewer URLs with an
+ * `iiif-content` parameter), which fromManifestUrls() also accepts:
+ *
+ *   iiifToCslBrowser.resolveContentState(urlOrState)    → [{ manifestUrl, part, viewerUrl }]
+ *
+ * and the rules the core finds manifest links on a page with (see
+ * discoverManifestUrls() there), which the sniffer shares:
+ *
+ *   iiifToCslBrowser.manifestFromLinkParams(href, baseUrl?) → manifest URL or ""
+ *   iiifToCslBrowser.isIiifSiteUrl(url, baseUrl?)          → link to iiif.io?
+ *   iiifToCslBrowser.MANIFEST_QUERY_PARAMS, MANIFEST_DATA_ATTRIBUTES,
+ *     VIEWER_CONFIG_RE
+ *
+ * and the BibTeX / BibLaTeX / RIS serializers of the export module, with
+ * the extension and media type to download each format with:
+ *
+ *   iiifToCslBrowser.formatItems(items, format, options?) → string
+ *   iiifToCslBrowser.EXPORT_FILE_TYPES                   → { [format]: { extension, mimeType } }
  *
  * The idea is:
  *   1. Something else (manifest-sniffer, user, extension) collects URLs.
@@ -26,12 +63,18 @@
 // Try to load the core module in environments that support require().
 // In a pure browser bundle, your bundler (esbuild/rollup/webpack) will
 // rewrite/inline this require call.
+//
+// iiif_to_csl_browser_1_0_9.bundle.js (what the bookmarklets load) is
+// built from this file; rebuild it whenever this file or one of the
+// modules it bundles changes:
+//   npx esbuild iiif_to_csl_browser_1_0_9_fruitcounter.js --bundle --format=iife \
+//     --platform=browser --outfile=iiif_to_csl_browser_1_0_9.bundle.js
 let core = {};
 try {
   // NOTE: adjust this path to match your actual core filename.
-  // In this fruitcounter branch the file is:
-  //   "./iiif_to_csl_core_1_0_9_fruitcounter.js"
-  core = require("./iiif_to_csl_core_1_0_9_fruitcounter.js");
+  // The options API (concurrency etc.) needs the 1.1.0 core:
+  //   "./iiif_to_csl_core_1_1_0_fruittimer.js"
+  core = require("./iiif_to_csl_core_1_1_0_fruittimer.js");
 } catch (err) {
   // In a pure browser context without bundling, require() won't exist.
   // We silently ignore that here because the bundler will handle it.
@@ -40,8 +83,26 @@ try {
   core = (typeof window !== "undefined" && window.iiifToCslCore) || {};
 }
 
+// Same for the export formats (BibTeX, BibLaTeX, RIS). A bundle without
+// them still converts; only formatItems() is missing.
+let exporter = {};
+try {
+  exporter = require("./iiif_to_csl_export_1_1_0.js");
+} catch (err) {
+  exporter = (typeof window !== "undefined" && window.iiifToCslExport) || {};
+}
+
 const {
-  iiifManifestUrlsToCSL
+  iiifManifestUrlsToCSL,
+  iiifManifestUrlsToCSLReport,
+  createRequestScheduler,
+  listMappingProfiles,
+  resolveManifestReferences,
+  manifestFromLinkParams,
+  isIiifSiteUrl,
+  MANIFEST_QUERY_PARAMS,
+  MANIFEST_DATA_ATTRIBUTES,
+  VIEWER_CONFIG_RE
 } = core;
 
 /**
@@ -53,7 +114,7 @@ function ensureCoreAvailable() {
     throw new Error(
       "iiif_to_csl_browser_1_0_9: iiifManifestUrlsToCSL is not available.\n" +
       "Make sure the core library is bundled correctly, or that your bundler\n" +
-      "is resolving './iiif_to_csl_core_1_0_9_fruitcounter.js' as expected."
+      "is resolving './iiif_to_csl_core_1_1_0_fruittimer.js' as expected."
     );
   }
 }
@@ -68,26 +129,171 @@ function ensureCoreAvailable() {
  * Returns an array of CSL items (usually length 1), because the core
  * works in terms of "many URLs in, many items out".
  */
-async function fromManifestUrl(manifestUrl) {
+async function fromManifestUrl(manifestUrl, options) {
   ensureCoreAvailable();
   if (!manifestUrl) {
     throw new TypeError("fromManifestUrl: manifestUrl must be a non-empty string");
   }
-  return iiifManifestUrlsToCSL([manifestUrl]);
+  return iiifManifestUrlsToCSL([manifestUrl], options);
 }
 
 /**
  * Convert multiple IIIF manifest URLs to CSL-JSON.
  *
  * This is the primary high-level API: give it an array of manifest URLs
- * (strings) and it returns a Promise resolving to an array of CSL items.
+ * (strings) and it returns a Promise resolving to an array of CSL items,
+ * in the same order as the URLs.
+ *
+ * `options` is passed through to the core, e.g.
+ *   { concurrency: 6, perHostConcurrency: 2, hostDelayMs: 250 }
+ * or, to reuse manifests fetched earlier in this tab,
+ *   { cache: createSessionStorageCache() }
+ * or, to force a mapping profile (by name, or a profile object in the
+ * JSON format described under "Mapping profiles" in the core),
+ *   { profile: "gallica" }
+ *   { profiles: [myProfile] }   // chosen by manifest host, like the built-in ones
+ * or, to also read the catalog records linked via seeAlso (the record
+ * servers must allow cross-origin requests),
+ *   { enrich: true }
+ * or, to cite one canvas (by ID or 1-based number) or range of each
+ * manifest instead of the whole,
+ *   { part: "12" }
+ *   { part: { range: "https://example.org/iiif/ms1/range/r3" } }
  */
-async function fromManifestUrls(manifestUrls) {
+async function fromManifestUrls(manifestUrls, options) {
   ensureCoreAvailable();
   if (!Array.isArray(manifestUrls)) {
     throw new TypeError("fromManifestUrls: manifestUrls must be an array of strings");
   }
-  return iiifManifestUrlsToCSL(manifestUrls);
+  return iiifManifestUrlsToCSL(manifestUrls, options);
+}
+
+/**
+ * Like fromManifestUrls(), but resolves to the core's report,
+ * `{ items, results }`, with one result per URL saying whether it
+ * converted and, if not, why (`error: { code, httpStatus, message }`),
+ * instead of logging failures. Use it to show per-URL errors.
+ */
+async function fromManifestUrlsReport(manifestUrls, options) {
+  ensureCoreAvailable();
+  if (!Array.isArray(manifestUrls)) {
+    throw new TypeError("fromManifestUrlsReport: manifestUrls must be an array of strings");
+  }
+  if (typeof iiifManifestUrlsToCSLReport !== "function") {
+    throw new Error("fromManifestUrlsReport: the core in this bundle has no report API");
+  }
+  return iiifManifestUrlsToCSLReport(manifestUrls, options);
+}
+
+/**
+ * Serialize CSL items as "csl-json", "bibtex", "biblatex" or "ris"
+ * (see iiif_to_csl_export_1_1_0.js for the options).
+ */
+function formatItems(items, format, options) {
+  if (typeof exporter.formatItems !== "function") {
+    throw new Error("formatItems: the export module is not in this bundle");
+  }
+  return exporter.formatItems(items, format, options);
+}
+
+const EXPORT_FILE_TYPES = exporter.EXPORT_FILE_TYPES || {
+  "csl-json": { extension: "json", mimeType: "application/vnd.citationstyles.csl+json" }
+};
+
+/**
+ * List the mapping profiles that `options.profile` can name: the built-in
+ * ones, plus `options.profiles` if given.
+ */
+function listProfiles(options) {
+  ensureCoreAvailable();
+  return typeof listMappingProfiles === "function" ? listMappingProfiles(options) : [];
+}
+
+/**
+ * Say which manifest, and which canvas/region or range of it, a viewer
+ * link with an IIIF Content State (or a bare Content State) points at.
+ * A plain manifest URL resolves to itself. Throws if a Content State
+ * cannot be decoded.
+ */
+function resolveContentState(urlOrState) {
+  ensureCoreAvailable();
+  if (typeof resolveManifestReferences !== "function") {
+    throw new Error("resolveContentState: the core in this bundle does not decode Content State");
+  }
+  return resolveManifestReferences(urlOrState);
+}
+
+/* ------------------------------------------------------------
+ * Manifest caches (see "Manifest cache" in the core)
+ * ------------------------------------------------------------ */
+
+/**
+ * Cache backed by sessionStorage: survives reloads of the tab, not more.
+ * Entries are stored as JSON under `prefix + url`. Quota errors on write
+ * are swallowed by the core, so a full storage just means no caching.
+ */
+function createSessionStorageCache(prefix) {
+  const keyPrefix = prefix || "iiifToCsl:manifest:";
+  const storage = typeof sessionStorage !== "undefined" ? sessionStorage : null;
+  if (!storage) {
+    throw new Error("createSessionStorageCache: sessionStorage is not available here");
+  }
+
+  return {
+    async get(url) {
+      const raw = storage.getItem(keyPrefix + url);
+      return raw ? JSON.parse(raw) : null;
+    },
+    async set(url, entry) {
+      storage.setItem(keyPrefix + url, JSON.stringify(entry));
+    }
+  };
+}
+
+/**
+ * Cache backed by IndexedDB: persistent per origin, and without the few
+ * MB limit of sessionStorage. Uses one object store "manifests" keyed by
+ * URL in the database `dbName`.
+ */
+function createIndexedDbCache(dbName) {
+  const name = dbName || "iiifToCslCache";
+  const STORE = "manifests";
+  if (typeof indexedDB === "undefined") {
+    throw new Error("createIndexedDbCache: indexedDB is not available here");
+  }
+
+  let dbPromise = null;
+  const openDb = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(name, 1);
+        req.onupgradeneeded = () => {
+          req.result.createObjectStore(STORE, { keyPath: "url" });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  const request = async (mode, fn) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(STORE, mode).objectStore(STORE));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  };
+
+  return {
+    async get(url) {
+      return (await request("readonly", store => store.get(url))) || null;
+    },
+    async set(url, entry) {
+      await request("readwrite", store => store.put({ ...entry, url }));
+    }
+  };
 }
 
 /* ------------------------------------------------------------
@@ -111,7 +317,20 @@ function attachToGlobal() {
   const api = Object.assign(existing, {
     version: "1.0.9",
     fromManifestUrl,
-    fromManifestUrls
+    fromManifestUrls,
+    fromManifestUrlsReport,
+    createRequestScheduler,
+    listProfiles,
+    resolveContentState,
+    manifestFromLinkParams,
+    isIiifSiteUrl,
+    MANIFEST_QUERY_PARAMS,
+    MANIFEST_DATA_ATTRIBUTES,
+    VIEWER_CONFIG_RE,
+    formatItems,
+    EXPORT_FILE_TYPES,
+    createSessionStorageCache,
+    createIndexedDbCache
   });
 
   root[NAMESPACE] = api;
@@ -131,6 +350,19 @@ if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     fromManifestUrl,
     fromManifestUrls,
+    fromManifestUrlsReport,
+    createRequestScheduler,
+    listProfiles,
+    resolveContentState,
+    manifestFromLinkParams,
+    isIiifSiteUrl,
+    MANIFEST_QUERY_PARAMS,
+    MANIFEST_DATA_ATTRIBUTES,
+    VIEWER_CONFIG_RE,
+    formatItems,
+    EXPORT_FILE_TYPES,
+    createSessionStorageCache,
+    createIndexedDbCache,
     attachToGlobal,
     globalApi: exportedGlobal
   };
@@ -6,23 +6,96 @@
  * Version: 1.0.7
  *
  * Usage:
- *   node iiif_to_csl_cli_1_0_7.js <manifest_url> [more_urls...] [--out result.json]
+ *   node iiif_to_csl_cli_1_0_7.js <manifest_url> [more_urls...] [--out result.json] [--report failures.json]
+ *     [--concurrency N] [--per-host N] [--host-delay MS]
+ *     [--cache-dir DIR [--offline | --refresh]] [--profile NAME|profile.json]
+ *     [--canvas ID|N | --range ID] [--format csl-json|bibtex|biblatex|ris]
  *
  * Or:
  *   echo "https://example.org/iiif/manifest" | node iiif_to_csl_cli_1_0_7.js --out items.json
  *
- * URLs may come from argv, stdin, or both.
+ * URLs may come from argv, stdin, or both. Instead of a URL, an argument
+ * may also be a local manifest file or a directory (searched recursively
+ * for *.json files), and stdin may hold a manifest (or an array of
+ * manifests) as raw JSON:
+ *   node iiif_to_csl_cli_1_0_7.js saved/manifest.json saved/more/
+ *   cat manifest.json | node iiif_to_csl_cli_1_0_7.js
+ *
+ * A viewer link carrying an IIIF Content State (`?iiif-content=...`, as
+ * Mirador and Universal Viewer share them), or a bare Content State, is
+ * cited as exactly what it shows: the canvas, region or range it targets.
+ *
+ * --profile picks the metadata-label mapping profile: the name of a
+ * built-in one (default, bodleian, gallica, loc, ...), or a JSON file
+ * holding one profile (used for every manifest) or an array of profiles
+ * (chosen by manifest host, before the built-in ones). Without it the
+ * profile is chosen by manifest host.
+ *
+ * --explain-type lists, in each item's note, the signals that decided
+ * its CSL type.
+ *
+ * --enrich also fetches the MODS / MARCXML / Dublin Core / JSON-LD
+ * records a manifest links via seeAlso and lets them fill in (or, for
+ * names, dates and imprint, replace) what the IIIF metadata says.
+ *
+ * --format writes BibTeX, BibLaTeX or RIS instead of CSL-JSON (see
+ * iiif_to_csl_export_1_1_0.js), e.g. for LaTeX or EndNote:
+ *   node iiif_to_csl_cli_1_0_7.js https://example.org/iiif/ms1/manifest --format biblatex --out ms1.bib
+ *
+ * --canvas and --range cite one part of each manifest instead of the
+ * whole: a canvas by ID (optionally with #xywh=x,y,w,h for a region) or
+ * by number (1 = first canvas), or a range (chapter, section) by ID. The
+ * item gets the canvas label as `locator`, its number as `page` and the
+ * canvas as `URL`:
+ *   node iiif_to_csl_cli_1_0_7.js https://example.org/iiif/ms1/manifest --canvas 47
+ *
+ * A catalog or viewer page URL works too: the manifest(s) the page links
+ * to (<link rel="alternate">, an embedded Mirador / Universal Viewer
+ * configuration, data-manifest attributes, the IIIF drag-and-drop logo,
+ * ?manifest= links) are converted, with the page as the item's URL.
+ *
+ * Every other response is first checked for what it is: an Image API
+ * info.json, a single Canvas or JSON that is not IIIF at all is rejected
+ * with a message saying so (NOT_IIIF). --strict also checks the properties the Presentation API
+ * requires of the manifest's version (2 or 3) and reports the ones
+ * missing as INVALID_IIIF instead of converting.
  */
 
 const fs = require("fs");
-const { iiifManifestUrlsToCSL } = require("./iiif_to_csl_core_1_0_9.js");
+const path = require("path");
+const {
+  iiifManifestUrlsToCSLReport,
+  manifestsToCSLReport,
+  createRequestScheduler,
+  ERROR_CODES
+} = require("./iiif_to_csl_core_1_1_0_fruittimer.js");
+const { createFsManifestCache } = require("./iiif_to_csl_fs_cache_1_1_0.js");
+const {
+  CORE_VALUE_FLAGS,
+  applyCoreFlag,
+  parseFormatFlag,
+  applyProfileFlag,
+  applyPartFlag,
+  isFailure,
+  printValidationWarnings,
+  printTruncationWarnings,
+  printEnrichmentWarnings,
+  printFailureTable,
+  buildFailureReport
+} = require("./iiif_to_csl_cli_common_1_1_0.js");
+const { formatItems, EXPORT_FORMATS } = require("./iiif_to_csl_export_1_1_0.js");
 
 /* ------------------------------------------------------------
  * Parse command-line arguments
  * ------------------------------------------------------------ */
+
 function parseArgs(argv) {
   let outFile = null;
+  let reportFile = null;
+  let cacheDir = null;
+  let format = "csl-json";
   const urls = [];
+  const options = {};
 
   for (let i = 0; i < argv.length; i++) {
     const arg = argv[i];
@@ -43,6 +116,85 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--report") {
+      const next = argv[i + 1];
+      if (!next) {
+        console.error("Error: --report flag requires a filename.");
+        process.exit(1);
+      }
+      reportFile = next;
+      i++;
+      continue;
+    }
+
+    if (arg.startsWith("--report=")) {
+      reportFile = arg.slice("--report=".length);
+      continue;
+    }
+
+    const flag = arg.split("=")[0];
+    if (CORE_VALUE_FLAGS.includes(flag)) {
+      applyCoreFlag(flag, arg === flag ? argv[++i] : arg.slice(flag.length + 1), options);
+      continue;
+    }
+
+    if (arg === "--cache-dir") {
+      const next = argv[i + 1];
+      if (!next) {
+        console.error("Error: --cache-dir flag requires a directory.");
+        process.exit(1);
+      }
+      cacheDir = next;
+      i++;
+      continue;
+    }
+
+    if (arg.startsWith("--cache-dir=")) {
+      cacheDir = arg.slice("--cache-dir=".length);
+      continue;
+    }
+
+    if (arg === "--offline" || arg === "--refresh") {
+      if (options.cacheMode) {
+        console.error("Error: --offline and --refresh cannot be combined.");
+        process.exit(1);
+      }
+      options.cacheMode = arg.slice(2);
+      continue;
+    }
+
+    if (arg === "--format" || arg.startsWith("--format=")) {
+      const value = arg === "--format" ? argv[++i] : arg.slice("--format=".length);
+      format = parseFormatFlag(value, EXPORT_FORMATS);
+      continue;
+    }
+
+    if (arg === "--enrich") {
+      options.enrich = true;
+      continue;
+    }
+
+    if (arg === "--strict") {
+      options.strict = true;
+      continue;
+    }
+
+    if (arg === "--explain-type") {
+      options.explainType = true;
+      continue;
+    }
+
+    if (arg === "--profile" || arg.startsWith("--profile=")) {
+      applyProfileFlag(arg === "--profile" ? argv[++i] : arg.slice("--profile=".length), options);
+      continue;
+    }
+
+    if (arg === "--canvas" || arg.startsWith("--canvas=") || arg === "--range" || arg.startsWith("--range=")) {
+      const flag = arg.split("=")[0];
+      applyPartFlag(flag, arg === flag ? argv[++i] : arg.slice(flag.length + 1), options);
+      continue;
+    }
+
     if (arg.startsWith("-")) {
       console.error(`Warning: unrecognized flag '${arg}' (ignored).`);
       continue;
@@ -51,42 +203,216 @@ function parseArgs(argv) {
     urls.push(arg);
   }
 
-  return { outFile, urls };
+  if (options.cacheMode && !cacheDir) {
+    console.error(`Error: --${options.cacheMode} requires --cache-dir.`);
+    process.exit(1);
+  }
+  if (cacheDir) {
+    options.cache = createFsManifestCache(cacheDir);
+  }
+
+  return { outFile, reportFile, format, urls, options };
 }
 
 /* ------------------------------------------------------------
- * Read URLs from stdin (one per line)
+ * Read stdin: either raw manifest JSON, or URLs/paths one per line
  * ------------------------------------------------------------ */
-function readLinesFromStdin() {
+function readStdin() {
   return new Promise((resolve, reject) => {
     let data = "";
     process.stdin.setEncoding("utf8");
 
     process.stdin.on("data", chunk => (data += chunk));
     process.stdin.on("error", reject);
-    process.stdin.on("end", () => {
-      if (!data) return resolve([]);
-      resolve(
-        data
-          .split(/\r?\n/)
-          .map(s => s.trim())
-          .filter(Boolean)
-      );
-    });
+    process.stdin.on("end", () => resolve(data));
   });
 }
 
+/**
+ * Split stdin into `{ lines, manifests, failures }`. Text starting with
+ * "{" or "[" is taken as manifest JSON (one object or an array of them);
+ * anything else as one URL or path per line.
+ */
+function parseStdinInput(data) {
+  const text = (data || "").trim();
+  if (!text) return { lines: [], manifests: [], failures: [] };
+
+  if (text.startsWith("{") || text.startsWith("[")) {
+    try {
+      const parsed = JSON.parse(text);
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      return {
+        lines: [],
+        manifests: list.map(manifest => ({ manifest, source: "<stdin>" })),
+        failures: []
+      };
+    } catch (e) {
+      return {
+        lines: [],
+        manifests: [],
+        failures: [inputFailure("<stdin>", ERROR_CODES.JSON_PARSE_ERROR, `Invalid JSON on stdin: ${e.message}`)]
+      };
+    }
+  }
+
+  return {
+    lines: text.split(/\r?\n/).map(s => s.trim()).filter(Boolean),
+    manifests: [],
+    failures: []
+  };
+}
+
+/* ------------------------------------------------------------
+ * Local manifest files and directories
+ * ------------------------------------------------------------ */
+
+/**
+ * A failure entry shaped like the core's per-URL results, for inputs
+ * that never make it to the core (unreadable file, bad JSON).
+ */
+function inputFailure(source, code, message) {
+  return {
+    url: source,
+    status: "error",
+    item: null,
+    error: { code, httpStatus: null, message },
+    attempts: 0
+  };
+}
+
+/**
+ * Recursively list *.json files below `dir`, sorted for stable output.
+ */
+function findJsonFiles(dir) {
+  const found = [];
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      found.push(...findJsonFiles(full));
+    } else if (entry.isFile() && /\.json$/i.test(entry.name)) {
+      found.push(full);
+    }
+  }
+  return found;
+}
+
+/**
+ * Turn command-line/stdin inputs into a list of entries, in input order:
+ * `{ url }` for what the core fetches, `{ manifests }` (`{ manifest,
+ * source }` objects) for files and directories read here, and
+ * `{ failure }` for files that could not be read.
+ */
+function resolveInputs(inputs) {
+  const entries = [];
+
+  const readManifestFile = file => {
+    let raw;
+    try {
+      raw = fs.readFileSync(file, "utf8");
+    } catch (e) {
+      entries.push({ failure: inputFailure(file, ERROR_CODES.READ_ERROR, `Could not read file: ${e.message}`) });
+      return;
+    }
+    try {
+      const parsed = JSON.parse(raw);
+      const list = Array.isArray(parsed) ? parsed : [parsed];
+      entries.push({ manifests: list.map(manifest => ({ manifest, source: file })) });
+    } catch (e) {
+      entries.push({
+        failure: inputFailure(file, ERROR_CODES.JSON_PARSE_ERROR, `Invalid JSON in ${file}: ${e.message}`)
+      });
+    }
+  };
+
+  for (const input of inputs) {
+    if (/^https?:\/\//i.test(input)) {
+      entries.push({ url: input });
+      continue;
+    }
+
+    let stat = null;
+    try {
+      stat = fs.statSync(input);
+    } catch (_e) {
+      // Not a local path; let the core try it as a URL and report on it.
+      entries.push({ url: input });
+      continue;
+    }
+
+    if (stat.isDirectory()) {
+      const files = findJsonFiles(input);
+      if (files.length === 0) {
+        console.error(`Warning: no *.json files found in directory '${input}'.`);
+      }
+      files.forEach(readManifestFile);
+    } else {
+      readManifestFile(input);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Convert the entries of resolveInputs() and return `{ items, results }`
+ * in input order. The entries are converted concurrently, sharing one
+ * request scheduler so --concurrency and --per-host still hold overall.
+ */
+async function convertEntries(entries, options) {
+  const runOpts = { ...options, scheduler: createRequestScheduler(options) };
+  const reports = await Promise.all(entries.map(entry => {
+    if (entry.url) return iiifManifestUrlsToCSLReport([entry.url], runOpts);
+    if (entry.manifests) return manifestsToCSLReport(entry.manifests, runOpts);
+    return { items: [], results: [entry.failure] };
+  }));
+  return {
+    items: [].concat(...reports.map(r => r.items)),
+    results: [].concat(...reports.map(r => r.results))
+  };
+}
+
 /* ------------------------------------------------------------
  * Print usage help
  * ------------------------------------------------------------ */
 function printUsage() {
   console.error(`
 Usage:
-  node iiif_to_csl_cli_1_0_7.js <manifest_url> [more_urls...] [--out result.json]
+  node iiif_to_csl_cli_1_0_7.js <manifest_url|file|dir> [more...] [--out result.json] [--report failures.json]
+
+Options:
+  --out FILE       Write the CSL-JSON array to FILE instead of stdout.
+  --report FILE    Write the list of failed URLs (with error codes) as JSON to FILE.
+  --concurrency N  Fetch up to N manifests at once (default 1).
+  --per-host N     But no more than N at once from the same host (default: --concurrency).
+  --host-delay MS  Wait at least MS milliseconds between requests to the same host.
+  --retries N      Retry network errors, timeouts, 408/429/5xx up to N times (default 2).
+  --retry-delay MS Initial backoff before the first retry (default 1000, doubles each time).
+  --timeout MS     Give up on a request after MS milliseconds (default 15000).
+  --user-agent UA  User-Agent header to send (default "iiif-to-csl/1.1.0").
+  --lang LIST      Preferred languages for labels and values, e.g. de,en,none,* (default en,none,*).
+  --alt-titles M   Keep the title in other languages: 'original-title' (CSL field) or 'note'.
+  --profile P      Metadata-label mapping profile: a built-in name (default, bodleian, gallica,
+                   loc, ...) or a JSON file with one profile or an array of them
+                   (default: chosen by manifest host).
+  --explain-type   List the signals behind each item's type in its note.
+  --enrich         Also read the MODS/MARCXML/Dublin Core/JSON-LD records linked via seeAlso.
+  --canvas C       Cite one canvas instead of the whole manifest: its ID (optionally with
+                   #xywh=x,y,w,h) or its number (1 = first canvas).
+  --range R        Cite one range (chapter, section) by ID instead of the whole manifest.
+  --cache-dir DIR  Keep fetched manifests in DIR and revalidate them (ETag / Last-Modified).
+  --offline        Only use manifests already in --cache-dir; no network access.
+  --refresh        Ignore what is in --cache-dir, fetch again and overwrite it.
+  --strict         Reject manifests missing properties the IIIF Presentation API requires.
+  --format F       Output format: csl-json (default), bibtex, biblatex or ris.
 
 Examples:
   node iiif_to_csl_cli_1_0_7.js https://example.org/manifest.json
   echo "https://example.org/manifest" | node iiif_to_csl_cli_1_0_7.js --out out.json
+  node iiif_to_csl_cli_1_0_7.js saved_manifests/ --out out.json
+  cat manifest.json | node iiif_to_csl_cli_1_0_7.js
 `.trim());
 }
 
@@ -94,55 +420,61 @@ Examples:
  * Main
  * ------------------------------------------------------------ */
 async function main() {
-  const { outFile, urls: argvUrls } = parseArgs(process.argv.slice(2));
-  const stdinUrls = await readLinesFromStdin();
-  const urls = [...argvUrls, ...stdinUrls];
+  const { outFile, reportFile, format, urls: argvInputs, options } = parseArgs(process.argv.slice(2));
+  const stdin = parseStdinInput(await readStdin());
+  const entries = resolveInputs([...argvInputs, ...stdin.lines]);
+  if (stdin.manifests.length > 0) entries.push({ manifests: stdin.manifests });
+  for (const failure of stdin.failures) entries.push({ failure });
 
-  if (urls.length === 0) {
+  if (entries.length === 0) {
     printUsage();
     process.exit(1);
   }
 
-  const total = urls.length;
-
   try {
-    // Core does per-URL logging to stderr for failures
-    const items = await iiifManifestUrlsToCSL(urls);
+    // Items and failures come back in the order the inputs were given.
+    const { items, results } = await convertEntries(entries, options);
 
-    // 1) Always print the JSON result first (even if empty)
-    const json = JSON.stringify(items, null, 2);
+    // 1) Always print the result first (even if empty)
+    const output = formatItems(items, format).replace(/\n$/, "");
     if (outFile) {
-      fs.writeFileSync(outFile, json, "utf8");
+      fs.writeFileSync(outFile, output, "utf8");
     } else {
-      process.stdout.write(json + "\n");
+      process.stdout.write(output + "\n");
+    }
+
+    const report = buildFailureReport(results);
+    if (reportFile) {
+      fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), "utf8");
     }
 
-    // 2) Now compute and report failures at the very end
-      const success = items.length;
-      const failed = total - success;
+    // 2) Now report failures at the very end
+    const { total, succeeded, failed } = report;
+    printValidationWarnings(results);
+    printTruncationWarnings(results);
+    printEnrichmentWarnings(results);
+    printFailureTable(results.filter(isFailure));
 
-      // Case 1: no successes at all
-      if (success === 0) {
+    // Case 1: no successes at all
+    if (succeeded === 0) {
       console.error("No valid IIIF manifests were processed.");
       process.exitCode = 1;
       return;
-      }
+    }
 
-      // Case 2: all succeeded
-      if (failed === 0) {
-      console.error(`${success} of ${total} URL(s) converted successfully.`);
+    // Case 2: all succeeded
+    if (failed === 0) {
+      console.error(`${succeeded} of ${total} input(s) converted successfully.`);
       // exitCode remains 0
       return;
-      }
-
-      // Case 3: partial success
-      console.error(
-      `Warning: ${failed} of ${total} URL(s) failed to convert. (${success} succeeded)`
-      );
-      process.exitCode = 1;
+    }
 
-  } 
-  catch (err) {
+    // Case 3: partial success
+    console.error(
+      `Warning: ${failed} of ${total} input(s) failed to convert. (${succeeded} succeeded)`
+    );
+    process.exitCode = 1;
+  } catch (err) {
     // Catastrophic error (not per-URL), e.g. programming bug
     console.error("Fatal error:", err && err.message ? err.message : err);
     process.exit(1);
@@ -0,0 +1,307 @@
+"use strict";
+
+/**
+ * IIIF → CSL-JSON helpers shared by the command-line tools (Node only)
+ * Version: 1.1.0
+ *
+ * What iiif_to_csl_cli_1_0_9_fruitcounter.js and
+ * iiif_to_zotero_local_cli_0_2_0.js have in common: flags that turn into
+ * core options, and what they print or write about a run of the 1.1.0
+ * core's report API (iiifManifestUrlsToCSLReport()):
+ *
+ *   const { isFailure, printFailureTable } = require("./iiif_to_csl_cli_common_1_1_0.js");
+ *   const { items, results } = await iiifManifestUrlsToCSLReport(urls, options);
+ *   printFailureTable(results.filter(isFailure));
+ *
+ * Everything here reports to stderr, so stdout stays free for the items,
+ * and exits the process on invalid flags.
+ */
+
+const fs = require("fs");
+const {
+  findMappingProfile,
+  listMappingProfiles,
+  compileMappingProfile,
+  parsePartSpec
+} = require("./iiif_to_csl_core_1_1_0_fruittimer.js");
+
+/* ------------------------------------------------------------
+ * Flags
+ * ------------------------------------------------------------ */
+
+// Flags that take a non-negative integer, mapped to core option names.
+const INTEGER_FLAGS = {
+  "--concurrency": "concurrency",
+  "--per-host": "perHostConcurrency",
+  "--host-delay": "hostDelayMs",
+  "--retries": "retries",
+  "--retry-delay": "retryBaseDelayMs",
+  "--timeout": "timeoutMs"
+};
+
+// Flags with a value that both CLIs pass to the core the same way; see
+// applyCoreFlag().
+const CORE_VALUE_FLAGS = [...Object.keys(INTEGER_FLAGS), "--lang", "--alt-titles", "--user-agent"];
+
+/**
+ * parseIntegerFlag(flag, value)
+ *
+ * Parse the value of an integer flag, exiting on anything that is not a
+ * non-negative integer.
+ */
+function parseIntegerFlag(flag, value) {
+  if (value == null || !/^\d+$/.test(value)) {
+    console.error(`Error: ${flag} flag requires a non-negative integer.`);
+    process.exit(1);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * applyCoreFlag(flag, value, options)
+ *
+ * Apply one of CORE_VALUE_FLAGS to the core `options`: the request
+ * limits of INTEGER_FLAGS, --lang (→ options.languages), --alt-titles
+ * (→ options.alternateTitles) and --user-agent. Exits on invalid values,
+ * including a --timeout of 0.
+ */
+function applyCoreFlag(flag, value, options) {
+  if (INTEGER_FLAGS[flag]) {
+    options[INTEGER_FLAGS[flag]] = parseIntegerFlag(flag, value);
+    if (flag === "--timeout" && options.timeoutMs === 0) {
+      console.error("Error: --timeout must be at least 1 (milliseconds).");
+      process.exit(1);
+    }
+    return;
+  }
+  if (flag === "--lang") {
+    if (!value) {
+      console.error("Error: --lang flag requires a comma-separated list, e.g. en,none,*");
+      process.exit(1);
+    }
+    options.languages = value.split(",").map(s => s.trim()).filter(Boolean);
+    return;
+  }
+  if (flag === "--alt-titles") {
+    if (value !== "original-title" && value !== "note") {
+      console.error("Error: --alt-titles must be 'original-title' or 'note'.");
+      process.exit(1);
+    }
+    options.alternateTitles = value;
+    return;
+  }
+  if (flag === "--user-agent") {
+    if (value == null) {
+      console.error("Error: --user-agent flag requires a string.");
+      process.exit(1);
+    }
+    options.userAgent = value;
+  }
+}
+
+/**
+ * parseFormatFlag(value, formats)
+ *
+ * Check a --format value against the `formats` the CLI writes, exiting
+ * on any other.
+ */
+function parseFormatFlag(value, formats) {
+  if (!formats.includes(value)) {
+    console.error(`Error: --format must be one of ${formats.join(", ")}.`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * applyProfileFlag(value, options)
+ *
+ * Apply a --profile value to the core `options`: a profile name, or a
+ * JSON file with one profile (→ options.profile) or an array of them
+ * (→ options.profiles). Exits on unknown names and invalid files.
+ */
+function applyProfileFlag(value, options) {
+  if (!value) {
+    console.error("Error: --profile flag requires a profile name or a JSON file.");
+    process.exit(1);
+  }
+  if (findMappingProfile(value, options)) {
+    options.profile = value;
+    return;
+  }
+  if (!fs.existsSync(value)) {
+    const names = listMappingProfiles(options).map(p => p.name).join(", ");
+    console.error(`Error: unknown profile '${value}' (built-in: ${names}), and no such file.`);
+    process.exit(1);
+  }
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(value, "utf8"));
+    if (Array.isArray(parsed)) {
+      options.profiles = parsed;
+      parsed.forEach(p => compileMappingProfile(p, options));
+    } else {
+      options.profile = parsed;
+      compileMappingProfile(parsed, options);
+    }
+  } catch (err) {
+    console.error(`Error: could not load profile file '${value}': ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * applyPartFlag(flag, value, options)
+ *
+ * Apply a --canvas or --range value to the core `options` as
+ * options.part: a canvas ID (optionally with #xywh=x,y,w,h) or 1-based
+ * canvas number, or a range ID, taken as given even if it looks like a
+ * number. Exits on a missing value, a canvas number below 1 and a second
+ * --canvas or --range.
+ */
+function applyPartFlag(flag, value, options) {
+  if (!value) {
+    console.error(flag === "--canvas"
+      ? "Error: --canvas flag requires a canvas ID or a 1-based canvas number."
+      : "Error: --range flag requires a range ID.");
+    process.exit(1);
+  }
+  if (options.part) {
+    console.error("Error: only one --canvas or --range can be given.");
+    process.exit(1);
+  }
+  if (flag === "--range") {
+    options.part = { range: value };
+    return;
+  }
+  const target = parsePartSpec(value);
+  if (target.canvasIndex != null && target.canvasIndex < 0) {
+    console.error(`Error: --canvas numbers start at 1 (got '${value}').`);
+    process.exit(1);
+  }
+  if (target.id) {
+    target.canvas = target.id;
+    delete target.id;
+  }
+  options.part = target;
+}
+
+/* ------------------------------------------------------------
+ * Failure reporting
+ * ------------------------------------------------------------ */
+
+/**
+ * isFailure(result)
+ *
+ * True for the report entries that count as failed inputs: "error" and
+ * "skipped". A Collection's "truncated" entry is only a warning.
+ */
+function isFailure(result) {
+  return result.status === "error" || result.status === "skipped";
+}
+
+/**
+ * printFailureTable(failures)
+ *
+ * Print one line per failed or skipped URL to stderr, with the core's
+ * error code, HTTP status (if any) and message:
+ *
+ *   CODE              HTTP  URL
+ *                           message
+ */
+function printFailureTable(failures) {
+  if (failures.length === 0) return;
+
+  const codeWidth = Math.max(4, ...failures.map(r => r.error.code.length));
+  console.error("");
+  console.error(`${"CODE".padEnd(codeWidth)}  HTTP  URL`);
+  for (const r of failures) {
+    const http = r.error.httpStatus != null ? String(r.error.httpStatus) : "-";
+    console.error(`${r.error.code.padEnd(codeWidth)}  ${http.padEnd(4)}  ${r.url}`);
+    const tries = r.attempts > 1 ? ` (after ${r.attempts} attempts)` : "";
+    console.error(`${"".padEnd(codeWidth)}        ${r.error.message}${tries}`);
+  }
+  console.error("");
+}
+
+/**
+ * printValidationWarnings(results)
+ *
+ * Warn about manifests that were converted although they are not quite
+ * standard (e.g. a missing or unusual @context).
+ */
+function printValidationWarnings(results) {
+  for (const r of results) {
+    for (const w of (r.validation && r.validation.warnings) || []) {
+      console.error(`Warning: ${r.url}: ${w}`);
+    }
+  }
+}
+
+/**
+ * printTruncationWarnings(results)
+ *
+ * Warn about Collections whose members were not all converted because
+ * of the core's maxCollectionManifests limit.
+ */
+function printTruncationWarnings(results) {
+  for (const r of results) {
+    if (r.status === "truncated") console.error(`Warning: ${r.url}: ${r.error.message}`);
+  }
+}
+
+/**
+ * printEnrichmentWarnings(results)
+ *
+ * Warn about seeAlso records (--enrich) that could not be used; the
+ * items were still converted from the manifest alone.
+ */
+function printEnrichmentWarnings(results) {
+  for (const r of results) {
+    for (const e of r.enrichment || []) {
+      if (e.status === "ok") continue;
+      console.error(`Warning: seeAlso ${e.url} of ${r.url} not used: ${e.error.message}`);
+    }
+  }
+}
+
+/**
+ * buildFailureReport(results)
+ *
+ * Build the JSON written by --report: counts plus the failed entries
+ * (without CSL items, which already go to --out / stdout). Truncated
+ * Collections are listed under `truncated` and not counted as inputs.
+ */
+function buildFailureReport(results) {
+  const inputs = results.filter(r => r.status !== "truncated");
+  const failures = inputs.filter(isFailure);
+  const truncated = results.filter(r => r.status === "truncated");
+  return {
+    total: inputs.length,
+    succeeded: inputs.length - failures.length,
+    failed: failures.length,
+    ...(truncated.length ? { truncated: truncated.map(r => ({ url: r.url, error: r.error })) } : {}),
+    failures: failures.map(r => ({
+      url: r.url,
+      status: r.status,
+      attempts: r.attempts,
+      ...(r.collection ? { collection: r.collection } : {}),
+      error: r.error
+    }))
+  };
+}
+
+module.exports = {
+  CORE_VALUE_FLAGS,
+  parseIntegerFlag,
+  applyCoreFlag,
+  parseFormatFlag,
+  applyProfileFlag,
+  applyPartFlag,
+  isFailure,
+  printValidationWarnings,
+  printTruncationWarnings,
+  printEnrichmentWarnings,
+  printFailureTable,
+  buildFailureReport
+};
@@ -4,462 +4,4931 @@
  * IIIF → CSL-JSON core conversion library
  * Version: 1.0.7
  *
- * This module exposes a single main entry point:
+ * This module exposes two main entry points:
  *
- *   async iiifManifestUrlsToCSL(manifestUrls: string[]) => Promise<CSLItem[]>
+ *   async iiifManifestUrlsToCSL(manifestUrls: string[], options?) => Promise<CSLItem[]>
+ *   async iiifManifestUrlsToCSLReport(manifestUrls: string[], options?)
+ *     => Promise<{ items: CSLItem[], results: Result[] }>
+ *
+ * The second one reports, per URL, whether it converted and why not.
+ * manifestsToCSL() / manifestsToCSLReport() do the same for manifest
+ * objects that are already in memory, without fetching.
  *
  * It is extracted from the iiif_to_csl_1_0_7 CLI script, with all
- * stdin/argv/fs logic removed, so it can be:
+ * stdin/argv/fs logic removed (the only dependency is the record parser
+ * module, which has none of that either), so it can be:
  *   - required from a Node CLI wrapper, or
  *   - bundled into browser code for use from a bookmarklet/extension.
  */
 
-/**
- * looksLikeIIIFManifest(text)
- *
- * Very relaxed heuristic: for now we simply check that the response body
- * contains the string "iiif.io" somewhere, which is present in the
- * @context field of standard IIIF manifests.
- */
-function looksLikeIIIFManifest(text) {
-  if (!text) return false;
-  return /iiif\.io/.test(text);
-}
+// Parsers for the catalog records manifests link via `seeAlso` (see
+// "seeAlso enrichment" below).
+const {
+  detectSeeAlsoFormat,
+  parseSeeAlsoRecord
+} = require("./iiif_to_csl_records_1_1_0.js");
+
+// Default language preference: English, then values explicitly marked as
+// having no language, then whatever comes first.
+const DEFAULT_LANGUAGES = ["en", "none", "*"];
 
 /**
- * iiifLabelToString(label)
+ * getLabelLanguageEntries(label)
  *
- * Normalize various IIIF label encodings to a plain string:
- *  - v2: "label": "Foo"
- *  - v3: "label": { "en": ["Foo", "Bar"] }
- *  - v2 variants: arrays of objects like {"@value": "Foo"}
+ * Normalize any IIIF label/value encoding to a list of
+ *   [{ language, values: [string, ...] }]
+ * in document order, one entry per language. Values without a language
+ * (plain strings, v2 `@value` objects without `@language`, v3 "none" /
+ * "@none" keys) are grouped under language "none".
  */
-function iiifLabelToString(label) {
-  if (!label) return "";
+function getLabelLanguageEntries(label) {
+  if (label == null || label === "") return [];
 
-  // v3-style language map: { "en": ["Foo", "Bar"], ... }
-  if (typeof label === "object" && !Array.isArray(label)) {
-    const pieces = [];
-    for (const lang in label) {
-      const vals = label[lang];
-      if (Array.isArray(vals)) {
-        for (const v of vals) {
-          if (v) pieces.push(String(v));
-        }
-      }
+  const entries = [];
+  const add = (language, value) => {
+    if (value == null || value === "") return;
+    const lang = !language || language === "@none" ? "none" : String(language);
+    let entry = entries.find(e => e.language === lang);
+    if (!entry) {
+      entry = { language: lang, values: [] };
+      entries.push(entry);
     }
-    return pieces.join(" ").trim();
-  }
+    entry.values.push(String(value).trim());
+  };
+  const addV2 = item => {
+    if (item && typeof item === "object" && "@value" in item) {
+      add(item["@language"], item["@value"]);
+    } else if (item != null && typeof item !== "object") {
+      add("none", item);
+    }
+  };
 
-  // v2-style: array of objects
   if (Array.isArray(label)) {
-    const pieces = [];
-    for (const item of label) {
-      if (item && typeof item === "object" && "@value" in item) {
-        pieces.push(String(item["@value"]));
-      } else if (item != null) {
-        pieces.push(String(item));
+    // v2-style: array of strings and/or {"@value", "@language"} objects
+    label.forEach(addV2);
+  } else if (typeof label === "object" && "@value" in label) {
+    // v2-style: a single {"@value", "@language"} object
+    addV2(label);
+  } else if (typeof label === "object") {
+    // v3-style language map: { "en": ["Foo", "Bar"], ... }
+    for (const lang in label) {
+      const vals = label[lang];
+      for (const v of Array.isArray(vals) ? vals : [vals]) {
+        if (typeof v !== "object") add(lang, v);
       }
     }
-    return pieces.join(" ").trim();
+  } else {
+    add("none", label);
   }
 
-  // Plain string
-  if (typeof label === "string") {
-    return label.trim();
+  return entries.filter(e => e.values.some(Boolean));
+}
+
+/**
+ * pickLanguageEntry(entries, languages)
+ *
+ * Choose the entry (from getLabelLanguageEntries) that best matches the
+ * preference list `languages`, tried in order:
+ *   - "*" matches the first entry, whatever its language
+ *   - "none" matches values without a language
+ *   - a tag matches exactly ("en-GB"), as a prefix of a more specific
+ *     tag ("en" matches "en-GB"), or by its primary subtag ("en-GB"
+ *     matches "en")
+ * If nothing matches, the first entry is used anyway: a label in an
+ * unwanted language beats no label. Returns null only for no entries.
+ */
+function pickLanguageEntry(entries, languages) {
+  const prefs = Array.isArray(languages) && languages.length > 0
+    ? languages
+    : DEFAULT_LANGUAGES;
+
+  for (const pref of prefs) {
+    const p = String(pref).toLowerCase();
+    if (p === "*") return entries[0] || null;
+
+    const exact = entries.find(e => e.language.toLowerCase() === p);
+    if (exact) return exact;
+    if (p === "none") continue;
+
+    const narrower = entries.find(e => e.language.toLowerCase().startsWith(p + "-"));
+    if (narrower) return narrower;
+
+    const primary = p.split("-")[0];
+    const broader = entries.find(e => e.language.toLowerCase() === primary);
+    if (broader) return broader;
   }
+  return entries[0] || null;
+}
+
+/**
+ * iiifLabelToString(label, options)
+ *
+ * Normalize various IIIF label encodings to a plain string:
+ *  - v2: "label": "Foo"
+ *  - v3: "label": { "en": ["Foo", "Bar"], "fr": ["Toto"] }
+ *  - v2 variants: {"@value": "Foo", "@language": "en"}, or arrays of
+ *    such objects and/or strings
+ *
+ * Only one language is used, chosen by `options.languages` (see
+ * pickLanguageEntry; default ["en", "none", "*"]). Several values in
+ * that language are joined with `options.separator` (default " ").
+ */
+function iiifLabelToString(label, options) {
+  const opts = options || {};
+  const entry = pickLanguageEntry(getLabelLanguageEntries(label), opts.languages);
+  if (!entry) return "";
+
+  const separator = opts.separator != null ? opts.separator : " ";
+  return entry.values.filter(Boolean).join(separator).trim();
+}
 
-  // Fallback: just stringify
-  return String(label).trim();
+/**
+ * getAlternateLanguageLabels(label, options)
+ *
+ * The values of `label` in every language *other* than the one
+ * iiifLabelToString() picks: [{ language, value }].
+ */
+function getAlternateLanguageLabels(label, options) {
+  const opts = options || {};
+  const entries = getLabelLanguageEntries(label);
+  const chosen = pickLanguageEntry(entries, opts.languages);
+  return entries
+    .filter(e => e !== chosen)
+    .map(e => ({ language: e.language, value: e.values.filter(Boolean).join(" ") }))
+    .filter(e => e.value);
 }
 
 /**
- * getFirstMetadataValue(manifest, keyCandidates)
+ * getFirstMetadataValue(manifest, keyCandidates, options)
  *
  * Given a manifest object and an array of label names (e.g. ["Author",
  * "Creator", "author", "creator"]), search the IIIF metadata for the
  * first matching label and return its value as a string. If no such label
  * is found, return an empty string.
+ *
+ * A label matches if it matches in any of its languages; the value is
+ * taken in the preferred language (`options.languages`), with multiple
+ * values joined by "; ".
  */
-function getFirstMetadataValue(manifest, keyCandidates) {
+function getFirstMetadataValue(manifest, keyCandidates, options) {
   const metadata = manifest.metadata || [];
+  const keys = keyCandidates.map(k => k.toLowerCase());
   for (const entry of metadata) {
-    const labelStr = iiifLabelToString(entry.label || entry["label"]);
-    for (const key of keyCandidates) {
-      if (labelStr.toLowerCase() === key.toLowerCase()) {
-        const valueStr = iiifLabelToString(entry.value || entry["value"]);
-        if (valueStr) return valueStr;
-      }
+    const labelStrs = getLabelLanguageEntries(entry.label || entry["label"])
+      .map(e => e.values.join(" ").toLowerCase());
+    if (labelStrs.some(l => keys.includes(l))) {
+      const valueStr = iiifLabelToString(
+        entry.value || entry["value"],
+        { ...options, separator: "; " }
+      );
+      if (valueStr) return valueStr;
     }
   }
   return "";
 }
 
-/**
- * inferTypeFromMetadata(manifest)
- *
- * Try to infer a CSL type from IIIF metadata, label, or other hints.
- * Very simple for now: default to "book", with a few heuristic checks
- * for "manuscript" or "article-journal".
- */
-function inferTypeFromMetadata(manifest) {
-  const label = iiifLabelToString(manifest.label || manifest["label"]);
-  const descCandidates = [
-    iiifLabelToString(manifest.description || manifest["description"]),
-    getFirstMetadataValue(manifest, ["Type", "type"])
-  ].filter(Boolean);
+/* ------------------------------------------------------------
+ * Type inference
+ * ------------------------------------------------------------ */
 
-  const haystack = (label + " " + descCandidates.join(" ")).toLowerCase();
+// Keywords in metadata type/format/genre values, titles and descriptions,
+// mapped to the CSL type they suggest. Checked in order; every rule that
+// matches adds its weight (times the weight of the source it was found
+// in) to its type.
+const TYPE_KEYWORD_RULES = [
+  { type: "manuscript", weight: 1, re: /\bmanuscri(?:pt|ts|pts)\b|\bmanuscrit|\bhandschrift|\bcodex\b|\bcodices\b|\bcod\.\s|\bmss?\.?\s+[a-z0-9]|\bautograph\b|\bholograph\b|\bcharters?\b|\burkunde|\bdiplom[ae]\b|\bcartular|\broll\b|\bpapyr/i },
+  { type: "map", weight: 1, re: /\bmaps?\b|\batlas(?:es)?\b|\bcartograph|\bkarten?\b|\bcartes?\b(?!\s+de\s+visite)|\bplans? of\b|\bnautical chart|\bsea chart|\bglobes?\b|\bmappa\b|\btopographic/i },
+  { type: "graphic", weight: 1, re: /\bphotographs?\b|\bphotos?\b|\bphotographie|\bfotografie|\bdaguerreotype|\bnegatives?\b|\blantern slides?\b|\bengravings?\b|\betchings?\b|\bwoodcuts?\b|\blithographs?\b|\bprints? and drawings\b|\bdrawings?\b|\bpaintings?\b|\bposters?\b|\bplakat|\baffiches?\b|\bpostcards?\b|\bansichtskarte|\bstill ?image\b|\bvisual material|\bpictures?\b|\bportraits?\b|\bwatercolou?rs?\b|\bminiatures?\b|\bartworks?\b|\bgrafik\b|\bestampes?\b|\bdessins?\b/i },
+  { type: "letter", weight: 1, re: /\bletters?\b(?!\s*(?:press|patent|book))|\bcorrespondence\b|\bbriefe?\b|\blettres?\b|\bepistol|\bmissive\b|\btelegrams?\b/i },
+  { type: "article-newspaper", weight: 1, re: /\bnewspapers?\b|\bzeitung(?:en)?\b|\bgazett[ea]s?\b|\bquotidien|\bdaily\b|\bnewsletters?\b/i },
+  { type: "article-magazine", weight: 1, re: /\bmagazines?\b|\billustrierte\b/i },
+  { type: "periodical", weight: 1, re: /\bperiodicals?\b|\bserials?\b|\bzeitschriften?\b|\brevues?\b|\bjournals?\b/i },
+  { type: "article-journal", weight: 1, re: /\barticles?\b|\baufsatz\b|\boffprints?\b|\bsonderdruck/i },
+  { type: "song", weight: 1, re: /\bsound recordings?\b|\baudio\b|\bsound\b|\bmusic recordings?\b|\bsongs?\b|\bphonograph|\bgramophone|\bwax cylinders?\b|\baudiocassette|\b78 ?rpm\b|\btonträger|\bschallplatte/i },
+  { type: "motion_picture", weight: 1, re: /\bmotion pictures?\b|\bmoving ?images?\b|\bfilms?\b|\bvideos?\b|\bvideorecording|\bnewsreels?\b|\bmovies?\b|\bcinema/i },
+  { type: "musical_score", weight: 1, re: /\bscores?\b|\bsheet music\b|\bnotated music\b|\bmusical notation\b|\bmusikdruck|\bnoten\b|\bpartitions?\b/i },
+  { type: "interview", weight: 1, re: /\boral histor(?:y|ies)\b|\binterviews?\b/i },
+  { type: "thesis", weight: 1, re: /\btheses\b|\bthesis\b|\bdissertations?\b|\bhochschulschrift/i },
+  { type: "pamphlet", weight: 1, re: /\bpamphlets?\b|\bbroadsides?\b|\bflugschrift|\bflugblatt|\bchapbooks?\b|\btracts?\b/i },
+  { type: "book", weight: 1, re: /\bbooks?\b|\bprinted\b|\bmonographs?\b|\bincunabul|\bimprimés?\b|\bdrucke?\b|\bvolumes?\b|\bbuch\b/i }
+];
 
-  if (/manuscript|codex|ms\b/.test(haystack)) {
-    return "manuscript";
-  }
-  if (/article|journal|periodical/.test(haystack)) {
-    return "article-journal";
-  }
+// DCMI Type vocabulary and schema.org classes (as found in `seeAlso`,
+// `@type` or metadata values), mapped to a CSL type and weight.
+const VOCABULARY_TYPE_HINTS = {
+  "dcmitype/text": { type: "book", weight: 1 },
+  "dcmitype/stillimage": { type: "graphic", weight: 2 },
+  "dcmitype/image": { type: "graphic", weight: 2 },
+  "dcmitype/sound": { type: "song", weight: 3 },
+  "dcmitype/movingimage": { type: "motion_picture", weight: 3 },
+  "schema.org/map": { type: "map", weight: 3 },
+  "schema.org/photograph": { type: "graphic", weight: 3 },
+  "schema.org/visualartwork": { type: "graphic", weight: 3 },
+  "schema.org/painting": { type: "graphic", weight: 3 },
+  "schema.org/poster": { type: "graphic", weight: 3 },
+  "schema.org/imageobject": { type: "graphic", weight: 2 },
+  "schema.org/manuscript": { type: "manuscript", weight: 3 },
+  "schema.org/book": { type: "book", weight: 3 },
+  "schema.org/newspaper": { type: "article-newspaper", weight: 3 },
+  "schema.org/periodical": { type: "periodical", weight: 3 },
+  "schema.org/publicationissue": { type: "periodical", weight: 2 },
+  "schema.org/article": { type: "article-journal", weight: 2 },
+  "schema.org/scholarlyarticle": { type: "article-journal", weight: 3 },
+  "schema.org/newsarticle": { type: "article-newspaper", weight: 3 },
+  "schema.org/letter": { type: "letter", weight: 3 },
+  "schema.org/musicrecording": { type: "song", weight: 3 },
+  "schema.org/audioobject": { type: "song", weight: 3 },
+  "schema.org/movie": { type: "motion_picture", weight: 3 },
+  "schema.org/videoobject": { type: "motion_picture", weight: 3 },
+  "schema.org/sheetmusic": { type: "musical_score", weight: 3 },
+  "schema.org/musiccomposition": { type: "musical_score", weight: 2 },
+  "schema.org/thesis": { type: "thesis", weight: 3 },
+  "schema.org/archivecomponent": { type: "manuscript", weight: 1 },
+  // MODS typeOfResource and MARC leader/06, from seeAlso records.
+  "mods/text": { type: "book", weight: 1 },
+  "mods/manuscript": { type: "manuscript", weight: 3 },
+  "mods/cartographic": { type: "map", weight: 3 },
+  "mods/notated music": { type: "musical_score", weight: 3 },
+  "mods/sound recording": { type: "song", weight: 3 },
+  "mods/sound recording-musical": { type: "song", weight: 3 },
+  "mods/sound recording-nonmusical": { type: "song", weight: 3 },
+  "mods/still image": { type: "graphic", weight: 3 },
+  "mods/moving image": { type: "motion_picture", weight: 3 },
+  "marc/text": { type: "book", weight: 1 },
+  "marc/serial": { type: "periodical", weight: 2 },
+  "marc/manuscript": { type: "manuscript", weight: 3 },
+  "marc/notated-music": { type: "musical_score", weight: 3 },
+  "marc/manuscript-music": { type: "musical_score", weight: 3 },
+  "marc/cartographic": { type: "map", weight: 3 },
+  "marc/manuscript-cartographic": { type: "map", weight: 3 },
+  "marc/projected-medium": { type: "motion_picture", weight: 2 },
+  "marc/nonmusical-sound": { type: "song", weight: 3 },
+  "marc/musical-sound": { type: "song", weight: 3 },
+  "marc/graphic": { type: "graphic", weight: 3 }
+};
 
-  return "book";
-}
+// Weight of each place a keyword can be found in.
+const TYPE_SOURCE_WEIGHTS = {
+  metadata: 3,
+  label: 2,
+  description: 1
+};
+
+// When scores tie, the more specific type wins.
+const TYPE_PRIORITY = [
+  "motion_picture", "song", "musical_score", "map", "letter",
+  "article-newspaper", "article-magazine", "article-journal", "periodical",
+  "interview", "thesis", "pamphlet", "graphic", "manuscript", "book"
+];
+
+// Used when nothing points anywhere.
+const DEFAULT_CSL_TYPE = "book";
 
 /**
- * extractAuthors(manifest)
+ * getManifestCanvases(manifest)
  *
- * Attempt to obtain the list of authors/creators from IIIF metadata. This
- * returns an array of CSL author objects: [{ given: "...", family: "..." }].
+ * The Canvases of a v3 manifest (`items`) or of the first v2 sequence.
  */
-function extractAuthors(manifest) {
-  const creatorsRaw = getFirstMetadataValue(manifest, [
-    "Author",
-    "Authors",
-    "Creator",
-    "Creators",
-    "author",
-    "creator"
-  ]);
-
-  if (!creatorsRaw) return [];
-
-  // Naive split on semicolon or newline; this can be refined later.
-  const parts = creatorsRaw
-    .split(/[;\n]+/)
-    .map(p => p.trim())
-    .filter(Boolean);
-
-  return parts.map(nameStr => {
-    // Very naive given/family split: last word = family, rest = given
-    const tokens = nameStr.split(/\s+/);
-    if (tokens.length === 1) {
-      return { family: tokens[0] };
-    } else {
-      const family = tokens.pop();
-      const given = tokens.join(" ");
-      return { given, family };
-    }
-  });
+function getManifestCanvases(manifest) {
+  if (!manifest || typeof manifest !== "object") return [];
+  if (Array.isArray(manifest.items)) {
+    return manifest.items.filter(c => getResourceType(c) === "Canvas");
+  }
+  const sequences = Array.isArray(manifest.sequences) ? manifest.sequences : [];
+  const first = sequences[0];
+  return first && Array.isArray(first.canvases) ? first.canvases : [];
 }
 
-// Labels like "Created", "Published", "Created/published", "Published - created",
-// but *not* "Created by", "Published by", "Published for".
-const CREATED_PUBLISHED_LABEL_RE =
-  /^(created(?!\s*by)|published(?!\s*(by|for)))([-\/\s]+(created(?!\s*by)|published(?!\s*(by|for))))?$/i;
-
 /**
- * extractDate(manifest)
+ * getCanvasBodyTypes(canvas)
  *
- * Look for a date in common metadata fields. For now, just return a string
- * like "1489" or "1489-01-01" if found, otherwise "".
+ * The `type`s ("Image", "Sound", "Video", ...) of the painting
+ * annotation bodies of a v3 Canvas, and "Image" for v2 `images`.
  */
-function extractDate(manifest) {
-  // 1. First, try the explicit date-ish labels we already trust.
-  let dateStr = getFirstMetadataValue(manifest, [
-    "Date",
-    "Publication Date",
-    "date",
-    "Issued"
-  ]);
-
-  // 2. If nothing found, look for "Created… / Published…" style labels
-  //    (e.g. "Created/published", "Created - published").
-  if (!dateStr) {
-    const metadata = manifest.metadata || [];
-    for (const entry of metadata) {
-      const labelStr = iiifLabelToString(entry.label || entry["label"]);
-      if (CREATED_PUBLISHED_LABEL_RE.test(labelStr)) {
-        dateStr = iiifLabelToString(entry.value || entry["value"]);
-        if (dateStr) break;
+function getCanvasBodyTypes(canvas) {
+  const types = [];
+  if (Array.isArray(canvas.images) && canvas.images.length > 0) types.push("Image");
+  for (const page of canvas.items || []) {
+    for (const anno of (page && page.items) || []) {
+      const bodies = [].concat(anno.body || []);
+      for (const body of bodies) {
+        const items = body && body.type === "Choice" ? body.items || [] : [body];
+        for (const b of items) {
+          const t = getResourceType(b);
+          if (t) types.push(t);
+          else if (b && typeof b.format === "string") {
+            if (/^audio\//.test(b.format)) types.push("Sound");
+            if (/^video\//.test(b.format)) types.push("Video");
+            if (/^image\//.test(b.format)) types.push("Image");
+          }
+        }
       }
     }
   }
-
-  if (!dateStr) return "";
-
-  // 3. As before: try to pick out a year; fall back to the trimmed string.
-  const m = dateStr.match(/(1[0-9]{3}|20[0-9]{2})/);
-  if (m) return m[1];
-
-  return dateStr.trim();
+  return types;
 }
 
-
 /**
- * extractPublisher(manifest)
+ * getVocabularyTypeHints(manifest)
+ *
+ * DCMI Type and schema.org classes named by `seeAlso` entries (their
+ * `profile`, `type`/`@type`, `dcterms:type`, or `schema`) or by the
+ * manifest's own `@type`/`additionalType`: ["schema.org/map", ...].
  */
-function extractPublisher(manifest) {
-  const publisher = getFirstMetadataValue(manifest, [
-    "Publisher",
-    "publisher",
-    "Institution",
-    "Holding Institution",
-    "Repository"
-  ]);
-  return publisher || "";
+function getVocabularyTypeHints(manifest) {
+  const strings = [];
+  const collect = v => {
+    if (typeof v === "string") strings.push(v);
+    else if (Array.isArray(v)) v.forEach(collect);
+    else if (v && typeof v === "object") collect(v["@id"] || v.id);
+  };
+  const seeAlso = [].concat(manifest.seeAlso || []);
+  for (const entry of seeAlso) {
+    if (!entry || typeof entry !== "object") continue;
+    collect(entry.profile);
+    collect(entry.schema);
+    collect(entry.type);
+    collect(entry["@type"]);
+    collect(entry["dcterms:type"]);
+    collect(entry["dc:type"]);
+  }
+  collect(manifest.additionalType);
+  collect(manifest["dcterms:type"]);
+
+  const hints = [];
+  for (const s of strings) {
+    const m = /(dcmitype|schema\.org)[/#:]([A-Za-z]+)\/?$/i.exec(s) ||
+      /^(schema):([A-Za-z]+)$/i.exec(s);
+    if (!m) continue;
+    const vocab = /dcmitype/i.test(m[1]) ? "dcmitype" : "schema.org";
+    hints.push(`${vocab}/${m[2].toLowerCase()}`);
+  }
+  return hints;
 }
 
 /**
- * extractHomepageURL(manifest, manifestUrl)
+ * classifyCslType(manifest, options)
  *
- * Try to find a human-facing homepage URL for the resource described by
- * the manifest. We look at IIIF v3 `homepage` first, and then common
- * v2-style related links. We do NOT fall back to the manifest URL here;
- * that remains available separately and is always included in the note.
+ * Score every CSL type the manifest shows signs of, and pick the best:
+ *   - metadata rows the mapping profile maps to "type" ("Type",
+ *     "Format", "Genre", ...), weighted highest;
+ *   - DCMI / schema.org classes from `seeAlso` (getVocabularyTypeHints);
+ *   - v3 content: Sound or Video bodies, Canvas `duration`;
+ *   - v3 `behavior` ("paged" reads like a book);
+ *   - the number and size of Canvases (one sheet vs. many pages);
+ *   - keywords in the label, then the description/summary;
+ *   - a single Canvas, but only on top of other image signals.
+ * `options.typeHints` adds further hints: vocabulary classes, MODS /
+ * MARC resource types ("mods/cartographic", "marc/graphic") or free-text
+ * genres ("genre/broadside") from fetched seeAlso records.
+ *
+ * Returns { type, scores, rationale }, where rationale lists every
+ * signal as { type, weight, source, evidence }, strongest first. With no
+ * signals at all the type is "book".
  */
-function extractHomepageURL(manifest, manifestUrl) { // eslint-disable-line no-unused-vars
-  // IIIF Presentation 3: homepage can be a string, object, or array
-  const homepage = manifest.homepage;
-  const pickId = obj => {
-    if (!obj || typeof obj !== "object") return "";
-    if (typeof obj.id === "string") return obj.id;
-    if (typeof obj["@id"] === "string") return obj["@id"];
-    if (typeof obj.href === "string") return obj.href;
-    return "";
+function classifyCslType(manifest, options) {
+  const opts = options || {};
+  const rationale = [];
+  const add = (type, weight, source, evidence) => {
+    rationale.push({ type, weight, source, evidence });
   };
 
-  if (homepage) {
-    if (typeof homepage === "string") {
-      return homepage;
-    }
-    if (Array.isArray(homepage) && homepage.length > 0) {
-      const first = homepage[0];
-      if (typeof first === "string") return first;
-      const id = pickId(first);
-      if (id) return id;
-    } else if (typeof homepage === "object") {
-      const id = pickId(homepage);
-      if (id) return id;
+  const scanKeywords = (text, source) => {
+    if (!text) return;
+    for (const rule of TYPE_KEYWORD_RULES) {
+      const m = rule.re.exec(text);
+      if (m) add(rule.type, rule.weight * TYPE_SOURCE_WEIGHTS[source], source, m[0].trim());
     }
+  };
+
+  // 1. Explicit type/format/genre metadata.
+  for (const value of getProfileFieldValues(manifest, "type", opts)) {
+    scanKeywords(value, "metadata");
   }
 
-  // IIIF Presentation 2 often uses `related` for landing pages
-  const related = manifest.related;
-  if (related) {
-    if (typeof related === "string") return related;
-    if (Array.isArray(related) && related.length > 0) {
-      const first = related[0];
-      if (typeof first === "string") return first;
-      const id = pickId(first);
-      if (id) return id;
-    } else if (typeof related === "object") {
-      const id = pickId(related);
-      if (id) return id;
+  // 2. Controlled vocabularies.
+  const hints = getVocabularyTypeHints(manifest).concat(opts.typeHints || []);
+  for (const hint of hints) {
+    const key = String(hint).toLowerCase();
+    // Free-text genres from catalog records count like type metadata.
+    if (key.startsWith("genre/")) {
+      scanKeywords(key.slice("genre/".length), "metadata");
+      continue;
     }
+    const h = VOCABULARY_TYPE_HINTS[key];
+    if (h) add(h.type, h.weight, "vocabulary", hint);
   }
 
-  // No homepage-like URL found
-  return "";
-}
+  // 3. What the Canvases hold.
+  const canvases = getManifestCanvases(manifest);
+  const bodyTypes = new Set();
+  let timed = 0;
+  let visual = 0;
+  for (const canvas of canvases) {
+    getCanvasBodyTypes(canvas).forEach(t => bodyTypes.add(t));
+    if (typeof canvas.duration === "number" && canvas.duration > 0) timed++;
+    if (canvas.width && canvas.height) visual++;
+  }
+  if (bodyTypes.has("Video")) add("motion_picture", 4, "content", "Video body");
+  if (bodyTypes.has("Sound") || bodyTypes.has("Audio")) add("song", 4, "content", "Sound body");
+  if (timed > 0 && !bodyTypes.has("Video") && !bodyTypes.has("Sound")) {
+    if (visual > 0) add("motion_picture", 2, "content", "Canvas with duration and size");
+    else add("song", 2, "content", "Canvas with duration, no size");
+  }
 
-/**
- * buildIiifNote(manifest, manifestUrl)
- *
- * Construct a human-readable summary of the IIIF manifest metadata to
- * be stored in the CSL `note` field (which Zotero will show in Extra).
- */
-function buildIiifNote(manifest, manifestUrl) {
-  const lines = [];
-  lines.push("IIIF manifest metadata");
-  lines.push("======================");
-  lines.push("");
+  // 4. Presentation hints.
+  const behavior = [].concat(manifest.behavior || manifest.viewingHint || []);
+  if (behavior.includes("paged") || behavior.includes("facing-pages")) {
+    add("book", 1, "behavior", "paged");
+  }
 
-  if (manifestUrl) {
-    lines.push(`Manifest URL: ${manifestUrl}`);
+  // 5. Shape: a single large sheet vs. many pages.
+  if (timed === 0 && canvases.length === 1) {
+    const c = canvases[0];
+    if (c.width && c.height && Math.max(c.width, c.height) >= 6000 && c.width > c.height) {
+      add("map", 1, "canvases", `large landscape Canvas (${c.width}×${c.height})`);
+    }
+  } else if (timed === 0 && canvases.length >= 10) {
+    add("book", 1, "canvases", `${canvases.length} Canvases`);
   }
-  if (manifest["@id"]) {
-    lines.push(`@id: ${manifest["@id"]}`);
+
+  // 6. Words in the label and description.
+  scanKeywords(iiifLabelToString(manifest.label || manifest["label"], opts), "label");
+  scanKeywords(
+    iiifLabelToString(manifest.summary || manifest.description || manifest["description"], opts),
+    "description"
+  );
+
+  // 7. One Canvas backs up image signals (a photograph, a print); on its
+  // own it is just as likely a one-page letter, map or pamphlet.
+  if (timed === 0 && canvases.length === 1 && rationale.some(r => r.type === "graphic")) {
+    add("graphic", 1, "canvases", "single Canvas");
   }
-  if (manifest["@context"]) {
-    lines.push(`@context: ${manifest["@context"]}`);
+
+  const scores = {};
+  for (const r of rationale) {
+    scores[r.type] = (scores[r.type] || 0) + r.weight;
   }
 
-  const metadata = manifest.metadata || [];
-  if (metadata.length > 0) {
-    lines.push("");
-    lines.push("IIIF metadata:");
-    for (const entry of metadata) {
-      const k = iiifLabelToString(entry.label || entry["label"]);
-      const v = iiifLabelToString(entry.value || entry["value"]);
-      if (k || v) {
-        lines.push(`${k || "?"}: ${v}`);
-      }
+  let type = DEFAULT_CSL_TYPE;
+  let best = 0;
+  for (const t of TYPE_PRIORITY) {
+    if ((scores[t] || 0) > best) {
+      type = t;
+      best = scores[t];
     }
   }
 
-  return lines.join("\n").trim();
+  rationale.sort((a, b) => b.weight - a.weight);
+  return { type, scores, rationale };
 }
 
 /**
- * trimManifestDirectory(manifestUrl)
+ * inferTypeFromMetadata(manifest, options)
  *
- * Given the original manifest URL, drop the last path segment ("breadcrumb")
- * and strip any query/hash, in case a higher-level directory might serve as a
- * more human-facing landing page.
+ * The CSL type classifyCslType() picks for the manifest.
  */
-function trimManifestDirectory(manifestUrl) {
-  if (!manifestUrl) return "";
-  try {
-    const u = new URL(manifestUrl);
-    // Strip query + fragment
-    u.search = "";
-    u.hash = "";
+function inferTypeFromMetadata(manifest, options) {
+  return classifyCslType(manifest, options).type;
+}
 
-    const parts = u.pathname.split("/");
-    // Remove empty tail from trailing slash
-    if (parts.length > 1 && parts[parts.length - 1] === "") {
-      parts.pop();
+/**
+ * formatTypeRationale(classification)
+ *
+ * Human-readable lines explaining a classifyCslType() result, for the
+ * note (options.explainType).
+ */
+function formatTypeRationale(classification) {
+  const { type, scores, rationale } = classification;
+  const lines = [`Type: ${type} (${Object.entries(scores)
+    .sort((a, b) => b[1] - a[1])
+    .map(([t, s]) => `${t} ${s}`)
+    .join(", ") || "no signals, default"})`];
+  for (const r of rationale) {
+    lines.push(`  +${r.weight} ${r.type} ← ${r.source}: ${r.evidence}`);
+  }
+  return lines;
+}
+
+/* ------------------------------------------------------------
+ * Names
+ * ------------------------------------------------------------ */
+
+// Role terms as they appear after catalog names ("[illuminator]",
+// "(scribe)", ", editor"), mapped to a normalized role.
+const ROLE_TERMS = {
+  "author": "author",
+  "auteur": "author",
+  "verfasser": "author",
+  "editor": "editor",
+  "ed.": "editor",
+  "eds.": "editor",
+  "ed": "editor",
+  "herausgeber": "editor",
+  "hrsg.": "editor",
+  "éditeur scientifique": "editor",
+  "compiler": "compiler",
+  "comp.": "compiler",
+  "translator": "translator",
+  "trans.": "translator",
+  "tr.": "translator",
+  "übersetzer": "translator",
+  "traducteur": "translator",
+  "illustrator": "illustrator",
+  "ill.": "illustrator",
+  "illuminator": "illuminator",
+  "enlumineur": "illuminator",
+  "buchmaler": "illuminator",
+  "artist": "artist",
+  "engraver": "engraver",
+  "woodcutter": "engraver",
+  "scribe": "scribe",
+  "copyist": "scribe",
+  "calligrapher": "scribe",
+  "schreiber": "scribe",
+  "copiste": "scribe",
+  "printer": "printer",
+  "drucker": "printer",
+  "imprimeur": "printer",
+  "publisher": "publisher",
+  "bookseller": "publisher",
+  "cartographer": "cartographer",
+  "photographer": "photographer",
+  "composer": "composer",
+  "lyricist": "lyricist",
+  "former owner": "former owner",
+  "owner": "former owner",
+  "provenance": "former owner",
+  "vorbesitz": "former owner",
+  "binder": "binder",
+  "bookbinder": "binder",
+  "commentator": "commentator",
+  "annotator": "annotator",
+  "contributor": "contributor",
+  "donor": "donor",
+  "dedicatee": "dedicatee",
+  "patron": "patron",
+  "attributed name": "author",
+  "addressee": "recipient",
+  "recipient": "recipient",
+  "interviewer": "interviewer",
+  "director": "director",
+  "performer": "performer"
+};
+
+// Lower-case particles that belong to the family name ("van", "de la").
+const NAME_PARTICLES = [
+  "van", "von", "de", "der", "den", "del", "della", "degli", "dei", "di",
+  "da", "du", "des", "la", "le", "lo", "ter", "ten", "te", "zu", "zur",
+  "zum", "y", "d'", "dal", "dalla", "af", "av", "al", "el", "bin", "ibn",
+  "ben", "op", "'t", "vom"
+];
+
+const NAME_SUFFIXES = /^(?:jr\.?|jun\.?|sr\.?|sen\.?|ii|iii|iv|esq\.?|the elder|the younger|d\.\s*ä\.|d\.\s*j\.)$/i;
+
+// Honorifics and epithets that are dropped from the name ("Saint",
+// "King of England", "Pope", "Sir").
+const NAME_TITLES = /^(?:saint|st\.|sainte|heilige|sir|dame|lady|lord|king|queen|emperor|empress|pope|bishop|archbishop|cardinal|abbot|abbess|prior|duke|duchess|count|countess|earl|prince|princess|baron|baroness|marquis|elector|rabbi|brother|sister|father|mother|fra|frère|dom)\b/i;
+
+// Creators that are not a person: libraries, museums, firms, ... Matched
+// anywhere in the string, also inside German compounds
+// ("Staatsbibliothek").
+const CORPORATE_NAME_RE = /biblioth[eè][kq]|\blibrar(?:y|ies)\b|museum|musée|museo|universit|\bcollege\b|collège|\bsociety\b|société|gesellschaft|\bcompany\b|compagnie|\bcouncil\b|\bchurch\b|église|kirche|\babbey\b|abbaye|\babtei\b|monaster|kloster|archiv|\binstitut|academ|akademie|\bdepartment\b|\bministry\b|ministère|\bpress\b|verlag|\binc\.?$|\bltd\.?$|gmbh|\bfoundation\b|fondation|stiftung|\bassociation\b|\bcommission\b|\bgovernment\b|\boffice\b|\bparliament\b|\bcongress\b|\bcommittee\b|\bbureau\b|\bschool\b|\bhospital\b|\bcorporation\b|\b& co\b|\bco\.$/i;
+
+// Anonymous / unknown creators are not names at all.
+const ANONYMOUS_NAME_RE = /^(?:anon(?:ymous|yme|ym|imo)?\.?|unknown(?:\s+(?:author|artist|scribe|maker|creator))?|unbekannt|inconnu|ignoto|n\.\s?n\.|nn|not identified|author unknown|artiste inconnu)$/i;
+
+// Life dates and activity periods: "1564-1616", "b. 1400", "d. 1500",
+// "fl. 1450-1470", "ca. 1400-ca. 1450", "-1616", "active 15th century".
+const LIFE_DATES_RE = /^(?:(?:b|d|fl|ca|c|born|died|active|approximately|geb|gest|né|mort)\.?\s*)*(?:\d{3,4}\??|\d{1,2}(?:st|nd|rd|th|\.)?\s*(?:century|cent\.?|jh\.?))?\s*(?:[-–]\s*(?:(?:ca|c)\.?\s*)?(?:\d{3,4}\??)?)?\.?$/i;
+
+/**
+ * splitCreatorRole(str)
+ *
+ * Separate a catalog name from its role annotation and life dates:
+ *   "Shakespeare, William, 1564-1616"        → { name: "Shakespeare, William", role: "" }
+ *   "Jean Colombe [illuminator]"            → { name: "Jean Colombe", role: "illuminator" }
+ *   "Smith, John (scribe)"                  → { name: "Smith, John", role: "scribe" }
+ *   "Doe, Jane, 1900-1980, editor"          → { name: "Doe, Jane", role: "editor" }
+ *   "William Shakespeare (1564-1616)"       → { name: "William Shakespeare", role: "" }
+ * The role is normalized through ROLE_TERMS; unknown roles are kept
+ * lower-cased.
+ */
+function splitCreatorRole(str) {
+  let name = String(str || "").trim();
+  let role = "";
+
+  const takeRole = text => {
+    const t = text.trim().toLowerCase().replace(/\s+/g, " ");
+    if (!t) return false;
+    const terms = t.split(/\s*(?:,|;| and | & )\s*/).filter(Boolean);
+    const known = terms.map(term => ROLE_TERMS[term] || ROLE_TERMS[term.replace(/\.$/, "")]);
+    if (known.every(Boolean)) {
+      if (!role) role = known[0];
+      return true;
     }
-    // Remove last real segment if there's more than just root
-    if (parts.length > 1) {
+    return false;
+  };
+
+  // Bracketed/parenthesized parts: roles, dates, or other qualifiers that
+  // are not part of the name.
+  name = name.replace(/\s*[([]([^)\]]*)[)\]]\s*/g, (whole, inner) => {
+    if (takeRole(inner)) return " ";
+    if (LIFE_DATES_RE.test(inner.trim())) return " ";
+    if (/\d/.test(inner)) return " ";
+    return whole;
+  }).trim();
+
+  // "attributed to", "workshop of", "after": keep the name, drop the hedge.
+  name = name.replace(/^(?:attributed to|attr\.|workshop of|school of|circle of|follower of|after)\s+/i, "");
+
+  // Trailing ", editor", ", 1564-1616", ", active 1450" parts.
+  const parts = name.split(/\s*,\s*/);
+  while (parts.length > 1) {
+    const last = parts[parts.length - 1];
+    if (takeRole(last) || LIFE_DATES_RE.test(last)) {
       parts.pop();
+      continue;
     }
-    let newPath = parts.join("/");
-    if (!newPath.startsWith("/")) {
-      newPath = "/" + newPath;
-    }
-    u.pathname = newPath;
-    return u.toString();
-  } catch (_e) {
-    // If URL constructor fails (e.g. relative URL), just return original
-    return manifestUrl;
+    break;
+  }
+  name = parts.join(", ").replace(/[\s,;:]+$/, "");
+  // Catalog records end headings with a full stop ("Smith, John.");
+  // keep it after initials and abbreviations ("J.R.", "Jr.").
+  if (/[\p{Ll}]{2}\.$/u.test(name) && !NAME_SUFFIXES.test(name.split(/[\s,]+/).pop())) {
+    name = name.slice(0, -1);
   }
+
+  // "William Shakespeare 1564-1616" (no comma)
+  name = name.replace(/\s+(?:(?:b|d|fl|ca)\.\s*)?\d{3,4}\??\s*[-–]\s*\d{0,4}\??$/, "").trim();
+
+  return { name, role };
 }
 
 /**
- * extractIdFromManifest(manifest, manifestUrl)
+ * isCorporateName(name)
  *
- * Try to determine a unique-ish ID for citekey purposes: prefer the
- * manifest ID or URL, but we can also fall back to label if needed.
+ * Heuristic for institutional creators. "Church, Frederic Edwin" is a
+ * person: an inverted name whose given part has no corporate keyword
+ * is not treated as corporate, even if the family name looks like one.
  */
-function extractIdFromManifest(manifest, manifestUrl) {
-  if (manifest["@id"]) return String(manifest["@id"]);
-  if (manifest.id) return String(manifest.id);
-  if (manifestUrl) return String(manifestUrl);
+function isCorporateName(name) {
+  if (!CORPORATE_NAME_RE.test(name)) return false;
+  const comma = name.indexOf(",");
+  if (comma < 0) return true;
+  const before = name.slice(0, comma);
+  const after = name.slice(comma + 1).trim();
+  const looksLikeGiven = /^(?:[A-ZÀ-Ý][\p{L}'.-]*\s*){1,3}$/u.test(after) && !CORPORATE_NAME_RE.test(after);
+  return !(looksLikeGiven && before.trim().split(/\s+/).length <= 2);
+}
 
-  const label = iiifLabelToString(manifest.label || manifest["label"]);
-  if (label) return label;
+/**
+ * isNameParticle(word)
+ *
+ * Whether `word` is one of NAME_PARTICLES, in any case: catalogs write
+ * "de La Fontaine", "Van Dyck" and "VON GOETHE" as well as "van der".
+ */
+function isNameParticle(word) {
+  return NAME_PARTICLES.includes(String(word).toLowerCase());
+}
 
-  return "";
+/**
+ * splitParticles(words)
+ *
+ * Split a leading run of particles off a list of words:
+ * ["van", "der", "Weyden"] → { particles: "van der", rest: ["Weyden"] }.
+ */
+function splitParticles(words) {
+  let i = 0;
+  while (i < words.length - 1 && isNameParticle(words[i])) i++;
+  return { particles: words.slice(0, i).join(" "), rest: words.slice(i) };
 }
 
 /**
- * manifestToCSLItem(manifest, manifestUrl)
+ * parseCslName(str)
  *
- * Convert a single IIIF manifest object to a CSL-JSON item.
+ * Parse one creator string into a CSL name object:
+ *   "Shakespeare, William, 1564-1616" → { family: "Shakespeare", given: "William" }
+ *   "William Shakespeare"             → { family: "Shakespeare", given: "William" }
+ *   "Gogh, Vincent van"               → { family: "Gogh", given: "Vincent", "dropping-particle": "van" }
+ *   "Rogier van der Weyden"           → { family: "Weyden", given: "Rogier", "non-dropping-particle": "van der" }
+ *   "Jean de La Fontaine"             → { family: "Fontaine", given: "Jean", "non-dropping-particle": "de La" }
+ *   "King, Martin Luther, Jr."        → { family: "King", given: "Martin Luther", suffix: "Jr." }
+ *   "Thomas, Aquinas, Saint"          → { literal: "Thomas Aquinas" }
+ *   "Charles II, King of England"     → { literal: "Charles II" }
+ *   "British Library"                 → { literal: "British Library" }
+ *   "Homer"                           → { family: "Homer" }
+ *   "Master of the Dresden Prayerbook" → { literal: "Master of the Dresden Prayerbook" }
+ *   "Anonymous", "Unknown"            → null
+ * Role annotations and life dates are removed first (splitCreatorRole).
  */
-function manifestToCSLItem(manifest, manifestUrl) {
-  const title = iiifLabelToString(manifest.label || manifest["label"]) ||
-    extractIdFromManifest(manifest, manifestUrl) ||
-    "[untitled IIIF manifest]";
+function parseCslName(str) {
+  const { name } = splitCreatorRole(str);
+  if (!name || ANONYMOUS_NAME_RE.test(name)) return null;
 
-  const id = extractIdFromManifest(manifest, manifestUrl) || title;
+  // Appellations ("Master of the Dresden Prayerbook") and corporate
+  // bodies are kept whole.
+  if (/^master of\b/i.test(name) || isCorporateName(name)) {
+    return { literal: name };
+  }
 
-  const authors = extractAuthors(manifest);
-  const issued = extractDate(manifest);
-  const publisher = extractPublisher(manifest);
-  const type = inferTypeFromMetadata(manifest);
-  const homepage = extractHomepageURL(manifest, manifestUrl);
-  const note = buildIiifNote(manifest, manifestUrl);
-  const trimmedManifestUrl = trimManifestDirectory(manifestUrl); // fixed
+  let parts = name.split(/\s*,\s*/).filter(Boolean);
 
-  const cslItem = {
-    id,
-    type,
-    title,
-    URL: homepage || manifest["@id"] || manifest.id || trimmedManifestUrl || ""
-  };
+  let suffix = "";
+  let hadTitle = false;
+  parts = parts.filter((p, i) => {
+    if (i === 0) return true;
+    if (NAME_SUFFIXES.test(p)) {
+      suffix = p;
+      return false;
+    }
+    if (NAME_TITLES.test(p)) {
+      hadTitle = true;
+      return false;
+    }
+    return true;
+  });
 
-  if (authors.length > 0) {
-    cslItem.author = authors;
-  }
-  if (issued) {
-    cslItem.issued = { "date-parts": [[issued]] };
-  }
-  if (publisher) {
-    cslItem.publisher = publisher;
-  }
-  if (note) {
-    cslItem.note = note;
+  // Forename entries with an epithet or title ("Thomas, Aquinas, Saint",
+  // "Charles II, King of England", "Gregory, I, Pope") are better kept
+  // whole than forced into family/given.
+  if (hadTitle || (parts.length === 2 && /^[IVXL]+$/.test(parts[1]))) {
+    return { literal: parts.join(" ") };
   }
 
-  return cslItem;
-}
-async function fetchWithTimeout(url, opts = {}, timeoutMs = 15000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
+  const withSuffix = n => (suffix ? { ...n, suffix } : n);
 
-  try {
-    const res = await fetch(url, { ...opts, signal: controller.signal });
-    return res;
-  } finally {
-    clearTimeout(id);
-  }
-}
+  if (parts.length >= 2) {
+    // Inverted: "Family, Given [particle]"
+    const familyWords = parts[0].split(/\s+/);
+    const givenWords = parts[1].split(/\s+/);
+    const out = {};
 
-async function fetchManifest(url) {
-  const res = await fetchWithTimeout(url, {
-    headers: {
-      "User-Agent": "...",
-      "Accept": "application/json, text/html;q=0.9, */*;q=0.8",
-      "Accept-Language": "en-US,en;q=0.5"
-    }
-  }, 15000); // 15s, say
+    const lead = splitParticles(familyWords);
+    out.family = lead.rest.join(" ");
+    if (lead.particles) out["non-dropping-particle"] = lead.particles;
 
-  if (!res.ok) {
-    throw new Error(`HTTP ${res.status} for ${url}`);
+    let tail = givenWords.length;
+    while (tail > 1 && isNameParticle(givenWords[tail - 1])) tail--;
+    out.given = givenWords.slice(0, tail).join(" ");
+    if (tail < givenWords.length) {
+      out["dropping-particle"] = givenWords.slice(tail).join(" ");
+    }
+    return withSuffix(out);
   }
 
-  const text = await res.text();
-
-  // Only continue if the body looks vaguely like a IIIF manifest.
-  if (!looksLikeIIIFManifest(text)) {
-    console.error("Body did not look like IIIF. First 500 chars:\n");
-    console.error(text.slice(0, 500));
-    throw new Error(`Not a IIIF Presentation manifest: ${url}`);
+  // Direct order: "Given [particles] Family"
+  const words = parts[0].split(/\s+/);
+  if (words.length === 1) {
+    return withSuffix({ family: words[0] });
   }
 
-  return JSON.parse(text);
+  let familyStart = words.length - 1;
+  while (familyStart > 1 && isNameParticle(words[familyStart - 1])) familyStart--;
+  const given = words.slice(0, familyStart).join(" ");
+  const { particles, rest } = splitParticles(words.slice(familyStart));
+  const out = { family: rest.join(" "), given };
+  if (particles) out["non-dropping-particle"] = particles;
+  return withSuffix(out);
 }
 
 /**
- * iiifManifestUrlsToCSL(manifestUrls)
+ * splitCreatorList(str)
  *
- * High-level core API: given an array of manifest URLs, fetch each
- * manifest and convert to a CSL-JSON item. Returns a Promise resolving
- * to an array suitable for Zotero's CSL importer.
+ * Split a metadata value holding several creators. Semicolons, newlines
+ * and " | " always separate; multi-value metadata arrives joined by "; "
+ * (see getFirstMetadataValue).
+ */
+function splitCreatorList(str) {
+  return String(str || "")
+    .split(/\s*(?:[;\n]|\s\|\s)\s*/)
+    .map(p => p.trim())
+    .filter(Boolean);
+}
+
+// Normalized roles (ROLE_TERMS values) → CSL name variable. Roles not
+// listed here (e.g. "publisher") do not produce a CSL name; the publisher
+// is taken from its own metadata row by extractPublisher().
+const ROLE_TO_CSL_VARIABLE = {
+  "author": "author",
+  "artist": "author",
+  "cartographer": "author",
+  "photographer": "author",
+  "editor": "editor",
+  "compiler": "compiler",
+  "translator": "translator",
+  "illustrator": "illustrator",
+  "illuminator": "illustrator",
+  "engraver": "illustrator",
+  "composer": "composer",
+  "recipient": "recipient",
+  "interviewer": "interviewer",
+  "director": "director",
+  "performer": "performer",
+  "scribe": "contributor",
+  "printer": "contributor",
+  "former owner": "contributor",
+  "binder": "contributor",
+  "commentator": "contributor",
+  "annotator": "contributor",
+  "lyricist": "contributor",
+  "donor": "contributor",
+  "dedicatee": "contributor",
+  "patron": "contributor",
+  "contributor": "contributor"
+};
+
+// CSL name variables in the order they are written to the item.
+const CSL_NAME_VARIABLES = [
+  "author", "editor", "compiler", "translator", "illustrator", "composer",
+  "recipient", "interviewer", "director", "performer", "collection-editor",
+  "reviewed-author", "contributor"
+];
+
+// Metadata labels that hold creators, mapped to the role a name in that
+// row has unless it carries its own annotation ("Jean Colombe
+// [illuminator]" under "Creator"). Plurals are handled by
+// metadataLabelRole(). These are the `creators` of the default mapping
+// profile; other profiles add to them.
+const METADATA_ROLE_LABELS = {
+  "author": "author",
+  "creator": "author",
+  "auteur": "author",
+  "autor": "author",
+  "verfasser": "author",
+  "artist": "artist",
+  "maker": "author",
+  "cartographer": "cartographer",
+  "photographer": "photographer",
+  "editor": "editor",
+  "herausgeber": "editor",
+  "compiler": "compiler",
+  "translator": "translator",
+  "übersetzer": "translator",
+  "traducteur": "translator",
+  "illustrator": "illustrator",
+  "illuminator": "illuminator",
+  "illumination": "illuminator",
+  "engraver": "engraver",
+  "scribe": "scribe",
+  "copyist": "scribe",
+  "schreiber": "scribe",
+  "printer": "printer",
+  "drucker": "printer",
+  "composer": "composer",
+  "recipient": "recipient",
+  "addressee": "recipient",
+  "former owner": "former owner",
+  "vorbesitzer": "former owner",
+  "binder": "binder",
+  "contributor": "contributor",
+  "other contributor": "contributor",
+  "beteiligte": "contributor"
+};
+
+/**
+ * metadataLabelRole(label, options)
+ *
+ * The role implied by a metadata label, in any of its languages, or ""
+ * if the row does not hold creators: "Author(s)", "Scribes" and
+ * "Former owner" all match. Labels come from the `creators` of the
+ * active mapping profile (METADATA_ROLE_LABELS by default).
+ */
+function metadataLabelRole(label, options) {
+  const creators = getActiveProfile(options).creators;
+  const labelStrs = getLabelLanguageEntries(label)
+    .map(e => e.values.join(" ").trim().toLowerCase().replace(/\s*:$/, ""));
+  for (const l of labelStrs) {
+    const bare = l.replace(/\(s\)$/, "");
+    const role = creators[bare] ||
+      creators[bare.replace(/s$/, "")];
+    if (role) return role;
+  }
+  return "";
+}
+
+/**
+ * extractCreators(manifest, options)
+ *
+ * Collect every creator-like metadata row (see metadataLabelRole) and
+ * sort the names into CSL name variables:
+ *   { author: [...], editor: [...], illustrator: [...], contributor: [...] }
+ * A role annotation on a name wins over the role of its row, so
+ * "Jean Colombe [illuminator]" under "Creator" becomes an illustrator.
+ * Variables without names are left out; the same name is only listed
+ * once per variable.
+ */
+function extractCreators(manifest, options) {
+  const metadata = manifest.metadata || [];
+  const creators = {};
+  const seen = new Set();
+
+  for (const entry of metadata) {
+    const rowRole = metadataLabelRole(entry.label || entry["label"], options);
+    if (!rowRole) continue;
+
+    const valueStr = iiifLabelToString(
+      entry.value || entry["value"],
+      { ...options, separator: "; " }
+    );
+    for (const raw of splitCreatorList(valueStr)) {
+      const { role } = splitCreatorRole(raw);
+      const variable = ROLE_TO_CSL_VARIABLE[role || rowRole] ||
+        (role ? "contributor" : "");
+      if (!variable) continue;
+
+      const name = parseCslName(raw);
+      if (!name) continue;
+
+      const key = variable + " " + JSON.stringify(name);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      (creators[variable] = creators[variable] || []).push(name);
+    }
+  }
+
+  const ordered = {};
+  for (const v of CSL_NAME_VARIABLES) {
+    if (creators[v]) ordered[v] = creators[v];
+  }
+  return ordered;
+}
+
+/**
+ * extractAuthors(manifest, options)
+ *
+ * The CSL `author` names of a manifest (see extractCreators), e.g.
+ * [{ given: "...", family: "..." }, { literal: "British Library" }].
+ */
+function extractAuthors(manifest, options) {
+  return extractCreators(manifest, options).author || [];
+}
+
+/* ------------------------------------------------------------
+ * Mapping profiles
+ * ------------------------------------------------------------ */
+
+/*
+ * A mapping profile says which metadata rows feed which CSL fields. It is
+ * plain JSON, so institutions can keep their own next to their data:
+ *
+ *   {
+ *     "name": "my-library",
+ *     "description": "Labels used by our Mirador instance",
+ *     "hosts": ["iiif.example.org", "*.example.edu", "/^dl\\.example\\./"],
+ *     "extends": "default",
+ *     "creators": { "Ersteller": "author", "Schreiber": "scribe" },
+ *     "fields": {
+ *       "issued": { "labels": ["Entstehungszeit"] },
+ *       "archive_location": { "labels": ["Signatur", "Shelfmark"] },
+ *       "archive": { "labels": ["Bestandshaltende Einrichtung"], "replace": true },
+ *       "medium": { "patterns": ["^material"] }
+ *     }
+ *   }
+ *
+ * - hosts: where the profile applies when it is picked automatically.
+ *   A plain host matches exactly, "*.example.edu" matches example.edu and
+ *   its subdomains, "/.../" is a case-insensitive regex on the host.
+ * - extends: profile whose mappings this one adds to ("default" unless
+ *   given; null for none).
+ * - creators: metadata label → role (see ROLE_TERMS and
+ *   ROLE_TO_CSL_VARIABLE), merged over the parent's.
+ * - fields: CSL field → { labels, patterns }. Labels match whole labels,
+ *   patterns are case-insensitive regexes; labels are tried first, in
+ *   order, then patterns. Both are put in front of the parent's unless
+ *   "replace" is true. "issued", "publisher", "type", "archive",
+ *   "archive_location" and "collection-title" feed the extractors of the
+ *   same name; any other field is copied into the item as a string (e.g.
+ *   "medium", "language", "dimensions").
+ */
+
+const DEFAULT_PROFILE = {
+  name: "default",
+  description: "Generic labels used across IIIF providers",
+  hosts: [],
+  extends: null,
+  creators: METADATA_ROLE_LABELS,
+  fields: {
+    issued: {
+      labels: ["Date", "Publication Date", "Issued"],
+      // "Created", "Published", "Created/published", "Published - created",
+      // but *not* "Created by", "Published by", "Published for".
+      patterns: [
+        "^(created(?!\\s*by)|published(?!\\s*(by|for)))([-\\/\\s]+(created(?!\\s*by)|published(?!\\s*(by|for))))?$"
+      ]
+    },
+    // Publisher of a printed work. Holding institutions go to "archive",
+    // not here.
+    publisher: {
+      labels: ["Publisher", "Imprint"]
+    },
+    // Every matching row is a hint for classifyCslType().
+    type: {
+      labels: [
+        "Type", "Object Type", "Resource Type", "Type of Resource",
+        "Document Type", "Format", "Genre", "Genre/Form", "Form/Genre",
+        "Form", "Object Name", "Work Type", "Medium", "Physical Description"
+      ]
+    },
+    archive: {
+      labels: [
+        "Repository", "Holding Institution", "Holding Library", "Institution",
+        "Library", "Owning Institution", "Current Location"
+      ]
+    },
+    archive_location: {
+      labels: [
+        "Shelfmark", "Shelf mark", "Call Number", "Call No.", "Classmark",
+        "Pressmark", "Signature", "Signatur", "Cote", "Segnatura", "Signatura",
+        "Local Identifier"
+      ]
+    },
+    "collection-title": {
+      labels: ["Digital Collection", "Collection", "Part of", "Fonds"]
+    },
+    // Rights and license rows; see extractRights().
+    rights: {
+      labels: [
+        "Rights", "License", "Licence", "Copyright", "Copyright Status",
+        "Rights Statement", "Usage", "Terms of Use", "Conditions of Use",
+        "Reuse", "Use and Reproduction"
+      ]
+    },
+    // Identifier rows; see extractIdentifiers().
+    DOI: { labels: ["DOI", "Digital Object Identifier"] },
+    ISBN: { labels: ["ISBN"] },
+    ISSN: { labels: ["ISSN"] },
+    identifier: {
+      labels: [
+        "Identifier", "Identifiers", "Persistent Identifier", "Persistent URL",
+        "Permalink", "Permanent Link", "Stable URL", "ARK", "Handle", "OCLC",
+        "OCLC Number", "Other Identifier", "Record Identifier"
+      ]
+    }
+  }
+};
+
+// Profiles for providers whose labels differ from the defaults. Chosen by
+// manifest host unless `options.profile` names one.
+const BUILTIN_PROFILES = [
+  DEFAULT_PROFILE,
+  {
+    name: "bodleian",
+    description: "Bodleian Libraries, University of Oxford (Digital Bodleian)",
+    hosts: ["iiif.bodleian.ox.ac.uk", "digital.bodleian.ox.ac.uk"],
+    fields: {
+      issued: { labels: ["Date Statement"] },
+      archive_location: { labels: ["Shelfmark"] }
+    }
+  },
+  {
+    name: "british-library",
+    description: "British Library",
+    hosts: ["api.bl.uk", "iiif.bl.uk"],
+    fields: {
+      archive_location: { labels: ["Shelfmark"] }
+    }
+  },
+  {
+    name: "gallica",
+    description: "Bibliothèque nationale de France (Gallica)",
+    hosts: ["gallica.bnf.fr"],
+    creators: { "auteur": "author", "contributeur": "contributor" },
+    fields: {
+      publisher: { labels: ["Éditeur"] },
+      archive: { labels: ["Source"] },
+      archive_location: { labels: ["Cote", "Shelfmark"] }
+    }
+  },
+  {
+    name: "digitale-sammlungen",
+    description: "Bayerische Staatsbibliothek (Digitale Sammlungen / MDZ)",
+    hosts: ["api.digitale-sammlungen.de", "www.digitale-sammlungen.de"],
+    creators: { "ersteller": "author", "beteiligte person": "contributor" },
+    fields: {
+      issued: { labels: ["Datierung", "Erscheinungsjahr", "Entstehungszeit"] },
+      publisher: { labels: ["Verlag"] },
+      archive: { labels: ["Bestandshaltende Einrichtung"] },
+      archive_location: { labels: ["Signatur", "Shelfmark"] }
+    }
+  },
+  {
+    name: "e-codices",
+    description: "e-codices – Virtual Manuscript Library of Switzerland",
+    hosts: ["*.e-codices.unifr.ch", "e-codices.ch"],
+    fields: {
+      issued: { labels: ["Date of Origin"] },
+      archive_location: { labels: ["Shelfmark"] }
+    }
+  },
+  {
+    name: "loc",
+    description: "Library of Congress",
+    hosts: ["*.loc.gov"],
+    creators: { "contributor names": "author" },
+    fields: {
+      issued: { labels: ["Created / Published", "Date"] },
+      archive_location: { labels: ["Call Number/Physical Location", "Call Number"] }
+    }
+  }
+];
+
+// Fields handled by their own extractor rather than copied as strings.
+const PROFILE_EXTRACTOR_FIELDS = [
+  "issued", "publisher", "type", "archive", "archive_location", "collection-title",
+  "rights", "DOI", "ISBN", "ISSN", "identifier"
+];
+
+// Compiled profiles, so extractors can tell them from raw JSON.
+const compiledProfiles = new WeakSet();
+
+// The compiled form of each raw profile, per `options.profiles` list
+// (which `extends` is resolved against). The options bag is copied for
+// every manifest, the profiles list is not, so each profile is compiled
+// once per run rather than once per extractor call.
+const profileCompileCache = new WeakMap();
+const NO_EXTRA_PROFILES = [];
+
+/**
+ * findMappingProfile(name, options)
+ *
+ * Look up a profile by name among `options.profiles` and the built-in
+ * profiles; null if there is none.
+ */
+function findMappingProfile(name, options) {
+  const opts = options || {};
+  const all = (opts.profiles || []).concat(BUILTIN_PROFILES);
+  return all.find(p => p && p.name === name) || null;
+}
+
+/**
+ * listMappingProfiles(options)
+ *
+ * [{ name, description, hosts }] for `options.profiles` and the built-in
+ * profiles.
+ */
+function listMappingProfiles(options) {
+  const opts = options || {};
+  return (opts.profiles || []).concat(BUILTIN_PROFILES).map(p => ({
+    name: p.name,
+    description: p.description || "",
+    hosts: p.hosts || []
+  }));
+}
+
+/**
+ * toPatternRegExp(pattern)
+ *
+ * Compile a profile pattern (string or RegExp) case-insensitively.
+ */
+function toPatternRegExp(pattern) {
+  if (pattern instanceof RegExp) return new RegExp(pattern.source, "i");
+  return new RegExp(String(pattern), "i");
+}
+
+/**
+ * compileMappingProfile(profile, options)
+ *
+ * Resolve `extends` and turn a JSON profile into the form the extractors
+ * use: lower-cased labels, RegExp patterns. Throws on an unknown parent,
+ * a cycle, or an invalid regex. The result is cached (see
+ * profileCompileCache).
+ */
+function compileMappingProfile(profile, options, seen) {
+  if (compiledProfiles.has(profile)) return profile;
+  if (!profile || typeof profile !== "object") {
+    throw new TypeError("Mapping profile must be an object");
+  }
+  const scope = (options && options.profiles) || NO_EXTRA_PROFILES;
+  let cache = profileCompileCache.get(scope);
+  if (!cache) {
+    cache = new WeakMap();
+    profileCompileCache.set(scope, cache);
+  }
+  if (cache.has(profile)) return cache.get(profile);
+  const name = profile.name || "(unnamed)";
+  const chain = seen || [];
+  if (chain.includes(profile)) {
+    throw new Error(`Mapping profile "${name}" extends itself`);
+  }
+
+  let parent = null;
+  const parentName = profile.extends === undefined
+    ? (profile === DEFAULT_PROFILE ? null : "default")
+    : profile.extends;
+  if (parentName) {
+    const parentProfile = findMappingProfile(parentName, options);
+    if (!parentProfile) {
+      throw new Error(`Mapping profile "${name}" extends unknown profile "${parentName}"`);
+    }
+    parent = compileMappingProfile(parentProfile, options, chain.concat(profile));
+  }
+
+  const creators = { ...(parent ? parent.creators : {}) };
+  for (const [label, role] of Object.entries(profile.creators || {})) {
+    creators[label.toLowerCase()] = String(role).toLowerCase();
+  }
+
+  const fields = {};
+  const own = profile.fields || {};
+  const fieldNames = new Set(Object.keys(parent ? parent.fields : {}).concat(Object.keys(own)));
+  for (const field of fieldNames) {
+    const spec = own[field] || {};
+    const inherited = parent && parent.fields[field] && !spec.replace
+      ? parent.fields[field]
+      : { labels: [], patterns: [] };
+    let patterns;
+    try {
+      patterns = (spec.patterns || []).map(toPatternRegExp);
+    } catch (err) {
+      throw new Error(`Mapping profile "${name}": invalid pattern for ${field}: ${err.message}`);
+    }
+    fields[field] = {
+      labels: (spec.labels || []).map(l => String(l).toLowerCase()).concat(inherited.labels),
+      patterns: patterns.concat(inherited.patterns)
+    };
+  }
+
+  const compiled = {
+    name,
+    description: profile.description || "",
+    hosts: profile.hosts || [],
+    creators,
+    fields
+  };
+  compiledProfiles.add(compiled);
+  cache.set(profile, compiled);
+  return compiled;
+}
+
+/**
+ * profileMatchesHost(profile, host)
+ *
+ * True if one of the profile's `hosts` patterns matches `host`.
+ */
+function profileMatchesHost(profile, host) {
+  if (!host) return false;
+  const h = host.toLowerCase();
+  return (profile.hosts || []).some(pattern => {
+    const p = String(pattern).toLowerCase();
+    const regex = /^\/(.*)\/$/.exec(String(pattern));
+    if (regex) return new RegExp(regex[1], "i").test(h);
+    if (p.startsWith("*.")) return h === p.slice(2) || h.endsWith(p.slice(1));
+    return h === p;
+  });
+}
+
+/**
+ * selectMappingProfile(manifest, manifestUrl, options)
+ *
+ * The compiled profile to use for one manifest. `options.profile` may be
+ * a profile object, the name of one (in `options.profiles` or built in),
+ * or "auto"/unset: then the first profile whose `hosts` match the host
+ * of the manifest URL (or, failing that, of its id) is used, with
+ * `options.profiles` tried before the built-in ones, and "default" if
+ * none matches.
+ */
+function selectMappingProfile(manifest, manifestUrl, options) {
+  const opts = options || {};
+  const choice = opts.profile;
+
+  if (choice && typeof choice === "object") {
+    return compileMappingProfile(choice, opts);
+  }
+  if (choice && choice !== "auto") {
+    const named = findMappingProfile(choice, opts);
+    if (!named) throw new Error(`Unknown mapping profile "${choice}"`);
+    return compileMappingProfile(named, opts);
+  }
+
+  const m = manifest || {};
+  const hosts = [manifestUrl, m.id, m["@id"]]
+    .filter(u => typeof u === "string")
+    .map(getUrlHost)
+    .filter(Boolean);
+  const candidates = (opts.profiles || []).concat(BUILTIN_PROFILES);
+  for (const host of hosts) {
+    const match = candidates.find(p => profileMatchesHost(p, host));
+    if (match) return compileMappingProfile(match, opts);
+  }
+  return compileMappingProfile(DEFAULT_PROFILE, opts);
+}
+
+/**
+ * getActiveProfile(options)
+ *
+ * The profile the extractors should use: the one manifestToCSLItem()
+ * selected, or else what `options.profile` names (default profile if
+ * unset), for extractors called on their own.
+ */
+function getActiveProfile(options) {
+  const opts = options || {};
+  if (compiledProfiles.has(opts.profile)) return opts.profile;
+  return selectMappingProfile(null, "", opts);
+}
+
+/**
+ * getProfileFieldEntries(manifest, field, options)
+ *
+ * Every metadata row the active profile maps to `field`, as
+ * [{ label, value }]: rows matching a label first (in the order of the
+ * profile's labels), then rows matching a pattern. `label` is the row's
+ * first label; `value` is a string in the preferred language with
+ * multiple values joined by "; ".
+ */
+function getProfileFieldEntries(manifest, field, options) {
+  const spec = getActiveProfile(options).fields[field];
+  if (!spec) return [];
+  const metadata = manifest.metadata || [];
+  const labelsOf = entry => getLabelLanguageEntries(entry.label || entry["label"])
+    .map(e => e.values.join(" ").trim());
+  const valueOf = entry => iiifLabelToString(
+    entry.value || entry["value"],
+    { ...options, separator: "; " }
+  );
+
+  const matched = [];
+  const take = entry => {
+    if (matched.includes(entry)) return;
+    matched.push(entry);
+  };
+  for (const wanted of spec.labels) {
+    for (const entry of metadata) {
+      if (labelsOf(entry).some(l => l.toLowerCase() === wanted)) take(entry);
+    }
+  }
+  for (const re of spec.patterns) {
+    for (const entry of metadata) {
+      if (labelsOf(entry).some(l => re.test(l))) take(entry);
+    }
+  }
+  return matched
+    .map(entry => ({ label: labelsOf(entry)[0] || "", value: valueOf(entry) }))
+    .filter(e => e.value);
+}
+
+/**
+ * getProfileFieldValues(manifest, field, options)
+ *
+ * The values of getProfileFieldEntries().
+ */
+function getProfileFieldValues(manifest, field, options) {
+  return getProfileFieldEntries(manifest, field, options).map(e => e.value);
+}
+
+/**
+ * getProfileFieldValue(manifest, field, options)
+ *
+ * The first of getProfileFieldValues(), or "" if there is none.
+ */
+function getProfileFieldValue(manifest, field, options) {
+  return getProfileFieldValues(manifest, field, options)[0] || "";
+}
+
+/**
+ * extractProfileFields(manifest, options)
+ *
+ * Values for the fields of the active profile that have no extractor of
+ * their own (see PROFILE_EXTRACTOR_FIELDS): { archive_location: "...", ... }.
+ */
+function extractProfileFields(manifest, options) {
+  const profile = getActiveProfile(options);
+  const out = {};
+  for (const field of Object.keys(profile.fields)) {
+    if (PROFILE_EXTRACTOR_FIELDS.includes(field)) continue;
+    const value = getProfileFieldValue(manifest, field, options);
+    if (value) out[field] = value;
+  }
+  return out;
+}
+
+/* ------------------------------------------------------------
+ * Dates
+ * ------------------------------------------------------------ */
+
+// Month and season names as they turn up in catalog data (English,
+// French, German, Italian, Spanish, Latin), lower-case, without dots.
+const MONTH_NAMES = [
+  ["january", "jan", "janvier", "janv", "januar", "jänner", "gennaio", "enero", "ianuarius"],
+  ["february", "feb", "février", "fevrier", "févr", "fevr", "februar", "febbraio", "febrero", "februarius"],
+  ["march", "mar", "mars", "märz", "maerz", "marzo", "martius"],
+  ["april", "apr", "avril", "aprile", "abril", "aprilis"],
+  ["may", "mai", "maggio", "mayo", "maius"],
+  ["june", "jun", "juin", "juni", "giugno", "junio", "iunius"],
+  ["july", "jul", "juillet", "juil", "juli", "luglio", "julio", "iulius"],
+  ["august", "aug", "août", "aout", "agosto", "augustus"],
+  ["september", "sep", "sept", "septembre", "settembre", "septiembre"],
+  ["october", "oct", "octobre", "oktober", "okt", "ottobre", "octubre"],
+  ["november", "nov", "novembre", "noviembre"],
+  ["december", "dec", "décembre", "decembre", "déc", "dezember", "dez", "dicembre", "diciembre"]
+];
+
+const SEASON_NAMES = [
+  ["spring", "printemps", "frühling", "frühjahr", "primavera"],
+  ["summer", "été", "ete", "sommer", "estate", "verano"],
+  ["autumn", "fall", "automne", "herbst", "autunno", "otoño", "otono"],
+  ["winter", "hiver", "inverno", "invierno"]
+];
+
+const ORDINAL_WORDS = [
+  "first", "second", "third", "fourth", "fifth", "sixth", "seventh",
+  "eighth", "ninth", "tenth", "eleventh", "twelfth", "thirteenth",
+  "fourteenth", "fifteenth", "sixteenth", "seventeenth", "eighteenth",
+  "nineteenth", "twentieth", "twenty-first"
+];
+
+// Words that say "we don't know exactly": ca., circa, c. 1450, about, um, vers, ...
+const CIRCA_RE = /\b(?:circa|ca|approx(?:imately)?|about|around|um|vers|env(?:iron)?)\b\.?|\bc\.?\s*(?=\d)|\?/gi;
+
+// Open-ended dates cannot be expressed as CSL date-parts.
+const OPEN_ENDED_RE = /\b(?:before|after|not (?:before|after)|prior to|vor|nach|avant|après|apres|ante|post|terminus)\b/i;
+
+// What may stand between the two ends of a range. A bare hyphen is tried
+// last, since it also occurs inside ISO dates ("1789-03-03/1789-03-05").
+const RANGE_SEPARATOR_RES = [
+  /\s*(?:–|—|\s-\s|\/|\bto\b|\band\b|\bor\b|\boder\b|\bou\b|\bbis\b|\bà\b|\bau\b|\bal\b)\s*/gi,
+  /-/g
+];
+
+const CENTURY_WORD = "(?:century|centuries|cent\\.?|c\\.|jh\\.?|jhdt\\.?|jahrhundert[s]?|siècle|siecle|sec(?:olo)?\\.?|s\\.|saec\\.?|sæc\\.?)";
+
+/**
+ * romanToInt(str)
+ *
+ * "XIV" → 14; 0 for anything that is not a Roman numeral.
+ */
+function romanToInt(str) {
+  const VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100 };
+  const s = String(str || "").toLowerCase();
+  if (!/^[ivxlc]+$/.test(s)) return 0;
+  let total = 0;
+  for (let i = 0; i < s.length; i++) {
+    const v = VALUES[s[i]];
+    const next = VALUES[s[i + 1]] || 0;
+    total += v < next ? -v : v;
+  }
+  return total;
+}
+
+function lookupName(table, word) {
+  const w = word.toLowerCase().replace(/\.$/, "");
+  const idx = table.findIndex(names => names.includes(w));
+  return idx >= 0 ? idx + 1 : 0;
+}
+
+/**
+ * parseCenturies(str)
+ *
+ * Find centuries in `str` ("15th century", "XVe siècle", "15. Jh.",
+ * "s. XII", "saec. XII ex.", "fifteenth century") and return the year
+ * span they cover, narrowed by qualifiers such as "early", "mid", "late",
+ * "first half", "ex.", "in.", "2/2", "3/4". Two centuries ("12th–13th
+ * century", "s. XII–XIII") make one span. Returns { start, end } or null.
+ */
+function parseCenturies(str) {
+  const s = str.toLowerCase();
+  const found = [];
+  const push = (n, index) => {
+    if (n >= 1 && n <= 21) found.push({ n, index });
+  };
+
+  const patterns = [
+    // 15th century, 15. Jh., 15e siècle, 15th c.
+    [new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th|e|er|ème|eme|\\.)?\\s*(?:(?:[-–]|\\s(?:or|and|to)\\s)\\s*(?:early|mid|late)?-?\\s*\\d{1,2}(?:st|nd|rd|th|e|er|ème|eme|\\.)?\\s*)?${CENTURY_WORD}`, "g"), m => parseInt(m[1], 10)],
+    // XVth century, XVe siècle
+    [new RegExp(`\\b([ivxl]+)(?:th|e|er|ème|eme|\\.)?\\s*(?:[-–]\\s*[ivxl]+(?:th|e|er|ème|eme|\\.)?\\s*)?${CENTURY_WORD}`, "g"), m => romanToInt(m[1])],
+    // s. XII, saec. XII, sec. XV, s. XIIex
+    [/\b(?:s|saec|sæc|sec|saeculum)(?:\.\s*|\s+)([ivxl]+?)(?:ex|in)?(?![a-zà-ÿ])/g, m => romanToInt(m[1])],
+    // fifteenth century
+    [new RegExp(`\\b(${ORDINAL_WORDS.join("|")})\\s+${CENTURY_WORD}`, "g"), m => ORDINAL_WORDS.indexOf(m[1]) + 1]
+  ];
+
+  for (const [re, toNumber] of patterns) {
+    let m;
+    while ((m = re.exec(s)) !== null) {
+      push(toNumber(m), m.index);
+      // "12th–13th century" / "XII–XIII" name the second century without
+      // repeating the word: pick it up from the matched range.
+      const second = m[0].match(/(?:[-–]|\s(?:or|and|to)\s)\s*(?:early|mid|late)?-?\s*(\d{1,2}|[ivxl]+)/);
+      if (second) {
+        push(/\d/.test(second[1]) ? parseInt(second[1], 10) : romanToInt(second[1]), m.index + 1);
+      }
+    }
+  }
+  // "s. XII–XIII": the second numeral follows a dash, without prefix.
+  const romanRange = s.match(/\b(?:s|saec|sæc|sec)(?:\.\s*|\s+)[ivxl]+\s*[-–]\s*([ivxl]+?)(?:ex|in)?(?![a-zà-ÿ])/);
+  if (romanRange) push(romanToInt(romanRange[1]), s.length);
+
+  if (found.length === 0) return null;
+  found.sort((a, b) => a.index - b.index);
+
+  const first = found[0].n;
+  const last = found[found.length - 1].n;
+  let start = (first - 1) * 100;
+  let end = (last - 1) * 100 + 99;
+
+  // Qualifiers only make sense for a single century.
+  if (first === last) {
+    const base = start;
+    const QUARTERS = { first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4, last: 4 };
+    const quarter = s.match(/\b(first|1st|second|2nd|third|3rd|fourth|4th|last)\s+quarter\b/);
+    const fraction = quarter
+      ? [null, String(QUARTERS[quarter[1]]), "4"]
+      : s.match(/\b([1-4])\s*\/\s*([234])\b/);
+    if (fraction && parseInt(fraction[1], 10) <= parseInt(fraction[2], 10)) {
+      const part = parseInt(fraction[1], 10);
+      const of = parseInt(fraction[2], 10);
+      start = base + Math.round((part - 1) * 100 / of);
+      end = base + Math.round(part * 100 / of) - 1;
+    } else if (/\b(?:first|1st|1\.|première|premiere|erste)\s+(?:half|moitié|moitie|hälfte)/.test(s)) {
+      end = base + 49;
+    } else if (/\b(?:second|2nd|2\.|seconde|deuxième|zweite)\s+(?:half|moitié|moitie|hälfte)/.test(s)) {
+      start = base + 50;
+    } else if (/\b(?:early|beginning|begin|in\.|ineunte|anfang|frühes|début|debut|inizio|principios)\b|\bin\.?$|(?:[ivxl]|\d)in\b/.test(s)) {
+      end = base + 33;
+    } else if (/\b(?:mid|middle|med\.?|medio|mitte|milieu|metà|meta|mediados)\b/.test(s)) {
+      start = base + 33;
+      end = base + 66;
+    } else if (/\b(?:late|end|ex\.?|exeunte|ende|spätes|fin|fine|finales)\b|(?:[ivxl]|\d)ex\b/.test(s)) {
+      start = base + 66;
+    }
+  }
+
+  return { start, end };
+}
+
+/**
+ * parseDecade(str)
+ *
+ * "1450s", "1450er", and MARC-style unknown digits "145-", "14--",
+ * "14uu", "145x" → { start, end }, or null.
+ */
+function parseDecade(str) {
+  const s = str.trim().toLowerCase();
+  let m = s.match(/^(\d{3}0)(?:'?s|er(?: jahre)?)$/);
+  if (m) {
+    const start = parseInt(m[1], 10);
+    return { start, end: start + 9 };
+  }
+  m = s.match(/^(\d{2,3})([-ux]+)$/);
+  if (m && m[1].length + m[2].length === 4) {
+    const scale = Math.pow(10, m[2].length);
+    const start = parseInt(m[1], 10) * scale;
+    return { start, end: start + scale - 1 };
+  }
+  return null;
+}
+
+/**
+ * parseSingleDate(str)
+ *
+ * Parse one point in time into { year, month, day, season } (any of them
+ * may be missing). Understands ISO dates ("1789-03-03", "1789-03"),
+ * "03.03.1789", and free order of day, month name and year ("March 3,
+ * 1789", "3 mars 1789", "Spring 1850"), with AD/CE/BC/BCE eras. Returns
+ * null if there is nothing date-like in it.
+ */
+function parseSingleDate(str) {
+  const s = str.trim().replace(/^[,;:\s]+|[,;:\s]+$/g, "");
+  if (!s) return null;
+
+  let m = s.match(/^(-?\d{1,4})-(\d{1,2})(?:-(\d{1,2}))?(?:T[\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (m && parseInt(m[2], 10) >= 1 && parseInt(m[2], 10) <= 12) {
+    return {
+      year: parseInt(m[1], 10),
+      month: parseInt(m[2], 10),
+      day: m[3] ? parseInt(m[3], 10) : null
+    };
+  }
+
+  m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{3,4})$/);
+  if (m) {
+    return { year: parseInt(m[3], 10), month: parseInt(m[2], 10), day: parseInt(m[1], 10) };
+  }
+
+  const result = { year: null, month: null, day: null, season: null };
+  const smallNumbers = [];
+  let era = 0;
+
+  const tokens = s.toLowerCase().replace(/,/g, " ").split(/\s+/).filter(Boolean);
+  for (const raw of tokens) {
+    const token = raw.replace(/^[([]+|[)\]]+$/g, "");
+    if (/^(?:a\.?d\.?|c\.?e\.?|n\.?\s?chr\.?)$/.test(token)) {
+      era = 1;
+      continue;
+    }
+    if (/^(?:b\.?c\.?(?:e\.?)?|v\.?\s?chr\.?|av\.?\s?j\.?-?c\.?)$/.test(token)) {
+      era = -1;
+      continue;
+    }
+    const month = lookupName(MONTH_NAMES, token);
+    if (month && !result.month) {
+      result.month = month;
+      continue;
+    }
+    const season = lookupName(SEASON_NAMES, token);
+    if (season && !result.season) {
+      result.season = season;
+      continue;
+    }
+    const num = token.match(/^(\d{1,4})(?:st|nd|rd|th|er|e|\.)?$/);
+    if (num) {
+      if (num[1].length >= 3 && result.year == null) {
+        result.year = parseInt(num[1], 10);
+      } else {
+        smallNumbers.push(parseInt(num[1], 10));
+      }
+    }
+    // Anything else ("printed", "in", "le", ...) is ignored.
+  }
+
+  // "AD 50", "300 BC": with an explicit era, short numbers are years.
+  if (result.year == null && era !== 0 && smallNumbers.length > 0) {
+    result.year = smallNumbers.pop();
+  }
+  if (result.year == null) {
+    const fallback = s.match(/\b(\d{4})\b/);
+    if (fallback) result.year = parseInt(fallback[1], 10);
+  }
+  if (result.year != null && era === -1) {
+    result.year = -result.year;
+  }
+  // A day without a month ("5" in "March 3-5, 1789") is kept so that a
+  // range can borrow the month from its other end; datePartsOf() drops it
+  // otherwise.
+  if (smallNumbers.length > 0 && smallNumbers[0] >= 1 && smallNumbers[0] <= 31) {
+    result.day = smallNumbers[0];
+  }
+
+  if (result.year == null && !result.month && !result.day) return null;
+  return result;
+}
+
+/**
+ * isValidDateParts(d)
+ *
+ * Whether the month and day of a parseSingleDate() result exist: month
+ * 1–12, day within that month (29 February only in leap years, counted
+ * in the proleptic Gregorian calendar).
+ */
+function isValidDateParts(d) {
+  if (!d.month) return true;
+  if (d.month < 1 || d.month > 12) return false;
+  if (!d.day) return true;
+  const leap = (d.year % 4 === 0 && d.year % 100 !== 0) || d.year % 400 === 0;
+  const days = [31, leap ? 29 : 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31][d.month - 1];
+  return d.day >= 1 && d.day <= days;
+}
+
+function datePartsOf(d) {
+  const parts = [d.year];
+  if (d.month) {
+    parts.push(d.month);
+    if (d.day) parts.push(d.day);
+  }
+  return parts;
+}
+
+/**
+ * parseCslDate(str)
+ *
+ * Turn a free-text date from IIIF metadata into a CSL date object:
+ *
+ *   "1489"                    → { "date-parts": [[1489]] }
+ *   "1789-03-03"              → { "date-parts": [[1789, 3, 3]] }
+ *   "March 3, 1789"           → { "date-parts": [[1789, 3, 3]] }
+ *   "3 mars 1789"             → { "date-parts": [[1789, 3, 3]] }
+ *   "ca. 1450–1475"           → { "date-parts": [[1450], [1475]], circa: true }
+ *   "[1475?]"                 → { "date-parts": [[1475]], circa: true }
+ *   "1450-75"                 → { "date-parts": [[1450], [1475]] }
+ *   "between 1450 and 1475"   → { "date-parts": [[1450], [1475]] }
+ *   "1521 or 1522"            → { "date-parts": [[1521], [1522]] }
+ *   "March 3-5, 1789"         → { "date-parts": [[1789, 3, 3], [1789, 3, 5]] }
+ *   "1450s", "145-"           → { "date-parts": [[1450], [1459]] }
+ *   "15th century", "s. XV"   → { "date-parts": [[1400], [1499]] }
+ *   "late 15th century"       → { "date-parts": [[1466], [1499]] }
+ *   "s. XII ex."              → { "date-parts": [[1166], [1199]] }
+ *   "saec. IX 2/2"            → { "date-parts": [[850], [899]] }
+ *   "12th-13th century"       → { "date-parts": [[1100], [1299]] }
+ *   "ca. 850"                 → { "date-parts": [[850]], circa: true }
+ *   "300 BC"                  → { "date-parts": [[-300]] }
+ *   "Spring 1850"             → { "date-parts": [[1850]], season: 1 }
+ *   "before 1475", "undated"  → { literal: "before 1475" }, { literal: "undated" }
+ *   "2023-13-01", "1789-02-30" → { literal: "2023-13-01" }, { literal: "1789-02-30" }
+ *
+ * Months and days that do not exist make the whole date a literal.
+ * Returns null for an empty string.
+ */
+function parseCslDate(str) {
+  const original = String(str || "").trim();
+  if (!original) return null;
+
+  const literal = { literal: original };
+  if (OPEN_ENDED_RE.test(original)) return literal;
+
+  let s = original;
+  const centuries = parseCenturies(s);
+
+  const circa = CIRCA_RE.test(s);
+  CIRCA_RE.lastIndex = 0;
+  s = s
+    .replace(CIRCA_RE, " ")
+    .replace(/[[\]()]/g, " ")
+    .replace(/\b(?:between|from|entre|zwischen|tra|fra)\b/gi, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  const finish = (start, end) => {
+    if (!isValidDateParts(start) || (end && !isValidDateParts(end))) return literal;
+    const date = { "date-parts": [datePartsOf(start)] };
+    const endParts = end ? datePartsOf(end) : null;
+    if (endParts && endParts.join("-") !== date["date-parts"][0].join("-")) {
+      date["date-parts"].push(endParts);
+    }
+    if (circa) date.circa = true;
+    if (start.season) date.season = start.season;
+    return date;
+  };
+
+  if (centuries) {
+    return finish({ year: centuries.start }, { year: centuries.end });
+  }
+
+  const decade = parseDecade(s);
+  if (decade) {
+    return finish({ year: decade.start }, { year: decade.end });
+  }
+
+  // A whole single date (also keeps ISO "1789-03-03" away from the range
+  // splitting below). A full year-month-day that does not exist is not
+  // a range either ("2023-13-01").
+  const iso = s.match(/^-?\d{1,4}-(\d{1,2})(?:-\d{1,2})?(?:T.*)?$/);
+  if (iso && parseInt(iso[1], 10) >= 1 && parseInt(iso[1], 10) <= 12) {
+    return finish(parseSingleDate(s));
+  }
+  if (/^-?\d{3,4}-\d{1,2}-\d{1,2}(?:T.*)?$/.test(s)) return literal;
+
+  // Ranges: try every separator position until both sides make sense.
+  for (const separatorRe of RANGE_SEPARATOR_RES) {
+    const range = parseDateRange(s, separatorRe);
+    if (range) return finish(range.start, range.end);
+  }
+
+  const single = parseSingleDate(s);
+  if (single && single.year != null) return finish(single);
+
+  return literal;
+}
+
+/**
+ * parseDateRange(str, separatorRe)
+ *
+ * Split `str` at the first occurrence of `separatorRe` where both sides
+ * parse as dates and return { start, end }, or null.
+ */
+function parseDateRange(s, separatorRe) {
+  const re = new RegExp(separatorRe.source, separatorRe.flags);
+  let sep;
+  while ((sep = re.exec(s)) !== null) {
+    const leftStr = s.slice(0, sep.index);
+    const rightStr = s.slice(sep.index + sep[0].length);
+    const left = parseSingleDate(leftStr);
+    if (!left || !rightStr) continue;
+
+    // "1450-75", "1450/51": abbreviated end year.
+    if (left.year != null && !left.month && /^\d{1,2}$/.test(rightStr)) {
+      const scale = Math.pow(10, rightStr.length);
+      const endYear = left.year - (left.year % scale) + parseInt(rightStr, 10);
+      if (endYear > left.year) {
+        return { start: left, end: { year: endYear } };
+      }
+      continue;
+    }
+
+    const right = parseSingleDate(rightStr);
+    if (!right) continue;
+
+    // "March 3-5, 1789": the start borrows what it leaves out.
+    if (left.year == null) left.year = right.year;
+    if (!left.month && left.day) left.month = right.month;
+    if (!right.month && right.day) right.month = left.month;
+    if (right.year == null) right.year = left.year;
+    if (left.year == null) continue;
+    if (left.month && left.day && !right.day && right.month === left.month && right.year === left.year) {
+      continue;
+    }
+    return { start: left, end: right };
+  }
+  return null;
+}
+
+/**
+ * extractDate(manifest, options)
+ *
+ * Look for a date in common metadata fields and return it as found
+ * (e.g. "ca. 1450-1475", "s. XII"), or "" if there is none. v3 `navDate`
+ * is the last resort. Use parseCslDate() to turn it into a CSL date.
+ */
+function extractDate(manifest, options) {
+  // 1. Labels the mapping profile maps to "issued": "Date", "Publication
+  //    Date", ... then "Created… / Published…" style labels (e.g.
+  //    "Created/published", "Created - published").
+  let dateStr = getProfileFieldValue(manifest, "issued", options);
+
+  // 2. Presentation 3 navDate ("1850-01-01T00:00:00Z") is meant for
+  //    navigation, but better than nothing.
+  if (!dateStr && typeof manifest.navDate === "string") {
+    dateStr = manifest.navDate.replace(/T00:00:00(?:\.0+)?(?:Z|[+-]00:?00)?$/, "");
+  }
+
+  return (dateStr || "").trim();
+}
+
+
+/**
+ * extractPublisher(manifest, options)
+ *
+ * The publisher of a printed work: the first metadata row the mapping
+ * profile maps to "publisher" ("Publisher", "Imprint" by default), or "".
+ * The library holding the copy is the `archive` (extractArchive), not
+ * the publisher.
+ */
+function extractPublisher(manifest, options) {
+  return getProfileFieldValue(manifest, "publisher", options);
+}
+
+/* ------------------------------------------------------------
+ * Archival fields
+ * ------------------------------------------------------------ */
+
+// Lead-ins of attribution statements that name the holding institution:
+// "Provided by Bodleian Libraries", "Courtesy of the Walters Art Museum".
+const ATTRIBUTION_PREFIX_RE =
+  /^(?:(?:images?|digiti[sz]ation|digiti[sz]ed|content|material)\s+)?(?:provided by|courtesy of|held by|holding institution:|source:|owned by|from the collections? of|digiti[sz]ed by)\s*(?:the\s+)?/i;
+
+// Attribution text that is about rights, not about who holds the item.
+const RIGHTS_STATEMENT_RE =
+  /licen[cs]|creative commons|\bcc[- ]?(?:by|0|zero)\b|public domain|rights|copyright|©|\bterms\b|permission|https?:\/\//i;
+
+/**
+ * stripHtml(str)
+ *
+ * Drop tags and decode the few entities IIIF providers put in
+ * attribution and requiredStatement values.
+ */
+function stripHtml(str) {
+  return String(str || "")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .trim();
+}
+
+/**
+ * institutionFromAttribution(text)
+ *
+ * The institution named by an attribution statement ("Provided by X",
+ * "Courtesy of X"), or "" if it does not name one. A bare name is taken
+ * as is, unless it reads like a rights statement or is too long to be a
+ * name.
+ */
+function institutionFromAttribution(text) {
+  for (const line of stripHtml(text).split(/\n+/)) {
+    const sentence = line.trim().split(/(?<=[a-z)])\.\s+/)[0].replace(/\.$/, "").trim();
+    if (!sentence) continue;
+    const prefixed = ATTRIBUTION_PREFIX_RE.test(sentence);
+    const name = sentence.replace(ATTRIBUTION_PREFIX_RE, "").trim();
+    if (!name || RIGHTS_STATEMENT_RE.test(name) || name.length > 120) continue;
+    if (prefixed || isCorporateName(name)) return name;
+  }
+  return "";
+}
+
+/**
+ * getAttributionStatements(manifest, options)
+ *
+ * The text of the v2 `attribution` and the v3 `requiredStatement` value,
+ * in that order, with the entries of a multi-valued one on separate
+ * lines. Empty statements are left out.
+ */
+function getAttributionStatements(manifest, options) {
+  const statements = [];
+  if (manifest.attribution) {
+    statements.push(iiifLabelToString(manifest.attribution, { ...options, separator: "\n" }));
+  }
+  if (manifest.requiredStatement) {
+    statements.push(iiifLabelToString(manifest.requiredStatement.value, { ...options, separator: "\n" }));
+  }
+  return statements.filter(Boolean);
+}
+
+/**
+ * extractArchive(manifest, options)
+ *
+ * The institution holding the original, for CSL `archive`. In order:
+ * metadata the mapping profile maps to "archive" ("Repository", "Holding
+ * Institution", ...), the v3 `provider`, then who the v2 `attribution` /
+ * v3 `requiredStatement` credits. "" if none of them names one.
+ */
+function extractArchive(manifest, options) {
+  const fromMetadata = getProfileFieldValue(manifest, "archive", options);
+  if (fromMetadata) return fromMetadata;
+
+  const providers = Array.isArray(manifest.provider)
+    ? manifest.provider
+    : (manifest.provider ? [manifest.provider] : []);
+  for (const agent of providers) {
+    const name = iiifLabelToString(agent && agent.label, options);
+    if (name) return name;
+  }
+
+  for (const statement of getAttributionStatements(manifest, options)) {
+    const name = institutionFromAttribution(statement);
+    if (name) return name;
+  }
+  return "";
+}
+
+/**
+ * extractArchiveLocation(manifest, options)
+ *
+ * The shelfmark / call number, for CSL `archive_location`, from metadata
+ * the mapping profile maps to "archive_location" ("Shelfmark", "Call
+ * Number", "Signatur", "Cote", ...).
+ */
+function extractArchiveLocation(manifest, options) {
+  return getProfileFieldValue(manifest, "archive_location", options);
+}
+
+/**
+ * extractCollectionTitle(manifest, options)
+ *
+ * The digital collection the manifest belongs to, for CSL
+ * `collection-title`: metadata the mapping profile maps to
+ * "collection-title", else the label of the first v3 `partOf` / v2
+ * `within` that has one. (manifestToCSLItem prefers the title of a
+ * Collection it walked to reach the manifest.)
+ */
+function extractCollectionTitle(manifest, options) {
+  const fromMetadata = getProfileFieldValue(manifest, "collection-title", options);
+  if (fromMetadata) return fromMetadata;
+
+  const parents = [].concat(manifest.partOf || [], manifest.within || []);
+  for (const parent of parents) {
+    if (!parent || typeof parent !== "object") continue;
+    const label = iiifLabelToString(parent.label, options);
+    if (label) return label;
+  }
+  return "";
+}
+
+/* ------------------------------------------------------------
+ * Rights
+ * ------------------------------------------------------------ */
+
+// RightsStatements.org statement codes → their English names.
+const RIGHTS_STATEMENT_NAMES = {
+  "InC": "In Copyright",
+  "InC-OW-EU": "In Copyright – EU Orphan Work",
+  "InC-EDU": "In Copyright – Educational Use Permitted",
+  "InC-NC": "In Copyright – Non-Commercial Use Permitted",
+  "InC-RUU": "In Copyright – Rights-holder(s) Unlocatable or Unidentifiable",
+  "NoC-CR": "No Copyright – Contractual Restrictions",
+  "NoC-NC": "No Copyright – Non-Commercial Use Only",
+  "NoC-OKLR": "No Copyright – Other Known Legal Restrictions",
+  "NoC-US": "No Copyright – United States",
+  "CNE": "Copyright Not Evaluated",
+  "UND": "Copyright Undetermined",
+  "NKC": "No Known Copyright"
+};
+
+// URIs of licenses and rights statements in free text.
+const RIGHTS_URI_RE = /https?:\/\/(?:www\.)?(?:creativecommons\.org\/(?:licenses|publicdomain)|rightsstatements\.org\/(?:vocab|page))\/[^\s"'<>)\]]+/gi;
+
+/**
+ * describeLicense(uri)
+ *
+ * Recognize a Creative Commons or RightsStatements.org URI:
+ *   { uri, name: "CC BY-NC 4.0", kind: "license" }
+ *   { uri, name: "In Copyright – Educational Use Permitted", kind: "statement" }
+ * Other URIs come back with an empty name and kind "other".
+ */
+function describeLicense(uri) {
+  const u = String(uri || "").trim();
+  let m = /creativecommons\.org\/licenses\/((?:by|nc|nd|sa)(?:-(?:nc|nd|sa))*)\/(\d(?:\.\d)?)(?:\/([a-z]{2})(?=\/|[?#]|$))?/i.exec(u);
+  if (m) {
+    const port = m[3] ? ` ${m[3].toUpperCase()}` : "";
+    return { uri: u, name: `CC ${m[1].toUpperCase()} ${m[2]}${port}`, kind: "license" };
+  }
+  m = /creativecommons\.org\/publicdomain\/(zero|mark)\/(\d\.\d)/i.exec(u);
+  if (m) {
+    const name = m[1].toLowerCase() === "zero" ? `CC0 ${m[2]}` : `Public Domain Mark ${m[2]}`;
+    return { uri: u, name, kind: "license" };
+  }
+  m = /rightsstatements\.org\/(?:vocab|page)\/([A-Za-z-]+)\//i.exec(u);
+  if (m) {
+    const code = Object.keys(RIGHTS_STATEMENT_NAMES).find(k => k.toLowerCase() === m[1].toLowerCase());
+    if (code) return { uri: u, name: RIGHTS_STATEMENT_NAMES[code], kind: "statement" };
+  }
+  return { uri: u, name: "", kind: "other" };
+}
+
+// What makes two describeLicense() results the same license: the name
+// if it is a known one ("http://…/by/4.0/" and "https://…/by/4.0/deed.en"
+// are both CC BY 4.0), else the URI without scheme, "www." and trailing
+// slash.
+function licenseKey(license) {
+  if (license.name) return `${license.kind}:${license.name}`;
+  return license.uri.replace(/^https?:\/\/(?:www\.)?/i, "").replace(/\/+$/, "").toLowerCase();
+}
+
+/**
+ * extractRights(manifest, options)
+ *
+ * What a manifest says about reuse:
+ *   {
+ *     licenses,     // [{ uri, name, kind }] from v3 `rights`, v2 `license`
+ *                   // and license URIs in "Rights"-like metadata rows
+ *     attribution,  // text of v2 `attribution` / v3 `requiredStatement`
+ *     statements    // other text of the profile's "rights" rows
+ *   }
+ */
+function extractRights(manifest, options) {
+  const licenses = [];
+  const addLicense = uri => {
+    if (typeof uri !== "string" || !uri.trim()) return;
+    const license = describeLicense(uri);
+    if (licenses.some(l => licenseKey(l) === licenseKey(license))) return;
+    licenses.push(license);
+  };
+
+  if (manifest.rights) addLicense(resourceId(manifest.rights) || manifest.rights);
+  for (const license of [].concat(manifest.license || [])) {
+    addLicense(typeof license === "string" ? license : license && (license["@id"] || license.id));
+  }
+
+  const statements = [];
+  for (const value of getProfileFieldValues(manifest, "rights", options)) {
+    const text = stripHtml(value);
+    const uris = text.match(RIGHTS_URI_RE) || [];
+    uris.forEach(addLicense);
+    // What is left once the URIs are taken out, without a dangling "See"
+    const rest = uris.reduce((t, uri) => t.replace(uri, ""), text)
+      .replace(/[\s;:,-]+$/, "")
+      .replace(/\s*\b(?:see|cf\.)(?:\s+also)?$/i, "")
+      .replace(/^[\s;:,.-]+|[\s;:,-]+$/g, "");
+    if (rest && !statements.includes(rest)) statements.push(rest);
+  }
+
+  const attribution = getAttributionStatements(manifest, options)
+    .map(a => stripHtml(a).replace(/\s*\n\s*/g, " "))
+    .filter(Boolean)
+    .join(" ");
+
+  return { licenses, attribution, statements };
+}
+
+/**
+ * formatRights(rights)
+ *
+ * One line for CSL `license` (Zotero "Rights"): the licenses by name
+ * and URI, then other rights statements and the required attribution,
+ * separated by "; ". "" if the manifest says nothing about rights.
+ */
+function formatRights(rights) {
+  const parts = rights.licenses.map(l => (l.name ? `${l.name} (${l.uri})` : l.uri));
+  parts.push(...rights.statements);
+  if (rights.attribution) parts.push(`Required attribution: ${rights.attribution}`);
+  return parts.join("; ");
+}
+
+/**
+ * formatRightsNote(rights)
+ *
+ * The "Rights and reuse" section of the note, as lines ([] if there is
+ * nothing to say).
+ */
+function formatRightsNote(rights) {
+  const lines = [];
+  for (const l of rights.licenses) {
+    const label = l.kind === "statement" ? "Rights statement" : "License";
+    lines.push(l.name ? `${label}: ${l.name} <${l.uri}>` : `${label}: ${l.uri}`);
+  }
+  for (const s of rights.statements) lines.push(`Rights: ${s}`);
+  if (rights.attribution) lines.push(`Required attribution: ${rights.attribution}`);
+  return lines.length > 0 ? ["Rights and reuse:", ...lines] : [];
+}
+
+/* ------------------------------------------------------------
+ * Identifiers
+ * ------------------------------------------------------------ */
+
+// Identifier kinds collected, in the order they are reported. DOI, ISBN
+// and ISSN have CSL variables; the others go to the note.
+const IDENTIFIER_KINDS = ["DOI", "ISBN", "ISSN", "OCLC", "ARK", "Handle"];
+
+// Profile fields whose rows hold identifiers → the kind a bare value in
+// such a row is taken as ("" = the kind the row's label names, if any).
+const IDENTIFIER_PROFILE_FIELDS = { DOI: "DOI", ISBN: "ISBN", ISSN: "ISSN", identifier: "" };
+
+// Row labels naming an identifier kind, for bare values in generic
+// identifier rows ("OCLC Number: 12345678").
+const IDENTIFIER_LABEL_KINDS = [
+  { kind: "DOI", re: /\bdoi\b/i },
+  { kind: "ISBN", re: /\bisbn\b/i },
+  { kind: "ISSN", re: /\bissn\b/i },
+  { kind: "OCLC", re: /\b(?:oclc|worldcat)\b/i },
+  { kind: "ARK", re: /\bark\b/i },
+  { kind: "Handle", re: /\b(?:handle|hdl)\b/i }
+];
+
+// Prefixed and resolver forms, recognizable anywhere in a string.
+const IDENTIFIER_PATTERNS = [
+  { kind: "DOI", re: /(?:doi\.org\/|\bdoi:\s*)10\.\d{4,9}\/[^\s?#"'<>]+/gi },
+  { kind: "Handle", re: /(?:hdl\.handle\.net\/|\bhdl:\s*)\d[\d.]*\/[^\s?#"'<>]+/gi },
+  { kind: "ARK", re: /\bark:\/?\d{5,}\/[^\s/?#"'<>]+/gi },
+  { kind: "OCLC", re: /(?:\(OCoLC\)\s*|\boclc(?:\s*(?:no\.|number|#))?:?\s*|worldcat\.org\/oclc\/)(?:ocm|ocn|on)?\d{4,12}\b/gi },
+  { kind: "ISBN", re: /\bisbn(?:-1[03])?:?\s*[\dXx][\d -]{8,15}[\dXx]\b/gi },
+  { kind: "ISSN", re: /\bissn:?\s*\d{4}-?\d{3}[\dXx]\b/gi }
+];
+
+/**
+ * isValidIsbn(isbn)
+ *
+ * Check the check digit of a hyphen-free ISBN-10 or ISBN-13.
+ */
+function isValidIsbn(isbn) {
+  let sum = 0;
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    for (let i = 0; i < 10; i++) sum += (isbn[i] === "X" ? 10 : Number(isbn[i])) * (10 - i);
+    return sum % 11 === 0;
+  }
+  if (/^97[89]\d{10}$/.test(isbn)) {
+    for (let i = 0; i < 13; i++) sum += Number(isbn[i]) * (i % 2 === 0 ? 1 : 3);
+    return sum % 10 === 0;
+  }
+  return false;
+}
+
+/**
+ * isValidIssn(issn)
+ *
+ * Check the check digit of a hyphen-free ISSN.
+ */
+function isValidIssn(issn) {
+  if (!/^\d{7}[\dX]$/.test(issn)) return false;
+  let sum = 0;
+  for (let i = 0; i < 7; i++) sum += Number(issn[i]) * (8 - i);
+  const check = (11 - (sum % 11)) % 11;
+  return issn[7] === (check === 10 ? "X" : String(check));
+}
+
+/**
+ * normalizeIdentifier(kind, value)
+ *
+ * The canonical form of `value` as an identifier of `kind`, or "" if it
+ * is not one:
+ *   DOI     "10.1000/xyz123" (resolver, "doi:" prefix, query and fragment
+ *           dropped)
+ *   ISBN    "9780199535569" (hyphen-free, check digit verified)
+ *   ISSN    "0028-0836" (check digit verified)
+ *   OCLC    "1234567"
+ *   ARK     "ark:/12148/btv1b8449691v" (resolver and qualifiers dropped)
+ *   Handle  "2027/mdp.39015012345678"
+ */
+function normalizeIdentifier(kind, value) {
+  let v = String(value || "").trim();
+  try {
+    v = decodeURI(v);
+  } catch (_e) {
+    // Keep malformed escapes as they are
+  }
+  const trailing = /[.,;:)\]]+$/;
+  let m;
+  switch (kind) {
+    case "DOI":
+      m = /(?:^|doi\.org\/|\bdoi:\s*)(10\.\d{4,9}\/[^\s?#"'<>]+)/i.exec(v);
+      return m ? m[1].replace(trailing, "") : "";
+    case "ISBN": {
+      m = /^(?:urn:)?(?:isbn(?:-1[03])?:?\s*)?([\dXx][\d -]{8,15}[\dXx])\b/i.exec(v);
+      const isbn = m ? m[1].replace(/[ -]/g, "").toUpperCase() : "";
+      return isValidIsbn(isbn) ? isbn : "";
+    }
+    case "ISSN": {
+      m = /^(?:urn:)?(?:issn:?\s*)?(\d{4})-?(\d{3}[\dXx])\b/i.exec(v);
+      if (!m || !isValidIssn((m[1] + m[2]).toUpperCase())) return "";
+      return `${m[1]}-${m[2].toUpperCase()}`;
+    }
+    case "OCLC":
+      m = /^(?:\(OCoLC\)\s*|oclc(?:\s*(?:no\.|number|#))?:?\s*|(?:https?:\/\/)?(?:www\.)?worldcat\.org\/oclc\/)?(?:ocm|ocn|on)?0*(\d{1,12})\b/i.exec(v);
+      return m ? m[1] : "";
+    case "ARK":
+      m = /\bark:\/?(\d{5,})\/([^\s/?#"'<>]+)/i.exec(v);
+      return m ? `ark:/${m[1]}/${m[2].replace(trailing, "")}` : "";
+    case "Handle":
+      m = /(?:^|hdl\.handle\.net\/|\bhdl:\s*)(\d[\d.]*\/[^\s?#"'<>]+)/i.exec(v);
+      return m ? m[1].replace(trailing, "") : "";
+    default:
+      return "";
+  }
+}
+
+/**
+ * findIdentifiers(text)
+ *
+ * Every prefixed or resolver-form identifier in a free string, as
+ * [{ kind, value }] with normalized values. Bare numbers are never
+ * guessed at here.
+ */
+function findIdentifiers(text) {
+  const found = [];
+  for (const { kind, re } of IDENTIFIER_PATTERNS) {
+    for (const m of String(text || "").matchAll(re)) {
+      const value = normalizeIdentifier(kind, m[0]);
+      if (value) found.push({ kind, value });
+    }
+  }
+  return found;
+}
+
+// Every string under a JSON value, for scanning link-like properties.
+function collectStrings(node, out) {
+  if (typeof node === "string") out.push(node);
+  else if (Array.isArray(node)) node.forEach(n => collectStrings(n, out));
+  else if (node && typeof node === "object") Object.values(node).forEach(n => collectStrings(n, out));
+  return out;
+}
+
+/**
+ * extractIdentifiers(manifest, manifestUrl, options)
+ *
+ * Collect normalized identifiers: { DOI: [...], ISBN: [...], ISSN: [...],
+ * OCLC: [...], ARK: [...], Handle: [...] }. Metadata rows of the
+ * profile's DOI/ISBN/ISSN/identifier fields are read first (a bare value
+ * in a DOI row is a DOI, one in an "OCLC" identifier row an OCLC number);
+ * then prefixed and resolver forms are picked out of `id`/`@id`,
+ * `homepage`, `related`, `seeAlso`, `rendering`, all metadata values and
+ * the manifest URL. Identifiers of parsed seeAlso
+ * records (`options.seeAlsoRecords`) come last.
+ */
+function extractIdentifiers(manifest, manifestUrl, options) {
+  const ctx = options || {};
+  const found = {};
+  for (const kind of IDENTIFIER_KINDS) found[kind] = [];
+  const add = (kind, value) => {
+    const v = normalizeIdentifier(kind, value);
+    if (v && !found[kind].includes(v)) found[kind].push(v);
+  };
+
+  for (const [field, fieldKind] of Object.entries(IDENTIFIER_PROFILE_FIELDS)) {
+    for (const { label, value } of getProfileFieldEntries(manifest, field, ctx)) {
+      const labelKind = IDENTIFIER_LABEL_KINDS.find(k => k.re.test(label));
+      const bareKind = fieldKind || (labelKind ? labelKind.kind : "");
+      for (const part of stripHtml(value).split(/\s*[;\n]\s*/)) {
+        const hits = findIdentifiers(part);
+        if (hits.length > 0) hits.forEach(h => add(h.kind, h.value));
+        else if (bareKind) add(bareKind, part);
+        else if (/^10\.\d{4,9}\//.test(part)) add("DOI", part);
+      }
+    }
+  }
+
+  const strings = [];
+  for (const key of ["@id", "id", "homepage", "related", "seeAlso", "rendering"]) {
+    collectStrings(manifest[key], strings);
+  }
+  for (const entry of manifest.metadata || []) collectStrings(entry.value, strings);
+  if (manifestUrl) strings.push(manifestUrl);
+  for (const s of strings) {
+    for (const h of findIdentifiers(s)) add(h.kind, h.value);
+  }
+
+  for (const r of ctx.seeAlsoRecords || []) {
+    if (r.status !== "ok" || !r.record) continue;
+    for (const kind of IDENTIFIER_KINDS) {
+      for (const value of (r.record.identifiers || {})[kind] || []) add(kind, value);
+    }
+  }
+  return found;
+}
+
+/**
+ * formatIdentifierNote(identifiers)
+ *
+ * "Key: value" lines for identifiers without a CSL variable, in the form
+ * Zotero reads from Extra: "OCLC: 1234567", "ARK: ark:/...",
+ * "Handle: 2027/...". The shelfmark already travels as archive_location.
+ */
+function formatIdentifierNote(identifiers) {
+  const lines = [];
+  for (const kind of ["OCLC", "ARK", "Handle"]) {
+    for (const value of identifiers[kind] || []) lines.push(`${kind}: ${value}`);
+  }
+  return lines;
+}
+
+/* ------------------------------------------------------------
+ * CSL items
+ * ------------------------------------------------------------ */
+
+/**
+ * extractHomepageURL(manifest, manifestUrl)
+ *
+ * Try to find a human-facing homepage URL for the resource described by
+ * the manifest. We look at IIIF v3 `homepage` first, and then common
+ * v2-style related links. We do NOT fall back to the manifest URL here;
+ * that remains available separately and is always included in the note.
+ */
+function extractHomepageURL(manifest, manifestUrl) { // eslint-disable-line no-unused-vars
+  // IIIF Presentation 3: homepage can be a string, object, or array
+  const homepage = manifest.homepage;
+  const pickId = obj => {
+    if (!obj || typeof obj !== "object") return "";
+    if (typeof obj.id === "string") return obj.id;
+    if (typeof obj["@id"] === "string") return obj["@id"];
+    if (typeof obj.href === "string") return obj.href;
+    return "";
+  };
+
+  if (homepage) {
+    if (typeof homepage === "string") {
+      return homepage;
+    }
+    if (Array.isArray(homepage) && homepage.length > 0) {
+      const first = homepage[0];
+      if (typeof first === "string") return first;
+      const id = pickId(first);
+      if (id) return id;
+    } else if (typeof homepage === "object") {
+      const id = pickId(homepage);
+      if (id) return id;
+    }
+  }
+
+  // IIIF Presentation 2 often uses `related` for landing pages
+  const related = manifest.related;
+  if (related) {
+    if (typeof related === "string") return related;
+    if (Array.isArray(related) && related.length > 0) {
+      const first = related[0];
+      if (typeof first === "string") return first;
+      const id = pickId(first);
+      if (id) return id;
+    } else if (typeof related === "object") {
+      const id = pickId(related);
+      if (id) return id;
+    }
+  }
+
+  // No homepage-like URL found
+  return "";
+}
+
+/**
+ * buildIiifNote(manifest, manifestUrl, options)
+ *
+ * Construct a human-readable summary of the IIIF manifest metadata to
+ * be stored in the CSL `note` field (which Zotero will show in Extra).
+ * Licenses, rights statements and the required attribution get a "Rights
+ * and reuse" section of their own (see extractRights()).
+ * `options.sourceFile` records where a manifest read from disk came from;
+ * with `options.alternateTitles === "note"`, the label in other languages
+ * is listed too. With `options.explainType`, the signals behind
+ * `options.typeClassification` (the classifyCslType() result the item's
+ * type came from; the manifest's own if not given) are listed.
+ */
+function buildIiifNote(manifest, manifestUrl, options) {
+  const ctx = options || {};
+  const lines = [];
+  lines.push("IIIF manifest metadata");
+  lines.push("======================");
+  lines.push("");
+
+  if (manifestUrl) {
+    lines.push(`Manifest URL: ${manifestUrl}`);
+  }
+  if (ctx.sourceFile) {
+    lines.push(`Source file: ${ctx.sourceFile}`);
+  }
+  if (manifest["@id"]) {
+    lines.push(`@id: ${manifest["@id"]}`);
+  }
+  if (manifest["@context"]) {
+    lines.push(`@context: ${manifest["@context"]}`);
+  }
+
+  const rightsLines = formatRightsNote(extractRights(manifest, ctx));
+  if (rightsLines.length > 0) {
+    lines.push("");
+    lines.push(...rightsLines);
+  }
+
+  if (ctx.alternateTitles === "note") {
+    const alternates = getAlternateLanguageLabels(manifest.label, ctx);
+    if (alternates.length > 0) {
+      lines.push("");
+      lines.push("Other titles:");
+      for (const alt of alternates) {
+        lines.push(`[${alt.language}] ${alt.value}`);
+      }
+    }
+  }
+
+  if (ctx.seeAlsoRecords && ctx.seeAlsoRecords.length > 0) {
+    lines.push("");
+    lines.push("seeAlso records:");
+    for (const r of ctx.seeAlsoRecords) {
+      lines.push(r.status === "ok"
+        ? `${r.url} (${r.format})`
+        : `${r.url} (${r.format}, not used: ${r.error.message})`);
+    }
+  }
+
+  if (ctx.explainType) {
+    lines.push("");
+    lines.push(...formatTypeRationale(ctx.typeClassification || classifyCslType(manifest, ctx)));
+  }
+
+  const metadata = manifest.metadata || [];
+  if (metadata.length > 0) {
+    lines.push("");
+    lines.push("IIIF metadata:");
+    for (const entry of metadata) {
+      const k = iiifLabelToString(entry.label || entry["label"], ctx);
+      const v = iiifLabelToString(entry.value || entry["value"], { ...ctx, separator: "; " });
+      if (k || v) {
+        lines.push(`${k || "?"}: ${v}`);
+      }
+    }
+  }
+
+  return lines.join("\n").trim();
+}
+
+/**
+ * trimManifestDirectory(manifestUrl)
+ *
+ * Given the original manifest URL, drop the last path segment ("breadcrumb")
+ * and strip any query/hash, in case a higher-level directory might serve as a
+ * more human-facing landing page.
+ */
+function trimManifestDirectory(manifestUrl) {
+  if (!manifestUrl) return "";
+  try {
+    const u = new URL(manifestUrl);
+    // Strip query + fragment
+    u.search = "";
+    u.hash = "";
+
+    const parts = u.pathname.split("/");
+    // Remove empty tail from trailing slash
+    if (parts.length > 1 && parts[parts.length - 1] === "") {
+      parts.pop();
+    }
+    // Remove last real segment if there's more than just root
+    if (parts.length > 1) {
+      parts.pop();
+    }
+    let newPath = parts.join("/");
+    if (!newPath.startsWith("/")) {
+      newPath = "/" + newPath;
+    }
+    u.pathname = newPath;
+    return u.toString();
+  } catch (_e) {
+    // If URL constructor fails (e.g. relative URL), just return original
+    return manifestUrl;
+  }
+}
+
+/**
+ * extractIdFromManifest(manifest, manifestUrl, options)
+ *
+ * Try to determine a unique-ish ID for citekey purposes: prefer the
+ * manifest ID or URL, but we can also fall back to label if needed.
+ */
+function extractIdFromManifest(manifest, manifestUrl, options) {
+  if (manifest["@id"]) return String(manifest["@id"]);
+  if (manifest.id) return String(manifest.id);
+  if (manifestUrl) return String(manifestUrl);
+
+  const label = iiifLabelToString(manifest.label || manifest["label"], options);
+  if (label) return label;
+
+  return "";
+}
+
+/**
+ * manifestToCSLItem(manifest, manifestUrl, options)
+ *
+ * Convert a single IIIF manifest object to a CSL-JSON item.
+ *
+ * `options` is optional. It carries conversion preferences:
+ *   - languages: language preference for labels and values, e.g.
+ *     ["de", "en", "none", "*"] (see iiifLabelToString)
+ *   - alternateTitles: "original-title" to put the label in the next best
+ *     language into CSL `original-title`, "note" to list all other
+ *     languages in the note
+ *   - profile / profiles: mapping profile to use, and extra profiles to
+ *     choose from (see selectMappingProfile)
+ *   - explainType: list the signals behind the CSL type in the note (see
+ *     classifyCslType)
+ *   - seeAlsoRecords: records from fetchSeeAlsoRecords() to merge in (see
+ *     applySeeAlsoRecords)
+ * and information the manifest itself does not know about, e.g.
+ * `collectionTitle` when the manifest was reached by walking a IIIF
+ * Collection (false: record no `collection-title` at all), or
+ * `sourceFile` when it was read from disk rather than fetched.
+ */
+function manifestToCSLItem(manifest, manifestUrl, options) {
+  const ctx = {
+    ...options,
+    profile: selectMappingProfile(manifest, manifestUrl, options)
+  };
+  const title = iiifLabelToString(manifest.label || manifest["label"], ctx) ||
+    extractIdFromManifest(manifest, manifestUrl, ctx) ||
+    "[untitled IIIF manifest]";
+
+  const id = extractIdFromManifest(manifest, manifestUrl, ctx) || title;
+
+  const creators = extractCreators(manifest, ctx);
+  const issued = parseCslDate(extractDate(manifest, ctx));
+  const publisher = extractPublisher(manifest, ctx);
+  const archive = extractArchive(manifest, ctx);
+  const archiveLocation = extractArchiveLocation(manifest, ctx);
+  const collectionTitle = ctx.collectionTitle === false
+    ? ""
+    : ctx.collectionTitle || extractCollectionTitle(manifest, ctx);
+  const profileFields = extractProfileFields(manifest, ctx);
+  // One classification, with the type hints of the seeAlso records, for
+  // both the type and the --explain-type note.
+  const recordHints = seeAlsoTypeHints(ctx.seeAlsoRecords);
+  const classification = classifyCslType(manifest, recordHints.length > 0
+    ? { ...ctx, typeHints: (ctx.typeHints || []).concat(recordHints) }
+    : ctx);
+  const identifiers = extractIdentifiers(manifest, manifestUrl, ctx);
+  const license = formatRights(extractRights(manifest, ctx));
+  const homepage = extractHomepageURL(manifest, manifestUrl);
+  const trimmedManifestUrl = trimManifestDirectory(manifestUrl); // fixed
+
+  const cslItem = {
+    id,
+    type: classification.type,
+    title,
+    URL: homepage || manifest["@id"] || manifest.id || trimmedManifestUrl || ""
+  };
+
+  if (ctx.alternateTitles === "original-title") {
+    const alternates = getAlternateLanguageLabels(manifest.label, ctx);
+    if (alternates.length > 0) {
+      cslItem["original-title"] = alternates[0].value;
+    }
+  }
+  Object.assign(cslItem, creators);
+  if (issued) {
+    cslItem.issued = issued;
+  }
+  if (publisher) {
+    cslItem.publisher = publisher;
+  }
+  if (archive) {
+    cslItem.archive = archive;
+  }
+  if (archiveLocation) {
+    cslItem["archive_location"] = archiveLocation;
+  }
+  if (collectionTitle) {
+    cslItem["collection-title"] = collectionTitle;
+  }
+  if (license) {
+    cslItem.license = license;
+  }
+  for (const kind of ["DOI", "ISBN", "ISSN"]) {
+    if (identifiers[kind].length > 0) cslItem[kind] = identifiers[kind][0];
+  }
+  for (const [field, value] of Object.entries(profileFields)) {
+    if (cslItem[field] == null) cslItem[field] = value;
+  }
+  if (ctx.seeAlsoRecords) {
+    mergeSeeAlsoRecords(cslItem, ctx.seeAlsoRecords, ctx);
+  }
+  const identifierLines = formatIdentifierNote(identifiers);
+  const iiifNote = buildIiifNote(manifest, manifestUrl, { ...ctx, typeClassification: classification });
+  const note = identifierLines.length > 0
+    ? [...identifierLines, "", iiifNote].join("\n").trim()
+    : iiifNote;
+  if (note) {
+    cslItem.note = note;
+  }
+
+  return cslItem;
+}
+
+/* ------------------------------------------------------------
+ * Canvas and range citations
+ * ------------------------------------------------------------ */
+
+// Canvas labels that are folio numbers ("fol. 23v", "f. 2r", "23v") or
+// page numbers ("p. 5", "S. 5", "page 12", "5"); the number is the CSL page.
+const FOLIO_LABEL_RE = /^(?:(?:fol(?:io)?|ff?|bl(?:att)?)\.?\s*)?(\d+\s*[rv]|[ivxlc]+\s*[rv])\.?$/i;
+const PAGE_LABEL_RE = /^(?:(?:p(?:age)?|pp|s(?:eite)?)\.?\s*)?(\d+|[ivxlc]+)\.?$/i;
+
+/**
+ * parsePartSpec(spec)
+ *
+ * Turn what a user typed into a part target for manifestPartToCSLItem():
+ * a number is a 1-based canvas index, anything else a canvas or range ID,
+ * optionally with an `#xywh=x,y,w,h` region. "0" gives canvasIndex -1,
+ * which matches no canvas.
+ *   "23"                          → { canvasIndex: 22 }
+ *   "https://x/canvas/c23#xywh=…" → { id: "https://x/canvas/c23", xywh: "…" }
+ */
+function parsePartSpec(spec) {
+  const s = String(spec == null ? "" : spec).trim();
+  if (/^\d+$/.test(s)) return { canvasIndex: Number(s) - 1 };
+  const hash = s.indexOf("#");
+  if (hash < 0) return { id: s };
+  const target = { id: s.slice(0, hash) };
+  const xywh = /(?:^|&)xywh=(?:pixel:)?(\d+(?:\.\d+)?,\d+(?:\.\d+)?,\d+(?:\.\d+)?,\d+(?:\.\d+)?)/.exec(s.slice(hash + 1));
+  if (xywh) target.xywh = xywh[1];
+  return target;
+}
+
+// ID of a canvas or range reference, without any fragment.
+function resourceId(ref) {
+  const id = typeof ref === "string" ? ref : ref && (ref.id || ref["@id"] ||
+    (ref.source && (typeof ref.source === "string" ? ref.source : ref.source.id || ref.source["@id"])));
+  return id ? String(id).split("#")[0] : "";
+}
+
+/**
+ * getManifestRanges(manifest)
+ *
+ * The ranges of a v2 or v3 manifest's `structures`, top-level and
+ * nested (v3 ranges can hold ranges inline), as a flat list.
+ */
+function getManifestRanges(manifest) {
+  const ranges = [];
+  const walk = list => {
+    for (const r of list || []) {
+      if (!r || typeof r !== "object" || getResourceType(r) !== "Range") continue;
+      ranges.push(r);
+      walk(r.items);
+    }
+  };
+  walk(manifest.structures);
+  return ranges;
+}
+
+/**
+ * getRangeCanvasIds(manifest, range)
+ *
+ * IDs of the canvases a range covers, including those of nested ranges
+ * (v3 `items`, v2 `canvases` / `ranges` / `members`), in manifest order.
+ */
+function getRangeCanvasIds(manifest, range) {
+  const ranges = getManifestRanges(manifest);
+  const byId = new Map(ranges.map(r => [resourceId(r), r]));
+  const ids = new Set();
+  const seen = new Set();
+  const walk = r => {
+    if (!r || seen.has(r)) return;
+    seen.add(r);
+    for (const ref of [].concat(r.canvases || [], r.items || [], r.members || [], r.ranges || [])) {
+      const id = resourceId(ref);
+      const nested = (ref && typeof ref === "object" && getResourceType(ref) === "Range" && ref) ||
+        byId.get(id);
+      if (nested) walk(nested);
+      else if (id) ids.add(id);
+    }
+  };
+  walk(range);
+  return getManifestCanvases(manifest).map(resourceId).filter(id => ids.has(id));
+}
+
+/**
+ * canvasPage(label)
+ *
+ * The CSL page for a canvas label: "23v" for "fol. 23v", "5" for "p. 5",
+ * otherwise the label itself ("Front cover").
+ */
+function canvasPage(label) {
+  const s = String(label || "").trim();
+  const folio = FOLIO_LABEL_RE.exec(s);
+  if (folio) return folio[1].replace(/\s+/g, "");
+  const page = PAGE_LABEL_RE.exec(s);
+  if (page) return page[1];
+  return s;
+}
+
+/**
+ * resolvePartTarget(manifest, target)
+ *
+ * Find what `target` (see parsePartSpec(); `canvas` and `range` may be
+ * given instead of `id`) points at: { kind: "canvas", canvas, index } or
+ * { kind: "range", range }, or null. A plain `id` is looked up among the
+ * canvases first, then the ranges.
+ */
+function resolvePartTarget(manifest, target) {
+  const t = target || {};
+  const canvases = getManifestCanvases(manifest);
+  if (t.canvasIndex != null) {
+    const index = Number(t.canvasIndex);
+    return canvases[index] ? { kind: "canvas", canvas: canvases[index], index } : null;
+  }
+  const canvasId = resourceId(t.canvas || (t.range ? "" : t.id));
+  if (canvasId) {
+    const index = canvases.findIndex(c => resourceId(c) === canvasId);
+    if (index >= 0) return { kind: "canvas", canvas: canvases[index], index };
+    if (t.canvas) return null;
+  }
+  const rangeId = resourceId(t.range || t.id);
+  const range = rangeId && getManifestRanges(manifest).find(r => resourceId(r) === rangeId);
+  return range ? { kind: "range", range } : null;
+}
+
+/**
+ * manifestPartToCSLItem(manifest, manifestUrl, target, options)
+ *
+ * A CSL item for one canvas or range of a manifest. The parent fields
+ * come from manifestToCSLItem(); on top of that:
+ *   - canvas: `locator` is the canvas label ("fol. 23v"), `page` its
+ *     number ("23v"), `URL` the canvas ID (plus `#xywh=` for a region)
+ *   - range: `title` is the range label and the manifest title becomes
+ *     `container-title` (a book's range becomes a "chapter"); `page` and
+ *     `locator` span the range's first and last canvas; `URL` is the first
+ *     canvas
+ * Throws an IiifFetchError with code PART_NOT_FOUND if `target` matches
+ * nothing in the manifest.
+ */
+function manifestPartToCSLItem(manifest, manifestUrl, target, options) {
+  const part = resolvePartTarget(manifest, target);
+  if (!part) {
+    const wanted = target && (target.canvasIndex != null
+      ? `canvas ${Number(target.canvasIndex) + 1}`
+      : target.canvas || target.range || target.id);
+    throw new IiifFetchError(
+      ERROR_CODES.PART_NOT_FOUND,
+      `No canvas or range ${wanted || "(none given)"} in ${manifestUrl || "manifest"}`,
+      { url: manifestUrl }
+    );
+  }
+
+  const ctx = options || {};
+  const item = manifestToCSLItem(manifest, manifestUrl, ctx);
+  const canvases = getManifestCanvases(manifest);
+  const lines = [];
+
+  if (part.kind === "canvas") {
+    const canvasId = resourceId(part.canvas);
+    const label = iiifLabelToString(part.canvas.label, ctx) || `[${part.index + 1}]`;
+    item.id = `${item.id}#${canvasId || part.index + 1}`;
+    item.locator = label;
+    item.page = canvasPage(label);
+    if (canvasId) item.URL = target.xywh ? `${canvasId}#xywh=${target.xywh}` : canvasId;
+    lines.push(`Canvas: ${label} (${part.index + 1} of ${canvases.length})`);
+    if (canvasId) lines.push(`Canvas ID: ${canvasId}`);
+    if (target.xywh) lines.push(`Region: xywh=${target.xywh}`);
+  } else {
+    const rangeId = resourceId(part.range);
+    const label = iiifLabelToString(part.range.label, ctx) || rangeId;
+    const ids = getRangeCanvasIds(manifest, part.range);
+    const pageOf = id => {
+      const canvas = canvases.find(c => resourceId(c) === id);
+      return canvasPage(iiifLabelToString(canvas && canvas.label, ctx)) ||
+        String(canvases.indexOf(canvas) + 1);
+    };
+    item.id = `${item.id}#${rangeId}`;
+    item["container-title"] = item.title;
+    item.title = label;
+    if (item.type === "book") item.type = "chapter";
+    if (ids.length > 0) {
+      const first = pageOf(ids[0]);
+      const last = pageOf(ids[ids.length - 1]);
+      item.page = first === last ? first : `${first}-${last}`;
+      item.locator = item.page;
+      item.URL = ids[0];
+    }
+    lines.push(`Range: ${label} (${ids.length} canvases)`);
+    if (rangeId) lines.push(`Range ID: ${rangeId}`);
+  }
+
+  // Keep the note last, as in manifestToCSLItem()
+  const note = item.note;
+  delete item.note;
+  item.note = [...lines, "", note || ""].join("\n").trim();
+  return item;
+}
+
+/* ------------------------------------------------------------
+ * Content State
+ * ------------------------------------------------------------ */
+
+// Query parameter through which viewers (Mirador, Universal Viewer, ...)
+// share an IIIF Content State.
+const CONTENT_STATE_PARAM = "iiif-content";
+
+/**
+ * base64UrlDecode(str)
+ *
+ * Decode base64url (padding optional) to text, reading the bytes as
+ * UTF-8 (so a Content State whose JSON was encoded without the URI
+ * escaping step keeps its non-ASCII labels).
+ */
+function base64UrlDecode(str) {
+  const b64 = String(str).replace(/-/g, "+").replace(/_/g, "/");
+  const padded = b64 + "===".slice((b64.length + 3) % 4);
+  if (typeof atob === "function" && typeof TextDecoder === "function") {
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+  return Buffer.from(padded, "base64").toString("utf8");
+}
+
+/**
+ * decodeContentState(value)
+ *
+ * Decode a Content State as found in an `iiif-content` parameter or
+ * pasted by a user: plain JSON, a plain URL, or either of them
+ * URI-encoded and then base64url-encoded (as the Content State API
+ * specifies). Returns the parsed JSON, the URL string, or null.
+ */
+function decodeContentState(value) {
+  const s = String(value || "").trim();
+  if (!s) return null;
+  if (/^https?:\/\//i.test(s)) return s;
+  if (/^[{[]/.test(s)) {
+    try {
+      return JSON.parse(s);
+    } catch (_e) {
+      return null;
+    }
+  }
+  if (!/^[A-Za-z0-9_\-+/]+=*$/.test(s)) return null;
+
+  let text;
+  try {
+    text = base64UrlDecode(s);
+  } catch (_e) {
+    return null;
+  }
+  try {
+    text = decodeURIComponent(text);
+  } catch (_e) {
+    // Not URI-encoded first; older viewers base64 the JSON directly
+  }
+  text = text.trim();
+  if (/^https?:\/\//i.test(text)) return text;
+  if (!/^[{[]/.test(text)) return null;
+  try {
+    return JSON.parse(text);
+  } catch (_e) {
+    return null;
+  }
+}
+
+// The manifest and part one Content State target points at, or null.
+function contentStateTarget(target) {
+  if (typeof target === "string") {
+    return { manifestUrl: target, part: null };
+  }
+  if (!target || typeof target !== "object") return null;
+
+  let resource = target;
+  let xywh = "";
+  if (getResourceType(target) === "SpecificResource") {
+    resource = typeof target.source === "string" ? { id: target.source } : target.source || {};
+    for (const selector of [].concat(target.selector || [])) {
+      const m = /xywh=(?:pixel:)?([\d.]+,[\d.]+,[\d.]+,[\d.]+)/.exec((selector && selector.value) || "");
+      if (m) xywh = m[1];
+    }
+  }
+
+  const type = getResourceType(resource);
+  const ref = parsePartSpec(resource.id || resource["@id"] || "");
+  if (type === "Manifest") {
+    return ref.id ? { manifestUrl: ref.id, part: null } : null;
+  }
+  if (type !== "Canvas" && type !== "Range") return null;
+
+  const parent = [].concat(resource.partOf || resource.within || [])
+    .find(p => typeof p === "string" || ["Manifest", ""].includes(getResourceType(p)));
+  const manifestUrl = parent ? resourceId(parent) : "";
+  const part = type === "Canvas" ? { canvas: ref.id } : { range: ref.id };
+  if (type === "Canvas" && (xywh || ref.xywh)) part.xywh = xywh || ref.xywh;
+  return { manifestUrl, part };
+}
+
+/**
+ * contentStateTargets(state)
+ *
+ * Resolve a decoded Content State (see decodeContentState()) to
+ * [{ manifestUrl, part }], one per target. The state may be an
+ * Annotation (motivation "contentState") or, in the abbreviated form,
+ * the target itself: a Manifest, or a Canvas / Range with `partOf`
+ * naming its Manifest, optionally wrapped in a SpecificResource with an
+ * `xywh=` FragmentSelector. `part` is a target for
+ * manifestPartToCSLItem(), or null for the whole manifest; `manifestUrl`
+ * is "" when the state does not say which manifest a canvas is from.
+ */
+function contentStateTargets(state) {
+  if (typeof state === "string") return [{ manifestUrl: state, part: null }];
+  const found = [];
+  for (const s of [].concat(state || [])) {
+    if (!s || typeof s !== "object") continue;
+    const targets = getResourceType(s) === "Annotation" ? [].concat(s.target || []) : [s];
+    for (const t of targets) {
+      const resolved = contentStateTarget(t);
+      if (resolved) found.push(resolved);
+    }
+  }
+  return found;
+}
+
+/**
+ * resolveManifestReferences(input)
+ *
+ * What an input URL or string refers to, as
+ * [{ manifestUrl, part, viewerUrl }]:
+ *   - a URL with an `iiif-content` parameter (in the query or the hash):
+ *     the targets of that Content State, with `viewerUrl` set to the URL
+ *   - any other http(s) URL: that manifest, whole
+ *   - a bare Content State (base64url or JSON): its targets
+ * Throws an IiifFetchError with code CONTENT_STATE_ERROR if a Content
+ * State cannot be decoded or names no manifest.
+ */
+function resolveManifestReferences(input) {
+  const s = String(input || "").trim();
+  let encoded = null;
+  let viewerUrl = "";
+
+  if (/^https?:\/\//i.test(s)) {
+    let u = null;
+    try {
+      u = new URL(s);
+    } catch (_e) {
+      // Let the fetch layer report the malformed URL
+    }
+    const hashParams = u ? new URLSearchParams(u.hash.replace(/^#/, "")) : null;
+    encoded = u && (u.searchParams.get(CONTENT_STATE_PARAM) || hashParams.get(CONTENT_STATE_PARAM));
+    if (!encoded) return [{ manifestUrl: s, part: null, viewerUrl: "" }];
+    viewerUrl = s;
+  } else {
+    encoded = s;
+  }
+
+  const state = decodeContentState(encoded);
+  if (state == null) {
+    if (!viewerUrl) return [{ manifestUrl: s, part: null, viewerUrl: "" }];
+    throw new IiifFetchError(
+      ERROR_CODES.CONTENT_STATE_ERROR,
+      `Could not decode the ${CONTENT_STATE_PARAM} parameter of ${s}`,
+      { url: s }
+    );
+  }
+  const targets = contentStateTargets(state);
+  if (targets.length === 0 || targets.some(t => !t.manifestUrl)) {
+    throw new IiifFetchError(
+      ERROR_CODES.CONTENT_STATE_ERROR,
+      `Content State does not say which manifest it refers to: ${s.slice(0, 200)}`,
+      { url: viewerUrl }
+    );
+  }
+  return targets.map(t => ({ ...t, viewerUrl }));
+}
+
+/* ------------------------------------------------------------
+ * Landing pages
+ * ------------------------------------------------------------ */
+
+// Where discoverManifestUrls() found a manifest, most reliable first.
+// Only the best kind found on a page is used: a catalog page's
+// <link rel="alternate"> names its own object, while its viewer links may
+// also point at related ones. A link around a IIIF logo comes last: the
+// logo is as often a plain link to iiif.io or an image search.
+const LANDING_PAGE_SOURCES = ["link", "viewer-config", "data-attribute", "query-param", "iiif-logo"];
+
+// How many manifests discovered on one landing page are converted.
+const DEFAULT_MAX_PAGE_MANIFESTS = 10;
+
+// Mirador / Universal Viewer / Tify ... configuration keys naming a manifest.
+// Global: reset lastIndex before each exec() loop.
+const VIEWER_CONFIG_RE =
+  /["']?\b(manifestUri|manifestUrl|manifestId|manifest)\b["']?\s*[:=]\s*["'](https?:\/\/[^"'\s]+)["']/g;
+
+const MANIFEST_DATA_ATTRIBUTES = [
+  "data-manifest",
+  "data-manifest-url",
+  "data-manifest-uri",
+  "data-iiif-manifest",
+  "data-iiif-manifest-url"
+];
+
+// Query parameters viewers and drag-and-drop links put the manifest in.
+const MANIFEST_QUERY_PARAMS = ["manifest", "manifestUri", "manifestUrl", "iiif-manifest"];
+
+// Hosts of the IIIF consortium's own sites (iiif.io, preview.iiif.io,
+// training.iiif.io, ...), which IIIF logos and badges link to.
+const IIIF_SITE_HOST_RE = /(?:^|\.)iiif\.io$/i;
+
+/**
+ * isIiifSiteUrl(url, baseUrl)
+ *
+ * True for a link to one of the IIIF consortium's own sites rather than
+ * to a manifest.
+ */
+function isIiifSiteUrl(url, baseUrl) {
+  try {
+    return IIIF_SITE_HOST_RE.test(new URL(url, baseUrl || undefined).hostname);
+  } catch (_e) {
+    return false;
+  }
+}
+
+// Decode the entities that occur in attribute values and scripts.
+function decodeHtmlEntities(str) {
+  return String(str || "")
+    .replace(/&#x([0-9a-f]+);/gi, (_m, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_m, dec) => String.fromCharCode(Number(dec)))
+    .replace(/\\u002[fF]/g, "/")
+    .replace(/\\\//g, "/")
+    .replace(/&quot;/g, "\"")
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+// Attributes of one start tag, names lower-cased, values decoded.
+function parseTagAttributes(tag) {
+  const attrs = {};
+  const re = /([a-zA-Z_:][-a-zA-Z0-9_:.]*)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+  let m;
+  while ((m = re.exec(tag)) !== null) {
+    const value = m[3] != null ? m[3] : (m[4] != null ? m[4] : m[5]);
+    attrs[m[1].toLowerCase()] = decodeHtmlEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * manifestFromLinkParams(href, baseUrl)
+ *
+ * The manifest a viewer or drag-and-drop link carries in its query string
+ * or hash (see MANIFEST_QUERY_PARAMS), or "".
+ */
+function manifestFromLinkParams(href, baseUrl) {
+  let u;
+  try {
+    u = new URL(href, baseUrl || undefined);
+  } catch (_e) {
+    return "";
+  }
+  const hashParams = new URLSearchParams(u.hash.replace(/^#/, ""));
+  for (const name of MANIFEST_QUERY_PARAMS) {
+    const value = u.searchParams.get(name) || hashParams.get(name);
+    if (value && /^https?:\/\//i.test(value)) return value;
+  }
+  return "";
+}
+
+/**
+ * isHtmlText(text)
+ *
+ * True for a response body that is HTML (or other markup) rather than
+ * JSON.
+ */
+function isHtmlText(text) {
+  return /^\uFEFF?\s*</.test(String(text || ""));
+}
+
+/**
+ * discoverManifestUrls(html, pageUrl)
+ *
+ * Find the IIIF manifests a catalog or viewer page links to, as
+ * [{ url, source }], resolved against `pageUrl` and without duplicates.
+ * `source` says how the manifest was found (see LANDING_PAGE_SOURCES):
+ *   - link:           <link rel="alternate" type="application/ld+json;
+ *                     profile=...iiif..."> (or a IIIF-typed <link>)
+ *   - viewer-config:  `manifestUri` / `manifestId` / `manifest` in an
+ *                     embedded Mirador, Universal Viewer, ... configuration
+ *   - data-attribute: data-manifest, data-iiif-manifest, ...
+ *   - query-param:    any link with ?manifest= (or an `iiif-content` Content
+ *                     State; such URLs are returned as they are)
+ *   - iiif-logo:      a link around an <img> of the IIIF (drag-and-drop)
+ *                     logo
+ * Links to the IIIF consortium's own sites (see isIiifSiteUrl()) are
+ * ignored. Only the entries of the most reliable source found are
+ * returned.
+ */
+function discoverManifestUrls(html, pageUrl) {
+  const text = String(html || "");
+  const bySource = {};
+  const seen = new Set();
+  const add = (source, raw) => {
+    const value = decodeHtmlEntities(raw).trim();
+    if (!value) return;
+    let url;
+    try {
+      url = new URL(value, pageUrl || undefined).href;
+    } catch (_e) {
+      return;
+    }
+    if (!/^https?:/i.test(url) || url === pageUrl || seen.has(url)) return;
+    seen.add(url);
+    (bySource[source] = bySource[source] || []).push({ url, source });
+  };
+
+  for (const tag of text.match(/<link\b[^>]*>/gi) || []) {
+    const a = parseTagAttributes(tag);
+    const rel = (a.rel || "").toLowerCase().split(/\s+/);
+    const type = a.type || "";
+    if (a.href && /iiif/i.test(type) && (rel.includes("alternate") || /json/i.test(type))) {
+      add("link", a.href);
+    }
+  }
+
+  for (const script of text.match(/<script\b[\s\S]*?<\/script>/gi) || []) {
+    const body = decodeHtmlEntities(script);
+    let m;
+    VIEWER_CONFIG_RE.lastIndex = 0;
+    while ((m = VIEWER_CONFIG_RE.exec(body)) !== null) add("viewer-config", m[2]);
+  }
+
+  for (const tag of text.match(/<[a-z][a-z0-9-]*\b[^>]*\bdata-[^>]*>/gi) || []) {
+    const a = parseTagAttributes(tag);
+    for (const name of MANIFEST_DATA_ATTRIBUTES) {
+      if (a[name]) add("data-attribute", a[name]);
+    }
+    // Universal Viewer embeds: <div class="uv" data-uri="...">
+    if (a["data-uri"] && /\buv\b/.test(a.class || "")) add("data-attribute", a["data-uri"]);
+    // Viewer configuration as JSON in an attribute (data-config, data-options, ...)
+    for (const value of Object.values(a)) {
+      let m;
+      VIEWER_CONFIG_RE.lastIndex = 0;
+      while ((m = VIEWER_CONFIG_RE.exec(value)) !== null) add("viewer-config", m[2]);
+    }
+  }
+
+  const anchorRe = /<a\b([^>]*)>([\s\S]*?)<\/a>/gi;
+  let m;
+  while ((m = anchorRe.exec(text)) !== null) {
+    const a = parseTagAttributes(m[1]);
+    if (!a.href) continue;
+    const fromParams = manifestFromLinkParams(a.href, pageUrl);
+    if (!fromParams && isIiifSiteUrl(a.href, pageUrl)) continue;
+    const img = /<img\b[^>]*>/i.exec(m[2]);
+    const imgAttrs = img ? parseTagAttributes(img[0]) : {};
+    const isLogo = /iiif/i.test(`${imgAttrs.src || ""} ${imgAttrs.alt || ""}`);
+    if (isLogo) {
+      add("iiif-logo", fromParams || a.href);
+    } else if (fromParams) {
+      add("query-param", fromParams);
+    } else if (a.href.includes(`${CONTENT_STATE_PARAM}=`)) {
+      add("query-param", a.href);
+    }
+  }
+
+  const best = LANDING_PAGE_SOURCES.find(source => bySource[source]);
+  return best ? bySource[best] : [];
+}
+
+// Marks what parseManifestOrPage() returns for an HTML page.
+const LANDING_PAGE = Symbol("landingPage");
+
+/**
+ * parseManifestOrPage(text, url, httpStatus)
+ *
+ * parseManifestText() for URLs typed in by a user, which may be a catalog
+ * or viewer page: HTML comes back as `{ html }` (recognized by
+ * isLandingPage()) instead of being rejected.
+ */
+function parseManifestOrPage(text, url, httpStatus) {
+  if (isHtmlText(text)) return { [LANDING_PAGE]: true, html: text };
+  return parseManifestText(text, url, httpStatus);
+}
+
+/**
+ * isLandingPage(resource)
+ *
+ * True for the HTML page results of parseManifestOrPage().
+ */
+function isLandingPage(resource) {
+  return !!(resource && resource[LANDING_PAGE]);
+}
+
+/* ------------------------------------------------------------
+ * Images
+ * ------------------------------------------------------------ */
+
+// Longest side, in pixels, of a thumbnail built from an Image API service.
+const DEFAULT_THUMBNAIL_SIZE = 400;
+
+/**
+ * getImageService(resource)
+ *
+ * The first IIIF Image API service of a resource, as { id, version,
+ * level } (version 2 or 3; the id without a trailing "/info.json"; level
+ * the compliance level 0-2 named by the profile, or null), or null.
+ * Recognizes v3 `ImageService2` / `ImageService3` types, v2 `@context`s
+ * and Image API profile URIs.
+ */
+function getImageService(resource) {
+  if (!resource || typeof resource !== "object") return null;
+  for (const service of [].concat(resource.service || [])) {
+    if (!service || typeof service !== "object") continue;
+    const type = getResourceType(service);
+    const context = [].concat(service["@context"] || []).join(" ");
+    const profile = [].concat(service.profile || [])
+      .map(p => (typeof p === "string" ? p : "")).join(" ");
+    const isImage = /^ImageService[123]$/.test(type) ||
+      /iiif\.io\/api\/image\//.test(context + " " + profile) ||
+      /^level[012]$/.test(profile);
+    const id = service.id || service["@id"];
+    if (!isImage || typeof id !== "string") continue;
+    const version = type === "ImageService3" || /image\/3/.test(context) ? 3 : 2;
+    const level = /\blevel([012])\b/.exec(profile);
+    return {
+      id: id.replace(/\/info\.json$/, "").replace(/\/+$/, ""),
+      version,
+      level: level ? Number(level[1]) : null
+    };
+  }
+  return null;
+}
+
+/**
+ * imageApiUrl(service, size)
+ *
+ * An Image API request for the full image scaled to fit in a `size` ×
+ * `size` box: ".../full/!400,400/0/default.jpg". A `size` of 0 asks for
+ * the full size ("max" in v3, "full" in v2), and so does a level 0
+ * service, which need not scale images on request.
+ */
+function imageApiUrl(service, size) {
+  let sizeParam;
+  if (size === 0 || service.level === 0) sizeParam = service.version === 3 ? "max" : "full";
+  else sizeParam = `!${size},${size}`;
+  return `${service.id}/full/${sizeParam}/0/default.jpg`;
+}
+
+// The image of a canvas: its painting annotation body (v3, first choice
+// of a Choice) or first `images` resource (v2).
+function getCanvasImage(canvas) {
+  if (!canvas || typeof canvas !== "object") return null;
+  const v2 = Array.isArray(canvas.images) && canvas.images[0];
+  if (v2 && v2.resource) {
+    const res = v2.resource;
+    return res["@type"] === "oa:Choice" ? res.default || null : res;
+  }
+  for (const page of canvas.items || []) {
+    for (const anno of (page && page.items) || []) {
+      const body = [].concat(anno.body || [])[0];
+      const image = body && body.type === "Choice" ? (body.items || [])[0] : body;
+      if (image && getResourceType(image) === "Image") return image;
+    }
+  }
+  return null;
+}
+
+// The v3 `start` or v2 `startCanvas` canvas, if the manifest has one.
+function getStartCanvas(manifest, canvases) {
+  const start = manifest.start ||
+    (Array.isArray(manifest.sequences) && manifest.sequences[0] && manifest.sequences[0].startCanvas);
+  const id = resourceId(start);
+  return id ? canvases.find(c => resourceId(c) === id) || null : null;
+}
+
+/**
+ * resolveThumbnail(manifest, options)
+ *
+ * Pick a representative image and return { url, source, canvas, service }
+ * or null. `source` says where it came from: the canvas cited with
+ * `options.part`, the manifest `thumbnail`, the `start` canvas, or the
+ * first canvas. With an Image API service the URL is built at
+ * `options.thumbnailSize` (400 pixels on the longest side, 0 for full
+ * size); otherwise the resource's own URL is used.
+ */
+function resolveThumbnail(manifest, options) {
+  const ctx = options || {};
+  const size = ctx.thumbnailSize != null ? ctx.thumbnailSize : DEFAULT_THUMBNAIL_SIZE;
+  const canvases = getManifestCanvases(manifest);
+
+  const fromResource = (resource, source, canvas) => {
+    if (!resource) return null;
+    if (typeof resource === "string") {
+      return { url: resource, source, canvas: canvas ? resourceId(canvas) : "", service: null };
+    }
+    const service = getImageService(resource);
+    const own = resource.id || resource["@id"];
+    const url = service ? imageApiUrl(service, size) : own;
+    if (typeof url !== "string" || !url) return null;
+    return { url, source, canvas: canvas ? resourceId(canvas) : "", service };
+  };
+  const fromCanvas = (canvas, source) => canvas && (
+    fromResource(getCanvasImage(canvas), source, canvas) ||
+    fromResource([].concat(canvas.thumbnail || [])[0], source, canvas)
+  );
+
+  if (ctx.part != null && ctx.part !== "") {
+    const target = typeof ctx.part === "object" ? ctx.part : parsePartSpec(ctx.part);
+    const part = resolvePartTarget(manifest, target);
+    let canvas = part && part.kind === "canvas" ? part.canvas : null;
+    if (part && part.kind === "range") {
+      const first = getRangeCanvasIds(manifest, part.range)[0];
+      canvas = canvases.find(c => resourceId(c) === first) || null;
+    }
+    const found = fromCanvas(canvas, "part");
+    if (found) return found;
+  }
+
+  return fromResource([].concat(manifest.thumbnail || [])[0], "thumbnail", null) ||
+    fromCanvas(getStartCanvas(manifest, canvases), "start") ||
+    fromCanvas(canvases[0], "first-canvas") ||
+    null;
+}
+
+/* ------------------------------------------------------------
+ * seeAlso enrichment
+ * ------------------------------------------------------------ */
+
+// Record formats in the order they are trusted, richest first. When
+// several records fill the same field, the first one in this order wins.
+const SEE_ALSO_PRIORITY = ["mods", "marcxml", "jsonld", "dc"];
+
+// At most this many seeAlso records are fetched per manifest.
+const DEFAULT_MAX_SEE_ALSO = 4;
+
+// Precedence between a catalog record and the IIIF-derived item:
+//   - the record replaces these, because it has them structured where
+//     IIIF metadata has free text (names only as a whole: if the record
+//     lists any names, all IIIF-derived names are dropped);
+//   - issued only if the record's date parses to date-parts;
+//   - every other field only fills gaps.
+const RECORD_OVERRIDE_FIELDS = ["issued", "publisher", "publisher-place"];
+
+/**
+ * getSeeAlsoEntries(manifest, options)
+ *
+ * The `seeAlso` links of a manifest in a format parseSeeAlsoRecord() can
+ * read: [{ url, format }], in SEE_ALSO_PRIORITY order and capped at
+ * `options.maxSeeAlso` (4).
+ */
+function getSeeAlsoEntries(manifest, options) {
+  const opts = options || {};
+  const max = opts.maxSeeAlso != null ? opts.maxSeeAlso : DEFAULT_MAX_SEE_ALSO;
+  const entries = [];
+  for (const ref of [].concat(manifest.seeAlso || [])) {
+    const url = typeof ref === "string" ? ref : ref && (ref.id || ref["@id"]);
+    if (typeof url !== "string" || !url) continue;
+    const format = detectSeeAlsoFormat(typeof ref === "string" ? {} : ref);
+    if (!format) continue;
+    if (entries.some(e => e.url === url)) continue;
+    entries.push({ url, format });
+  }
+  entries.sort((a, b) => SEE_ALSO_PRIORITY.indexOf(a.format) - SEE_ALSO_PRIORITY.indexOf(b.format));
+  return entries.slice(0, max);
+}
+
+/**
+ * fetchSeeAlsoRecords(manifest, options)
+ *
+ * Fetch and parse the manifest's recognized seeAlso records, with the
+ * same timeouts, retries, scheduler and cache as manifests. Never
+ * throws; resolves to one entry per link:
+ *   { url, format, status: "ok", record }
+ *   { url, format, status: "error", error: { code, httpStatus, message } }
+ */
+async function fetchSeeAlsoRecords(manifest, options) {
+  return Promise.all(getSeeAlsoEntries(manifest, options).map(async ({ url, format }) => {
+    try {
+      const { manifest: text } = await fetchManifestDetailed(url, options, RECORD_RESOURCE);
+      try {
+        return { url, format, status: "ok", record: parseSeeAlsoRecord(text, format) };
+      } catch (e) {
+        throw new IiifFetchError(
+          ERROR_CODES.RECORD_PARSE_ERROR,
+          `Could not parse ${format} record ${url}: ${e.message}`,
+          { url }
+        );
+      }
+    } catch (e) {
+      return { url, format, status: "error", error: toReportError(e) };
+    }
+  }));
+}
+
+/**
+ * pageCountFromExtent(extent)
+ *
+ * The page/leaf count in an extent statement ("[18], 303 p. ; 34 cm",
+ * "245 leaves", "416 pages"), as a string, or "".
+ */
+function pageCountFromExtent(extent) {
+  const m = /(\d+)\s*(?:p\b|pp\b|pages?\b|leaves\b|ff?\.|fol\.|folios?\b|bl\.|s\.)/i.exec(extent || "");
+  return m ? m[1] : "";
+}
+
+/**
+ * recordToCslFields(record, options)
+ *
+ * Turn one parsed seeAlso record into CSL fields: name variables (via
+ * the role → variable mapping used for metadata), issued, publisher,
+ * publisher-place, title, language, ISBN, ISSN, DOI, edition,
+ * number-of-pages, dimensions, archive, archive_location, abstract.
+ */
+function recordToCslFields(record, options) {
+  const fields = {};
+
+  for (const n of record.names || []) {
+    const role = ROLE_TERMS[n.role] || ROLE_TERMS[String(n.role || "").replace(/\.$/, "")] ||
+      n.role || "author";
+    const variable = ROLE_TO_CSL_VARIABLE[role] || (role === "publisher" ? "" : "contributor");
+    if (!variable) continue;
+
+    let name = null;
+    if (n.literal) name = { literal: n.literal };
+    else if (n.family || n.given) name = n.family ? { family: n.family, given: n.given } : { family: n.given };
+    else if (n.text) name = n.corporate ? { literal: n.text } : parseCslName(n.text);
+    if (!name) continue;
+    (fields[variable] = fields[variable] || []).push(name);
+  }
+
+  const issued = parseCslDate(record.issued);
+  if (issued) fields.issued = issued;
+  if (record.publisher) fields.publisher = record.publisher;
+  if (record.place) fields["publisher-place"] = record.place;
+  if (record.title) fields.title = record.title;
+  if (record.languages && record.languages.length > 0) fields.language = record.languages[0];
+  for (const kind of ["ISBN", "ISSN", "DOI"]) {
+    const ids = ((record.identifiers && record.identifiers[kind]) || [])
+      .map(v => normalizeIdentifier(kind, v))
+      .filter(Boolean);
+    if (ids.length > 0) fields[kind] = ids[0];
+  }
+  if (record.edition) fields.edition = record.edition;
+  const pages = pageCountFromExtent(record.extent);
+  if (pages) fields["number-of-pages"] = pages;
+  if (record.dimensions) fields.dimensions = record.dimensions;
+  if (record.repository) fields.archive = record.repository;
+  if (record.shelfmark) fields["archive_location"] = record.shelfmark;
+  if (record.abstract) fields.abstract = record.abstract;
+
+  return fields;
+}
+
+// The successfully parsed records, most trusted format first.
+function usableSeeAlsoRecords(seeAlsoRecords) {
+  return (seeAlsoRecords || [])
+    .filter(r => r.status === "ok" && r.record)
+    .sort((a, b) => SEE_ALSO_PRIORITY.indexOf(a.format) - SEE_ALSO_PRIORITY.indexOf(b.format));
+}
+
+// The type hints of the most trusted record that has any ([] if none).
+function seeAlsoTypeHints(seeAlsoRecords) {
+  const withHints = usableSeeAlsoRecords(seeAlsoRecords)
+    .find(({ record }) => record.typeHints && record.typeHints.length > 0);
+  return withHints ? withHints.record.typeHints : [];
+}
+
+// The field merge of applySeeAlsoRecords(), without re-classifying.
+function mergeSeeAlsoRecords(cslItem, seeAlsoRecords, options) {
+  const records = usableSeeAlsoRecords(seeAlsoRecords);
+  if (records.length === 0) return cslItem;
+
+  const fromRecords = {};
+  let names = null;
+  for (const { record } of records) {
+    const fields = recordToCslFields(record, options);
+    const recordNames = CSL_NAME_VARIABLES.filter(v => fields[v]);
+    if (!names && recordNames.length > 0) {
+      names = {};
+      for (const v of recordNames) names[v] = fields[v];
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      if (CSL_NAME_VARIABLES.includes(field)) continue;
+      if (fromRecords[field] == null) fromRecords[field] = value;
+    }
+  }
+
+  if (names) {
+    for (const v of CSL_NAME_VARIABLES) delete cslItem[v];
+    Object.assign(cslItem, names);
+  }
+  for (const [field, value] of Object.entries(fromRecords)) {
+    const structuredDate = field !== "issued" || Array.isArray(value["date-parts"]);
+    if (RECORD_OVERRIDE_FIELDS.includes(field) && structuredDate) {
+      cslItem[field] = value;
+    } else if (cslItem[field] == null || cslItem[field] === "") {
+      cslItem[field] = value;
+    }
+  }
+  return cslItem;
+}
+
+/**
+ * applySeeAlsoRecords(cslItem, manifest, seeAlsoRecords, options)
+ *
+ * Merge the successfully parsed records from fetchSeeAlsoRecords() into
+ * `cslItem` (in place) following RECORD_OVERRIDE_FIELDS, and re-run the
+ * type classifier with the type hints of the most trusted record that
+ * has any. Failed records change nothing, so the IIIF-derived values
+ * stay.
+ */
+function applySeeAlsoRecords(cslItem, manifest, seeAlsoRecords, options) {
+  mergeSeeAlsoRecords(cslItem, seeAlsoRecords, options);
+  const typeHints = seeAlsoTypeHints(seeAlsoRecords);
+  if (typeHints.length > 0) {
+    const ctx = options || {};
+    cslItem.type = classifyCslType(manifest, {
+      ...ctx,
+      typeHints: (ctx.typeHints || []).concat(typeHints)
+    }).type;
+  }
+  return cslItem;
+}
+
+/**
+ * summarizeSeeAlsoRecords(seeAlsoRecords)
+ *
+ * The per-record outcome for a report entry, without the records
+ * themselves: [{ url, format, status, error? }].
+ */
+function summarizeSeeAlsoRecords(seeAlsoRecords) {
+  return (seeAlsoRecords || []).map(r => (r.status === "ok"
+    ? { url: r.url, format: r.format, status: r.status }
+    : { url: r.url, format: r.format, status: r.status, error: r.error }));
+}
+
+/* ------------------------------------------------------------
+ * IIIF Collections
+ * ------------------------------------------------------------ */
+
+// Defaults for walking nested Collections; callers can override them via
+// the options object of iiifManifestUrlsToCSL().
+const DEFAULT_MAX_COLLECTION_DEPTH = 5;
+const DEFAULT_MAX_COLLECTION_MANIFESTS = 1000;
+
+/**
+ * getResourceType(resource)
+ *
+ * Return the bare IIIF type of a resource, without the v2 "sc:" prefix:
+ * "Manifest", "Collection", "Canvas", ... or "" if unknown.
+ */
+function getResourceType(resource) {
+  if (!resource || typeof resource !== "object") return "";
+  let t = resource.type || resource["@type"] || "";
+  if (Array.isArray(t)) t = t[0] || "";
+  return String(t).replace(/^sc:/, "");
+}
+
+/**
+ * isIIIFCollection(resource)
+ *
+ * True for v2 `"@type": "sc:Collection"` and v3 `"type": "Collection"`.
+ */
+function isIIIFCollection(resource) {
+  return getResourceType(resource) === "Collection";
+}
+
+/**
+ * getCollectionMembers(collection, options)
+ *
+ * List the members of a Collection as plain references:
+ *   [{ id, type: "Manifest" | "Collection", label }]
+ *
+ * v2 collections use `manifests`, `collections` and/or `members`; v3 uses
+ * `items`. Members without an id, or of any other type, are dropped.
+ */
+function getCollectionMembers(collection, options) {
+  const members = [];
+  const push = (ref, fallbackType) => {
+    if (!ref) return;
+    if (typeof ref === "string") {
+      members.push({ id: ref, type: fallbackType, label: "" });
+      return;
+    }
+    if (typeof ref !== "object") return;
+    const id = ref.id || ref["@id"];
+    if (typeof id !== "string" || !id) return;
+    const type = getResourceType(ref) || fallbackType;
+    if (type !== "Manifest" && type !== "Collection") return;
+    members.push({ id, type, label: iiifLabelToString(ref.label, options) });
+  };
+
+  for (const m of collection.manifests || []) push(m, "Manifest");
+  for (const c of collection.collections || []) push(c, "Collection");
+  for (const m of collection.members || []) push(m, "");
+  for (const m of collection.items || []) push(m, "");
+
+  return members;
+}
+
+/**
+ * collectionToResults(collection, collectionUrl, options, state, depth)
+ *
+ * Recursively walk a Collection and convert every member manifest,
+ * returning one result entry per member (see iiifManifestUrlsToCSLReport).
+ * Nested collections are followed up to `maxCollectionDepth` levels, at
+ * most `maxCollectionManifests` manifests are converted per top-level
+ * collection, and each URL is visited only once so that collections
+ * referencing each other cannot loop forever. Members left out by the
+ * manifest limit are not listed one by one: the top-level collection gets
+ * a single "truncated" entry that says how many there were.
+ *
+ * Members are converted concurrently (within the limits of
+ * `options.scheduler`); the returned entries keep the collection's order.
+ */
+async function collectionToResults(collection, collectionUrl, options, state, depth) {
+  const opts = options || {};
+  const maxDepth = opts.maxCollectionDepth != null
+    ? opts.maxCollectionDepth
+    : DEFAULT_MAX_COLLECTION_DEPTH;
+  const maxManifests = opts.maxCollectionManifests != null
+    ? opts.maxCollectionManifests
+    : DEFAULT_MAX_COLLECTION_MANIFESTS;
+
+  const st = state || { visited: new Set(), manifestCount: 0, truncated: 0 };
+  const level = depth || 0;
+  const results = [];
+
+  st.visited.add(collectionUrl);
+  const ownId = collection.id || collection["@id"];
+  if (ownId) st.visited.add(ownId);
+
+  // `collectionTitle: false` is the documented switch; the options bag
+  // also carries the title itself down to manifestToCSLItem(), so
+  // `recordCollectionTitle: false` is accepted as an unambiguous alias.
+  const collectionTitle = opts.collectionTitle === false || opts.recordCollectionTitle === false
+    ? false
+    : iiifLabelToString(collection.label, opts);
+
+  const skipped = (url, message) => makeResult(url, "skipped", {
+    collection: collectionUrl,
+    error: { code: ERROR_CODES.COLLECTION_LIMIT, httpStatus: null, message }
+  });
+
+  const convertMember = async member => {
+    try {
+      const { manifest: resource, attempts } = await fetchManifestDetailed(member.id, opts);
+
+      if (isIIIFCollection(resource)) {
+        if (member.type === "Manifest") st.manifestCount--;
+        if (level + 1 > maxDepth) {
+          return [skipped(member.id, `Collection depth limit (${maxDepth}) reached`)];
+        }
+        return collectionToResults(resource, member.id, opts, st, level + 1);
+      }
+
+      // A member listed as a Collection only takes a manifest slot now,
+      // so the limit is checked again.
+      if (member.type === "Collection") {
+        if (st.manifestCount >= maxManifests) {
+          st.truncated++;
+          return [];
+        }
+        st.manifestCount++;
+      }
+      const validation = assertValidResource(resource, member.id, opts);
+      const seeAlsoRecords = opts.enrich ? await fetchSeeAlsoRecords(resource, opts) : undefined;
+      const item = manifestToCSLItem(resource, member.id, { ...opts, collectionTitle, seeAlsoRecords });
+      return [makeResult(member.id, "ok", {
+        item,
+        attempts,
+        collection: collectionUrl,
+        validation,
+        enrichment: seeAlsoRecords && summarizeSeeAlsoRecords(seeAlsoRecords),
+        thumbnail: opts.thumbnail ? resolveThumbnail(resource, { ...opts, part: null }) : null
+      })];
+    } catch (e) {
+      return [makeResult(member.id, "error", {
+        collection: collectionUrl,
+        attempts: e && e.attempts,
+        error: toReportError(e)
+      })];
+    }
+  };
+
+  // Limits and the visited set are checked synchronously, before any fetch
+  // starts, so concurrent members cannot overshoot them. Manifests reserve
+  // their slot in `manifestCount` up front; members listed as Collections
+  // that turn out to be Manifests claim theirs after the fetch.
+  const tasks = [];
+  for (const member of getCollectionMembers(collection, opts)) {
+    if (st.manifestCount >= maxManifests) {
+      st.truncated++;
+      continue;
+    }
+    if (st.visited.has(member.id)) continue;
+
+    if (member.type === "Collection" && level + 1 > maxDepth) {
+      tasks.push([skipped(member.id, `Collection depth limit (${maxDepth}) reached`)]);
+      continue;
+    }
+
+    st.visited.add(member.id);
+    if (member.type === "Manifest") st.manifestCount++;
+    tasks.push(convertMember(member));
+  }
+
+  for (const memberResults of await Promise.all(tasks)) {
+    results.push(...memberResults);
+  }
+
+  if (!state && st.truncated > 0) {
+    results.push(makeResult(collectionUrl, "truncated", {
+      collection: collectionUrl,
+      error: {
+        code: ERROR_CODES.COLLECTION_LIMIT,
+        httpStatus: null,
+        message: `Collection limit reached (${maxManifests} manifests): ${st.truncated} more member(s) not converted`
+      }
+    }));
+  }
+
+  return results;
+}
+
+/**
+ * collectionToCSLItems(collection, collectionUrl, options, state, depth)
+ *
+ * The pre-report form of collectionToResults(): only the CSL items of the
+ * members that converted. Failed and skipped members are logged to
+ * stderr, as before.
+ */
+async function collectionToCSLItems(collection, collectionUrl, options, state, depth) {
+  const results = await collectionToResults(collection, collectionUrl, options, state, depth);
+  for (const r of results) {
+    if (r.status !== "ok") console.error(`Error processing ${r.url}: ${r.error.message}`);
+  }
+  return results.filter(r => r.status === "ok").map(r => r.item);
+}
+
+/* ------------------------------------------------------------
+ * Validation
+ * ------------------------------------------------------------ */
+
+// IIIF Presentation/Image resource types → the kind identifyIiifResource()
+// reports.
+const IIIF_RESOURCE_KINDS = {
+  Manifest: "manifest",
+  Collection: "collection",
+  Canvas: "canvas",
+  Range: "range",
+  Sequence: "sequence",
+  Annotation: "annotation",
+  "oa:Annotation": "annotation",
+  AnnotationList: "annotation-list",
+  AnnotationPage: "annotation-page",
+  AnnotationCollection: "annotation-collection",
+  Layer: "annotation-collection"
+};
+
+// Kinds the URL intake accepts. Content states are followed to the
+// manifests they target; assertValidResource() rejects any left over.
+const CONVERTIBLE_KINDS = ["manifest", "collection", "content-state"];
+
+// Human-readable names for error messages.
+const IIIF_KIND_NAMES = {
+  "image-info": "IIIF Image API info.json",
+  canvas: "Canvas",
+  range: "Range",
+  sequence: "Sequence",
+  annotation: "Annotation",
+  "annotation-list": "AnnotationList",
+  "annotation-page": "AnnotationPage",
+  "annotation-collection": "AnnotationCollection"
+};
+
+// Which IIIF API, and which version, an @context names.
+function contextApi(context) {
+  const ctx = [].concat(context || []).filter(c => typeof c === "string").join(" ");
+  const m = /iiif\.io\/api\/([a-z]+)\/(\d)/.exec(ctx);
+  return m ? { api: m[1], version: Number(m[2]) } : { api: "", version: null };
+}
+
+/**
+ * identifyIiifResource(json)
+ *
+ * Say what a parsed JSON document is, from its structure rather than
+ * the text it contains: { kind, version, type, api }, where `kind` is
+ * "manifest", "collection", "canvas", "range", "sequence", "annotation",
+ * "content-state" (an Annotation with motivation "contentState"),
+ * "annotation-list", "annotation-page", "annotation-collection",
+ * "image-info" (Image API info.json) or "unknown"; `version` is the
+ * Presentation (or Image) API major version, taken from @context or,
+ * failing that, from `@type` (2) vs `type` (3).
+ */
+function identifyIiifResource(json) {
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { kind: "unknown", version: null, type: "", api: "" };
+  }
+  const { api, version: contextVersion } = contextApi(json["@context"]);
+  const rawType = [].concat(json["@type"] || json.type || [])[0] || "";
+  const type = getResourceType(json);
+  const typeVersion = json["@type"] ? 2 : (json.type ? 3 : null);
+
+  const isImageInfo = api === "image" || /^ImageService[123]$/.test(type) ||
+    json.protocol === "http://iiif.io/api/image";
+  if (isImageInfo) {
+    const version = api === "image" ? contextVersion : (type === "ImageService3" ? 3 : 2);
+    return { kind: "image-info", version, type: String(rawType), api: "image" };
+  }
+
+  let kind = IIIF_RESOURCE_KINDS[type] || "";
+  if (kind === "annotation" && [].concat(json.motivation || []).includes("contentState")) {
+    kind = "content-state";
+  }
+  const version = api === "presentation" ? contextVersion : (kind ? typeVersion : null);
+  return { kind: kind || "unknown", version, type: String(rawType), api };
+}
+
+/**
+ * describeNonManifest(info, json, url)
+ *
+ * An error message for a resource that is not a Manifest or Collection,
+ * pointing at the manifest the user probably meant when the resource
+ * names one (`partOf` / `within`).
+ */
+function describeNonManifest(info, json, url) {
+  const what = url || "This resource";
+  if (info.kind === "image-info") {
+    const service = json.id || json["@id"] || "";
+    return `${what} is a IIIF Image API ${info.version || ""} info.json` +
+      `${service ? ` (image service ${service})` : ""}, not a Presentation manifest; ` +
+      "did you mean the manifest of the object this image belongs to?";
+  }
+  if (info.kind === "unknown") {
+    if (info.api) {
+      return `${what} is a IIIF ${info.api} API response, not a Presentation manifest`;
+    }
+    return `${what} is JSON, but not a IIIF resource (no IIIF @context, @type or type)`;
+  }
+  const parent = [].concat(json.partOf || json.within || [])
+    .map(resourceId)
+    .find(Boolean);
+  return `${what} is a IIIF ${IIIF_KIND_NAMES[info.kind] || info.kind}, not a Manifest` +
+    (parent ? `; did you mean ${parent}?` : "");
+}
+
+// A v3 language map: { "en": ["..."], "none": ["..."] }.
+function isLanguageMap(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value) &&
+    Object.values(value).every(v => Array.isArray(v) && v.every(s => typeof s === "string"));
+}
+
+const isHttpUri = value => typeof value === "string" && /^https?:\/\//i.test(value);
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+
+// Required properties of a v3 Manifest or Collection and its canvases.
+function checkPresentation3(json, kind, errors) {
+  const expect = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+  const contexts = [].concat(json["@context"] || []);
+  expect(contexts.includes("http://iiif.io/api/presentation/3/context.json"),
+    "@context: must include http://iiif.io/api/presentation/3/context.json");
+  expect(isHttpUri(json.id), "id: required, and must be an http(s) URI");
+  expect(isLanguageMap(json.label), "label: required, and must be a language map");
+  expect(Array.isArray(json.items), "items: required, and must be an array");
+  for (const key of ["metadata", "thumbnail", "homepage", "seeAlso", "rendering", "partOf", "provider", "service"]) {
+    if (json[key] != null) expect(Array.isArray(json[key]), `${key}: must be an array`);
+  }
+  if (json.summary != null) expect(isLanguageMap(json.summary), "summary: must be a language map");
+  if (json.rights != null) expect(isHttpUri(json.rights), "rights: must be an http(s) URI");
+  if (json.requiredStatement != null) {
+    expect(isLanguageMap(json.requiredStatement.label) && isLanguageMap(json.requiredStatement.value),
+      "requiredStatement: label and value must be language maps");
+  }
+  (Array.isArray(json.metadata) ? json.metadata : []).forEach((entry, i) => {
+    expect(entry && isLanguageMap(entry.label) && isLanguageMap(entry.value),
+      `metadata[${i}]: label and value must be language maps`);
+  });
+  if (kind !== "manifest" || !Array.isArray(json.items)) return;
+
+  expect(json.items.length > 0, "items: a Manifest must have at least one Canvas");
+  json.items.forEach((canvas, i) => {
+    const at = `items[${i}]`;
+    if (!canvas || getResourceType(canvas) !== "Canvas") {
+      errors.push(`${at}: must be a Canvas`);
+      return;
+    }
+    expect(isHttpUri(canvas.id), `${at}.id: required, and must be an http(s) URI`);
+    const hasSize = isPositiveInteger(canvas.width) && isPositiveInteger(canvas.height);
+    expect(hasSize || (typeof canvas.duration === "number" && canvas.duration > 0),
+      `${at}: must have positive integer width and height, or a duration`);
+    if ((canvas.width != null) !== (canvas.height != null)) {
+      errors.push(`${at}: width and height must be given together`);
+    }
+  });
+}
+
+// Required properties of a v2 Manifest or Collection and its canvases.
+function checkPresentation2(json, kind, errors) {
+  const expect = (ok, message) => {
+    if (!ok) errors.push(message);
+  };
+  const contexts = [].concat(json["@context"] || []);
+  expect(contexts.includes("http://iiif.io/api/presentation/2/context.json"),
+    "@context: must be http://iiif.io/api/presentation/2/context.json");
+  expect(isHttpUri(json["@id"]), "@id: required, and must be an http(s) URI");
+  expect(json.label != null && json.label !== "", "label: required");
+  (Array.isArray(json.metadata) ? json.metadata : []).forEach((entry, i) => {
+    expect(entry && entry.label != null && entry.value != null, `metadata[${i}]: label and value are required`);
+  });
+  if (kind !== "manifest") return;
+
+  const sequences = json.sequences;
+  expect(Array.isArray(sequences) && sequences.length > 0,
+    "sequences: a Manifest must have at least one Sequence");
+  const canvases = Array.isArray(sequences) && sequences[0] ? sequences[0].canvases : null;
+  expect(Array.isArray(canvases) && canvases.length > 0,
+    "sequences[0].canvases: the first Sequence must have at least one Canvas");
+  (Array.isArray(canvases) ? canvases : []).forEach((canvas, i) => {
+    const at = `sequences[0].canvases[${i}]`;
+    if (!canvas || getResourceType(canvas) !== "Canvas") {
+      errors.push(`${at}: must be a sc:Canvas`);
+      return;
+    }
+    expect(isHttpUri(canvas["@id"]), `${at}.@id: required, and must be an http(s) URI`);
+    expect(canvas.label != null, `${at}.label: required`);
+    expect(isPositiveInteger(canvas.width) && isPositiveInteger(canvas.height),
+      `${at}: width and height are required positive integers`);
+  });
+}
+
+/**
+ * validateIiifResource(json, options)
+ *
+ * Identify a parsed document (see identifyIiifResource()) and check it:
+ *   { kind, version, errors: [...], warnings: [...] }
+ * Without `options.strict`, the only error is being something other than
+ * a Manifest, Collection or Content State (with a message saying what it
+ * is instead); a missing or non-standard @context is just a warning.
+ * With `options.strict`, the properties the Presentation API requires of
+ * a Manifest or Collection (and its canvases) are checked for the
+ * detected version, and each problem is an error prefixed by its path.
+ */
+function validateIiifResource(json, options) {
+  const opts = options || {};
+  const info = identifyIiifResource(json);
+  const result = { kind: info.kind, version: info.version, errors: [], warnings: [] };
+
+  if (!CONVERTIBLE_KINDS.includes(info.kind)) {
+    result.errors.push(describeNonManifest(info, json, opts.url));
+    return result;
+  }
+  if (info.api !== "presentation") {
+    result.warnings.push(json["@context"]
+      ? `non-standard @context; treated as Presentation ${info.version}`
+      : `no @context; treated as Presentation ${info.version}`);
+  }
+
+  if (opts.strict && info.kind !== "content-state") {
+    if (info.version === 3) checkPresentation3(json, info.kind, result.errors);
+    else checkPresentation2(json, info.kind, result.errors);
+  }
+  return result;
+}
+
+/**
+ * assertValidResource(json, url, options)
+ *
+ * validateIiifResource() for the conversion pipeline: returns the
+ * validation summary { kind, version, warnings }, or throws an
+ * IiifFetchError — NOT_IIIF for a resource of the wrong kind,
+ * CONTENT_STATE_ERROR for a Content State (which has to be resolved to
+ * its manifests first, see resolveManifestReferences()), INVALID_IIIF
+ * for a Manifest or Collection failing `options.strict`.
+ */
+function assertValidResource(json, url, options) {
+  const opts = options || {};
+  const v = validateIiifResource(json, { url, strict: opts.strict });
+  if (v.kind === "content-state") {
+    throw new IiifFetchError(
+      ERROR_CODES.CONTENT_STATE_ERROR,
+      `${url || "This resource"} is a IIIF Content State, not a manifest; ` +
+        "give it (or a viewer link carrying it) as a URL input to cite what it points at",
+      { url }
+    );
+  }
+  if (v.errors.length > 0) {
+    if (!CONVERTIBLE_KINDS.includes(v.kind)) {
+      throw new IiifFetchError(ERROR_CODES.NOT_IIIF, v.errors[0], { url });
+    }
+    const shown = v.errors.slice(0, 5).join("; ");
+    const more = v.errors.length > 5 ? ` (and ${v.errors.length - 5} more)` : "";
+    throw new IiifFetchError(
+      ERROR_CODES.INVALID_IIIF,
+      `Invalid IIIF Presentation ${v.version} ${v.kind}${url ? ` ${url}` : ""}: ${shown}${more}`,
+      { url }
+    );
+  }
+  return { kind: v.kind, version: v.version, warnings: v.warnings };
+}
+
+/**
+ * looksLikeIIIFManifest(text)
+ *
+ * Deprecated: use identifyIiifResource() or validateIiifResource().
+ * Kept for callers of 1.0.x, which only looked for "iiif.io" in the
+ * body. Now true when `text` (a response body, or already-parsed JSON)
+ * is something the converter accepts: a Manifest, a Collection or a
+ * Content State.
+ */
+function looksLikeIIIFManifest(text) {
+  if (!text) return false;
+  let json = text;
+  if (typeof text === "string") {
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      return false;
+    }
+  }
+  return CONVERTIBLE_KINDS.includes(identifyIiifResource(json).kind);
+}
+
+/* ------------------------------------------------------------
+ * Fetching
+ * ------------------------------------------------------------ */
+
+/**
+ * Error codes used in `error.code` of thrown IiifFetchErrors and in the
+ * per-URL results of iiifManifestUrlsToCSLReport().
+ */
+const ERROR_CODES = {
+  HTTP_ERROR: "HTTP_ERROR",
+  TIMEOUT: "TIMEOUT",
+  NETWORK_ERROR: "NETWORK_ERROR",
+  NOT_IIIF: "NOT_IIIF",
+  JSON_PARSE_ERROR: "JSON_PARSE_ERROR",
+  COLLECTION_LIMIT: "COLLECTION_LIMIT",
+  LANDING_PAGE_LIMIT: "LANDING_PAGE_LIMIT",
+  CACHE_MISS: "CACHE_MISS",
+  READ_ERROR: "READ_ERROR",
+  RECORD_PARSE_ERROR: "RECORD_PARSE_ERROR",
+  PART_NOT_FOUND: "PART_NOT_FOUND",
+  CONTENT_STATE_ERROR: "CONTENT_STATE_ERROR",
+  INVALID_IIIF: "INVALID_IIIF",
+  CONVERSION_ERROR: "CONVERSION_ERROR"
+};
+
+/**
+ * IiifFetchError
+ *
+ * Error thrown by fetchManifest(), carrying a machine-readable `code`
+ * (one of ERROR_CODES), the `url` and, for HTTP errors, `httpStatus`.
+ * `retryAfterMs` is set when the server sent a usable Retry-After header;
+ * `attempts` is filled in once fetchManifest() gives up.
+ */
+class IiifFetchError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    const d = details || {};
+    this.name = "IiifFetchError";
+    this.code = code;
+    this.url = d.url || "";
+    this.httpStatus = d.httpStatus != null ? d.httpStatus : null;
+    this.retryAfterMs = d.retryAfterMs != null ? d.retryAfterMs : null;
+    this.attempts = d.attempts != null ? d.attempts : 1;
+  }
+}
+
+// Fetch defaults; all of them can be overridden through the options of
+// fetchManifest() and iiifManifestUrlsToCSLReport().
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_USER_AGENT = "iiif-to-csl/1.1.0";
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_BASE_DELAY_MS = 1000;
+const DEFAULT_RETRY_MAX_DELAY_MS = 60000;
+
+/**
+ * parseRetryAfter(value, now)
+ *
+ * Parse a Retry-After header (delta-seconds or an HTTP date) into a delay
+ * in milliseconds, or null if absent or unparseable.
+ */
+function parseRetryAfter(value, now) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (/^\d+$/.test(v)) return parseInt(v, 10) * 1000;
+  const when = Date.parse(v);
+  if (Number.isNaN(when)) return null;
+  return Math.max(0, when - (now || Date.now()));
+}
+
+/**
+ * isRetryableError(err)
+ *
+ * Only transient failures are worth another try: network errors,
+ * timeouts, and HTTP 408, 429 and 5xx. Anything about the body itself
+ * (not IIIF, bad JSON) or other 4xx will not get better by asking again.
+ */
+function isRetryableError(err) {
+  if (!err) return false;
+  if (err.code === ERROR_CODES.NETWORK_ERROR || err.code === ERROR_CODES.TIMEOUT) {
+    return true;
+  }
+  if (err.code === ERROR_CODES.HTTP_ERROR) {
+    const s = err.httpStatus;
+    return s === 408 || s === 429 || (s >= 500 && s <= 599);
+  }
+  return false;
+}
+
+/**
+ * computeRetryDelay(attempt, err, options)
+ *
+ * Delay before retry number `attempt` (1-based): exponential backoff from
+ * `retryBaseDelayMs` with jitter (50–100% of the step), or the server's
+ * Retry-After if it asked for longer. Capped at `retryMaxDelayMs`.
+ */
+function computeRetryDelay(attempt, err, options) {
+  const opts = options || {};
+  const base = opts.retryBaseDelayMs != null ? opts.retryBaseDelayMs : DEFAULT_RETRY_BASE_DELAY_MS;
+  const max = opts.retryMaxDelayMs != null ? opts.retryMaxDelayMs : DEFAULT_RETRY_MAX_DELAY_MS;
+
+  const step = base * Math.pow(2, attempt - 1);
+  let delay = step * (0.5 + Math.random() / 2);
+  if (err && err.retryAfterMs != null) {
+    delay = Math.max(delay, err.retryAfterMs);
+  }
+  return Math.min(delay, max);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * fetchWithTimeout(url, opts, timeoutMs, read)
+ *
+ * fetch() that fails with TIMEOUT after `timeoutMs`, and with
+ * NETWORK_ERROR if the request does. `read(res)`, if given, runs under
+ * the same timer and its result is returned instead of the response, so
+ * a body that stalls halfway times out as well.
+ */
+async function fetchWithTimeout(url, opts = {}, timeoutMs = DEFAULT_TIMEOUT_MS, read) {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const res = await fetch(url, { ...opts, signal: controller.signal });
+    return read ? await read(res) : res;
+  } catch (e) {
+    if (e instanceof IiifFetchError) throw e;
+    if (e && e.name === "AbortError") {
+      throw new IiifFetchError(
+        ERROR_CODES.TIMEOUT,
+        `Timed out after ${timeoutMs} ms: ${url}`,
+        { url }
+      );
+    }
+    throw new IiifFetchError(
+      ERROR_CODES.NETWORK_ERROR,
+      `Network error for ${url}: ${(e && e.message) || e}`,
+      { url }
+    );
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+/* ------------------------------------------------------------
+ * Request scheduling
+ * ------------------------------------------------------------ */
+
+/**
+ * getUrlHost(url)
+ *
+ * Host (with port) of a URL, or "" if it cannot be parsed. Used as the
+ * key for per-host limits.
+ */
+function getUrlHost(url) {
+  try {
+    return new URL(url).host;
+  } catch (_e) {
+    return "";
+  }
+}
+
+/**
+ * createRequestScheduler(options)
+ *
+ * A small worker pool for outgoing requests. Options:
+ *   - concurrency: max requests in flight overall (default 1)
+ *   - perHostConcurrency: max requests in flight per host
+ *     (default: same as concurrency)
+ *   - hostDelayMs: minimum time between the *start* of two requests to
+ *     the same host (default 0)
+ *
+ * Returns `{ run(url, fn) }`: `fn` is called once a slot for the URL's
+ * host is free, and run() resolves/rejects with its result. Jobs start in
+ * the order they were submitted, except that a job waiting for a busy
+ * host does not hold up jobs for other hosts.
+ */
+function createRequestScheduler(options) {
+  const opts = options || {};
+  const concurrency = Math.max(1, Number(opts.concurrency) || 1);
+  const perHost = Math.max(1, Number(opts.perHostConcurrency) || concurrency);
+  const hostDelayMs = Math.max(0, Number(opts.hostDelayMs) || 0);
+
+  const queue = [];
+  const hosts = new Map();
+  let active = 0;
+  let timer = null;
+
+  const hostState = host => {
+    let hs = hosts.get(host);
+    if (!hs) {
+      hs = { active: 0, lastStart: -Infinity };
+      hosts.set(host, hs);
+    }
+    return hs;
+  };
+
+  const start = (job, hs) => {
+    active++;
+    hs.active++;
+    hs.lastStart = Date.now();
+    Promise.resolve()
+      .then(job.fn)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        hs.active--;
+        pump();
+      });
+  };
+
+  function pump() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    const now = Date.now();
+    let nextWake = Infinity;
+
+    for (let i = 0; i < queue.length && active < concurrency;) {
+      const job = queue[i];
+      const hs = hostState(job.host);
+      if (hs.active >= perHost) {
+        i++;
+        continue;
+      }
+      const wait = hs.lastStart + hostDelayMs - now;
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        i++;
+        continue;
+      }
+      queue.splice(i, 1);
+      start(job, hs);
+    }
+
+    if (queue.length > 0 && nextWake !== Infinity) {
+      timer = setTimeout(pump, nextWake);
+    }
+  }
+
+  function run(url, fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ host: getUrlHost(url), fn, resolve, reject });
+      pump();
+    });
+  }
+
+  return { run };
+}
+
+/* ------------------------------------------------------------
+ * Manifest cache
+ * ------------------------------------------------------------ */
+
+/**
+ * The fetch layer can use any cache object of the form
+ *
+ *   {
+ *     get(url)        → Promise<CacheEntry | null>
+ *     set(url, entry) → Promise<void>
+ *   }
+ *
+ * where CacheEntry is
+ *
+ *   { url, body, etag, lastModified, storedAt }
+ *
+ * `body` is the raw response text; `etag` / `lastModified` are the
+ * validators from the response headers ("" if absent) and are sent back
+ * as If-None-Match / If-Modified-Since. In Node, see
+ * iiif_to_csl_fs_cache_1_1_0.js; in the browser, the wrapper offers
+ * sessionStorage and IndexedDB caches.
+ *
+ * `options.cacheMode` decides how the cache is used:
+ *   - "default": revalidate cached entries, store new responses
+ *   - "offline": only answer from the cache, never touch the network
+ *   - "refresh": ignore cached entries, fetch and overwrite them
+ */
+const CACHE_MODES = ["default", "offline", "refresh"];
+
+/**
+ * readCacheEntry(cache, url)
+ *
+ * Look up a cache entry, treating errors (unreadable file, quota, ...) as
+ * a miss: the cache must never be the reason a conversion fails.
+ */
+async function readCacheEntry(cache, url) {
+  try {
+    const entry = await cache.get(url);
+    return entry && typeof entry.body === "string" ? entry : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+async function writeCacheEntry(cache, url, entry) {
+  try {
+    await cache.set(url, entry);
+  } catch (_e) {
+    // Same as above: a cache that cannot be written is just no cache.
+  }
+}
+
+/**
+ * parseManifestText(text, url, httpStatus)
+ *
+ * Parse a response body as JSON and check that it is something the
+ * converter can use (a Manifest, Collection or Content State; see
+ * validateIiifResource()). HTML pages and other IIIF resources are
+ * rejected as NOT_IIIF with a message saying what they are.
+ */
+function parseManifestText(text, url, httpStatus) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    const preview = text.slice(0, 80).replace(/\s+/g, " ").trim();
+    if (isHtmlText(text)) {
+      throw new IiifFetchError(
+        ERROR_CODES.NOT_IIIF,
+        `Not a IIIF Presentation manifest: ${url} is HTML or XML, not JSON` +
+          (preview ? ` (body starts: "${preview}")` : ""),
+        { url, httpStatus }
+      );
+    }
+    throw new IiifFetchError(
+      ERROR_CODES.JSON_PARSE_ERROR,
+      `Invalid JSON from ${url}: ${e.message}`,
+      { url, httpStatus }
+    );
+  }
+
+  const info = identifyIiifResource(json);
+  if (!CONVERTIBLE_KINDS.includes(info.kind)) {
+    throw new IiifFetchError(ERROR_CODES.NOT_IIIF, describeNonManifest(info, json, url), { url, httpStatus });
+  }
+  return json;
+}
+
+// What fetchManifestOnce() asks for and how it parses the body: IIIF
+// manifests by default, raw text for seeAlso records, manifests or
+// landing pages for the URLs given to iiifManifestUrlsToCSLReport(), and
+// the bytes of thumbnails (`read` replaces the text of the body).
+const MANIFEST_RESOURCE = {
+  accept: "application/json, text/html;q=0.9, */*;q=0.8",
+  parse: parseManifestText
+};
+const RECORD_RESOURCE = {
+  accept: "application/xml, text/xml, application/ld+json;q=0.9, application/json;q=0.8, */*;q=0.5",
+  parse: text => text
+};
+const MANIFEST_OR_PAGE_RESOURCE = {
+  accept: MANIFEST_RESOURCE.accept,
+  parse: parseManifestOrPage
+};
+const IMAGE_RESOURCE = {
+  accept: "image/*",
+  read: async res => ({
+    bytes: new Uint8Array(await res.arrayBuffer()),
+    contentType: ((res.headers && res.headers.get("Content-Type")) || "").split(";")[0].trim()
+  }),
+  parse: (image, url, httpStatus) => {
+    if (!/^image\//.test(image.contentType)) {
+      throw new IiifFetchError(
+        ERROR_CODES.NOT_IIIF,
+        `Not an image: ${url} (${image.contentType || "no Content-Type"})`,
+        { url, httpStatus }
+      );
+    }
+    return image;
+  }
+};
+
+/**
+ * fetchManifestOnce(url, options, cached, resource)
+ *
+ * A single attempt at fetching and parsing a manifest; no retries.
+ * Honors `timeoutMs` (for the whole response, body included) and
+ * `userAgent` from options. (Browsers do not let scripts set User-Agent,
+ * so there it is silently ignored.)
+ *
+ * If a `cached` entry is given, the request is made conditional on its
+ * validators, and a 304 answer is served from it. Resolves to
+ * `{ manifest, text, etag, lastModified, fromCache }`, where `manifest`
+ * is whatever `resource.parse` makes of the body (MANIFEST_RESOURCE by
+ * default).
+ */
+async function fetchManifestOnce(url, options, cached, resource) {
+  const opts = options || {};
+  const kind = resource || MANIFEST_RESOURCE;
+  const timeoutMs = opts.timeoutMs != null ? opts.timeoutMs : DEFAULT_TIMEOUT_MS;
+  const userAgent = opts.userAgent != null ? opts.userAgent : DEFAULT_USER_AGENT;
+
+  const headers = {
+    "Accept": kind.accept,
+    "Accept-Language": "en-US,en;q=0.5"
+  };
+  if (userAgent) headers["User-Agent"] = userAgent;
+  if (cached && cached.etag) headers["If-None-Match"] = cached.etag;
+  if (cached && cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  // The body is only read for a fresh 2xx answer.
+  const { res, body } = await fetchWithTimeout(url, { headers }, timeoutMs, async response => ({
+    res: response,
+    body: response.ok ? (kind.read ? await kind.read(response) : await response.text()) : null
+  }));
+
+  if (res.status === 304 && cached) {
+    return {
+      manifest: kind.parse(cached.body, url, res.status),
+      text: cached.body,
+      etag: (res.headers && res.headers.get("ETag")) || cached.etag || "",
+      lastModified: (res.headers && res.headers.get("Last-Modified")) || cached.lastModified || "",
+      fromCache: true
+    };
+  }
+
+  if (!res.ok) {
+    throw new IiifFetchError(
+      ERROR_CODES.HTTP_ERROR,
+      `HTTP ${res.status} for ${url}`,
+      {
+        url,
+        httpStatus: res.status,
+        retryAfterMs: parseRetryAfter(res.headers && res.headers.get("Retry-After"))
+      }
+    );
+  }
+
+  return {
+    manifest: kind.parse(body, url, res.status),
+    text: body,
+    etag: (res.headers && res.headers.get("ETag")) || "",
+    lastModified: (res.headers && res.headers.get("Last-Modified")) || "",
+    fromCache: false
+  };
+}
+
+/**
+ * fetchManifestDetailed(url, options, resource)
+ *
+ * fetchManifestOnce() with retries and caching, resolving to
+ * `{ manifest, attempts, fromCache }`. `resource` is passed on to
+ * fetchManifestOnce() (a manifest unless given).
+ *
+ * Transient failures (see isRetryableError) are retried up to
+ * `options.retries` times (default 2) with exponential backoff; the final
+ * error carries `attempts`. Each attempt goes through `options.scheduler`
+ * if there is one, and the backoff wait does not hold a scheduler slot.
+ *
+ * With `options.cache`, see CACHE_MODES for what `options.cacheMode` does.
+ */
+async function fetchManifestDetailed(url, options, resource) {
+  const opts = options || {};
+  const kind = resource || MANIFEST_RESOURCE;
+  const retries = opts.retries != null ? opts.retries : DEFAULT_RETRIES;
+  const scheduler = opts.scheduler;
+  const cache = opts.cache || null;
+  const cacheMode = opts.cacheMode || "default";
+
+  if (!CACHE_MODES.includes(cacheMode)) {
+    throw new TypeError(`fetchManifest: unknown cacheMode '${cacheMode}'`);
+  }
+
+  const cached = cache && cacheMode !== "refresh" ? await readCacheEntry(cache, url) : null;
+
+  if (cacheMode === "offline") {
+    if (!cached) {
+      throw new IiifFetchError(
+        ERROR_CODES.CACHE_MISS,
+        `Not in cache (offline mode): ${url}`,
+        { url, attempts: 0 }
+      );
+    }
+    return { manifest: kind.parse(cached.body, url, null), attempts: 0, fromCache: true };
+  }
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const fetched = scheduler
+        ? await scheduler.run(url, () => fetchManifestOnce(url, opts, cached, kind))
+        : await fetchManifestOnce(url, opts, cached, kind);
+
+      if (cache) {
+        await writeCacheEntry(cache, url, {
+          url,
+          body: fetched.text,
+          etag: fetched.etag,
+          lastModified: fetched.lastModified,
+          storedAt: new Date().toISOString()
+        });
+      }
+      return { manifest: fetched.manifest, attempts: attempt, fromCache: fetched.fromCache };
+    } catch (e) {
+      if (attempt > retries || !isRetryableError(e)) {
+        if (e && typeof e === "object") e.attempts = attempt;
+        throw e;
+      }
+      await sleep(computeRetryDelay(attempt, e, opts));
+    }
+  }
+}
+
+/**
+ * fetchManifest(url, options)
+ *
+ * Fetch a IIIF manifest (or collection) and return the parsed JSON.
+ * Options: timeoutMs, userAgent, retries, retryBaseDelayMs,
+ * retryMaxDelayMs, scheduler, cache, cacheMode. Throws an IiifFetchError
+ * on failure.
+ */
+async function fetchManifest(url, options) {
+  const { manifest } = await fetchManifestDetailed(url, options);
+  return manifest;
+}
+
+/**
+ * fetchImage(url, options)
+ *
+ * Fetch an image (e.g. the URL of resolveThumbnail()) through the same
+ * layer as manifests: timeout, User-Agent, retries and `options.scheduler`,
+ * but never the manifest cache. Resolves to { bytes, contentType }
+ * (a Uint8Array and the MIME type); throws an IiifFetchError, with code
+ * NOT_IIIF if the response is not an image.
+ */
+async function fetchImage(url, options) {
+  const { manifest: image } = await fetchManifestDetailed(url, { ...options, cache: null }, IMAGE_RESOURCE);
+  return image;
+}
+
+/* ------------------------------------------------------------
+ * High-level API
+ * ------------------------------------------------------------ */
+
+/**
+ * makeResult(url, status, fields)
+ *
+ * Build one entry of a conversion report. `status` is "ok", "error",
+ * "skipped" or "truncated" (a Collection had more manifests than
+ * `maxCollectionManifests`; not a failure); `item` is set for "ok",
+ * `error` for the others.
+ * `attempts` is the number of HTTP requests made (0 if none was).
+ * `enrichment` lists the seeAlso records tried (with `options.enrich`),
+ * `thumbnail` the representative image (with `options.thumbnail`),
+ * `validation` what the resource was identified as ({ kind, version,
+ * warnings }, see assertValidResource()), `landingPage` the HTML page the
+ * manifest was discovered on.
+ */
+function makeResult(url, status, fields) {
+  const f = fields || {};
+  const result = {
+    url,
+    status,
+    item: f.item || null,
+    error: f.error || null,
+    attempts: f.attempts || 0
+  };
+  if (f.collection) result.collection = f.collection;
+  if (f.enrichment) result.enrichment = f.enrichment;
+  if (f.thumbnail) result.thumbnail = f.thumbnail;
+  if (f.validation) result.validation = f.validation;
+  if (f.landingPage) result.landingPage = f.landingPage;
+  return result;
+}
+
+/**
+ * convertManifest(manifest, url, options)
+ *
+ * manifestToCSLItem(), or manifestPartToCSLItem() when `options.part`
+ * (a target object or a parsePartSpec() string) is set.
+ */
+function convertManifest(manifest, url, options) {
+  const part = options && options.part;
+  if (part == null || part === "") return manifestToCSLItem(manifest, url, options);
+  const target = typeof part === "object" ? part : parsePartSpec(part);
+  return manifestPartToCSLItem(manifest, url, target, options);
+}
+
+/**
+ * toReportError(err)
+ *
+ * Reduce any thrown value to the `{ code, httpStatus, message }` shape used
+ * in reports. Errors that did not come from the fetch layer are reported
+ * as CONVERSION_ERROR.
+ */
+function toReportError(err) {
+  return {
+    code: (err && err.code) || ERROR_CODES.CONVERSION_ERROR,
+    httpStatus: err && err.httpStatus != null ? err.httpStatus : null,
+    message: (err && err.message) || String(err)
+  };
+}
+
+/**
+ * iiifManifestUrlsToCSLReport(manifestUrls, options)
+ *
+ * Like iiifManifestUrlsToCSL(), but never logs: it resolves to
+ *
+ *   {
+ *     items,    // CSL items of all successful conversions, in input order
+ *     results   // one entry per URL: { url, status, item, error, attempts }
+ *   }
+ *
+ * where `error` is `{ code, httpStatus, message }` with `code` taken from
+ * ERROR_CODES. A Collection URL is replaced by the results of its members,
+ * which additionally carry `collection` (the URL of the parent collection).
+ *
+ * A URL may also be a viewer link with an IIIF Content State in its
+ * `iiif-content` parameter, or a bare Content State: each manifest it
+ * targets is converted, citing the canvas, region or range the state
+ * points at, and a viewer link becomes the item's `URL` (see
+ * resolveManifestReferences()).
+ *
+ * A URL that returns an HTML catalog or viewer page is searched for the
+ * manifest(s) it links to (see discoverManifestUrls()); those are
+ * converted with the page as the item's `URL`, and their results carry
+ * `landingPage`.
+ *
+ * Options:
+ *   - traverseCollections: set to false to reject Collections instead
+ *   - maxCollectionDepth: how many levels of nested collections to follow (5)
+ *   - maxCollectionManifests: cap on manifests per collection URL (1000)
+ *   - collectionTitle: set to false to not record the collection label
+ *     as CSL `collection-title` (`recordCollectionTitle: false` also works)
+ *   - languages, alternateTitles, profile, explainType: see manifestToCSLItem()
+ *   - part: cite one canvas or range of each manifest instead of the whole
+ *     (see parsePartSpec() and manifestPartToCSLItem()); not applied to
+ *     the members of a Collection
+ *   - enrich: fetch the manifest's MODS / MARCXML / Dublin Core / JSON-LD
+ *     `seeAlso` records and merge them in (see applySeeAlsoRecords);
+ *     maxSeeAlso caps the records per manifest (4)
+ *   - thumbnail: add `thumbnail` ({ url, source, canvas, service }, see
+ *     resolveThumbnail()) to each successful result; thumbnailSize sets
+ *     the size of Image API thumbnails (400)
+ *   - discoverManifests: set to false to reject HTML pages instead of
+ *     looking for manifest links on them; maxPageManifests caps the
+ *     manifests converted per page (10)
+ *   - strict: check the properties the Presentation API requires of each
+ *     manifest (see validateIiifResource()) and report failures as
+ *     INVALID_IIIF instead of converting
+ *   - concurrency, perHostConcurrency, hostDelayMs: request limits, see
+ *     createRequestScheduler() (default: one request at a time)
+ *   - timeoutMs, userAgent, retries, retryBaseDelayMs, retryMaxDelayMs,
+ *     cache, cacheMode: see fetchManifest()
+ *   - scheduler: an existing scheduler to share limits between calls
  */
-async function iiifManifestUrlsToCSL(manifestUrls) {
+async function iiifManifestUrlsToCSLReport(manifestUrls, options) {
   if (!Array.isArray(manifestUrls)) {
-    throw new TypeError("iiifManifestUrlsToCSL: manifestUrls must be an array of strings");
+    throw new TypeError("iiifManifestUrlsToCSLReport: manifestUrls must be an array of strings");
+  }
+  const opts = options || {};
+
+  const runOpts = { ...opts, scheduler: opts.scheduler || createRequestScheduler(opts) };
+
+  // Convert the manifests discovered on an HTML landing page; the page
+  // becomes the items' URL unless a Content State link names a viewer.
+  const convertLandingPage = async (url, pageUrl, html) => {
+    const found = discoverManifestUrls(html, pageUrl);
+    if (found.length === 0) {
+      throw new IiifFetchError(
+        ERROR_CODES.NOT_IIIF,
+        `${pageUrl} is an HTML page, and no IIIF manifest link was found on it`,
+        { url: pageUrl }
+      );
+    }
+    const max = opts.maxPageManifests != null ? opts.maxPageManifests : DEFAULT_MAX_PAGE_MANIFESTS;
+    const perManifest = await Promise.all(found.map((d, i) => {
+      if (i >= max) {
+        return [makeResult(d.url, "skipped", {
+          error: {
+            code: ERROR_CODES.LANDING_PAGE_LIMIT,
+            httpStatus: null,
+            message: `Landing page limit reached (${max} manifests) on ${pageUrl}`
+          }
+        })];
+      }
+      let refs;
+      try {
+        refs = resolveManifestReferences(d.url);
+      } catch (e) {
+        return [makeResult(url, "error", { error: toReportError(e) })];
+      }
+      return Promise.all(refs.map(ref => convertReference(
+        url,
+        { ...ref, viewerUrl: ref.viewerUrl || pageUrl, landingPage: pageUrl },
+        true
+      ))).then(r => [].concat(...r));
+    }));
+    return [].concat(...perManifest);
+  };
+
+  // `ref` is one entry of resolveManifestReferences(url). A Content
+  // State that only links to its JSON is fetched and followed once, and
+  // so is an HTML landing page (see discoverManifestUrls()).
+  const convertReference = async (url, ref, followed) => {
+    const manifestUrl = ref.manifestUrl;
+    try {
+      const discover = !followed && opts.discoverManifests !== false;
+      const { manifest, attempts } = await fetchManifestDetailed(
+        manifestUrl,
+        runOpts,
+        discover ? MANIFEST_OR_PAGE_RESOURCE : MANIFEST_RESOURCE
+      );
+      if (isLandingPage(manifest)) {
+        return await convertLandingPage(url, manifestUrl, manifest.html);
+      }
+      if (getResourceType(manifest) === "Annotation" && !followed) {
+        const targets = contentStateTargets(manifest).filter(t => t.manifestUrl);
+        if (targets.length === 0) {
+          throw new IiifFetchError(
+            ERROR_CODES.CONTENT_STATE_ERROR,
+            `Content State does not say which manifest it refers to: ${manifestUrl}`,
+            { url: manifestUrl }
+          );
+        }
+        const perTarget = await Promise.all(targets.map(t => convertReference(
+          url,
+          { ...t, viewerUrl: ref.viewerUrl },
+          true
+        )));
+        return [].concat(...perTarget);
+      }
+      const validation = assertValidResource(manifest, manifestUrl, opts);
+      if (isIIIFCollection(manifest)) {
+        if (opts.traverseCollections === false) {
+          throw new IiifFetchError(
+            ERROR_CODES.NOT_IIIF,
+            `URL is a IIIF Collection, not a Manifest: ${manifestUrl}`,
+            { url: manifestUrl }
+          );
+        }
+        return collectionToResults(manifest, manifestUrl, runOpts);
+      }
+      const seeAlsoRecords = opts.enrich ? await fetchSeeAlsoRecords(manifest, runOpts) : undefined;
+      const item = convertManifest(manifest, manifestUrl, {
+        ...opts,
+        part: ref.part || opts.part,
+        seeAlsoRecords
+      });
+      if (ref.viewerUrl) item.URL = ref.viewerUrl;
+      return [makeResult(url, "ok", {
+        item,
+        attempts,
+        landingPage: ref.landingPage,
+        validation,
+        enrichment: seeAlsoRecords && summarizeSeeAlsoRecords(seeAlsoRecords),
+        thumbnail: opts.thumbnail ? resolveThumbnail(manifest, { ...opts, part: ref.part || opts.part }) : null
+      })];
+    } catch (e) {
+      return [makeResult(url, "error", { attempts: e && e.attempts, error: toReportError(e) })];
+    }
+  };
+
+  const convertUrl = async url => {
+    let refs;
+    try {
+      refs = resolveManifestReferences(url);
+    } catch (e) {
+      return [makeResult(url, "error", { error: toReportError(e) })];
+    }
+    const perRef = await Promise.all(refs.map(ref => convertReference(url, ref, false)));
+    return [].concat(...perRef);
+  };
+
+  // All URLs are submitted at once; the scheduler decides how many run.
+  // Promise.all keeps the results in input order.
+  const perUrl = await Promise.all(manifestUrls.filter(Boolean).map(convertUrl));
+  const results = [];
+  for (const urlResults of perUrl) {
+    results.push(...urlResults);
+  }
+
+  const items = results
+    .filter(r => r.status === "ok")
+    .map(r => r.item);
+
+  return { items, results };
+}
+
+/**
+ * manifestsToCSLReport(manifests, options)
+ *
+ * Convert already-parsed manifest objects (from files, stdin, a viewer's
+ * state, ...) without fetching anything. Each entry is either a manifest
+ * or `{ manifest, source }`, where `source` (e.g. a file path) ends up in
+ * the note and as the result's `url`. Resolves to `{ items, results }`
+ * like iiifManifestUrlsToCSLReport().
+ *
+ * Collections cannot be followed without fetching, so they are reported
+ * as errors. `options` are the conversion options of manifestToCSLItem(),
+ * plus `part`, `thumbnail` and `strict` as for iiifManifestUrlsToCSLReport().
+ */
+async function manifestsToCSLReport(manifests, options) {
+  const opts = options || {};
+  if (!Array.isArray(manifests)) {
+    throw new TypeError("manifestsToCSLReport: manifests must be an array of objects");
   }
 
-  const items = [];
-  for (const url of manifestUrls) {
-    if (!url) continue;
+  const results = [];
+  for (const entry of manifests) {
+    if (!entry || typeof entry !== "object") continue;
+
+    const isWrapped = entry.manifest && typeof entry.manifest === "object";
+    const manifest = isWrapped ? entry.manifest : entry;
+    const source = isWrapped && entry.source ? String(entry.source) : "";
+    const label = source || extractIdFromManifest(manifest, "", opts);
+
     try {
-      const manifest = await fetchManifest(url);
-      const item = manifestToCSLItem(manifest, url);
-      items.push(item);
+      const validation = assertValidResource(manifest, label, opts);
+      if (isIIIFCollection(manifest)) {
+        throw new IiifFetchError(
+          ERROR_CODES.NOT_IIIF,
+          `${label || "(object)"} is a IIIF Collection; pass its URL to follow its members`,
+          { url: source }
+        );
+      }
+      const item = convertManifest(manifest, "", { ...opts, sourceFile: source });
+      results.push(makeResult(label, "ok", {
+        item,
+        validation,
+        thumbnail: opts.thumbnail ? resolveThumbnail(manifest, opts) : null
+      }));
     } catch (e) {
-      // Let callers decide how to surface partial failures; for now we log.
-      console.error(`Error processing ${url}: ${e.message || e}`);
+      results.push(makeResult(label, "error", { error: toReportError(e) }));
+    }
+  }
+
+  const items = results
+    .filter(r => r.status === "ok")
+    .map(r => r.item);
+
+  return { items, results };
+}
+
+/**
+ * manifestsToCSL(manifests, options)
+ *
+ * Public counterpart of iiifManifestUrlsToCSL() for manifest objects you
+ * already have: no fetching at all. Failures are logged to stderr; use
+ * manifestsToCSLReport() to get them back instead.
+ */
+async function manifestsToCSL(manifests, options) {
+  const { items, results } = await manifestsToCSLReport(manifests, options);
+  for (const r of results) {
+    if (r.status !== "ok") {
+      console.error(`Error processing ${r.url}: ${r.error.message}`);
+    }
+  }
+  return items;
+}
+
+/**
+ * iiifManifestUrlsToCSL(manifestUrls, options)
+ *
+ * High-level core API: given an array of manifest URLs, fetch each
+ * manifest and convert to a CSL-JSON item. Returns a Promise resolving
+ * to an array suitable for Zotero's CSL importer.
+ *
+ * Takes the same options as iiifManifestUrlsToCSLReport(); failures are
+ * only logged to stderr. Use the report variant to find out which URL
+ * failed and why.
+ */
+async function iiifManifestUrlsToCSL(manifestUrls, options) {
+  if (!Array.isArray(manifestUrls)) {
+    throw new TypeError("iiifManifestUrlsToCSL: manifestUrls must be an array of strings");
+  }
+
+  const { items, results } = await iiifManifestUrlsToCSLReport(manifestUrls, options);
+  for (const r of results) {
+    if (r.status !== "ok") {
+      console.error(`Error processing ${r.url}: ${r.error.message}`);
     }
   }
   return items;
@@ -467,18 +4936,104 @@ async function iiifManifestUrlsToCSL(manifestUrls) {
 
 module.exports = {
   iiifManifestUrlsToCSL,
+  iiifManifestUrlsToCSLReport,
+  manifestsToCSL,
+  manifestsToCSLReport,
+  ERROR_CODES,
+  IiifFetchError,
   // Export helpers too, in case the CLI or future code wants them.
+  identifyIiifResource,
+  validateIiifResource,
+  assertValidResource,
   looksLikeIIIFManifest,
+  DEFAULT_LANGUAGES,
+  getLabelLanguageEntries,
+  pickLanguageEntry,
   iiifLabelToString,
+  getAlternateLanguageLabels,
   getFirstMetadataValue,
   inferTypeFromMetadata,
+  classifyCslType,
+  formatTypeRationale,
+  getManifestCanvases,
+  getVocabularyTypeHints,
   extractAuthors,
+  extractCreators,
+  getProfileFieldValue,
+  getProfileFieldValues,
+  getProfileFieldEntries,
+  extractProfileFields,
+  BUILTIN_PROFILES,
+  findMappingProfile,
+  listMappingProfiles,
+  compileMappingProfile,
+  selectMappingProfile,
+  metadataLabelRole,
+  ROLE_TO_CSL_VARIABLE,
+  CSL_NAME_VARIABLES,
+  splitCreatorRole,
+  splitCreatorList,
+  parseCslName,
+  isCorporateName,
   extractDate,
+  parseCslDate,
+  parseCenturies,
+  romanToInt,
   extractPublisher,
+  extractArchive,
+  extractArchiveLocation,
+  extractCollectionTitle,
+  normalizeIdentifier,
+  findIdentifiers,
+  extractIdentifiers,
+  formatIdentifierNote,
+  institutionFromAttribution,
+  getAttributionStatements,
+  describeLicense,
+  extractRights,
+  formatRights,
+  formatRightsNote,
   extractHomepageURL,
   buildIiifNote,
   trimManifestDirectory,
   extractIdFromManifest,
   manifestToCSLItem,
-  fetchManifest
+  parsePartSpec,
+  getManifestRanges,
+  getRangeCanvasIds,
+  canvasPage,
+  resolvePartTarget,
+  manifestPartToCSLItem,
+  CONTENT_STATE_PARAM,
+  decodeContentState,
+  contentStateTargets,
+  resolveManifestReferences,
+  discoverManifestUrls,
+  manifestFromLinkParams,
+  isIiifSiteUrl,
+  MANIFEST_QUERY_PARAMS,
+  MANIFEST_DATA_ATTRIBUTES,
+  VIEWER_CONFIG_RE,
+  isHtmlText,
+  DEFAULT_THUMBNAIL_SIZE,
+  getImageService,
+  imageApiUrl,
+  resolveThumbnail,
+  getResourceType,
+  isIIIFCollection,
+  getCollectionMembers,
+  collectionToResults,
+  collectionToCSLItems,
+  createRequestScheduler,
+  parseRetryAfter,
+  isRetryableError,
+  CACHE_MODES,
+  fetchManifestDetailed,
+  fetchManifest,
+  fetchImage,
+  getSeeAlsoEntries,
+  fetchSeeAlsoRecords,
+  recordToCslFields,
+  applySeeAlsoRecords,
+  RECORD_OVERRIDE_FIELDS
 };
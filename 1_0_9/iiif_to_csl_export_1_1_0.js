@@ -0,0 +1,540 @@
+"use strict";
+
+/**
+ * IIIF → CSL-JSON export formats: BibTeX, BibLaTeX, RIS
+ * Version: 1.1.0
+ *
+ * Serializes the CSL items the core produces (see manifestToCSLItem() in
+ * iiif_to_csl_core_1_1_0_fruittimer.js) for reference managers that do
+ * not read CSL-JSON:
+ *
+ *   const { formatItems } = require("./iiif_to_csl_export_1_1_0.js");
+ *   formatItems(items, "bibtex")     // or "biblatex", "ris", "csl-json"
+ *
+ * Archival items keep their holding institution and shelfmark: BibLaTeX
+ * gets `library` and `shelfmark`, BibTeX a `note` ("Archive, shelfmark"),
+ * RIS `DB` and `AV`. The core's IIIF provenance note goes to `annote` /
+ * `annotation` / `N1`. Citekeys are author + year + first title word,
+ * made unique with a, b, c ... (see makeCitekeys()).
+ *
+ * The serializers only take items and return strings; the CLIs write
+ * them to files and the sniffer hands them to a download.
+ */
+
+const EXPORT_FORMATS = ["csl-json", "bibtex", "biblatex", "ris"];
+
+// File extension and media type of each format, for downloads and --out.
+const EXPORT_FILE_TYPES = {
+  "csl-json": { extension: "json", mimeType: "application/vnd.citationstyles.csl+json" },
+  bibtex: { extension: "bib", mimeType: "application/x-bibtex" },
+  biblatex: { extension: "bib", mimeType: "application/x-bibtex" },
+  ris: { extension: "ris", mimeType: "application/x-research-info-systems" }
+};
+
+/* ------------------------------------------------------------
+ * Shared helpers
+ * ------------------------------------------------------------ */
+
+// Title words skipped when building citekeys.
+const CITEKEY_STOP_WORDS = new Set([
+  "a", "an", "the", "of", "and", "on", "in",
+  "der", "die", "das", "des", "ein", "eine", "und",
+  "le", "la", "les", "l", "un", "une", "de", "du", "et",
+  "il", "lo", "gli", "el", "los", "las", "y"
+]);
+
+// Reduce to lower-case ASCII letters and digits ("Ærø" → "aero").
+function asciiFold(str) {
+  return String(str || "")
+    .replace(/æ/gi, "ae")
+    .replace(/œ/gi, "oe")
+    .replace(/ß/g, "ss")
+    .replace(/ø/gi, "o")
+    .replace(/ł/gi, "l")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+// First date of a CSL date as { year, month, day }, or null.
+function firstDateParts(date) {
+  const parts = date && Array.isArray(date["date-parts"]) ? date["date-parts"][0] : null;
+  if (!parts || parts[0] == null) return null;
+  return { year: Number(parts[0]), month: parts[1] != null ? Number(parts[1]) : null, day: parts[2] != null ? Number(parts[2]) : null };
+}
+
+// Last date of a range, or null for a single date.
+function endDateParts(date) {
+  const all = date && Array.isArray(date["date-parts"]) ? date["date-parts"] : [];
+  return all.length > 1 && all[1] && all[1][0] != null
+    ? { year: Number(all[1][0]), month: all[1][1] != null ? Number(all[1][1]) : null, day: all[1][2] != null ? Number(all[1][2]) : null }
+    : null;
+}
+
+const pad2 = n => String(n).padStart(2, "0");
+
+// A CSL year as text: negative years are BC ("-50" → "50 BC").
+function yearText(year) {
+  return year < 0 ? `${-year} BC` : String(year);
+}
+
+// A CSL year as ISO 8601 / EDTF write it: four digits, and astronomical
+// numbering before year 1 (1 BC is "0000", 50 BC is "-0049").
+function isoYear(year) {
+  return year < 0 ? `-${String(-year - 1).padStart(4, "0")}` : String(year).padStart(4, "0");
+}
+
+// The names of one CSL role, without empty entries.
+function namesOf(item, role) {
+  return (Array.isArray(item[role]) ? item[role] : []).filter(n => n && (n.family || n.literal || n.given));
+}
+
+// The CSL note on one line: its lines joined with "; ", without blank
+// lines and "=====" underlines.
+function noteText(note) {
+  return String(note || "")
+    .split(/\r?\n/)
+    .map(l => l.trim())
+    .filter(l => l && !/^[=\-_*~]{3,}$/.test(l))
+    .join("; ");
+}
+
+// "Archive, shelfmark" (either may be missing).
+function holdingNote(item) {
+  return [item.archive, item.archive_location].filter(Boolean).join(", ");
+}
+
+// "", a, b, ..., z, aa, ab, ...
+function citekeySuffix(n) {
+  let suffix = "";
+  for (; n > 0; n = Math.floor((n - 1) / 26)) {
+    suffix = String.fromCharCode(97 + ((n - 1) % 26)) + suffix;
+  }
+  return suffix;
+}
+
+/**
+ * makeCitekeys(items)
+ *
+ * One citekey per item, in order: first author's family name (or
+ * literal name), year (or "nd", BC years as "50bc") and the first
+ * significant title word, folded to ASCII: "doe1600book"; without a name,
+ * title word and year: "book1600". A key already taken by an earlier item
+ * gets the first of a, b, c ... aa, ab ... that makes it unique.
+ */
+function makeCitekeys(items) {
+  const used = new Set();
+  const counts = new Map();
+  return items.map(item => {
+    const it = item || {};
+    const first = [...namesOf(it, "author"), ...namesOf(it, "editor")][0];
+    const who = first ? asciiFold(first.family || String(first.literal || "").split(/\s+/)[0]) : "";
+    const date = firstDateParts(it.issued);
+    const year = date && Number.isFinite(date.year)
+      ? (date.year < 0 ? `${-date.year}bc` : String(date.year))
+      : "nd";
+    const word = String(it.title || "")
+      .split(/[\s\-–—:;,.'’()[\]]+/)
+      .map(asciiFold)
+      .find(w => w && !CITEKEY_STOP_WORDS.has(w)) || "";
+    const titleWord = word.slice(0, 20);
+    const base = who ? `${who}${year}${titleWord}` : `${titleWord || "item"}${year}`;
+
+    // Suffixes resume where the last item with this base stopped; a key
+    // an unrelated item already produced ("doe1600booka") is skipped.
+    let count = counts.get(base) || 0;
+    let key = base + citekeySuffix(count);
+    while (used.has(key)) key = base + citekeySuffix(++count);
+    counts.set(base, count + 1);
+    used.add(key);
+    return key;
+  });
+}
+
+/* ------------------------------------------------------------
+ * BibTeX / BibLaTeX
+ * ------------------------------------------------------------ */
+
+// CSL type → entry type.
+const BIBTEX_TYPES = {
+  book: "book",
+  chapter: "incollection",
+  "article-journal": "article",
+  "article-magazine": "article",
+  "article-newspaper": "article",
+  thesis: "phdthesis",
+  pamphlet: "booklet"
+};
+const BIBLATEX_TYPES = {
+  book: "book",
+  chapter: "inbook",
+  "article-journal": "article",
+  "article-magazine": "article",
+  "article-newspaper": "article",
+  periodical: "periodical",
+  thesis: "thesis",
+  pamphlet: "booklet",
+  letter: "letter",
+  graphic: "image",
+  motion_picture: "movie",
+  song: "audio",
+  musical_score: "music"
+};
+
+// What @misc entries say they are (`howpublished` / `type`).
+const MISC_TYPE_LABELS = {
+  manuscript: "Manuscript",
+  map: "Map",
+  graphic: "Image",
+  letter: "Letter",
+  musical_score: "Musical score",
+  song: "Sound recording",
+  motion_picture: "Film",
+  interview: "Interview",
+  periodical: "Periodical"
+};
+
+const BIBTEX_MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * escapeBibtex(value)
+ *
+ * Escape the characters LaTeX treats specially (\ { } $ & % # _ ^ ~).
+ * Other characters, accented letters included, are left as UTF-8.
+ */
+function escapeBibtex(value) {
+  return String(value == null ? "" : value)
+    .replace(/\r?\n+/g, " ")
+    .replace(/[\\{}$&%#_^~]/g, ch => ({
+      "\\": "\\textbackslash{}",
+      "^": "\\textasciicircum{}",
+      "~": "\\textasciitilde{}"
+    })[ch] || `\\${ch}`);
+}
+
+// Fields BibTeX styles may lowercase ("Codex Sinaiticus" → "Codex
+// sinaiticus"). As in Zotero's exporter, every word with a capital letter
+// in it is braced: "{Codex} {Sinaiticus}", "{Bodleian} {Library} {MS.}".
+const CASE_PROTECTED_FIELDS = new Set(["title", "origtitle", "booktitle", "series"]);
+
+function protectCase(escaped) {
+  return escaped.split(" ").map(word => /\p{Lu}/u.test(word) ? `{${word}}` : word).join(" ");
+}
+
+// URLs and DOIs are read verbatim by url/biblatex; braces would break
+// the entry and whitespace the URL, so both are percent-encoded.
+function escapeBibtexVerbatim(value) {
+  return String(value || "").trim()
+    .replace(/[{}\s]/g, ch => encodeURIComponent(ch));
+}
+
+// One name as BibTeX expects it: "von Last, Jr, First"; literal names
+// (institutions, "Master of ...") braced so they are not split.
+function bibtexName(n) {
+  if (n.literal || !n.family) return `{${escapeBibtex(n.literal || n.given)}}`;
+  const family = [n["non-dropping-particle"], n.family].filter(Boolean).join(" ");
+  const given = [n.given, n["dropping-particle"]].filter(Boolean).join(" ");
+  return [family, n.suffix, given].filter(Boolean).map(escapeBibtex).join(", ");
+}
+
+function bibtexNames(names) {
+  return names.map(bibtexName).join(" and ");
+}
+
+// "1450", "ca. 1450", "1450--1475", "50 BC", or a literal date.
+function bibtexYear(date) {
+  if (!date) return "";
+  const start = firstDateParts(date);
+  if (!start) return date.literal || date.raw || "";
+  const end = endDateParts(date);
+  const years = end && end.year !== start.year
+    ? `${yearText(start.year)}--${yearText(end.year)}`
+    : yearText(start.year);
+  return date.circa ? `ca. ${years}` : years;
+}
+
+// ISO 8601 / EDTF date for BibLaTeX: "1450-03-02", "1450/1475", "1450~",
+// "-0049" (50 BC).
+function biblatexDate(date) {
+  const start = firstDateParts(date);
+  if (!start) return "";
+  const iso = d => [isoYear(d.year), d.month ? pad2(d.month) : null, d.month && d.day ? pad2(d.day) : null]
+    .filter(Boolean).join("-");
+  const end = endDateParts(date);
+  const value = end ? `${iso(start)}/${iso(end)}` : iso(start);
+  return date.circa ? (end ? value.replace("/", "~/") + "~" : `${value}~`) : value;
+}
+
+// Page ranges with an en-dash as BibTeX wants it: "12-15" → "12--15".
+function bibtexPages(page) {
+  return String(page || "").replace(/\s*[-–]\s*/g, "--");
+}
+
+function todayIso() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * bibtexFields(item, dialect, options)
+ *
+ * The [field, value] pairs of one entry (values already escaped) and its
+ * entry type, for `dialect` "bibtex" or "biblatex".
+ */
+function bibtexFields(item, dialect, options) {
+  const opts = options || {};
+  const isLatex = dialect === "biblatex";
+  const type = item.type || "";
+  let entryType = (isLatex ? BIBLATEX_TYPES : BIBTEX_TYPES)[type] || "misc";
+  if (isLatex && type === "manuscript" && opts.manuscriptEntryType === "manuscript") {
+    entryType = "manuscript";
+  }
+
+  const fields = [];
+  const add = (name, value, verbatim) => {
+    if (value == null || value === "") return;
+    const escaped = verbatim ? escapeBibtexVerbatim(value) : escapeBibtex(value);
+    fields.push([name, CASE_PROTECTED_FIELDS.has(name) ? protectCase(escaped) : escaped]);
+  };
+  const addRaw = (name, value) => {
+    if (value) fields.push([name, value]);
+  };
+
+  addRaw("author", bibtexNames(namesOf(item, "author")));
+  addRaw("editor", bibtexNames(namesOf(item, "editor")));
+  if (isLatex) addRaw("translator", bibtexNames(namesOf(item, "translator")));
+  add("title", item.title);
+  if (isLatex) add("origtitle", item["original-title"]);
+
+  const container = item["container-title"];
+  if (entryType === "article") add(isLatex ? "journaltitle" : "journal", container);
+  else if (container) add("booktitle", container);
+  add("series", item["collection-title"]);
+  add("edition", item.edition);
+
+  if (entryType === "misc" || entryType === "manuscript") {
+    const label = MISC_TYPE_LABELS[type];
+    if (label && !(entryType === "manuscript" && type === "manuscript")) {
+      add(isLatex ? "type" : "howpublished", label);
+    }
+  }
+  if (entryType === "thesis" || entryType === "phdthesis") {
+    add(isLatex ? "institution" : "school", item.publisher);
+  } else {
+    add("publisher", item.publisher);
+  }
+  add(isLatex ? "location" : "address", item["publisher-place"]);
+
+  if (isLatex) {
+    // EDTF dates only hold digits, "-", "/" and "~": no escaping.
+    const date = biblatexDate(item.issued);
+    if (date) addRaw("date", date);
+    else add("year", bibtexYear(item.issued));
+  } else {
+    add("year", bibtexYear(item.issued));
+    const start = firstDateParts(item.issued);
+    if (start && start.month && !endDateParts(item.issued) && BIBTEX_MONTHS[start.month - 1]) {
+      addRaw("month", BIBTEX_MONTHS[start.month - 1]);
+    }
+  }
+
+  add("pages", bibtexPages(item.page));
+  if (isLatex) add("pagetotal", item["number-of-pages"]);
+  add("language", item.language);
+
+  if (isLatex) {
+    add("library", item.archive);
+    add("shelfmark", item.archive_location);
+  } else {
+    add("note", holdingNote(item));
+  }
+
+  add("doi", item.DOI, true);
+  add("isbn", item.ISBN);
+  add("issn", item.ISSN);
+  add("url", item.URL, true);
+  if (item.URL && opts.urldate !== false) {
+    const urldate = item.accessed ? biblatexDate(item.accessed) : (opts.urldate || todayIso());
+    add("urldate", urldate);
+  }
+  add("abstract", item.abstract);
+  if (opts.note !== false) add(isLatex ? "annotation" : "annote", noteText(item.note));
+
+  return { entryType, fields };
+}
+
+function formatBibtexEntries(items, dialect, options) {
+  const list = Array.isArray(items) ? items.filter(Boolean) : [];
+  const keys = makeCitekeys(list);
+  return list.map((item, i) => {
+    const { entryType, fields } = bibtexFields(item, dialect, options);
+    const width = Math.max(0, ...fields.map(([name]) => name.length));
+    const body = fields.map(([name, value]) => {
+      // Month macros go unbraced so styles can localize them.
+      const v = name === "month" ? value : `{${value}}`;
+      return `  ${name.padEnd(width)} = ${v}`;
+    });
+    return `@${entryType}{${keys[i]},\n${body.join(",\n")}\n}\n`;
+  }).join("\n");
+}
+
+/**
+ * itemsToBibTeX(items, options)
+ *
+ * CSL items as BibTeX entries. Options:
+ *   - urldate: access date for `urldate` ("YYYY-MM-DD", default today;
+ *     false to leave it out); an item's CSL `accessed` wins
+ *   - note: set to false to leave out the IIIF note (`annote`)
+ */
+function itemsToBibTeX(items, options) {
+  return formatBibtexEntries(items, "bibtex", options);
+}
+
+/**
+ * itemsToBibLaTeX(items, options)
+ *
+ * CSL items as BibLaTeX entries, with `date` in ISO 8601 / EDTF form
+ * (ranges "1450/1475", circa "1450~"), `location`, `library`,
+ * `shelfmark` and `urldate`. Manuscripts are @misc with
+ * `type = {Manuscript}`, or @manuscript with
+ * `options.manuscriptEntryType = "manuscript"` (for styles that define
+ * it). Other options as for itemsToBibTeX() (`note` → `annotation`).
+ */
+function itemsToBibLaTeX(items, options) {
+  return formatBibtexEntries(items, "biblatex", options);
+}
+
+/* ------------------------------------------------------------
+ * RIS
+ * ------------------------------------------------------------ */
+
+// CSL type → RIS TY.
+const RIS_TYPES = {
+  book: "BOOK",
+  chapter: "CHAP",
+  "article-journal": "JOUR",
+  "article-magazine": "MGZN",
+  "article-newspaper": "NEWS",
+  periodical: "JFULL",
+  manuscript: "MANSCPT",
+  map: "MAP",
+  graphic: "ART",
+  thesis: "THES",
+  letter: "PCOMM",
+  pamphlet: "PAMP",
+  motion_picture: "MPCT",
+  song: "SOUND",
+  musical_score: "MUSIC"
+};
+
+// RIS values are single lines.
+function risValue(value) {
+  return String(value == null ? "" : value).replace(/\s*\r?\n\s*/g, " ").trim();
+}
+
+function risName(n) {
+  if (n.literal || !n.family) return n.literal || n.given;
+  const family = [n["non-dropping-particle"], n.family].filter(Boolean).join(" ");
+  return [family, n.given, n.suffix].filter(Boolean).join(", ");
+}
+
+// "YYYY/MM/DD/" as RIS DA wants it.
+function risDate(d) {
+  return [String(d.year).padStart(4, "0"), d.month ? pad2(d.month) : "", d.month && d.day ? pad2(d.day) : "", ""].join("/");
+}
+
+/**
+ * itemsToRIS(items, options)
+ *
+ * CSL items as RIS records (CRLF line ends, `ER` after each). `ID` is the
+ * citekey of makeCitekeys(). Options: urldate (`Y2`) and note (`N1`) as
+ * for itemsToBibTeX().
+ */
+function itemsToRIS(items, options) {
+  const opts = options || {};
+  const list = Array.isArray(items) ? items.filter(Boolean) : [];
+  const keys = makeCitekeys(list);
+
+  return list.map((item, i) => {
+    const lines = [];
+    const add = (tag, value) => {
+      const v = risValue(value);
+      if (v) lines.push(`${tag}  - ${v}`);
+    };
+
+    add("TY", RIS_TYPES[item.type] || "GEN");
+    add("ID", keys[i]);
+    add("TI", item.title);
+    add("TT", item["original-title"]);
+    for (const n of namesOf(item, "author")) add("AU", risName(n));
+    for (const n of namesOf(item, "editor")) add("A2", risName(n));
+    for (const n of namesOf(item, "translator")) add("A4", risName(n));
+    add("T2", item["container-title"]);
+    add("T3", item["collection-title"]);
+
+    // RIS dates have no BC form: those go in DA as text.
+    const start = firstDateParts(item.issued);
+    const end = endDateParts(item.issued);
+    if (start && (start.year < 1 || (end && end.year < 1))) {
+      add("DA", item.issued.literal || item.issued.raw || bibtexYear(item.issued));
+    } else if (start) {
+      add("PY", String(start.year).padStart(4, "0"));
+      add("DA", item.issued.circa || end
+        ? `${risDate(start)}${bibtexYear(item.issued)}`
+        : risDate(start));
+    } else if (item.issued) {
+      add("DA", item.issued.literal || item.issued.raw);
+    }
+
+    add("PB", item.publisher);
+    add("CY", item["publisher-place"]);
+    add("ET", item.edition);
+    const pages = String(item.page || "").split(/\s*[-–]+\s*/);
+    add("SP", pages[0]);
+    add("EP", pages[1]);
+    add("DB", item.archive);
+    add("AV", item.archive_location);
+    add("LA", item.language);
+    add("DO", item.DOI);
+    add("SN", item.ISBN || item.ISSN);
+    add("UR", item.URL);
+    if (item.URL && opts.urldate !== false) {
+      const accessed = firstDateParts(item.accessed);
+      add("Y2", accessed ? risDate(accessed) : (opts.urldate || todayIso()).replace(/-/g, "/"));
+    }
+    add("AB", item.abstract);
+    if (opts.note !== false) add("N1", noteText(item.note));
+    lines.push("ER  - ");
+    return lines.join("\r\n") + "\r\n";
+  }).join("\r\n");
+}
+
+/* ------------------------------------------------------------
+ * Entry point
+ * ------------------------------------------------------------ */
+
+/**
+ * formatItems(items, format, options)
+ *
+ * Serialize CSL items as `format` (one of EXPORT_FORMATS; "csl-json" is
+ * pretty-printed JSON). Throws a TypeError for an unknown format.
+ */
+function formatItems(items, format, options) {
+  const f = String(format || "csl-json").toLowerCase();
+  if (f === "csl-json" || f === "csl" || f === "json") return JSON.stringify(items || [], null, 2);
+  if (f === "bibtex") return itemsToBibTeX(items, options);
+  if (f === "biblatex") return itemsToBibLaTeX(items, options);
+  if (f === "ris") return itemsToRIS(items, options);
+  throw new TypeError(`formatItems: unknown format '${format}' (expected ${EXPORT_FORMATS.join(", ")})`);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_FILE_TYPES,
+  escapeBibtex,
+  makeCitekeys,
+  itemsToBibTeX,
+  itemsToBibLaTeX,
+  itemsToRIS,
+  formatItems
+};
@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * IIIF → CSL-JSON on-disk manifest cache (Node only)
+ * Version: 1.1.0
+ *
+ * Implements the cache interface expected by the 1.1.0 core's fetch layer
+ * (see "Manifest cache" in iiif_to_csl_core_1_1_0_fruittimer.js):
+ *
+ *   const { createFsManifestCache } = require("./iiif_to_csl_fs_cache_1_1_0.js");
+ *   const cache = createFsManifestCache(".iiif-cache");
+ *   await iiifManifestUrlsToCSLReport(urls, { cache, cacheMode: "default" });
+ *
+ * Each URL is stored as one JSON file named after the SHA-256 of the URL,
+ * holding `{ url, body, etag, lastModified, storedAt }`. This file needs
+ * `fs` and `crypto`, so it is kept out of the core, which is also bundled
+ * for the browser.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * cacheFileName(url)
+ *
+ * Stable, filesystem-safe name for a URL's cache file.
+ */
+function cacheFileName(url) {
+  return crypto.createHash("sha256").update(String(url)).digest("hex") + ".json";
+}
+
+/**
+ * createFsManifestCache(dir)
+ *
+ * Return a `{ get, set }` cache backed by the directory `dir`, which is
+ * created on first write. Entries stored for a different URL (hash
+ * collision, hand-edited file) are treated as misses.
+ */
+function createFsManifestCache(dir) {
+  if (!dir) {
+    throw new TypeError("createFsManifestCache: dir must be a non-empty string");
+  }
+
+  async function get(url) {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(path.join(dir, cacheFileName(url)), "utf8");
+    } catch (e) {
+      if (e && e.code === "ENOENT") return null;
+      throw e;
+    }
+    const entry = JSON.parse(raw);
+    return entry && entry.url === url ? entry : null;
+  }
+
+  async function set(url, entry) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = path.join(dir, cacheFileName(url));
+    // Write to a temp file first so that concurrent readers never see a
+    // half-written entry.
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ ...entry, url }), "utf8");
+    await fs.promises.rename(tmp, file);
+  }
+
+  return { dir, get, set };
+}
+
+module.exports = {
+  createFsManifestCache,
+  cacheFileName
+};
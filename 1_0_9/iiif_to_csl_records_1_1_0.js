@@ -0,0 +1,746 @@
+"use strict";
+
+/**
+ * IIIF → CSL-JSON catalog record parsers
+ * Version: 1.1.0
+ *
+ * Parses the structured records manifests link through `seeAlso` (MODS,
+ * MARCXML, Dublin Core XML, schema.org JSON-LD) into one flat, format-
+ * independent shape, so the core only has to know how to merge that
+ * shape into a CSL item (see "seeAlso enrichment" in
+ * iiif_to_csl_core_1_1_0_fruittimer.js):
+ *
+ *   {
+ *     format,        // "mods" | "marcxml" | "dc" | "jsonld"
+ *     title,
+ *     names,         // [{ text | family/given | literal, role, corporate }]
+ *     issued,        // date as a string for parseCslDate(), e.g. "1450/1475"
+ *     publisher, place, edition,
+ *     languages,     // ["lat", "en", ...] as given in the record
+ *     identifiers,   // { ISBN: [...], ISSN: [...], DOI: [...], OCLC: [...], ... }
+ *     extent, dimensions, shelfmark, repository, abstract,
+ *     typeHints      // ["mods/cartographic", "schema.org/map", ...]
+ *   }
+ *
+ * Empty fields are "" / []. Nothing here fetches or touches the DOM, so
+ * the file works unchanged in Node and in the browser bundle.
+ */
+
+/* ------------------------------------------------------------
+ * Minimal XML reader
+ * ------------------------------------------------------------ */
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+function decodeXmlEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (whole, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" || ent[1] === "X"
+        ? parseInt(ent.slice(2), 16)
+        : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : whole;
+    }
+    const named = XML_ENTITIES[ent.toLowerCase()];
+    return named != null ? named : whole;
+  });
+}
+
+/**
+ * parseXml(text)
+ *
+ * Parse well-formed-enough XML into a tree of
+ *   { name, attrs, children, text }
+ * where `name` and attribute names are local names (namespace prefixes
+ * dropped: "mods:name" → "name") and `text` is the element's own
+ * character data. Comments, processing instructions and DOCTYPEs are
+ * skipped. Throws on text that is not XML at all.
+ */
+function parseXml(text) {
+  const root = { name: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const tagRe = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<!DOCTYPE[^>[]*(?:\[[\s\S]*?\])?\s*>|<\/\s*([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  const localName = n => n.replace(/^[^:]*:/, "");
+
+  let last = 0;
+  let m;
+  while ((m = tagRe.exec(text))) {
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.text += decodeXmlEntities(text.slice(last, m.index));
+    last = tagRe.lastIndex;
+
+    if (m[1] != null) {
+      top.text += m[1];
+    } else if (m[2]) {
+      const name = localName(m[2]);
+      // Pop to the matching element; tolerate stray end tags.
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].name === name) {
+          stack.length = i;
+          break;
+        }
+      }
+    } else if (m[3]) {
+      const attrs = {};
+      const attrRe = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let a;
+      while ((a = attrRe.exec(m[4] || ""))) {
+        attrs[localName(a[1])] = decodeXmlEntities(a[2] != null ? a[2] : a[3]);
+      }
+      const el = { name: localName(m[3]), attrs, children: [], text: "" };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    }
+  }
+
+  if (root.children.length === 0) {
+    throw new Error("Not XML: no root element");
+  }
+  return root.children[0];
+}
+
+/**
+ * Child elements of `el` named `name` (all children if `name` is "*").
+ */
+function childrenNamed(el, name) {
+  if (!el) return [];
+  return el.children.filter(c => name === "*" || c.name === name);
+}
+
+function firstChild(el, name) {
+  return childrenNamed(el, name)[0] || null;
+}
+
+/**
+ * All descendants of `el` named `name`, in document order.
+ */
+function descendantsNamed(el, name) {
+  const out = [];
+  const walk = node => {
+    for (const c of node.children) {
+      if (c.name === name) out.push(c);
+      walk(c);
+    }
+  };
+  if (el) walk(el);
+  return out;
+}
+
+/**
+ * Text content of `el` and its descendants, whitespace-collapsed.
+ */
+function textOf(el) {
+  if (!el) return "";
+  const parts = [el.text];
+  for (const c of el.children) parts.push(textOf(c));
+  return parts.join(" ").replace(/\s+/g, " ").trim();
+}
+
+/* ------------------------------------------------------------
+ * Shared helpers
+ * ------------------------------------------------------------ */
+
+// MARC relator codes (https://id.loc.gov/vocabulary/relators) → role
+// terms the core understands (see ROLE_TERMS there).
+const MARC_RELATOR_CODES = {
+  aut: "author",
+  cre: "author",
+  edt: "editor",
+  com: "compiler",
+  trl: "translator",
+  ill: "illustrator",
+  ilu: "illuminator",
+  art: "artist",
+  egr: "engraver",
+  ctg: "cartographer",
+  pht: "photographer",
+  scr: "scribe",
+  prt: "printer",
+  pbl: "publisher",
+  fmo: "former owner",
+  own: "former owner",
+  bnd: "binder",
+  cmp: "composer",
+  lyr: "lyricist",
+  cmm: "commentator",
+  ann: "annotator",
+  dnr: "donor",
+  dte: "dedicatee",
+  pat: "patron",
+  rcp: "recipient",
+  ivr: "interviewer",
+  drt: "director",
+  prf: "performer",
+  ctb: "contributor"
+};
+
+function emptyRecord(format) {
+  return {
+    format,
+    title: "",
+    names: [],
+    issued: "",
+    publisher: "",
+    place: "",
+    edition: "",
+    languages: [],
+    identifiers: {},
+    extent: "",
+    dimensions: "",
+    shelfmark: "",
+    repository: "",
+    abstract: "",
+    typeHints: []
+  };
+}
+
+/**
+ * Strip ISBD punctuation catalogers leave at the end of MARC/MODS
+ * values: "London :", "Printed for J. Smith,", "1599." A final period
+ * that ends initials or a short abbreviation ("N.L.", "cm.") stays.
+ */
+function trimIsbd(str) {
+  return String(str || "")
+    .replace(/\s*[:;,/=]\s*$/, "")
+    .replace(/(^|\s)([^\s.]{3,})\.$/, "$1$2")
+    .trim();
+}
+
+/**
+ * Imprint values that say "unknown": [s.l.] (sine loco), [s.n.] (sine
+ * nomine), [n.d.], ... become "".
+ */
+function cleanImprint(str) {
+  const v = trimIsbd(str).replace(/^\[(.*)\]$/, "$1").replace(/^\[|\]$/g, "").trim();
+  return /^(?:s\.\s?[ln]\.|n\.\s?d\.|sine loco|sine nomine|place of publication not identified|publisher not identified|date of publication not identified|o\.\s?o\.|o\.\s?j\.)$/i.test(v)
+    ? ""
+    : v;
+}
+
+function addIdentifier(record, kind, value) {
+  const v = String(value || "").trim();
+  if (!v) return;
+  const list = record.identifiers[kind] = record.identifiers[kind] || [];
+  if (!list.includes(v)) list.push(v);
+}
+
+/**
+ * Sort a free identifier string (dc:identifier, JSON-LD `identifier`,
+ * `sameAs`) into the right bucket, if it is recognizable.
+ */
+function classifyIdentifier(record, value) {
+  const v = String(value || "").trim();
+  const doi = /(?:doi\.org\/|^doi:\s*)(10\.\d{4,9}\/\S+)/i.exec(v) || /^(10\.\d{4,9}\/\S+)$/.exec(v);
+  if (doi) return addIdentifier(record, "DOI", doi[1]);
+  const isbn = /^(?:urn:)?isbn:?\s*([\d-]{9,17}[\dx])$/i.exec(v);
+  if (isbn) return addIdentifier(record, "ISBN", isbn[1]);
+  const issn = /^(?:urn:)?issn:?\s*(\d{4}-?\d{3}[\dx])$/i.exec(v);
+  if (issn) return addIdentifier(record, "ISSN", issn[1]);
+  const oclc = /^(?:\(OCoLC\)|oclc:?\s*|https?:\/\/(?:www\.)?worldcat\.org\/oclc\/)(?:ocm|ocn|on)?(\d+)$/i.exec(v);
+  if (oclc) return addIdentifier(record, "OCLC", oclc[1]);
+  if (/(?:^|\/)ark:\/?\d{5}\//i.test(v)) return addIdentifier(record, "ARK", v);
+  if (/hdl\.handle\.net\/|^hdl:/i.test(v)) return addIdentifier(record, "Handle", v);
+  if (/^https?:\/\//i.test(v)) return addIdentifier(record, "URL", v);
+  return undefined;
+}
+
+/* ------------------------------------------------------------
+ * MODS
+ * ------------------------------------------------------------ */
+
+// MODS typeOfResource values become "mods/<value>" type hints; the core
+// maps them to CSL types.
+function modsTypeHints(mods) {
+  const hints = [];
+  for (const t of childrenNamed(mods, "typeOfResource")) {
+    const value = textOf(t).toLowerCase();
+    if (value) hints.push("mods/" + value);
+    if (t.attrs.manuscript === "yes") hints.push("mods/manuscript");
+  }
+  for (const g of childrenNamed(mods, "genre")) {
+    const value = textOf(g).toLowerCase();
+    if (value) hints.push("genre/" + value);
+  }
+  return hints;
+}
+
+function modsName(nameEl) {
+  const parts = childrenNamed(nameEl, "namePart");
+  const family = parts.filter(p => p.attrs.type === "family").map(textOf).join(" ");
+  const given = parts.filter(p => p.attrs.type === "given").map(textOf).join(" ");
+  const plain = parts.filter(p => !p.attrs.type).map(textOf).join(", ");
+  const corporate = nameEl.attrs.type === "corporate" || nameEl.attrs.type === "conference";
+
+  const roles = [];
+  for (const roleEl of childrenNamed(nameEl, "role")) {
+    for (const term of childrenNamed(roleEl, "roleTerm")) {
+      const value = textOf(term).toLowerCase();
+      if (term.attrs.type === "code" || /^[a-z]{3}$/.test(value)) {
+        if (MARC_RELATOR_CODES[value]) roles.push(MARC_RELATOR_CODES[value]);
+      } else if (value) {
+        roles.push(value.replace(/\.$/, ""));
+      }
+    }
+  }
+  const role = roles[0] || (nameEl.attrs.usage === "primary" ? "author" : "");
+
+  if (corporate) {
+    const literal = textOf(firstChild(nameEl, "displayForm")) || parts.map(textOf).join(". ");
+    return literal ? { literal, role, corporate: true } : null;
+  }
+  if (family || given) {
+    return { family, given, role, corporate: false };
+  }
+  const text = plain || textOf(firstChild(nameEl, "displayForm"));
+  return text ? { text, role, corporate: false } : null;
+}
+
+/**
+ * Pick a date from MODS date elements: a start/end pair becomes
+ * "start/end", otherwise the key date or the first one.
+ */
+function modsDate(elements) {
+  if (elements.length === 0) return "";
+  const start = elements.find(d => d.attrs.point === "start");
+  const end = elements.find(d => d.attrs.point === "end");
+  if (start && end) return `${textOf(start)}/${textOf(end)}`;
+  // Prefer the encoded form (w3cdtf, iso8601, marc) over free text.
+  const encoded = elements.find(d => d.attrs.encoding && !d.attrs.point);
+  const key = elements.find(d => d.attrs.keyDate === "yes");
+  return textOf(encoded || key || start || elements[0]);
+}
+
+function parseMods(root) {
+  const record = emptyRecord("mods");
+  // modsCollection → first mods
+  const mods = root.name === "mods" ? root : descendantsNamed(root, "mods")[0];
+  if (!mods) throw new Error("No <mods> element");
+
+  const titleInfo = childrenNamed(mods, "titleInfo").find(t => !t.attrs.type) ||
+    firstChild(mods, "titleInfo");
+  if (titleInfo) {
+    const nonSort = textOf(firstChild(titleInfo, "nonSort"));
+    const title = textOf(firstChild(titleInfo, "title"));
+    const subTitle = textOf(firstChild(titleInfo, "subTitle"));
+    record.title = [nonSort ? nonSort + (/['’-]$/.test(nonSort) ? "" : " ") + title : title, subTitle]
+      .filter(Boolean).join(": ").replace(/\s+/g, " ").trim();
+  }
+
+  for (const nameEl of childrenNamed(mods, "name")) {
+    const n = modsName(nameEl);
+    if (n) record.names.push(n);
+  }
+
+  const origin = firstChild(mods, "originInfo");
+  if (origin) {
+    record.publisher = cleanImprint(textOf(firstChild(origin, "publisher")));
+    const places = descendantsNamed(origin, "placeTerm");
+    const textPlace = places.find(p => p.attrs.type === "text") || (places.length === 1 ? places[0] : null);
+    record.place = cleanImprint(textOf(textPlace));
+    record.edition = trimIsbd(textOf(firstChild(origin, "edition")));
+    for (const name of ["dateIssued", "dateCreated", "copyrightDate", "dateOther"]) {
+      const date = modsDate(childrenNamed(origin, name));
+      if (date) {
+        record.issued = trimIsbd(date);
+        break;
+      }
+    }
+  }
+
+  for (const language of childrenNamed(mods, "language")) {
+    for (const term of childrenNamed(language, "languageTerm")) {
+      const value = textOf(term);
+      if (value && !record.languages.includes(value)) record.languages.push(value);
+    }
+  }
+
+  for (const id of childrenNamed(mods, "identifier")) {
+    const value = textOf(id);
+    const type = (id.attrs.type || "").toLowerCase();
+    if (type === "isbn") addIdentifier(record, "ISBN", value);
+    else if (type === "issn") addIdentifier(record, "ISSN", value);
+    else if (type === "doi") addIdentifier(record, "DOI", value.replace(/^(?:https?:\/\/(?:dx\.)?doi\.org\/|doi:)/i, ""));
+    else if (type === "hdl" || type === "handle") addIdentifier(record, "Handle", value);
+    else if (type === "ark") addIdentifier(record, "ARK", value);
+    else if (type === "oclc") addIdentifier(record, "OCLC", value.replace(/^\D+/, ""));
+    else classifyIdentifier(record, value);
+  }
+
+  const physical = firstChild(mods, "physicalDescription");
+  if (physical) {
+    record.extent = childrenNamed(physical, "extent").map(textOf).join("; ");
+  }
+
+  const location = firstChild(mods, "location");
+  if (location) {
+    record.repository = textOf(firstChild(location, "physicalLocation"));
+    record.shelfmark = textOf(descendantsNamed(location, "shelfLocator")[0]);
+  }
+
+  record.abstract = textOf(firstChild(mods, "abstract"));
+  record.typeHints = modsTypeHints(mods);
+  return record;
+}
+
+/* ------------------------------------------------------------
+ * MARCXML
+ * ------------------------------------------------------------ */
+
+// Leader/06 (type of record) → type hint.
+const MARC_RECORD_TYPES = {
+  a: "marc/text",
+  t: "marc/manuscript",
+  c: "marc/notated-music",
+  d: "marc/manuscript-music",
+  e: "marc/cartographic",
+  f: "marc/manuscript-cartographic",
+  g: "marc/projected-medium",
+  i: "marc/nonmusical-sound",
+  j: "marc/musical-sound",
+  k: "marc/graphic"
+};
+
+function marcSubfields(field, codes) {
+  return childrenNamed(field, "subfield")
+    .filter(sf => !codes || codes.includes(sf.attrs.code))
+    .map(sf => ({ code: sf.attrs.code, value: textOf(sf) }));
+}
+
+function marcSubfield(field, code) {
+  const sf = marcSubfields(field, [code])[0];
+  return sf ? sf.value : "";
+}
+
+function marcName(field, defaultRole) {
+  const tag = field.attrs.tag;
+  const corporate = /^(?:110|111|710|711)$/.test(tag);
+  const nameParts = marcSubfields(field, corporate ? ["a", "b", "c", "n"] : ["a", "b", "c", "q", "d"])
+    .map(sf => sf.value);
+  const text = trimIsbd(nameParts.join(" ").replace(/\s*,\s*$/, ""));
+  if (!text) return null;
+
+  const roleTerm = marcSubfield(field, "e");
+  const roleCode = marcSubfield(field, "4").toLowerCase().replace(/^.*\//, "");
+  const role = trimIsbd(roleTerm).toLowerCase() ||
+    MARC_RELATOR_CODES[roleCode] ||
+    defaultRole;
+
+  return corporate
+    ? { literal: text, role, corporate: true }
+    : { text, role, corporate: false };
+}
+
+function parseMarcXml(root) {
+  const record = emptyRecord("marcxml");
+  const marc = root.name === "record" ? root : descendantsNamed(root, "record")[0];
+  if (!marc) throw new Error("No MARC <record> element");
+
+  const fields = childrenNamed(marc, "datafield");
+  const controls = childrenNamed(marc, "controlfield");
+  const field = tag => fields.filter(f => f.attrs.tag === tag);
+  // The leader and control fields are positional: their text is used as
+  // is, spaces included (textOf() would trim and collapse them).
+  const control = tag => {
+    const c = controls.find(el => el.attrs.tag === tag);
+    return c ? c.text : "";
+  };
+
+  const leaderEl = firstChild(marc, "leader");
+  const leader = leaderEl ? leaderEl.text : "";
+  if (leader.length > 7) {
+    const hint = MARC_RECORD_TYPES[leader[6]];
+    if (hint) record.typeHints.push(hint);
+    if (leader[6] === "a" && leader[7] === "s") record.typeHints.push("marc/serial");
+  }
+
+  const title = field("245")[0];
+  if (title) {
+    record.title = trimIsbd(marcSubfields(title, ["a", "b", "n", "p"]).map(sf => trimIsbd(sf.value)).join(": "));
+  }
+
+  for (const tag of ["100", "110", "111"]) {
+    for (const f of field(tag)) {
+      const n = marcName(f, "author");
+      if (n) record.names.push(n);
+    }
+  }
+  for (const tag of ["700", "710", "711"]) {
+    for (const f of field(tag)) {
+      const n = marcName(f, "contributor");
+      if (n) record.names.push(n);
+    }
+  }
+
+  // 264 with second indicator 1 (publication) wins over 260.
+  const imprint = field("264").find(f => f.attrs.ind2 === "1") || field("260")[0];
+  if (imprint) {
+    record.place = cleanImprint(marcSubfield(imprint, "a"));
+    record.publisher = cleanImprint(marcSubfield(imprint, "b"));
+    record.issued = trimIsbd(marcSubfield(imprint, "c"));
+  }
+
+  // 008/06-14: type of date, date 1, date 2. More reliable than 260 $c.
+  const f008 = control("008");
+  if (f008.length >= 15) {
+    const dateType = f008[6];
+    const date1 = f008.slice(7, 11).replace(/u/g, "0");
+    const date2 = f008.slice(11, 15).replace(/u/g, "9");
+    const valid = d => /^\d{4}$/.test(d) && d !== "9999";
+    if (valid(date1)) {
+      if ("ikmq".includes(dateType) && valid(date2) && date2 !== date1) {
+        record.issued = `${date1}/${date2}`;
+      } else if (!record.issued || !/\d{4}/.test(record.issued)) {
+        record.issued = date1;
+      }
+      if (dateType === "q" && !/^ca?\./.test(record.issued)) {
+        record.issued = "ca. " + record.issued;
+      }
+    }
+  }
+  if (f008.length >= 38) {
+    const lang = f008.slice(35, 38).trim();
+    if (/^[a-z]{3}$/.test(lang)) record.languages.push(lang);
+  }
+  for (const f of field("041")) {
+    for (const sf of marcSubfields(f, ["a"])) {
+      if (!record.languages.includes(sf.value)) record.languages.push(sf.value);
+    }
+  }
+
+  for (const f of field("020")) addIdentifier(record, "ISBN", marcSubfield(f, "a").split(/\s/)[0]);
+  for (const f of field("022")) addIdentifier(record, "ISSN", marcSubfield(f, "a"));
+  for (const f of field("024")) {
+    const source = marcSubfield(f, "2").toLowerCase();
+    const value = marcSubfield(f, "a");
+    if (source === "doi") addIdentifier(record, "DOI", value);
+    else if (source === "hdl" || source === "handle") addIdentifier(record, "Handle", value);
+    else if (source === "ark") addIdentifier(record, "ARK", value);
+    else classifyIdentifier(record, value);
+  }
+  for (const f of field("035")) classifyIdentifier(record, marcSubfield(f, "a"));
+
+  const edition = field("250")[0];
+  if (edition) record.edition = trimIsbd(marcSubfield(edition, "a"));
+
+  const physical = field("300")[0];
+  if (physical) {
+    record.extent = trimIsbd(marcSubfield(physical, "a"));
+    record.dimensions = trimIsbd(marcSubfield(physical, "c"));
+  }
+
+  const summary = field("520")[0];
+  if (summary) record.abstract = marcSubfield(summary, "a");
+
+  const holding = field("852")[0];
+  if (holding) {
+    record.repository = [marcSubfield(holding, "a"), marcSubfield(holding, "b")].filter(Boolean).join(", ");
+    record.shelfmark = marcSubfields(holding, ["h", "i", "j"]).map(sf => sf.value).join(" ");
+  }
+
+  return record;
+}
+
+/* ------------------------------------------------------------
+ * Dublin Core (oai_dc, srw_dc, RDF/XML with dc/dcterms)
+ * ------------------------------------------------------------ */
+
+function parseDublinCore(root) {
+  const record = emptyRecord("dc");
+  const values = name => descendantsNamed(root, name).map(textOf).filter(Boolean);
+
+  record.title = values("title")[0] || "";
+  for (const text of values("creator")) record.names.push({ text, role: "author", corporate: false });
+  for (const text of values("contributor")) record.names.push({ text, role: "contributor", corporate: false });
+  record.issued = values("issued")[0] || values("created")[0] || values("date")[0] || "";
+  record.publisher = cleanImprint(values("publisher")[0]);
+  record.languages = values("language");
+  record.extent = values("extent")[0] || "";
+  record.abstract = values("abstract")[0] || values("description")[0] || "";
+  for (const id of values("identifier")) classifyIdentifier(record, id);
+  for (const type of values("type")) {
+    const dcmi = /dcmitype\/([A-Za-z]+)/.exec(type);
+    if (dcmi) record.typeHints.push("dcmitype/" + dcmi[1].toLowerCase());
+    else if (/^(?:text|image|stillimage|movingimage|sound|physicalobject|collection|dataset)$/i.test(type.replace(/\s+/g, ""))) {
+      record.typeHints.push("dcmitype/" + type.replace(/\s+/g, "").toLowerCase());
+    } else {
+      record.typeHints.push("genre/" + type.toLowerCase());
+    }
+  }
+  return record;
+}
+
+/* ------------------------------------------------------------
+ * schema.org JSON-LD
+ * ------------------------------------------------------------ */
+
+function jsonLdTypes(node) {
+  return [].concat(node["@type"] || node.type || [])
+    .map(t => String(t).replace(/^(?:https?:\/\/schema\.org\/|schema:)/i, ""));
+}
+
+function jsonLdText(v) {
+  if (v == null) return "";
+  if (typeof v === "string" || typeof v === "number") return String(v);
+  if (Array.isArray(v)) return jsonLdText(v[0]);
+  if (typeof v === "object") return jsonLdText(v["@value"] != null ? v["@value"] : v.name);
+  return "";
+}
+
+function jsonLdName(v, role) {
+  if (!v) return null;
+  if (typeof v === "string") return { text: v, role, corporate: false };
+  const types = jsonLdTypes(v);
+  if (types.includes("Organization") || types.some(t => /Organization$|Library|Museum|Archive/.test(t))) {
+    const literal = jsonLdText(v.name);
+    return literal ? { literal, role, corporate: true } : null;
+  }
+  if (v.familyName || v.givenName) {
+    return { family: jsonLdText(v.familyName), given: jsonLdText(v.givenName), role, corporate: false };
+  }
+  const text = jsonLdText(v.name);
+  return text ? { text, role, corporate: false } : null;
+}
+
+// Properties holding people, and the role they have.
+const JSONLD_NAME_PROPERTIES = {
+  author: "author",
+  creator: "author",
+  editor: "editor",
+  translator: "translator",
+  illustrator: "illustrator",
+  contributor: "contributor",
+  composer: "composer",
+  recipient: "recipient",
+  director: "director"
+};
+
+function parseJsonLd(data) {
+  const record = emptyRecord("jsonld");
+  const nodes = Array.isArray(data) ? data : (Array.isArray(data["@graph"]) ? data["@graph"] : [data]);
+  const main = nodes.find(n => n && jsonLdTypes(n).some(t => !/^(?:Person|Organization|Place|WebPage|WebSite|BreadcrumbList|ImageObject)$/.test(t))) ||
+    nodes[0];
+  if (!main || typeof main !== "object") throw new Error("No JSON-LD node");
+
+  for (const t of jsonLdTypes(main)) record.typeHints.push("schema.org/" + t.toLowerCase());
+  record.title = jsonLdText(main.name || main.headline);
+
+  for (const [prop, role] of Object.entries(JSONLD_NAME_PROPERTIES)) {
+    for (const v of [].concat(main[prop] || [])) {
+      const n = jsonLdName(v, role);
+      if (n) record.names.push(n);
+    }
+  }
+
+  record.issued = jsonLdText(main.datePublished || main.dateCreated || main.temporalCoverage);
+  record.publisher = jsonLdText(main.publisher);
+  record.place = jsonLdText(main.locationCreated || (main.publisher && main.publisher.location));
+  record.edition = jsonLdText(main.bookEdition || main.version);
+  record.languages = [].concat(main.inLanguage || []).map(jsonLdText).filter(Boolean);
+  record.abstract = jsonLdText(main.description || main.abstract);
+  record.repository = jsonLdText(main.holdingArchive);
+  if (main.numberOfPages) record.extent = `${jsonLdText(main.numberOfPages)} pages`;
+  record.dimensions = [main.height, main.width].map(jsonLdText).filter(Boolean).join(" × ");
+
+  for (const v of [].concat(main.isbn || [])) addIdentifier(record, "ISBN", jsonLdText(v));
+  for (const v of [].concat(main.issn || [])) addIdentifier(record, "ISSN", jsonLdText(v));
+  for (const v of [].concat(main.identifier || [])) {
+    if (v && typeof v === "object" && v.propertyID) {
+      const kind = String(v.propertyID).toUpperCase();
+      const value = jsonLdText(v.value);
+      if (["DOI", "ISBN", "ISSN", "OCLC", "ARK"].includes(kind)) addIdentifier(record, kind, value);
+      else classifyIdentifier(record, value);
+    } else {
+      classifyIdentifier(record, jsonLdText(v));
+    }
+  }
+  for (const v of [].concat(main.sameAs || [])) classifyIdentifier(record, jsonLdText(v));
+
+  return record;
+}
+
+/* ------------------------------------------------------------
+ * Format detection and entry point
+ * ------------------------------------------------------------ */
+
+// How to recognize a record format from a seeAlso entry. Checked against
+// `format`, then `profile`/`schema`/`type`/`label`.
+const SEE_ALSO_FORMATS = [
+  { format: "mods", mime: /^application\/mods\+xml/i, profile: /loc\.gov\/(?:standards\/)?mods|\bmods\b/i },
+  { format: "marcxml", mime: /^application\/marcxml\+xml/i, profile: /MARC21\/slim|marcxml|\bmarc\b/i },
+  { format: "dc", mime: /^application\/(?:rdf\+xml|dc\+xml)/i, profile: /purl\.org\/dc\/|dublincore|oai_dc|\bdc\b/i },
+  { format: "jsonld", mime: /^application\/ld\+json/i, profile: /schema\.org/i }
+];
+
+/**
+ * detectSeeAlsoFormat(entry)
+ *
+ * The record format ("mods", "marcxml", "dc", "jsonld") of a `seeAlso`
+ * entry, from its `format` and `profile`, or "" if it is not one this
+ * file can parse. A generic XML/JSON `format` needs a recognizable
+ * `profile`.
+ */
+function detectSeeAlsoFormat(entry) {
+  if (!entry || typeof entry !== "object") return "";
+  const mime = String(entry.format || "");
+  const described = [entry.profile, entry.schema, entry.dcterms_conformsTo, entry.label]
+    .concat(entry.type && entry.type !== "Dataset" ? [entry.type] : [])
+    .map(v => (typeof v === "object" && v ? JSON.stringify(v) : String(v || "")))
+    .join(" ");
+
+  for (const f of SEE_ALSO_FORMATS) {
+    if (f.mime.test(mime)) return f.format;
+  }
+  if (!mime || /xml|json/i.test(mime)) {
+    for (const f of SEE_ALSO_FORMATS) {
+      if (f.profile.test(described)) return f.format;
+    }
+  }
+  return "";
+}
+
+/**
+ * sniffRecordFormat(text)
+ *
+ * Guess the format from a response body, for seeAlso entries that did
+ * not say: "" if unknown.
+ */
+function sniffRecordFormat(text) {
+  const head = String(text || "").slice(0, 2000);
+  if (/^\s*[[{]/.test(head)) return /schema\.org/.test(head) ? "jsonld" : "";
+  if (/<(?:\w+:)?mods[\s>]|<(?:\w+:)?modsCollection[\s>]/.test(head)) return "mods";
+  if (/MARC21\/slim|<(?:\w+:)?record[\s>][\s\S]*<(?:\w+:)?leader/.test(head)) return "marcxml";
+  if (/purl\.org\/dc\/(?:elements|terms)/.test(head)) return "dc";
+  return "";
+}
+
+/**
+ * parseSeeAlsoRecord(text, format)
+ *
+ * Parse a fetched seeAlso body in the given format (or a sniffed one if
+ * `format` is empty) into the record shape described at the top of this
+ * file. Throws if the body cannot be parsed.
+ */
+function parseSeeAlsoRecord(text, format) {
+  const fmt = format || sniffRecordFormat(text);
+  switch (fmt) {
+    case "mods":
+      return parseMods(parseXml(text));
+    case "marcxml":
+      return parseMarcXml(parseXml(text));
+    case "dc":
+      return parseDublinCore(parseXml(text));
+    case "jsonld":
+      return parseJsonLd(JSON.parse(text));
+    default:
+      throw new Error("Unrecognized record format");
+  }
+}
+
+module.exports = {
+  parseXml,
+  textOf,
+  MARC_RELATOR_CODES,
+  SEE_ALSO_FORMATS,
+  detectSeeAlsoFormat,
+  sniffRecordFormat,
+  parseSeeAlsoRecord
+};
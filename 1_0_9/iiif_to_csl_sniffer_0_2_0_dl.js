@@ -5,12 +5,33 @@
  * Version: 0.2.0
  *
  * 0.1.0  – basic DOM sniffer + iiifToCslBrowser bridge
- * 0.2.0  – adds sniffConvertAndDownload() and download helpers
+ * 0.2.0  – adds sniffConvertAndDownload() and download helpers; downloads
+ *          CSL-JSON, BibTeX, BibLaTeX or RIS (options.format)
  *
  * Scope:
- *  - Look only at REFERRER TEXT (link text/title/aria-label), NOT the href.
- *  - Canonical regex: /iiif[\s_-]*manifest/i
- *  - De-duplicate by resolved manifest URL.
+ *  - Detector strategies (see DETECTORS), each with a confidence score:
+ *      content-state   IIIF Content State links (an `iiif-content`
+ *                      parameter in the href, a `data-iiif-content`
+ *                      attribute, or the page's own URL): exactly which
+ *                      manifest and canvas/region the user is looking at
+ *      text            referrer text (link text/title/aria-label)
+ *                      matching /iiif[\s_-]*manifest/i
+ *      drag-and-drop   ?manifest= links ("View in Mirador", IIIF
+ *                      drag-and-drop)
+ *      iiif-logo       links around a IIIF logo image
+ *      data-attribute  data-manifest, data-iiif-manifest, UV data-uri
+ *      json-ld         <script type="application/ld+json"> metadata
+ *      viewer-config   manifestUri / manifestId in inline viewer scripts
+ *      href            hrefs that look like manifest URLs, and
+ *                      <link rel="alternate"> with a IIIF type
+ *    drag-and-drop, iiif-logo, data-attribute and viewer-config use the
+ *    core's link rules (see getLinkRules()); without iiifToCslBrowser
+ *    they find nothing and the other detectors still run.
+ *  - De-duplicate by canonical manifest URL (optionally by the manifest
+ *    they turn out to be, see probeManifestCandidates()), keeping the
+ *    best-scoring candidate (detector confidence, label exactness,
+ *    visibility, main content vs. page chrome) and every strategy that
+ *    found it.
  *  - Hand the final list to iiifToCslBrowser.fromManifestUrls().
  */
 
@@ -25,6 +46,11 @@ const MANIFEST_TEXT_RE = /iiif[\s_-]*manifest/i;
 // Start minimal; you can add buttons etc. later if needed.
 const SELECTOR_REFERRERS = "a, [role='link']";
 
+// IIIF Content State: the query/hash parameter viewers share it in, and
+// the elements that can carry one.
+const CONTENT_STATE_PARAM = "iiif-content";
+const SELECTOR_CONTENT_STATE = "a[href*='iiif-content'], [data-iiif-content]";
+
 /* ------------------------------------------------------------
  * Helpers
  * ------------------------------------------------------------ */
@@ -66,6 +92,336 @@ function resolveUrl(href, baseUrl) {
   }
 }
 
+/**
+ * Does this URL carry a Content State in its `iiif-content` parameter
+ * (query, or hash as Universal Viewer puts it)?
+ */
+function hasContentStateParam(url) {
+  try {
+    const u = new URL(url);
+    const hashParams = new URLSearchParams(u.hash.replace(/^#/, ""));
+    return u.searchParams.has(CONTENT_STATE_PARAM) || hashParams.has(CONTENT_STATE_PARAM);
+  } catch (_err) {
+    return false;
+  }
+}
+
+/**
+ * Resolve a Content State link (or bare Content State) to its targets,
+ * [{ manifestUrl, part }], using the browser wrapper when it is loaded;
+ * null if it is not, or the state cannot be read. Conversion does not
+ * depend on this: the core decodes the link again itself.
+ */
+function resolveContentState(value) {
+  const browserApi = getGlobal().iiifToCslBrowser;
+  if (!browserApi || typeof browserApi.resolveContentState !== "function") return null;
+  try {
+    return browserApi.resolveContentState(value);
+  } catch (_err) {
+    return null;
+  }
+}
+
+/**
+ * The manifest-link rules the sniffer shares with the core's landing-page
+ * discovery (query parameters, data attributes, viewer configuration
+ * keys, iiif.io hosts), from iiifToCslBrowser; null if the bundle is not
+ * loaded, in which case the detectors that need them find nothing.
+ */
+function getLinkRules() {
+  const browserApi = getGlobal().iiifToCslBrowser;
+  if (!browserApi || typeof browserApi.manifestFromLinkParams !== "function") return null;
+  return browserApi;
+}
+
+/* ------------------------------------------------------------
+ * Detector strategies
+ * ------------------------------------------------------------ */
+
+/**
+ * A detector finds manifest candidates of one kind in the DOM:
+ *
+ *   {
+ *     name,        // reported as the candidates' `strategy`
+ *     confidence,  // 0..1: how sure a match is a manifest link
+ *     detect(root, context) → [{ node, label, href, resolvedHref,
+ *                                contentState?, confidence? }]
+ *   }
+ *
+ * `context` is { pageUrl } (the page URL when `root` is the document).
+ * A candidate's own `confidence` overrides the detector's. Detectors run
+ * in DETECTORS order; register more with registerDetector().
+ */
+
+// An href that looks like a manifest: .../manifest, .../manifest.json,
+// or /iiif/ somewhere before a path ending in "manifest".
+const MANIFEST_HREF_RE = /\/manifest(?:\.json)?(?:[?#]|$)|\/iiif\/.*manifest[^/]*$/i;
+
+// JSON-LD: keys naming a manifest outright, and the signs that a linked
+// object (schema.org `subjectOf`, `associatedMedia` ...) is IIIF.
+const JSON_LD_MANIFEST_KEY_RE = /manifest/i;
+const JSON_LD_IIIF_RE = /iiif/i;
+
+function getLinkHref(node) {
+  return (node.tagName === "A" && node.getAttribute("href")) ||
+    (node.getAttribute && node.getAttribute("data-href")) ||
+    null;
+}
+
+// IIIF Content State links, and the page URL if it carries one.
+const contentStateDetector = {
+  name: "content-state",
+  confidence: 1,
+  detect(root, context) {
+    const found = [];
+    if (context.pageUrl && hasContentStateParam(context.pageUrl)) {
+      found.push({
+        node: null,
+        label: "(page URL)",
+        href: context.pageUrl,
+        resolvedHref: context.pageUrl,
+        contentState: resolveContentState(context.pageUrl)
+      });
+    }
+    for (const node of Array.from(root.querySelectorAll(SELECTOR_CONTENT_STATE))) {
+      const data = (node.getAttribute && node.getAttribute("data-iiif-content")) || "";
+      const href = data.trim() || node.getAttribute("href");
+      // A data attribute holds the Content State itself, not a URL.
+      const resolvedHref = data.trim() ? data.trim() : resolveUrl(href);
+      if (!resolvedHref || (!data.trim() && !hasContentStateParam(resolvedHref))) continue;
+      found.push({
+        node,
+        label: getNodeLabel(node) || "(IIIF Content State)",
+        href,
+        resolvedHref,
+        contentState: resolveContentState(resolvedHref)
+      });
+    }
+    return found;
+  }
+};
+
+// Link text / title / aria-label matching MANIFEST_TEXT_RE.
+const textDetector = {
+  name: "text",
+  confidence: 0.9,
+  detect(root) {
+    const found = [];
+    for (const node of Array.from(root.querySelectorAll(SELECTOR_REFERRERS))) {
+      const label = getNodeLabel(node);
+      if (!label || !MANIFEST_TEXT_RE.test(label)) continue;
+      const href = getLinkHref(node);
+      found.push({ node, label, href, resolvedHref: resolveUrl(href) });
+    }
+    return found;
+  }
+};
+
+// "View in Mirador" and IIIF drag-and-drop links: ?manifest=<url>.
+const dragAndDropDetector = {
+  name: "drag-and-drop",
+  confidence: 0.85,
+  detect(root) {
+    const rules = getLinkRules();
+    if (!rules) return [];
+    const found = [];
+    for (const node of Array.from(root.querySelectorAll(SELECTOR_REFERRERS))) {
+      const href = getLinkHref(node);
+      const resolved = resolveUrl(href);
+      const manifest = resolved && rules.manifestFromLinkParams(resolved);
+      if (!manifest) continue;
+      found.push({ node, label: getNodeLabel(node), href, resolvedHref: resolveUrl(manifest) });
+    }
+    return found;
+  }
+};
+
+// Links wrapped around the IIIF logo (an image whose src, alt or title
+// says "iiif"); the manifest is the link itself or its ?manifest=. Logos
+// that just link to iiif.io are skipped.
+const iiifLogoDetector = {
+  name: "iiif-logo",
+  confidence: 0.8,
+  detect(root) {
+    const rules = getLinkRules();
+    if (!rules) return [];
+    const found = [];
+    for (const node of Array.from(root.querySelectorAll(SELECTOR_REFERRERS))) {
+      const img = node.querySelector && node.querySelector("img");
+      const imgText = img
+        ? ["src", "alt", "title"].map(a => img.getAttribute(a) || "").join(" ")
+        : "";
+      if (!/iiif/i.test(imgText) && !/\biiif-logo\b/i.test(node.getAttribute("class") || "")) continue;
+      const href = getLinkHref(node);
+      const resolved = resolveUrl(href);
+      if (!resolved) continue;
+      const manifest = rules.manifestFromLinkParams(resolved);
+      if (!manifest && rules.isIiifSiteUrl(resolved)) continue;
+      found.push({
+        node,
+        label: getNodeLabel(node) || (img && img.getAttribute("alt")) || "(IIIF logo)",
+        href,
+        resolvedHref: manifest ? resolveUrl(manifest) : resolved
+      });
+    }
+    return found;
+  }
+};
+
+// data-manifest and friends; Universal Viewer's <div class="uv" data-uri>.
+const dataAttributeDetector = {
+  name: "data-attribute",
+  confidence: 0.8,
+  detect(root) {
+    const rules = getLinkRules();
+    if (!rules) return [];
+    const attributes = rules.MANIFEST_DATA_ATTRIBUTES;
+    const selector = attributes.map(a => `[${a}]`).concat(".uv[data-uri]").join(", ");
+    const found = [];
+    for (const node of Array.from(root.querySelectorAll(selector))) {
+      for (const attr of [...attributes, "data-uri"]) {
+        const value = (node.getAttribute(attr) || "").trim();
+        if (!value) continue;
+        found.push({
+          node,
+          label: getNodeLabel(node) || `(${attr})`,
+          href: value,
+          resolvedHref: resolveUrl(value)
+        });
+      }
+    }
+    return found;
+  }
+};
+
+// Collect manifest URLs from parsed JSON-LD: values under a "manifest"
+// key, and the url / @id of objects that call themselves IIIF.
+function collectJsonLdManifests(value, out, depth) {
+  if (!value || typeof value !== "object" || depth > 20) return;
+  if (Array.isArray(value)) {
+    for (const v of value) collectJsonLdManifests(v, out, depth + 1);
+    return;
+  }
+  const isIiif = ["@type", "type", "encodingFormat", "additionalType", "@context", "profile", "conformsTo"]
+    .some(k => value[k] != null && JSON_LD_IIIF_RE.test(JSON.stringify(value[k])));
+  for (const [key, v] of Object.entries(value)) {
+    if (typeof v === "string" && /^https?:\/\//i.test(v)) {
+      if (JSON_LD_MANIFEST_KEY_RE.test(key)) out.push(v);
+      else if (isIiif && ["url", "contentUrl", "@id", "id"].includes(key)) out.push(v);
+    } else {
+      collectJsonLdManifests(v, out, depth + 1);
+    }
+  }
+}
+
+// <script type="application/ld+json"> metadata (schema.org and the like).
+const jsonLdDetector = {
+  name: "json-ld",
+  confidence: 0.75,
+  detect(root) {
+    const found = [];
+    for (const script of Array.from(root.querySelectorAll("script[type='application/ld+json']"))) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent || "");
+      } catch (_err) {
+        continue;
+      }
+      const urls = [];
+      collectJsonLdManifests(data, urls, 0);
+      for (const url of urls) {
+        found.push({ node: script, label: "(JSON-LD)", href: url, resolvedHref: resolveUrl(url) });
+      }
+    }
+    return found;
+  }
+};
+
+// manifestUri / manifestId / manifest in inline viewer set-up scripts.
+const viewerConfigDetector = {
+  name: "viewer-config",
+  confidence: 0.7,
+  detect(root) {
+    const rules = getLinkRules();
+    if (!rules) return [];
+    const configRe = rules.VIEWER_CONFIG_RE;
+    const found = [];
+    for (const script of Array.from(root.querySelectorAll("script:not([src])"))) {
+      if ((script.getAttribute("type") || "").includes("ld+json")) continue;
+      const text = (script.textContent || "").replace(/\\u002[fF]/g, "/").replace(/\\\//g, "/");
+      let m;
+      configRe.lastIndex = 0;
+      while ((m = configRe.exec(text)) !== null) {
+        found.push({ node: script, label: `(viewer ${m[1]})`, href: m[2], resolvedHref: resolveUrl(m[2]) });
+      }
+    }
+    return found;
+  }
+};
+
+// Links whose href looks like a manifest (MANIFEST_HREF_RE), whatever
+// their text; and <link rel="alternate"> with a IIIF type, which is as
+// good as it gets.
+const hrefDetector = {
+  name: "href",
+  confidence: 0.5,
+  detect(root) {
+    const found = [];
+    for (const node of Array.from(root.querySelectorAll("link[rel~='alternate'][type*='iiif']"))) {
+      const href = node.getAttribute("href");
+      found.push({ node, label: "(link rel=alternate)", href, resolvedHref: resolveUrl(href), confidence: 0.95 });
+    }
+    for (const node of Array.from(root.querySelectorAll(SELECTOR_REFERRERS))) {
+      const href = getLinkHref(node);
+      const resolved = resolveUrl(href);
+      if (!resolved || !MANIFEST_HREF_RE.test(resolved.replace(/[?#].*$/, ""))) continue;
+      found.push({ node, label: getNodeLabel(node), href, resolvedHref: resolved });
+    }
+    return found;
+  }
+};
+
+/**
+ * The detectors findManifestReferrerNodes() runs by default, in order.
+ */
+const DETECTORS = [
+  contentStateDetector,
+  textDetector,
+  dragAndDropDetector,
+  iiifLogoDetector,
+  dataAttributeDetector,
+  jsonLdDetector,
+  viewerConfigDetector,
+  hrefDetector
+];
+
+/**
+ * registerDetector(detector)
+ *
+ * Add a detector to DETECTORS, or replace the one with the same name.
+ */
+function registerDetector(detector) {
+  if (!detector || typeof detector.name !== "string" || typeof detector.detect !== "function") {
+    throw new TypeError("iiif_to_csl_sniffer: a detector needs a name and a detect(root, context) function");
+  }
+  const i = DETECTORS.findIndex(d => d.name === detector.name);
+  if (i >= 0) DETECTORS[i] = detector;
+  else DETECTORS.push(detector);
+  return detector;
+}
+
+// Pick the detectors for `option`: all of DETECTORS by default, or the
+// listed names / detector objects.
+function selectDetectors(option) {
+  if (!Array.isArray(option)) return DETECTORS.slice();
+  return option.map(d => {
+    if (d && typeof d === "object") return d;
+    const found = DETECTORS.find(det => det.name === d);
+    if (!found) throw new Error(`iiif_to_csl_sniffer: unknown detector '${d}'`);
+    return found;
+  });
+}
+
 /* ------------------------------------------------------------
  * Core sniffer: DOM → manifest candidate list
  * ------------------------------------------------------------ */
@@ -75,70 +431,301 @@ function resolveUrl(href, baseUrl) {
  *
  * Returns an array of objects:
  *   {
- *     node,         // the DOM element
+ *     node,         // the DOM element (null for the page URL)
  *     label,        // the label used for matching
  *     href,         // raw href (if any)
- *     resolvedHref  // fully resolved URL string or null
+ *     resolvedHref, // fully resolved URL string (or bare Content State) or null
+ *     contentState, // for Content State links: [{ manifestUrl, part }]
+ *                   // (when iiifToCslBrowser is loaded), else null
+ *     strategy,     // name of the detector that found it
+ *     confidence    // 0..1, see DETECTORS
  *   }
+ *
+ * Options:
+ *   - detectors: names (or detector objects) to run instead of all of
+ *     DETECTORS, e.g. ["text", "content-state"] for the 0.1 behaviour
+ *
+ * Candidates come in detector order, so Content State links (the page
+ * URL itself first, if `root` is the document) lead.
  */
-function findManifestReferrerNodes(root) {
+function findManifestReferrerNodes(root, options) {
+  const opts = options || {};
   const rootNode = root || (typeof document !== "undefined" ? document : null);
   if (!rootNode) return [];
 
-  const nodes = Array.from(rootNode.querySelectorAll(SELECTOR_REFERRERS));
+  const pageUrl = typeof document !== "undefined" && rootNode === document && document.location
+    ? document.location.href
+    : "";
+  const context = { pageUrl };
+
   const results = [];
+  for (const detector of selectDetectors(opts.detectors)) {
+    for (const c of detector.detect(rootNode, context) || []) {
+      results.push({
+        node: c.node || null,
+        label: c.label || "",
+        href: c.href || null,
+        resolvedHref: c.resolvedHref || null,
+        contentState: c.contentState || null,
+        strategy: detector.name,
+        confidence: c.confidence != null ? c.confidence : (detector.confidence != null ? detector.confidence : 0.5)
+      });
+    }
+  }
+  return results;
+}
 
-  for (const node of nodes) {
-    const label = getNodeLabel(node);
-    if (!label) continue;
+/* ------------------------------------------------------------
+ * Ranking: canonical URLs, scores, probing
+ * ------------------------------------------------------------ */
 
-    if (!MANIFEST_TEXT_RE.test(label)) {
-      continue; // no canonical match in the *textual referrer*, skip
-    }
+// Query parameters that only track the visitor and never change which
+// manifest a URL returns.
+const TRACKING_PARAM_RE = /^(?:utm_[a-z_]+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|_ga|_gl)$/i;
 
-    const href =
-      (node.tagName === "A" && node.getAttribute("href")) ||
-      (node.getAttribute && node.getAttribute("data-href")) ||
-      null;
+// How much each signal counts in a candidate's score (they add up to 1).
+const SCORE_WEIGHTS = {
+  confidence: 0.55, // the detector's confidence
+  label: 0.2,       // how exactly the label says "IIIF manifest"
+  visibility: 0.15, // visible on the page, not hidden
+  proximity: 0.1    // inside the main content, not header/footer/nav
+};
 
-    const resolvedHref = resolveUrl(href);
+const EXACT_LABEL_RE = /^\s*iiif[\s_-]*manifest\s*$/i;
+const SELECTOR_MAIN_CONTENT = "main, article, [role='main'], #content, #main, .content, .main";
+const SELECTOR_PAGE_CHROME = "header, footer, nav, aside, [role='navigation'], [role='banner'], [role='contentinfo']";
 
-    results.push({
-      node,
-      label,
-      href,
-      resolvedHref
-    });
+/**
+ * canonicalizeManifestUrl(url)
+ *
+ * The key candidates are de-duplicated by: https instead of http, host
+ * in lower case, no default port, no trailing slash, `/manifest.json`
+ * read as `/manifest`, no tracking (utm_*, fbclid, ...) or empty query
+ * parameters, and no hash unless it holds a Content State. Anything that
+ * is not an http(s) URL (a bare Content State) is returned as it is.
+ */
+function canonicalizeManifestUrl(url) {
+  if (typeof url !== "string" || !/^https?:\/\//i.test(url)) return url;
+  let u;
+  try {
+    u = new URL(url);
+  } catch (_err) {
+    return url;
+  }
+  u.protocol = "https:";
+  if (u.port === "80" || u.port === "443") u.port = "";
+  for (const [name, value] of Array.from(u.searchParams.entries())) {
+    if (TRACKING_PARAM_RE.test(name) || value === "") u.searchParams.delete(name);
   }
+  if (!hasContentStateParam(u.toString())) u.hash = "";
+  u.pathname = u.pathname
+    .replace(/(.)\/+$/, "$1")
+    .replace(/\/manifest\.json$/i, "/manifest");
+  return u.toString().replace(/\?$/, "");
+}
 
-  return results;
+// Is the node hidden: hidden / aria-hidden, display:none or
+// visibility:hidden, or not rendered at all? null when we cannot tell.
+function isNodeHidden(node) {
+  if (!node || typeof node.getAttribute !== "function") return null;
+  if (node.getAttribute("hidden") != null || node.getAttribute("aria-hidden") === "true") return true;
+  const g = getGlobal();
+  if (typeof g.getComputedStyle === "function") {
+    try {
+      const style = g.getComputedStyle(node);
+      if (style.display === "none" || style.visibility === "hidden") return true;
+    } catch (_err) {
+      // not an element of this window
+    }
+  }
+  if (typeof node.getClientRects === "function") return node.getClientRects().length === 0;
+  return /display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.getAttribute("style") || "") ? true : null;
 }
 
 /**
- * De-duplicate candidates by resolvedHref.
+ * scoreManifestCandidate(candidate)
  *
- * For each URL, keep the “best” candidate:
- *   - currently: shortest label (heuristic: less boilerplate)
- *   - future: can add scoring: exact "IIIF manifest", etc.
+ * Rank a candidate: { score, signals }, where `signals` holds the 0..1
+ * value of each SCORE_WEIGHTS entry and `score` their weighted sum.
+ * Signals that cannot be judged (no node, as for the page URL, or no
+ * layout information) count as 0.5.
+ */
+function scoreManifestCandidate(candidate) {
+  const c = candidate || {};
+  const label = c.label || "";
+  const node = c.node;
+
+  let labelSignal = 0;
+  if (EXACT_LABEL_RE.test(label)) labelSignal = 1;
+  else if (MANIFEST_TEXT_RE.test(label)) labelSignal = 0.7;
+  else if (/iiif|manifest/i.test(label)) labelSignal = 0.4;
+  else if (label && !/^\(.*\)$/.test(label)) labelSignal = 0.1;
+
+  const hidden = node && node.tagName !== "SCRIPT" && node.tagName !== "LINK" ? isNodeHidden(node) : null;
+  const visibilitySignal = hidden == null ? 0.5 : (hidden ? 0 : 1);
+
+  let proximitySignal = 0.5;
+  if (node && typeof node.closest === "function") {
+    if (node.closest(SELECTOR_MAIN_CONTENT)) proximitySignal = 1;
+    else if (node.closest(SELECTOR_PAGE_CHROME)) proximitySignal = 0.2;
+  }
+
+  const signals = {
+    confidence: c.confidence != null ? c.confidence : 0.5,
+    label: labelSignal,
+    visibility: visibilitySignal,
+    proximity: proximitySignal
+  };
+  const score = Object.keys(SCORE_WEIGHTS)
+    .reduce((sum, k) => sum + SCORE_WEIGHTS[k] * signals[k], 0);
+  return { score: Math.round(score * 1000) / 1000, signals };
+}
+
+// Merge two candidates for the same manifest: keep the better one and
+// every strategy that found either.
+function mergeCandidates(existing, c) {
+  const strategies = existing.strategies.slice();
+  for (const s of c.strategies || [c.strategy]) {
+    if (s && !strategies.includes(s)) strategies.push(s);
+  }
+  const better = c.score > existing.score ||
+    (c.score === existing.score && (c.label || "").length < (existing.label || "").length);
+  return better ? { ...c, strategies } : { ...existing, strategies };
+}
+
+/**
+ * De-duplicate candidates by canonical URL (see canonicalizeManifestUrl()).
+ *
+ * Each candidate is scored (see scoreManifestCandidate()); for each URL
+ * the highest-scoring one is kept, ties going to the shortest label
+ * (heuristic: less boilerplate). The kept candidate carries `score`,
+ * `signals`, `canonicalUrl` and, in `strategies`, every detector that
+ * found the URL. The result is sorted by score, best first.
  */
 function dedupeManifestCandidates(candidates) {
   const byUrl = new Map();
 
-  for (const c of candidates) {
-    if (!c.resolvedHref) continue;
-    const existing = byUrl.get(c.resolvedHref);
-    if (!existing) {
-      byUrl.set(c.resolvedHref, c);
-      continue;
-    }
+  for (const candidate of candidates) {
+    if (!candidate.resolvedHref) continue;
+    const canonicalUrl = canonicalizeManifestUrl(candidate.resolvedHref);
+    const c = {
+      ...candidate,
+      ...scoreManifestCandidate(candidate),
+      canonicalUrl,
+      strategies: candidate.strategy ? [candidate.strategy] : []
+    };
+    const existing = byUrl.get(canonicalUrl);
+    byUrl.set(canonicalUrl, existing ? mergeCandidates(existing, c) : c);
+  }
 
-    // Heuristic: prefer more compact labels
-    if ((c.label || "").length < (existing.label || "").length) {
-      byUrl.set(c.resolvedHref, c);
+  return Array.from(byUrl.values()).sort((a, b) => b.score - a.score);
+}
+
+// How much of a manifest a GET probe asks for (Range) and reads: enough
+// for the `id` / `@id`, which comes right after @context.
+const PROBE_BYTES = 8192;
+
+// The `id` / `@id` of a manifest, from its whole JSON or, when the body
+// was cut off at PROBE_BYTES, from its first "id" key.
+function manifestIdFromStart(text) {
+  try {
+    const json = JSON.parse(text);
+    const id = json && (json.id || json["@id"]);
+    return typeof id === "string" ? id : "";
+  } catch (_err) {
+    const m = /"@?id"\s*:\s*"([^"]+)"/.exec(text);
+    return m ? m[1] : "";
+  }
+}
+
+// Read at most `maxBytes` of a response body (servers may ignore the
+// Range header), then let the rest go.
+async function readBodyStart(res, maxBytes) {
+  if (!res.body || typeof res.body.getReader !== "function" || typeof TextDecoder === "undefined") {
+    return (await res.text()).slice(0, maxBytes);
+  }
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = "";
+  let bytes = 0;
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.length;
+    text += decoder.decode(value, { stream: true });
+  }
+  reader.cancel().catch(() => {});
+  return text;
+}
+
+/**
+ * probeManifestCandidates(unique, options)
+ *
+ * Fetch each http(s) candidate from dedupeManifestCandidates() and merge
+ * those that turn out to be the same manifest: after redirects (HEAD, or
+ * GET) and, with GET, by the `id` / `@id` of the JSON they return. A GET
+ * probe only asks for (and reads) the first PROBE_BYTES of the body, so
+ * the manifests are not downloaded twice. Each probed candidate gets
+ * `finalUrl` (and `manifestId` with GET); ones that cannot be fetched
+ * (CORS, network) are kept as they are.
+ *
+ * Options:
+ *   - probe: "head" or "get" (default "get"; `true` means "get")
+ *   - maxProbes: probe at most this many candidates (default 50)
+ *   - timeoutMs: per-request timeout (default 8000)
+ *
+ * Resolves to the merged list, sorted by score.
+ */
+async function probeManifestCandidates(unique, options) {
+  const opts = options || {};
+  const method = String(opts.probe || "get").toLowerCase() === "head" ? "HEAD" : "GET";
+  const maxProbes = opts.maxProbes != null ? opts.maxProbes : 50;
+  const timeoutMs = opts.timeoutMs || 8000;
+  const fetchFn = getGlobal().fetch;
+  if (typeof fetchFn !== "function") return unique;
+
+  const probeOne = async c => {
+    const controller = typeof AbortController !== "undefined" ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    try {
+      const headers = { Accept: "application/ld+json, application/json;q=0.9, */*;q=0.5" };
+      if (method === "GET") headers.Range = `bytes=0-${PROBE_BYTES - 1}`;
+      const res = await fetchFn(c.resolvedHref, {
+        method,
+        headers,
+        signal: controller ? controller.signal : undefined
+      });
+      if (!res.ok) return c;
+      const probed = { ...c, finalUrl: res.url || c.resolvedHref };
+      if (method === "GET") {
+        // Not JSON: only the final URL counts
+        const id = manifestIdFromStart(await readBodyStart(res, PROBE_BYTES));
+        if (id) probed.manifestId = id;
+      }
+      return probed;
+    } catch (_err) {
+      return c;
+    } finally {
+      if (timer) clearTimeout(timer);
     }
+  };
+
+  // One request at a time, in rank order: gentle on the site.
+  const probed = [];
+  for (const c of unique) {
+    const canProbe = probed.length < maxProbes && /^https?:\/\//i.test(c.resolvedHref || "");
+    probed.push(canProbe ? await probeOne(c) : c);
   }
 
-  return Array.from(byUrl.values());
+  const byKey = new Map();
+  for (const c of probed) {
+    const key = c.manifestId
+      ? canonicalizeManifestUrl(c.manifestId)
+      : canonicalizeManifestUrl(c.finalUrl || c.resolvedHref);
+    const existing = byKey.get(key);
+    byKey.set(key, existing ? mergeCandidates(existing, c) : c);
+  }
+  return Array.from(byKey.values()).sort((a, b) => b.score - a.score);
 }
 
 /**
@@ -146,14 +733,24 @@ function dedupeManifestCandidates(candidates) {
  *
  * Returns an object:
  *   {
- *     candidates,    // all nodes that matched the regex, before dedupe
- *     unique,        // unique candidates by resolved URL
- *     manifestUrls   // array of resolvedHref strings
+ *     candidates,    // all nodes any detector matched, before dedupe
+ *     unique,        // unique candidates by canonical URL, best score
+ *                    // first, each with strategy, strategies,
+ *                    // confidence, score and signals
+ *     manifestUrls   // array of resolvedHref strings, in that order
  *   }
+ *
+ * Options: detectors (see findManifestReferrerNodes()), minConfidence to
+ * drop unique candidates whose detector confidence is below it, and
+ * minScore to drop those scoring below it (both default 0).
  */
-function sniffManifestUrls(root) {
-  const candidates = findManifestReferrerNodes(root);
-  const unique = dedupeManifestCandidates(candidates);
+function sniffManifestUrls(root, options) {
+  const opts = options || {};
+  const candidates = findManifestReferrerNodes(root, opts);
+  const minConfidence = opts.minConfidence || 0;
+  const minScore = opts.minScore || 0;
+  const unique = dedupeManifestCandidates(candidates)
+    .filter(c => (c.confidence || 0) >= minConfidence && c.score >= minScore);
   const manifestUrls = unique
     .map(c => c.resolvedHref)
     .filter(u => typeof u === "string" && u.length > 0);
@@ -171,6 +768,9 @@ function sniffManifestUrls(root) {
  * Options:
  *   - root: DOM root to sniff (defaults to document)
  *   - quiet: if true, reduce console chatter
+ *   - detectors, minConfidence, minScore: see sniffManifestUrls()
+ *   - probe: fetch the candidates first and merge those that are the
+ *     same manifest ("head" or "get"; see probeManifestCandidates())
  *
  * Returns a Promise that resolves to the CSL items array
  * (or null if nothing was found).
@@ -190,11 +790,16 @@ async function sniffAndConvertManifests(options) {
     );
   }
 
-  const { manifestUrls, unique } = sniffManifestUrls(root);
+  const sniffed = sniffManifestUrls(root, opts);
+  // Probing collapses URLs that redirect to (or serve) the same manifest.
+  const unique = opts.probe ? await probeManifestCandidates(sniffed.unique, opts) : sniffed.unique;
+  const manifestUrls = opts.probe
+    ? unique.map(c => c.resolvedHref).filter(u => typeof u === "string" && u.length > 0)
+    : sniffed.manifestUrls;
 
   if (!manifestUrls.length) {
     if (!quiet) {
-      console.warn("[iiif_to_csl_sniffer] No IIIF manifest referrers matched /iiif[\\s_-]*manifest/ in this page.");
+      console.warn("[iiif_to_csl_sniffer] No IIIF manifest links, logos, data attributes, viewer configs or Content State links found in this page.");
     }
     return null;
   }
@@ -206,7 +811,15 @@ async function sniffAndConvertManifests(options) {
     );
     console.log(
       "[iiif_to_csl_sniffer] Representative nodes:",
-      unique.map(c => ({ label: c.label, href: c.href, resolvedHref: c.resolvedHref }))
+      unique.map(c => ({
+        label: c.label,
+        href: c.href,
+        resolvedHref: c.resolvedHref,
+        contentState: c.contentState,
+        strategies: c.strategies,
+        confidence: c.confidence,
+        score: c.score
+      }))
     );
   }
 
@@ -229,11 +842,13 @@ async function sniffAndConvertManifests(options) {
 /**
  * Produce a timestamped filename like:
  *   iiif-items_2025-11-28T18-24-01.234Z.json
+ *
+ * @param {string} [extension] - file extension without the dot (default "json")
  */
-function makeTimestampedFilename() {
+function makeTimestampedFilename(extension) {
   const now = new Date();
   const iso = now.toISOString().replace(/:/g, "-");
-  return `iiif-items_${iso}.json`;
+  return `iiif-items_${iso}.${extension || "json"}`;
 }
 
 /**
@@ -243,13 +858,23 @@ function makeTimestampedFilename() {
  * @param {string} [filename] - optional filename; if omitted, use timestamped default
  */
 function triggerDownloadFromJson(json, filename) {
-  const name = filename || makeTimestampedFilename();
-  const blob = new Blob([json], { type: "application/json;charset=utf-8" });
+  triggerDownload(json, filename || makeTimestampedFilename(), "application/json");
+}
+
+/**
+ * Trigger a client-side download of any text (BibTeX, RIS, ...).
+ *
+ * @param {string} text - file contents
+ * @param {string} filename - download filename
+ * @param {string} mimeType - media type, without charset
+ */
+function triggerDownload(text, filename, mimeType) {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
   const url = URL.createObjectURL(blob);
 
   const a = document.createElement("a");
   a.href = url;
-  a.download = name;
+  a.download = filename;
   document.body.appendChild(a);
   a.click();
 
@@ -260,11 +885,15 @@ function triggerDownloadFromJson(json, filename) {
 }
 
 /**
- * Sniff → convert → download CSL-JSON.
+ * Sniff → convert → download CSL-JSON (or another export format).
  *
  * Options:
  *   - root: DOM root to sniff (defaults to document)
  *   - quiet: if true, reduce console chatter
+ *   - detectors, minConfidence, minScore, probe: see sniffAndConvertManifests()
+ *   - format: "csl-json" (default), "bibtex", "biblatex" or "ris"; the
+ *             latter need iiifToCslBrowser.formatItems (export module bundled)
+ *   - exportOptions: passed to formatItems() (urldate, note, ...)
  *   - filename: override default download filename
  *
  * Returns:
@@ -273,6 +902,14 @@ function triggerDownloadFromJson(json, filename) {
 async function sniffConvertAndDownload(options) {
   const opts = options || {};
   const quiet = !!opts.quiet;
+  const format = opts.format || "csl-json";
+
+  const browserApi = getGlobal().iiifToCslBrowser;
+  if (format !== "csl-json" && (!browserApi || typeof browserApi.formatItems !== "function")) {
+    throw new Error(
+      `[iiif_to_csl_sniffer] format '${format}' needs iiifToCslBrowser.formatItems (bundle the export module).`
+    );
+  }
 
   const items = await sniffAndConvertManifests(opts);
   if (!items) {
@@ -282,8 +919,14 @@ async function sniffConvertAndDownload(options) {
     return null;
   }
 
-  const json = JSON.stringify(items, null, 2);
-  triggerDownloadFromJson(json, opts.filename);
+  if (format === "csl-json") {
+    triggerDownloadFromJson(JSON.stringify(items, null, 2), opts.filename);
+    return items;
+  }
+
+  const text = browserApi.formatItems(items, format, opts.exportOptions);
+  const fileType = (browserApi.EXPORT_FILE_TYPES || {})[format] || { extension: "txt", mimeType: "text/plain" };
+  triggerDownload(text, opts.filename || makeTimestampedFilename(fileType.extension), fileType.mimeType);
   return items;
 }
 
@@ -302,13 +945,21 @@ async function sniffConvertAndDownload(options) {
   const api = Object.assign(existing, {
     version: "0.2.0",
     MANIFEST_TEXT_RE,
+    DETECTORS,
+    registerDetector,
     sniffManifestUrls,
     sniffAndConvertManifests,
     sniffConvertAndDownload,
     findManifestReferrerNodes,
+    hasContentStateParam,
     dedupeManifestCandidates,
+    canonicalizeManifestUrl,
+    scoreManifestCandidate,
+    probeManifestCandidates,
+    SCORE_WEIGHTS,
     makeTimestampedFilename,
-    triggerDownloadFromJson
+    triggerDownloadFromJson,
+    triggerDownload
   });
 
   g[NAMESPACE] = api;
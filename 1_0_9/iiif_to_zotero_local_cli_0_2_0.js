@@ -17,6 +17,8 @@
  *        node iiif_to_zotero_local_cli_0_2_0.js <url> [more_urls...] [--out zotero.json]
  *      Or:
  *        cat urls.txt | node iiif_to_zotero_local_cli_0_2_0.js --out zotero.json
+ *      Failed URLs are listed on stderr; add --report failures.json to
+ *      also write them as JSON.
  *
  *   B) CSL file mode:
  *        node iiif_to_zotero_local_cli_0_2_0.js --csl items_csl.json [--out zotero.json]
@@ -32,43 +34,42 @@
  * Notes:
  *   - Output is always a Zotero JSON items array, written to stdout or --out file.
  *   - If --post-webapi is given, the same array is also POSTed to Zotero Web API.
+ *   - --format csl-json|bibtex|biblatex|ris writes the CSL items in that
+ *     format instead of Zotero JSON (see iiif_to_csl_export_1_1_0.js).
+ *   - With --thumbnails link|download, each item is followed by an
+ *     "attachment" item (parentItem = the item's generated key) holding a
+ *     preview image: a linked URL, or a file downloaded next to --out.
+ *   - A catalog or viewer page URL is searched for the manifest(s) it
+ *     links to; the page becomes the item's URL.
+ *   - Responses are checked for what they are (Manifest, Collection,
+ *     Image API info.json, Canvas, HTML page...) before conversion; with
+ *     --strict, manifests missing properties their Presentation API
+ *     version requires are reported as INVALID_IIIF instead.
  */
 
 const fs = require("fs");
 const path = require("path");
-
-// ------------------------------------------------------------
-// Core loader: prefer newest, then fall back
-// ------------------------------------------------------------
-
-let iiifManifestUrlsToCSL = null;
-
-(function loadCore() {
-  const candidates = [
-    "./iiif_to_csl_core_1_1_0_fruittimer.js",
-    "./iiif_to_csl_core_1_0_9_fruitcounter.js",
-    "./iiif_to_csl_core_1_0_9.js"
-  ];
-
-  for (const candidate of candidates) {
-    try {
-      const core = require(candidate);
-      if (core && typeof core.iiifManifestUrlsToCSL === "function") {
-        iiifManifestUrlsToCSL = core.iiifManifestUrlsToCSL;
-        console.error(`Using core: ${candidate}`);
-        return;
-      }
-    } catch (_e) {
-      // Ignore and try next candidate
-    }
-  }
-
-  // If we get here, IIIF URL mode won't work, but CSL mode can still work.
-  console.error(
-    "Warning: no usable iiif_to_csl_core_* module found.\n" +
-    "IIIF URL mode will not work unless you adjust the require paths."
-  );
-})();
+const {
+  iiifManifestUrlsToCSLReport,
+  fetchImage,
+  createRequestScheduler,
+  CSL_NAME_VARIABLES
+} = require("./iiif_to_csl_core_1_1_0_fruittimer.js");
+const {
+  CORE_VALUE_FLAGS,
+  parseIntegerFlag,
+  applyCoreFlag,
+  parseFormatFlag,
+  applyProfileFlag,
+  applyPartFlag,
+  isFailure,
+  printValidationWarnings,
+  printTruncationWarnings,
+  printEnrichmentWarnings,
+  printFailureTable,
+  buildFailureReport
+} = require("./iiif_to_csl_cli_common_1_1_0.js");
+const { formatItems, EXPORT_FORMATS } = require("./iiif_to_csl_export_1_1_0.js");
 
 // ------------------------------------------------------------
 // CLI argument parsing
@@ -77,7 +78,15 @@ let iiifManifestUrlsToCSL = null;
 function parseArgs(argv) {
   let outFile = null;
   let cslFile = null;
+  let reportFile = null;
   const urls = [];
+  const coreOptions = {};
+
+  // Thumbnail attachments: null, "link" or "download"
+  let thumbnails = null;
+
+  // Output format: Zotero JSON, or one of the export formats of the CSL items
+  let format = "zotero";
 
   // Web API flags
   let postWebAPI = false;
@@ -119,6 +128,22 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--report") {
+      const next = argv[i + 1];
+      if (!next) {
+        console.error("Error: --report flag requires a filename.");
+        process.exit(1);
+      }
+      reportFile = next;
+      i++;
+      continue;
+    }
+
+    if (arg.startsWith("--report=")) {
+      reportFile = arg.slice("--report=".length);
+      continue;
+    }
+
     // --- NEW: Web API flags ---
     if (arg === "--post-webapi") {
       postWebAPI = true;
@@ -147,6 +172,61 @@ function parseArgs(argv) {
       continue;
     }
 
+    const flag = arg.split("=")[0];
+    if (CORE_VALUE_FLAGS.includes(flag)) {
+      applyCoreFlag(flag, arg === flag ? argv[++i] : arg.slice(flag.length + 1), coreOptions);
+      continue;
+    }
+
+    if (arg === "--enrich") {
+      coreOptions.enrich = true;
+      continue;
+    }
+
+    if (arg === "--strict") {
+      coreOptions.strict = true;
+      continue;
+    }
+
+    if (arg === "--explain-type") {
+      coreOptions.explainType = true;
+      continue;
+    }
+
+    if (arg === "--profile" || arg.startsWith("--profile=")) {
+      applyProfileFlag(arg === "--profile" ? argv[++i] : arg.slice("--profile=".length), coreOptions);
+      continue;
+    }
+
+    if (arg === "--format" || arg.startsWith("--format=")) {
+      const value = arg === "--format" ? argv[++i] : arg.slice("--format=".length);
+      format = parseFormatFlag(value, ["zotero", ...EXPORT_FORMATS]);
+      continue;
+    }
+
+    if (arg === "--thumbnail-size" || arg.startsWith("--thumbnail-size=")) {
+      const value = arg === "--thumbnail-size" ? argv[++i] : arg.slice("--thumbnail-size=".length);
+      coreOptions.thumbnailSize = parseIntegerFlag("--thumbnail-size", value);
+      continue;
+    }
+
+    if (arg === "--thumbnails" || arg.startsWith("--thumbnails=")) {
+      const value = arg === "--thumbnails" ? argv[++i] : arg.slice("--thumbnails=".length);
+      if (value !== "link" && value !== "download") {
+        console.error("Error: --thumbnails must be 'link' or 'download'.");
+        process.exit(1);
+      }
+      thumbnails = value;
+      coreOptions.thumbnail = true;
+      continue;
+    }
+
+    if (arg === "--canvas" || arg.startsWith("--canvas=") || arg === "--range" || arg.startsWith("--range=")) {
+      const flag = arg.split("=")[0];
+      applyPartFlag(flag, arg === flag ? argv[++i] : arg.slice(flag.length + 1), coreOptions);
+      continue;
+    }
+
     if (arg.startsWith("-")) {
       console.error(`Warning: unrecognized flag '${arg}' (ignored).`);
       continue;
@@ -156,7 +236,7 @@ function parseArgs(argv) {
     urls.push(arg);
   }
 
-  return { outFile, cslFile, urls, postWebAPI, apiUser, apiKey };
+  return { outFile, cslFile, reportFile, urls, coreOptions, thumbnails, format, postWebAPI, apiUser, apiKey };
 }
 
 // ------------------------------------------------------------
@@ -195,8 +275,22 @@ function mapCslTypeToZoteroItemType(cslType) {
 
   const MAP = {
     "book": "book",
+    "chapter": "bookSection",
     "article-journal": "journalArticle",
-    "manuscript": "manuscript"
+    "manuscript": "manuscript",
+    "map": "map",
+    "graphic": "artwork",
+    "letter": "letter",
+    "article-newspaper": "newspaperArticle",
+    "article-magazine": "magazineArticle",
+    "song": "audioRecording",
+    "motion_picture": "film",
+    "interview": "interview",
+    "thesis": "thesis",
+    // No Zotero type of their own; see INEXACT_ZOTERO_TYPES.
+    "pamphlet": "document",
+    "periodical": "journalArticle",
+    "musical_score": "book"
   };
 
   if (MAP[t]) return MAP[t];
@@ -206,56 +300,177 @@ function mapCslTypeToZoteroItemType(cslType) {
 }
 
 /**
- * Convert CSL "author" array → Zotero "creators" array.
+ * CSL name variable → Zotero creatorType, per Zotero itemType. A name
+ * variable the item type has no creator type for becomes "contributor"
+ * (which every Zotero item type accepts).
  */
-function mapCslAuthorsToCreators(cslItem) {
-  const authors = Array.isArray(cslItem.author) ? cslItem.author : [];
-  const creators = [];
+const CREATOR_TYPE_MAP = {
+  book: {
+    author: "author",
+    editor: "editor",
+    compiler: "editor",
+    translator: "translator",
+    "collection-editor": "seriesEditor"
+  },
+  journalArticle: {
+    author: "author",
+    editor: "editor",
+    translator: "translator",
+    "reviewed-author": "reviewedAuthor"
+  },
+  manuscript: {
+    author: "author",
+    translator: "translator"
+  },
+  artwork: {
+    author: "artist"
+  },
+  map: {
+    author: "cartographer",
+    "collection-editor": "seriesEditor"
+  },
+  letter: {
+    author: "author",
+    recipient: "recipient"
+  },
+  newspaperArticle: {
+    author: "author",
+    translator: "translator"
+  },
+  magazineArticle: {
+    author: "author",
+    translator: "translator"
+  },
+  audioRecording: {
+    author: "performer",
+    performer: "performer",
+    composer: "composer"
+  },
+  film: {
+    author: "director",
+    director: "director"
+  },
+  interview: {
+    author: "interviewee",
+    interviewer: "interviewer",
+    translator: "translator"
+  },
+  thesis: {
+    author: "author"
+  },
+  document: {
+    author: "author",
+    editor: "editor",
+    compiler: "editor",
+    translator: "translator",
+    "reviewed-author": "reviewedAuthor"
+  }
+};
 
-  for (const a of authors) {
-    const given = (a.given || "").trim();
-    const family = (a.family || "").trim();
-    const literal = (a.literal || "").trim();
+/**
+ * Further CSL fields (mostly from seeAlso enrichment) → Zotero fields,
+ * with the item types that have that field (null: all of them). The Web
+ * API rejects items with fields their type does not have. The publisher
+ * has a different field name in some types; see also EXTRA_IF_UNMAPPED.
+ */
+const EXTRA_FIELD_MAP = [
+  { csl: "publisher", zotero: "publisher", types: ["book", "bookSection", "map", "document"] },
+  { csl: "publisher", zotero: "university", types: ["thesis"] },
+  { csl: "publisher", zotero: "label", types: ["audioRecording"] },
+  { csl: "publisher", zotero: "distributor", types: ["film"] },
+  { csl: "publisher-place", zotero: "place", types: ["book", "bookSection", "manuscript", "map", "thesis", "audioRecording"] },
+  { csl: "edition", zotero: "edition", types: ["book", "bookSection", "map", "newspaperArticle"] },
+  { csl: "number-of-pages", zotero: "numPages", types: ["book", "manuscript", "thesis"] },
+  { csl: "language", zotero: "language", types: null },
+  { csl: "abstract", zotero: "abstractNote", types: null },
+  { csl: "license", zotero: "rights", types: null },
+  // Canvas and range citations (--canvas, --range)
+  { csl: "container-title", zotero: "bookTitle", types: ["bookSection"] },
+  { csl: "page", zotero: "pages", types: ["bookSection", "journalArticle", "newspaperArticle", "magazineArticle"] }
+];
+
+// Identifier fields and the item types that have them. Elsewhere they go
+// to Extra as "DOI: ..." lines, which Zotero reads back as CSL variables.
+const IDENTIFIER_FIELD_MAP = [
+  { csl: "DOI", zotero: "DOI", types: ["journalArticle", "conferencePaper"] },
+  { csl: "ISBN", zotero: "ISBN", types: ["book", "bookSection", "map", "audioRecording"] },
+  { csl: "ISSN", zotero: "ISSN", types: ["journalArticle", "magazineArticle", "newspaperArticle"] }
+];
+
+// CSL variables no Zotero item type has a field for; they go to Extra
+// the same way ("original-title: ..."), so citations still show them.
+const EXTRA_ONLY_CSL_VARIABLES = ["original-title"];
+
+// CSL variables of EXTRA_FIELD_MAP that go to Extra when the item type
+// has no field for them (an artwork or letter has no publisher).
+const EXTRA_IF_UNMAPPED = ["publisher"];
+
+// CSL types mapped to the nearest Zotero item type (a pamphlet to
+// Document, a periodical to Journal Article, a score to Book). A
+// "type: ..." line in Extra keeps the CSL type for citations.
+const INEXACT_ZOTERO_TYPES = ["pamphlet", "periodical", "musical_score"];
 
-    let firstName = "";
-    let lastName = "";
+/**
+ * Convert one CSL name object → Zotero { firstName, lastName }, or null
+ * if it has no usable parts. Particles are kept with the last name
+ * ("van Gogh"), a suffix with the first name ("Martin Luther, Jr.").
+ * Literal names (institutions, "Master of ...") become single-field
+ * creators, { name, fieldMode: 1 }.
+ */
+function mapCslNameToZoteroName(n) {
+  const given = (n.given || "").trim();
+  const family = (n.family || "").trim();
+  const literal = (n.literal || "").trim();
+
+  if (family || given) {
+    const lastName = [n["dropping-particle"], n["non-dropping-particle"], family || given]
+      .filter(Boolean)
+      .join(" ");
+    let firstName = family ? given : ""; // fallback if only one part
+    if (n.suffix) firstName = firstName ? firstName + ", " + n.suffix : n.suffix;
+    return { firstName, lastName };
+  }
+  if (literal) {
+    return { name: literal, fieldMode: 1 };
+  }
+  return null;
+}
 
-    if (family || given) {
-      firstName = given;
-      lastName = family || given; // fallback if only one part
-    } else if (literal) {
-      firstName = "";
-      lastName = literal;
-    } else {
-      continue;
-    }
+/**
+ * Convert the CSL name variables (author, editor, translator,
+ * illustrator, contributor, ...) → Zotero "creators" array, using the
+ * creator types valid for `itemType` (see CREATOR_TYPE_MAP).
+ */
+function mapCslAuthorsToCreators(cslItem, itemType) {
+  const typeMap = CREATOR_TYPE_MAP[itemType] || CREATOR_TYPE_MAP.book;
+  const creators = [];
 
-    creators.push({
-      creatorType: "author",
-      firstName,
-      lastName
-    });
+  for (const variable of CSL_NAME_VARIABLES) {
+    const names = Array.isArray(cslItem[variable]) ? cslItem[variable] : [];
+    const creatorType = typeMap[variable] || "contributor";
+
+    for (const n of names) {
+      const zotName = mapCslNameToZoteroName(n || {});
+      if (!zotName) continue;
+      creators.push({ creatorType, ...zotName });
+    }
   }
 
   return creators;
 }
 
 /**
- * Flatten CSL issued date object → Zotero date string.
- * Expects: { "date-parts": [[YYYY, MM, DD]] }
+ * Format one CSL date-parts array ([YYYY, MM, DD]) as "YYYY-MM-DD",
+ * dropping missing parts.
  */
-function mapCslIssuedToZoteroDate(cslItem) {
-  const issued = cslItem.issued;
-  if (!issued || !Array.isArray(issued["date-parts"])) return "";
-
-  const parts = issued["date-parts"][0];
+function formatCslDateParts(parts) {
   if (!Array.isArray(parts) || parts.length === 0) return "";
 
   const [y, m, d] = parts;
-  if (!y) return "";
+  if (y == null || y === "") return "";
 
-  let out = String(y);
-  if (m != null) {
+  let out = Number(y) < 0 ? `${Math.abs(Number(y))} BC` : String(y);
+  if (m != null && Number(y) >= 0) {
     const mm = String(m).padStart(2, "0");
     out += "-" + mm;
     if (d != null) {
@@ -266,6 +481,42 @@ function mapCslIssuedToZoteroDate(cslItem) {
   return out;
 }
 
+const SEASON_LABELS = { 1: "Spring", 2: "Summer", 3: "Autumn", 4: "Winter" };
+
+/**
+ * Flatten CSL issued date object → Zotero date string.
+ * Expects: { "date-parts": [[YYYY, MM, DD]] }, optionally with a second
+ * date-parts entry (range), `circa` and `season`; or { literal }.
+ *
+ *   [[1450], [1475]], circa → "ca. 1450–1475"
+ *   [[1850]], season 1      → "Spring 1850"
+ */
+function mapCslIssuedToZoteroDate(cslItem) {
+  const issued = cslItem.issued;
+  if (!issued) return "";
+  if (typeof issued.literal === "string" && !issued["date-parts"]) {
+    return issued.literal;
+  }
+  if (!Array.isArray(issued["date-parts"])) return "";
+
+  const [startParts, endParts] = issued["date-parts"];
+  let out = formatCslDateParts(startParts);
+  if (!out) return "";
+
+  const end = formatCslDateParts(endParts);
+  if (end && end !== out) {
+    out += "–" + end;
+  }
+  const season = SEASON_LABELS[issued.season] || (typeof issued.season === "string" ? issued.season : "");
+  if (season) {
+    out = `${season} ${out}`;
+  }
+  if (issued.circa) {
+    out = "ca. " + out;
+  }
+  return out;
+}
+
 /**
  * Convert a single CSL item → Zotero item JSON.
  */
@@ -276,7 +527,7 @@ function cslToZoteroItem(cslItem) {
   zotItem.title = cslItem.title || "[untitled]";
 
   // Creators
-  const creators = mapCslAuthorsToCreators(cslItem);
+  const creators = mapCslAuthorsToCreators(cslItem, zotItem.itemType);
   zotItem.creators = creators;
 
   // Date
@@ -285,10 +536,7 @@ function cslToZoteroItem(cslItem) {
     zotItem.date = dateStr;
   }
 
-  // Publisher and archival fields
-  if (cslItem.publisher) {
-    zotItem.publisher = cslItem.publisher;
-  }
+  // Archival fields
   if (cslItem.archive) {
     zotItem.archive = cslItem.archive;
   }
@@ -300,19 +548,118 @@ function cslToZoteroItem(cslItem) {
     zotItem.libraryCatalog = cslItem["collection-title"];
   }
 
+  const unmapped = new Set(EXTRA_IF_UNMAPPED.filter(csl => cslItem[csl]));
+  for (const { csl, zotero, types } of EXTRA_FIELD_MAP) {
+    if (cslItem[csl] && (!types || types.includes(zotItem.itemType))) {
+      zotItem[zotero] = String(cslItem[csl]);
+      unmapped.delete(csl);
+    }
+  }
+
+  const extraLines = [];
+  if (INEXACT_ZOTERO_TYPES.includes(cslItem.type)) {
+    extraLines.push(`type: ${cslItem.type}`);
+  }
+  for (const { csl, zotero, types } of IDENTIFIER_FIELD_MAP) {
+    if (!cslItem[csl]) continue;
+    if (types.includes(zotItem.itemType)) {
+      zotItem[zotero] = String(cslItem[csl]);
+    } else {
+      extraLines.push(`${csl}: ${cslItem[csl]}`);
+    }
+  }
+  for (const csl of [...unmapped, ...EXTRA_ONLY_CSL_VARIABLES]) {
+    if (cslItem[csl]) extraLines.push(`${csl}: ${cslItem[csl]}`);
+  }
+
   // URL
   if (cslItem.URL) {
     zotItem.url = cslItem.URL;
   }
 
-  // Extra: for now, pour CSL note into extra as-is.
+  // Extra: identifiers without a field first, then the CSL note as-is.
   if (cslItem.note) {
-    zotItem.extra = cslItem.note;
+    extraLines.push(cslItem.note);
+  }
+  if (extraLines.length > 0) {
+    zotItem.extra = extraLines.join("\n");
   }
 
   return zotItem;
 }
 
+// ------------------------------------------------------------
+// Thumbnail attachments
+// ------------------------------------------------------------
+
+// Characters Zotero uses in item keys (no 0, 1, L, O).
+const ZOTERO_KEY_CHARS = "23456789ABCDEFGHIJKMNPQRSTUVWXYZ";
+
+// File extensions for the image types Image API servers return.
+const IMAGE_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/gif": "gif",
+  "image/webp": "webp",
+  "image/tiff": "tif",
+  "image/jp2": "jp2"
+};
+
+/**
+ * A random 8-character Zotero item key, so an attachment can name its
+ * parent item (`parentItem`) within the same upload.
+ */
+function makeZoteroKey() {
+  let key = "";
+  for (let i = 0; i < 8; i++) {
+    key += ZOTERO_KEY_CHARS[Math.floor(Math.random() * ZOTERO_KEY_CHARS.length)];
+  }
+  return key;
+}
+
+/**
+ * Download a thumbnail into `dir` as thumbnail_<n>_<title>.<ext>, through
+ * the core's fetch layer (`options`: timeout, User-Agent, retries,
+ * scheduler). Resolves to { path, contentType }; throws on HTTP errors
+ * and non-image responses.
+ */
+async function downloadThumbnail(url, dir, index, title, options) {
+  const { bytes, contentType } = await fetchImage(url, options);
+  const slug = String(title || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+  const ext = IMAGE_EXTENSIONS[contentType] || "img";
+  const file = path.resolve(dir, `thumbnail_${index + 1}${slug ? "_" + slug : ""}.${ext}`);
+  fs.writeFileSync(file, bytes);
+  return { path: file, contentType };
+}
+
+/**
+ * Build the Zotero attachment item for a thumbnail found by the core
+ * (see resolveThumbnail() there): a linked URL, or with mode "download"
+ * a linked file in `dir`. A failed download falls back to the link.
+ */
+async function makeThumbnailAttachment(thumbnail, parentKey, mode, dir, index, title, options) {
+  const attachment = {
+    itemType: "attachment",
+    parentItem: parentKey,
+    linkMode: "linked_url",
+    title: "Preview",
+    url: thumbnail.url,
+    contentType: "image/jpeg"
+  };
+  if (mode !== "download") return attachment;
+
+  try {
+    const { path: file, contentType } = await downloadThumbnail(thumbnail.url, dir, index, title, options);
+    delete attachment.url;
+    attachment.linkMode = "linked_file";
+    attachment.path = file;
+    attachment.contentType = contentType;
+  } catch (err) {
+    console.error(`Warning: could not download thumbnail: ${err.message || err}; linking it instead.`);
+  }
+  return attachment;
+}
+
 // ------------------------------------------------------------
 // Zotero Web API upload helper
 // ------------------------------------------------------------
@@ -325,6 +672,19 @@ async function uploadToZoteroWebAPI(userID, apiKey, items) {
 
   const endpoint = `https://api.zotero.org/users/${userID}/items`;
 
+  // The Web API tells single-field creators by `name` alone and rejects
+  // the desktop client's `fieldMode` flag.
+  const apiItems = items.map(item => (item.creators
+    ? {
+      ...item,
+      creators: item.creators.map(c => {
+        const apiCreator = { ...c };
+        delete apiCreator.fieldMode;
+        return apiCreator;
+      })
+    }
+    : item));
+
   const res = await fetch(endpoint, {
     method: "POST",
     headers: {
@@ -332,7 +692,7 @@ async function uploadToZoteroWebAPI(userID, apiKey, items) {
       "Content-Type": "application/json",
       "If-Unmodified-Since-Version": "0"
     },
-    body: JSON.stringify(items)
+    body: JSON.stringify(apiItems)
   });
 
   if (!res.ok) {
@@ -362,12 +722,40 @@ Optional Web API upload:
 Options:
   --csl FILE       Read CSL-JSON from FILE instead of converting IIIF URLs.
   --out FILE       Write Zotero JSON array to FILE instead of stdout.
+  --report FILE    Write the list of failed URLs (with error codes) as JSON to FILE.
+  --concurrency N  Fetch up to N manifests at once (default 1).
+  --per-host N     But no more than N at once from the same host (default: --concurrency).
+  --host-delay MS  Wait at least MS milliseconds between requests to the same host.
+  --retries N      Retry network errors, timeouts, 408/429/5xx up to N times (default 2).
+  --retry-delay MS Initial backoff before the first retry (default 1000, doubles each time).
+  --timeout MS     Give up on a request after MS milliseconds (default 15000).
+  --user-agent UA  User-Agent header to send (default "iiif-to-csl/1.1.0").
+  --lang LIST      Preferred languages for labels and values, e.g. de,en,none,* (default en,none,*).
+  --alt-titles M   Keep the title in other languages: 'original-title' (CSL field) or 'note'.
+  --profile P      Metadata-label mapping profile: a built-in name (default, bodleian, gallica,
+                   loc, ...) or a JSON file with one profile or an array of them
+                   (default: chosen by manifest host).
+  --explain-type   List the signals behind each item's type in its note.
+  --enrich         Also read the MODS/MARCXML/Dublin Core/JSON-LD records linked via seeAlso.
+  --thumbnails M   Attach a preview image to each item (manifest thumbnail, start canvas or
+                   first canvas): 'link' (linked URL) or 'download' (file next to --out,
+                   or in the current directory; --concurrency and --per-host apply).
+  --thumbnail-size N  Longest side of Image API thumbnails in pixels (default 400, 0 = full size;
+                   level 0 image services always give the full size).
+  --canvas C       Cite one canvas instead of the whole manifest: its ID (optionally with
+                   #xywh=x,y,w,h) or its number (1 = first canvas).
+  --range R        Cite one range (chapter, section) by ID instead of the whole manifest.
+  --strict         Reject manifests missing properties the IIIF Presentation API requires.
+  --format F       Output format: zotero (Zotero JSON, default), csl-json, bibtex, biblatex
+                   or ris. --post-webapi still uploads Zotero items.
   --post-webapi    Also POST the Zotero items to Zotero Web API.
   --api-user ID    Zotero userID for Web API upload.
   --api-key  KEY   Zotero API key for Web API upload.
 
 Notes:
   - If --csl is given, manifest URLs (argv + stdin) are ignored.
+  - A URL may also be a viewer link with an IIIF Content State (?iiif-content=...);
+    the item then cites the canvas, region or range the link shows.
   - If neither --csl nor any URLs are provided, this help is shown.
 `.trim());
 }
@@ -380,7 +768,11 @@ async function main() {
   const {
     outFile,
     cslFile,
+    reportFile,
     urls: argvUrls,
+    coreOptions,
+    thumbnails,
+    format,
     postWebAPI,
     apiUser,
     apiKey
@@ -392,6 +784,8 @@ async function main() {
   const urls = [...argvUrls, ...stdinUrls];
 
   let cslItems = [];
+  // CSL item → thumbnail found by the core (with --thumbnails)
+  const thumbnailOf = new Map();
 
   // Mode A: CSL file provided
   if (cslFile) {
@@ -424,27 +818,31 @@ async function main() {
       process.exit(1);
     }
 
-    if (typeof iiifManifestUrlsToCSL !== "function") {
-      console.error(
-        "Error: iiifManifestUrlsToCSL is not available.\n" +
-        "Fix the core require path at the top of this script or use --csl mode."
-      );
-      process.exit(1);
-    }
-
-    const totalUrls = urls.length;
     try {
-      cslItems = await iiifManifestUrlsToCSL(urls);
-      const success = cslItems.length;
-      const failed = totalUrls - success;
+      const { items, results } = await iiifManifestUrlsToCSLReport(urls, coreOptions);
+      cslItems = items;
+      for (const r of results) {
+        if (r.item && r.thumbnail) thumbnailOf.set(r.item, r.thumbnail);
+      }
+
+      const report = buildFailureReport(results);
+      if (reportFile) {
+        fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), "utf8");
+      }
 
-      if (success === 0) {
+      const { total, succeeded, failed } = report;
+      printValidationWarnings(results);
+      printTruncationWarnings(results);
+    printEnrichmentWarnings(results);
+      printFailureTable(results.filter(isFailure));
+
+      if (succeeded === 0) {
         console.error("No valid IIIF manifests were converted to CSL.");
       } else if (failed === 0) {
-        console.error(`${success} of ${totalUrls} URL(s) converted to CSL successfully.`);
+        console.error(`${succeeded} of ${total} URL(s) converted to CSL successfully.`);
       } else {
         console.error(
-          `Warning: ${failed} of ${totalUrls} URL(s) failed to convert to CSL. (${success} succeeded)`
+          `Warning: ${failed} of ${total} URL(s) failed to convert to CSL. (${succeeded} succeeded)`
         );
       }
     } catch (err) {
@@ -453,16 +851,32 @@ async function main() {
     }
   }
 
-  // CSL → Zotero mapping
-  const zoteroItems = [];
-  for (const item of cslItems) {
+  if (thumbnails && cslFile) {
+    console.error("Warning: --thumbnails needs IIIF manifests; ignored with --csl.");
+  }
+  if (thumbnails && format !== "zotero" && !postWebAPI) {
+    console.error(`Warning: --thumbnails only adds Zotero attachments; not written with --format ${format}.`);
+  }
+
+  // CSL → Zotero mapping; each thumbnail attachment follows its parent.
+  // Downloads share one scheduler, so --concurrency / --per-host apply.
+  const thumbnailDir = outFile ? path.dirname(path.resolve(outFile)) : process.cwd();
+  const fetchOptions = { ...coreOptions, scheduler: createRequestScheduler(coreOptions) };
+  const groups = await Promise.all(cslItems.map(async (item, index) => {
+    let zi;
     try {
-      const zi = cslToZoteroItem(item);
-      zoteroItems.push(zi);
+      zi = cslToZoteroItem(item);
     } catch (err) {
       console.error("Error converting CSL item to Zotero item:", err.message || err);
+      return [];
     }
-  }
+
+    const thumbnail = thumbnailOf.get(item);
+    if (!thumbnails || !thumbnail) return [zi];
+    zi.key = makeZoteroKey();
+    return [zi, await makeThumbnailAttachment(thumbnail, zi.key, thumbnails, thumbnailDir, index, zi.title, fetchOptions)];
+  }));
+  const zoteroItems = groups.flat();
 
   // Optional: Zotero Web API upload
   if (postWebAPI) {
@@ -482,8 +896,10 @@ async function main() {
     }
   }
 
-  // Output Zotero JSON locally (as before)
-  const jsonOut = JSON.stringify(zoteroItems, null, 2);
+  // Output Zotero JSON locally (as before), or the CSL items in --format
+  const jsonOut = format === "zotero"
+    ? JSON.stringify(zoteroItems, null, 2)
+    : formatItems(cslItems, format).replace(/\n$/, "");
   if (outFile) {
     try {
       fs.writeFileSync(outFile, jsonOut, "utf8");
@@ -495,8 +911,14 @@ async function main() {
     process.stdout.write(jsonOut + "\n");
   }
 
+  if (format !== "zotero") {
+    console.error(`Wrote ${cslItems.length} item(s) as ${format}.`);
+    return;
+  }
+  const attachmentCount = zoteroItems.filter(zi => zi.itemType === "attachment").length;
   console.error(
-    `Converted ${zoteroItems.length} CSL item(s) into Zotero JSON item(s).`
+    `Converted ${zoteroItems.length - attachmentCount} CSL item(s) into Zotero JSON item(s)` +
+    (attachmentCount > 0 ? ` (plus ${attachmentCount} thumbnail attachment(s)).` : ".")
   );
 }
 
@@ -0,0 +1,62 @@
+"use strict";
+
+/**
+ * maxCollectionManifests in iiifManifestUrlsToCSLReport(), with fetch
+ * stubbed.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { iiifManifestUrlsToCSLReport } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const CONTEXT = "http://iiif.io/api/presentation/3/context.json";
+const manifest = id => ({ "@context": CONTEXT, id, type: "Manifest", label: { en: [id] }, items: [] });
+
+// A collection with one member listed as a Collection that is really a
+// Manifest, followed by `count` manifests.
+function stubCollection(count) {
+  const docs = {
+    "https://example.org/c": {
+      "@context": CONTEXT,
+      id: "https://example.org/c",
+      type: "Collection",
+      label: { en: ["C"] },
+      items: [
+        { id: "https://example.org/odd", type: "Collection" },
+        ...Array.from({ length: count }, (_, i) => ({ id: `https://example.org/m${i}`, type: "Manifest" }))
+      ]
+    },
+    "https://example.org/odd": manifest("https://example.org/odd")
+  };
+  for (let i = 0; i < count; i++) docs[`https://example.org/m${i}`] = manifest(`https://example.org/m${i}`);
+  globalThis.fetch = async url => docs[url]
+    ? new Response(JSON.stringify(docs[url]), { headers: { "Content-Type": "application/json" } })
+    : new Response("", { status: 404 });
+}
+
+test("a member that turns out to be a manifest does not overshoot the limit", async () => {
+  stubCollection(3);
+  const { results } = await iiifManifestUrlsToCSLReport(["https://example.org/c"], {
+    maxCollectionManifests: 3,
+    concurrency: 4
+  });
+  assert.deepEqual(results.filter(r => r.status === "ok").map(r => r.url),
+    ["https://example.org/m0", "https://example.org/m1", "https://example.org/m2"]);
+});
+
+test("members past the limit get one truncated entry", async () => {
+  stubCollection(50);
+  const { results } = await iiifManifestUrlsToCSLReport(["https://example.org/c"], {
+    maxCollectionManifests: 2
+  });
+  assert.equal(results.filter(r => r.status === "ok").length, 2);
+  const rest = results.filter(r => r.status !== "ok");
+  assert.equal(rest.length, 1);
+  assert.equal(rest[0].status, "truncated");
+  assert.equal(rest[0].url, "https://example.org/c");
+  assert.equal(rest[0].error.code, "COLLECTION_LIMIT");
+  assert.match(rest[0].error.message, /49 more member\(s\)/);
+});
@@ -0,0 +1,40 @@
+"use strict";
+
+/**
+ * decodeContentState() on the encodings viewers put in `iiif-content`.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { decodeContentState } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const STATE = {
+  id: "https://example.org/iiif/ms1/canvas/c3",
+  type: "Canvas",
+  label: { de: ["Käfer – fol. 2r"] },
+  partOf: [{ id: "https://example.org/iiif/ms1/manifest", type: "Manifest" }]
+};
+const json = JSON.stringify(STATE);
+
+test("URI-encoded, then base64url-encoded JSON", () => {
+  const value = Buffer.from(encodeURIComponent(json)).toString("base64url");
+  assert.deepEqual(decodeContentState(value), STATE);
+});
+
+test("base64url-encoded UTF-8 JSON without URI encoding", () => {
+  const value = Buffer.from(json, "utf8").toString("base64url");
+  assert.deepEqual(decodeContentState(value), STATE);
+});
+
+test("plain JSON and plain URLs", () => {
+  assert.deepEqual(decodeContentState(json), STATE);
+  assert.equal(decodeContentState(STATE.id), STATE.id);
+});
+
+test("anything else is null", () => {
+  assert.equal(decodeContentState("not a content state!"), null);
+  assert.equal(decodeContentState(""), null);
+});
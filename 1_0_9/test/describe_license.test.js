@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * describeLicense() on license and rights statement URIs in the forms
+ * manifests link them, and how extractRights() collects them.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { describeLicense, extractRights } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+// [URI, expected name]
+const CASES = [
+  ["https://creativecommons.org/licenses/by/4.0/", "CC BY 4.0"],
+  ["https://creativecommons.org/licenses/by/4.0/deed.en", "CC BY 4.0"],
+  ["https://creativecommons.org/licenses/by/4.0/legalcode", "CC BY 4.0"],
+  ["http://creativecommons.org/licenses/by-nc-sa/3.0/de/", "CC BY-NC-SA 3.0 DE"],
+  ["http://creativecommons.org/licenses/by-nc/3.0/de", "CC BY-NC 3.0 DE"],
+  ["http://creativecommons.org/licenses/by-sa/2.0/fr/deed.fr", "CC BY-SA 2.0 FR"],
+  ["https://creativecommons.org/publicdomain/zero/1.0/", "CC0 1.0"],
+  ["https://creativecommons.org/publicdomain/mark/1.0/", "Public Domain Mark 1.0"],
+  ["http://rightsstatements.org/vocab/InC-EDU/1.0/", "In Copyright – Educational Use Permitted"],
+  ["https://example.org/terms", ""]
+];
+
+for (const [uri, name] of CASES) {
+  test(`describeLicense(${JSON.stringify(uri)})`, () => {
+    assert.equal(describeLicense(uri).name, name);
+  });
+}
+
+test("extractRights() lists a license written two ways once", () => {
+  const manifest = {
+    rights: "http://creativecommons.org/licenses/by/4.0/",
+    license: ["https://creativecommons.org/licenses/by/4.0/deed.en", "https://example.org/terms/", "http://www.example.org/terms"],
+    metadata: [{ label: "Rights", value: "See https://creativecommons.org/licenses/by/4.0/legalcode" }]
+  };
+  assert.deepEqual(extractRights(manifest, {}).licenses.map(l => l.uri), [
+    "http://creativecommons.org/licenses/by/4.0/",
+    "https://example.org/terms/"
+  ]);
+});
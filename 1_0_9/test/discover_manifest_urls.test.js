@@ -0,0 +1,44 @@
+"use strict";
+
+/**
+ * discoverManifestUrls() on catalog and viewer pages.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { discoverManifestUrls } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const PAGE = "https://library.example.org/item/42";
+const MANIFEST = "https://library.example.org/iiif/42/manifest";
+
+test("a <link rel=alternate> wins over viewer links", () => {
+  const html = `<link rel="alternate" type="application/ld+json;profile=&quot;http://iiif.io/api/presentation/3/context.json&quot;" href="/iiif/42/manifest">
+    <a href="https://viewer.example.org/?manifest=https://other.example.org/m">View</a>`;
+  assert.deepEqual(discoverManifestUrls(html, PAGE), [{ url: MANIFEST, source: "link" }]);
+});
+
+test("a ?manifest= link ranks above a link around the IIIF logo", () => {
+  const html = `<a href="https://viewer.example.org/?manifest=${MANIFEST}">Open in viewer</a>
+    <a href="/iiif/43/manifest"><img src="/img/iiif-logo.png" alt="IIIF"></a>`;
+  assert.deepEqual(discoverManifestUrls(html, PAGE), [{ url: MANIFEST, source: "query-param" }]);
+});
+
+test("a link around the IIIF logo image is a manifest", () => {
+  const html = `<a href="/iiif/42/manifest"><img src="/img/iiif-logo.png" alt="IIIF Drag-n-drop"></a>`;
+  assert.deepEqual(discoverManifestUrls(html, PAGE), [{ url: MANIFEST, source: "iiif-logo" }]);
+});
+
+test("links to iiif.io are ignored, logo or not", () => {
+  const html = `<a href="https://iiif.io/"><img src="/img/iiif-logo.png" alt="IIIF"></a>
+    <a href="https://training.iiif.io/"><img src="/img/iiif.png"></a>`;
+  assert.deepEqual(discoverManifestUrls(html, PAGE), []);
+});
+
+test("class, title or aria-label mentioning IIIF does not make a logo", () => {
+  const html = `<a class="iiif-info" href="/about/iiif">About IIIF</a>
+    <a title="IIIF help" aria-label="IIIF" href="/help">Help</a>`;
+  assert.deepEqual(discoverManifestUrls(html, PAGE), []);
+});
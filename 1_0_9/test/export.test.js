@@ -0,0 +1,55 @@
+"use strict";
+
+/**
+ * Citekeys, BC dates, URLs and title case in the BibTeX, BibLaTeX and RIS
+ * exports.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { makeCitekeys, itemsToBibTeX, itemsToBibLaTeX, itemsToRIS } = require("../iiif_to_csl_export_1_1_0.js");
+
+const doe = [{ family: "Doe", given: "Jane" }];
+const BC = { type: "manuscript", title: "Scroll", author: doe, issued: { "date-parts": [[-50]] } };
+
+test("citekeys skip suffixed keys an earlier item already took", () => {
+  const item = title => ({ title, author: doe, issued: { "date-parts": [[1600]] } });
+  assert.deepEqual(
+    makeCitekeys([item("Book"), item("Book"), item("Booka"), item("Book")]),
+    ["doe1600book", "doe1600booka", "doe1600bookaa", "doe1600bookb"]
+  );
+});
+
+test("BC years in citekeys, BibTeX and BibLaTeX", () => {
+  assert.deepEqual(makeCitekeys([BC]), ["doe50bcscroll"]);
+  assert.match(itemsToBibTeX([BC], { urldate: false }), /year\s*= \{50 BC\}/);
+  assert.match(itemsToBibLaTeX([BC], { urldate: false }), /date\s*= \{-0049\}/);
+});
+
+test("BC years in RIS are a literal DA without PY", () => {
+  const ris = itemsToRIS([BC]);
+  assert.match(ris, /DA {2}- 50 BC\r\n/);
+  assert.doesNotMatch(ris, /PY {2}-/);
+});
+
+test("whitespace in URLs is percent-encoded", () => {
+  const item = { type: "book", title: "Book", URL: " https://example.org/a b/{c}\n" };
+  assert.match(itemsToBibLaTeX([item], { urldate: false }), /url\s*= \{https:\/\/example\.org\/a%20b\/%7Bc%7D\}/);
+});
+
+test("capitalized title and booktitle words are braced against lowercasing", () => {
+  const item = {
+    type: "chapter",
+    title: "Codex Sinaiticus, Quire 36",
+    "container-title": "Bodleian Library MS. Bodl. 264 & other books",
+    author: doe,
+    issued: { "date-parts": [[1600]] }
+  };
+  const bib = itemsToBibTeX([item], { urldate: false });
+  assert.match(bib, /title\s*= \{\{Codex\} \{Sinaiticus,\} \{Quire\} 36\}/);
+  assert.match(bib, /booktitle\s*= \{\{Bodleian\} \{Library\} \{MS\.\} \{Bodl\.\} 264 \\& other books\}/);
+  assert.match(bib, /author\s*= \{Doe, Jane\}/);
+});
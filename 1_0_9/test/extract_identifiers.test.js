@@ -0,0 +1,49 @@
+"use strict";
+
+/**
+ * extractIdentifiers() and formatIdentifierNote() on metadata rows as
+ * catalogs write them.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  extractIdentifiers,
+  formatIdentifierNote
+} = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+function manifestWith(metadata) {
+  return {
+    "@context": "http://iiif.io/api/presentation/2/context.json",
+    "@id": "https://example.org/iiif/1/manifest",
+    "@type": "sc:Manifest",
+    label: "Test",
+    metadata
+  };
+}
+
+test("a bare number in an OCLC row is an OCLC number", () => {
+  const ids = extractIdentifiers(manifestWith([{ label: "OCLC", value: "12345678" }]), "", {});
+  assert.deepEqual(ids.OCLC, ["12345678"]);
+});
+
+test("a bare number in a generic Identifier row is not guessed at", () => {
+  const ids = extractIdentifiers(manifestWith([{ label: "Identifier", value: "12345678" }]), "", {});
+  assert.deepEqual(ids.OCLC, []);
+});
+
+test("DOIs lose the query string and fragment", () => {
+  const ids = extractIdentifiers(manifestWith([
+    { label: "DOI", value: "https://doi.org/10.1000/xyz123?via=catalog#top" },
+    { label: "Link", value: "see doi:10.1000/abc#section" }
+  ]), "", {});
+  assert.deepEqual(ids.DOI, ["10.1000/xyz123", "10.1000/abc"]);
+});
+
+test("the note has no Call Number line", () => {
+  const lines = formatIdentifierNote({ OCLC: ["12345678"], ARK: [], Handle: [] });
+  assert.deepEqual(lines, ["OCLC: 12345678"]);
+});
@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * Retries, Retry-After and timeouts in fetchManifestDetailed(), with
+ * fetch stubbed.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchManifestDetailed, parseRetryAfter } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const URL = "https://example.org/iiif/1/manifest";
+const MANIFEST = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  id: URL,
+  type: "Manifest",
+  label: { en: ["One"] },
+  items: []
+};
+
+// Answer the n-th request with responses[n] (the last one repeats).
+function stubFetch(responses) {
+  const calls = [];
+  globalThis.fetch = async (url, init) => {
+    calls.push({ url, init, at: Date.now() });
+    const r = responses[Math.min(calls.length, responses.length) - 1];
+    return typeof r === "function" ? r(init) : r();
+  };
+  return calls;
+}
+
+const ok = () => new Response(JSON.stringify(MANIFEST), { headers: { "Content-Type": "application/json" } });
+const status = (code, headers) => () => new Response("", { status: code, headers });
+
+test("a 503 is retried and the attempts are counted", async () => {
+  const calls = stubFetch([status(503), ok]);
+  const { manifest, attempts } = await fetchManifestDetailed(URL, { retryBaseDelayMs: 1 });
+  assert.equal(manifest.id, URL);
+  assert.equal(attempts, 2);
+  assert.equal(calls.length, 2);
+});
+
+test("a 404 is not retried", async () => {
+  const calls = stubFetch([status(404), ok]);
+  await assert.rejects(fetchManifestDetailed(URL, { retryBaseDelayMs: 1 }), {
+    code: "HTTP_ERROR",
+    httpStatus: 404,
+    attempts: 1
+  });
+  assert.equal(calls.length, 1);
+});
+
+test("retries stop after options.retries", async () => {
+  const calls = stubFetch([status(500)]);
+  await assert.rejects(fetchManifestDetailed(URL, { retries: 2, retryBaseDelayMs: 1 }), {
+    code: "HTTP_ERROR",
+    attempts: 3
+  });
+  assert.equal(calls.length, 3);
+});
+
+test("Retry-After outweighs a shorter backoff, up to retryMaxDelayMs", async () => {
+  let calls = stubFetch([status(429, { "Retry-After": "1" }), ok]);
+  await fetchManifestDetailed(URL, { retryBaseDelayMs: 1 });
+  assert.ok(calls[1].at - calls[0].at >= 950, "waited for Retry-After");
+
+  calls = stubFetch([status(429, { "Retry-After": "120" }), ok]);
+  await fetchManifestDetailed(URL, { retryBaseDelayMs: 1, retryMaxDelayMs: 20 });
+  assert.ok(calls[1].at - calls[0].at < 1000, "capped at retryMaxDelayMs");
+});
+
+test("parseRetryAfter() reads seconds and HTTP dates", () => {
+  const now = Date.parse("Mon, 19 Oct 2026 12:00:00 GMT");
+  assert.equal(parseRetryAfter("120"), 120000);
+  assert.equal(parseRetryAfter("Mon, 19 Oct 2026 12:00:30 GMT", now), 30000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(""), null);
+});
+
+test("a body that stalls after the headers times out", async () => {
+  stubFetch([init => new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue(new TextEncoder().encode("{\"id\":"));
+      init.signal.addEventListener("abort", () => {
+        controller.error(new DOMException("The operation was aborted.", "AbortError"));
+      });
+    }
+  }))]);
+  await assert.rejects(fetchManifestDetailed(URL, { timeoutMs: 50, retries: 1, retryBaseDelayMs: 1 }), {
+    code: "TIMEOUT",
+    attempts: 2
+  });
+});
@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * identifyIiifResource() on a few document kinds, and the deprecated
+ * looksLikeIIIFManifest() built on it.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { identifyIiifResource, looksLikeIIIFManifest } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const MANIFEST_V3 = {
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  id: "https://example.org/iiif/1/manifest",
+  type: "Manifest",
+  label: { en: ["One"] },
+  items: []
+};
+const COLLECTION_V2 = {
+  "@context": "http://iiif.io/api/presentation/2/context.json",
+  "@id": "https://example.org/iiif/collection",
+  "@type": "sc:Collection",
+  label: "All"
+};
+const IMAGE_INFO = {
+  "@context": "http://iiif.io/api/image/2/context.json",
+  "@id": "https://example.org/iiif/image/1",
+  protocol: "http://iiif.io/api/image",
+  width: 100,
+  height: 100
+};
+
+test("identifyIiifResource() reads the kind and version from the structure", () => {
+  assert.deepEqual(
+    [MANIFEST_V3, COLLECTION_V2, IMAGE_INFO].map(json => {
+      const { kind, version } = identifyIiifResource(json);
+      return [kind, version];
+    }),
+    [["manifest", 3], ["collection", 2], ["image-info", 2]]
+  );
+  assert.equal(identifyIiifResource(null).kind, "unknown");
+  assert.equal(identifyIiifResource([MANIFEST_V3]).kind, "unknown");
+});
+
+test("looksLikeIIIFManifest() still answers for bodies and parsed JSON", () => {
+  assert.equal(looksLikeIIIFManifest(JSON.stringify(MANIFEST_V3)), true);
+  assert.equal(looksLikeIIIFManifest(COLLECTION_V2), true);
+  assert.equal(looksLikeIIIFManifest(JSON.stringify(IMAGE_INFO)), false);
+  assert.equal(looksLikeIIIFManifest("<html>see https://iiif.io/</html>"), false);
+  assert.equal(looksLikeIIIFManifest(""), false);
+});
@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * Conditional revalidation and the cache modes of
+ * fetchManifestDetailed(), with fetch stubbed and an in-memory cache.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { fetchManifestDetailed } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const URL = "https://example.org/iiif/1/manifest";
+const manifest = label => JSON.stringify({
+  "@context": "http://iiif.io/api/presentation/3/context.json",
+  id: URL,
+  type: "Manifest",
+  label: { en: [label] },
+  items: []
+});
+
+function memoryCache() {
+  const entries = new Map();
+  return {
+    entries,
+    get: async url => entries.get(url) || null,
+    set: async (url, entry) => { entries.set(url, entry); }
+  };
+}
+
+// Serve `body` with an ETag, or 304 to a request that sends it back.
+function stubServer(body, etag) {
+  const requests = [];
+  globalThis.fetch = async (url, init) => {
+    requests.push(init.headers);
+    if (init.headers["If-None-Match"] === etag) return new Response(null, { status: 304 });
+    return new Response(body, { headers: { ETag: etag } });
+  };
+  return requests;
+}
+
+test("a cached entry is revalidated and a 304 served from it", async () => {
+  const cache = memoryCache();
+  const requests = stubServer(manifest("One"), "\"v1\"");
+
+  const first = await fetchManifestDetailed(URL, { cache });
+  assert.equal(first.fromCache, false);
+  assert.equal(cache.entries.get(URL).etag, "\"v1\"");
+
+  const second = await fetchManifestDetailed(URL, { cache });
+  assert.equal(second.fromCache, true);
+  assert.deepEqual(second.manifest.label, { en: ["One"] });
+  assert.equal(requests[1]["If-None-Match"], "\"v1\"");
+});
+
+test("a changed manifest replaces the cached entry", async () => {
+  const cache = memoryCache();
+  stubServer(manifest("One"), "\"v1\"");
+  await fetchManifestDetailed(URL, { cache });
+
+  stubServer(manifest("Two"), "\"v2\"");
+  const { manifest: m, fromCache } = await fetchManifestDetailed(URL, { cache });
+  assert.equal(fromCache, false);
+  assert.deepEqual(m.label, { en: ["Two"] });
+  assert.equal(cache.entries.get(URL).etag, "\"v2\"");
+});
+
+test("offline mode answers from the cache only", async () => {
+  const cache = memoryCache();
+  stubServer(manifest("One"), "\"v1\"");
+  await fetchManifestDetailed(URL, { cache });
+
+  globalThis.fetch = async () => assert.fail("offline mode must not fetch");
+  const { manifest: m, attempts } = await fetchManifestDetailed(URL, { cache, cacheMode: "offline" });
+  assert.deepEqual(m.label, { en: ["One"] });
+  assert.equal(attempts, 0);
+  await assert.rejects(
+    fetchManifestDetailed("https://example.org/other", { cache, cacheMode: "offline" }),
+    { code: "CACHE_MISS" }
+  );
+});
+
+test("refresh mode fetches unconditionally and overwrites", async () => {
+  const cache = memoryCache();
+  stubServer(manifest("One"), "\"v1\"");
+  await fetchManifestDetailed(URL, { cache });
+
+  const requests = stubServer(manifest("One, again"), "\"v1\"");
+  const { fromCache } = await fetchManifestDetailed(URL, { cache, cacheMode: "refresh" });
+  assert.equal(fromCache, false);
+  assert.equal(requests[0]["If-None-Match"], undefined);
+  assert.match(cache.entries.get(URL).body, /One, again/);
+});
+
+test("a cache that throws is treated as a miss", async () => {
+  stubServer(manifest("One"), "\"v1\"");
+  const broken = {
+    get: async () => { throw new Error("disk gone"); },
+    set: async () => { throw new Error("disk gone"); }
+  };
+  const { manifest: m } = await fetchManifestDetailed(URL, { cache: broken });
+  assert.deepEqual(m.label, { en: ["One"] });
+});
@@ -0,0 +1,118 @@
+"use strict";
+
+/**
+ * parseCslDate() against date strings as they appear in the metadata of
+ * IIIF manifests from libraries, archives and manuscript portals
+ * (catalog records, MARC 260/264 $c, TEI msDesc, EAD unitdate, ...).
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCslDate } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+// [metadata string, expected CSL date]
+const CORPUS = [
+  // Years, exact and uncertain
+  ["1489", { "date-parts": [[1489]] }],
+  ["[1475]", { "date-parts": [[1475]] }],
+  ["[1475?]", { "date-parts": [[1475]], circa: true }],
+  ["1475 (?)", { "date-parts": [[1475]], circa: true }],
+  ["c. 1480", { "date-parts": [[1480]], circa: true }],
+  ["circa 1600", { "date-parts": [[1600]], circa: true }],
+  ["[ca. 1520?]", { "date-parts": [[1520]], circa: true }],
+  ["um 1520", { "date-parts": [[1520]], circa: true }],
+  ["vers 1470", { "date-parts": [[1470]], circa: true }],
+  ["Printed in the year 1650", { "date-parts": [[1650]] }],
+  ["Anno Domini 1475", { "date-parts": [[1475]] }],
+
+  // Full dates
+  ["March 3, 1789", { "date-parts": [[1789, 3, 3]] }],
+  ["Jan. 1, 1900", { "date-parts": [[1900, 1, 1]] }],
+  ["5 July 1841", { "date-parts": [[1841, 7, 5]] }],
+  ["July 1841", { "date-parts": [[1841, 7]] }],
+  ["3 mars 1789", { "date-parts": [[1789, 3, 3]] }],
+  ["3. März 1789", { "date-parts": [[1789, 3, 3]] }],
+  ["03.03.1789", { "date-parts": [[1789, 3, 3]] }],
+  ["1789-03-03", { "date-parts": [[1789, 3, 3]] }],
+  ["1789-03", { "date-parts": [[1789, 3]] }],
+  ["1789-03-03T00:00:00Z", { "date-parts": [[1789, 3, 3]] }],
+  ["1600-02-29", { "date-parts": [[1600, 2, 29]] }],
+  ["Spring 1850", { "date-parts": [[1850]], season: 1 }],
+  ["Winter 1918", { "date-parts": [[1918]], season: 4 }],
+
+  // Ranges
+  ["1618-1648", { "date-parts": [[1618], [1648]] }],
+  ["1618 - 1648", { "date-parts": [[1618], [1648]] }],
+  ["1618 to 1648", { "date-parts": [[1618], [1648]] }],
+  ["1601-1700", { "date-parts": [[1601], [1700]] }],
+  ["1450-75", { "date-parts": [[1450], [1475]] }],
+  ["1450/51", { "date-parts": [[1450], [1451]] }],
+  ["between 1450 and 1475", { "date-parts": [[1450], [1475]] }],
+  ["1521 or 1522", { "date-parts": [[1521], [1522]] }],
+  ["juin ou juillet 1790", { "date-parts": [[1790, 6], [1790, 7]] }],
+  ["ca. 1450-1475", { "date-parts": [[1450], [1475]], circa: true }],
+  ["ca. 1450–1475", { "date-parts": [[1450], [1475]], circa: true }],
+  ["ca. 1450-ca. 1475", { "date-parts": [[1450], [1475]], circa: true }],
+  ["um 1450/1460", { "date-parts": [[1450], [1460]], circa: true }],
+  ["March 3-5, 1789", { "date-parts": [[1789, 3, 3], [1789, 3, 5]] }],
+
+  // Decades and MARC unknown digits
+  ["1450s", { "date-parts": [[1450], [1459]] }],
+  ["145-", { "date-parts": [[1450], [1459]] }],
+  ["14--", { "date-parts": [[1400], [1499]] }],
+
+  // Centuries: ordinal, Roman, qualified
+  ["15th century", { "date-parts": [[1400], [1499]] }],
+  ["10th century", { "date-parts": [[900], [999]] }],
+  ["fifteenth century", { "date-parts": [[1400], [1499]] }],
+  ["late 15th century", { "date-parts": [[1466], [1499]] }],
+  ["first half of the 15th century", { "date-parts": [[1400], [1449]] }],
+  ["second quarter of the 14th century", { "date-parts": [[1325], [1349]] }],
+  ["12th-13th century", { "date-parts": [[1100], [1299]] }],
+  ["14th–15th c.", { "date-parts": [[1300], [1499]] }],
+  ["XVe siècle", { "date-parts": [[1400], [1499]] }],
+  ["IXe-Xe siècle", { "date-parts": [[800], [999]] }],
+  ["15. Jh.", { "date-parts": [[1400], [1499]] }],
+  ["s. XII", { "date-parts": [[1100], [1199]] }],
+  ["Saec. XV", { "date-parts": [[1400], [1499]] }],
+  ["s. XII ex.", { "date-parts": [[1166], [1199]] }],
+  ["saec. XII in.", { "date-parts": [[1100], [1133]] }],
+  ["saec. IX 2/2", { "date-parts": [[850], [899]] }],
+  ["s. XV 1/2", { "date-parts": [[1400], [1449]] }],
+  ["s. XII–XIII", { "date-parts": [[1100], [1299]] }],
+
+  // Before the year 1000, and BC
+  ["850", { "date-parts": [[850]] }],
+  ["ca. 850", { "date-parts": [[850]], circa: true }],
+  ["AD 50", { "date-parts": [[50]] }],
+  ["300 BC", { "date-parts": [[-300]] }],
+
+  // Kept as literal: open-ended, undated, impossible
+  ["before 1475", { literal: "before 1475" }],
+  ["after 1500", { literal: "after 1500" }],
+  ["not before 1350", { literal: "not before 1350" }],
+  ["undated", { literal: "undated" }],
+  ["n.d.", { literal: "n.d." }],
+  ["[s.d.]", { literal: "[s.d.]" }],
+  ["MDCCLXXXIX", { literal: "MDCCLXXXIX" }],
+  ["2023-13-01", { literal: "2023-13-01" }],
+  ["1789-02-30", { literal: "1789-02-30" }],
+  ["1700-02-29", { literal: "1700-02-29" }],
+  ["31.04.1789", { literal: "31.04.1789" }],
+  ["13.13.1789", { literal: "13.13.1789" }],
+  ["February 30, 1789", { literal: "February 30, 1789" }]
+];
+
+for (const [input, expected] of CORPUS) {
+  test(`parseCslDate(${JSON.stringify(input)})`, () => {
+    assert.deepEqual(parseCslDate(input), expected);
+  });
+}
+
+test("parseCslDate of an empty value is null", () => {
+  assert.equal(parseCslDate(""), null);
+  assert.equal(parseCslDate(null), null);
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+/**
+ * parseCslName() on creator strings with name particles, in the forms
+ * catalogs write them.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCslName } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+// [creator string, expected CSL name]
+const CASES = [
+  ["Rogier van der Weyden", { family: "Weyden", given: "Rogier", "non-dropping-particle": "van der" }],
+  ["Jean de La Fontaine", { family: "Fontaine", given: "Jean", "non-dropping-particle": "de La" }],
+  ["Anthony Van Dyck", { family: "Dyck", given: "Anthony", "non-dropping-particle": "Van" }],
+  ["Gogh, Vincent van", { family: "Gogh", given: "Vincent", "dropping-particle": "van" }],
+  ["Fontaine, Jean de La", { family: "Fontaine", given: "Jean", "dropping-particle": "de La" }],
+  ["De la Mare, Walter", { family: "Mare", "non-dropping-particle": "De la", given: "Walter" }],
+  ["Al Gore", { family: "Gore", given: "Al" }]
+];
+
+for (const [input, expected] of CASES) {
+  test(`parseCslName(${JSON.stringify(input)})`, () => {
+    assert.deepEqual(parseCslName(input), expected);
+  });
+}
@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * parseSeeAlsoRecord() on one small catalog record per format, and the
+ * type note of an enriched item.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSeeAlsoRecord, sniffRecordFormat } = require("../iiif_to_csl_records_1_1_0.js");
+const { manifestToCSLItem } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+// 008: entered 850101, date type q (questionable) 1599–1600, English.
+const F008 = "850101q15991600enk".padEnd(35, " ") + "eng d";
+
+const MARCXML = `<?xml version="1.0" encoding="UTF-8"?>
+<record xmlns="http://www.loc.gov/MARC21/slim">
+  <leader>     cam a22     a 4500</leader>
+  <controlfield tag="008">${F008}</controlfield>
+  <datafield tag="020" ind1=" " ind2=" "><subfield code="a">0198129149 (pbk.)</subfield></datafield>
+  <datafield tag="035" ind1=" " ind2=" "><subfield code="a">(OCoLC)ocm12345678</subfield></datafield>
+  <datafield tag="100" ind1="1" ind2=" ">
+    <subfield code="a">Shakespeare, William,</subfield>
+    <subfield code="d">1564-1616,</subfield>
+    <subfield code="e">author.</subfield>
+  </datafield>
+  <datafield tag="245" ind1="1" ind2="0">
+    <subfield code="a">Hamlet :</subfield>
+    <subfield code="b">a tragedy /</subfield>
+    <subfield code="c">by William Shakespeare.</subfield>
+  </datafield>
+  <datafield tag="260" ind1=" " ind2=" ">
+    <subfield code="a">London :</subfield>
+    <subfield code="b">Printed for N.L.,</subfield>
+    <subfield code="c">1599.</subfield>
+  </datafield>
+  <datafield tag="300" ind1=" " ind2=" ">
+    <subfield code="a">96 leaves ;</subfield>
+    <subfield code="c">19 cm.</subfield>
+  </datafield>
+  <datafield tag="700" ind1="1" ind2=" ">
+    <subfield code="a">Ling, Nicholas,</subfield>
+    <subfield code="4">pbl</subfield>
+  </datafield>
+  <datafield tag="710" ind1="2" ind2=" ">
+    <subfield code="a">Bodleian Library.</subfield>
+    <subfield code="4">http://id.loc.gov/vocabulary/relators/fmo</subfield>
+  </datafield>
+  <datafield tag="852" ind1=" " ind2=" ">
+    <subfield code="a">Bodleian Library</subfield>
+    <subfield code="h">Arch. G d.41</subfield>
+  </datafield>
+</record>`;
+
+const MODS = `<mods:modsCollection xmlns:mods="http://www.loc.gov/mods/v3">
+<mods:mods version="3.7">
+  <mods:titleInfo><mods:nonSort>The</mods:nonSort><mods:title>boke of keruynge</mods:title></mods:titleInfo>
+  <mods:titleInfo type="alternative"><mods:title>Book of carving</mods:title></mods:titleInfo>
+  <mods:name type="personal">
+    <mods:namePart type="family">Worde</mods:namePart>
+    <mods:namePart type="given">Wynkyn de</mods:namePart>
+    <mods:role><mods:roleTerm type="code" authority="marcrelator">prt</mods:roleTerm></mods:role>
+  </mods:name>
+  <mods:name type="corporate"><mods:namePart>Cambridge University Library</mods:namePart>
+    <mods:role><mods:roleTerm type="text">former owner</mods:roleTerm></mods:role>
+  </mods:name>
+  <mods:typeOfResource manuscript="no">text</mods:typeOfResource>
+  <mods:genre authority="rbgenr">Cookbooks</mods:genre>
+  <mods:originInfo>
+    <mods:place><mods:placeTerm type="code" authority="marccountry">enk</mods:placeTerm></mods:place>
+    <mods:place><mods:placeTerm type="text">Enprynted at London :</mods:placeTerm></mods:place>
+    <mods:publisher>[s.n.],</mods:publisher>
+    <mods:dateIssued>1508.</mods:dateIssued>
+    <mods:dateIssued encoding="marc" point="start">1508</mods:dateIssued>
+    <mods:dateIssued encoding="marc" point="end">1513</mods:dateIssued>
+  </mods:originInfo>
+  <mods:language><mods:languageTerm type="code" authority="iso639-2b">eng</mods:languageTerm></mods:language>
+  <mods:identifier type="oclc">ocm00001234</mods:identifier>
+  <mods:location>
+    <mods:physicalLocation>Cambridge University Library</mods:physicalLocation>
+    <mods:holdingSimple><mods:copyInformation><mods:shelfLocator>Sel.5.19</mods:shelfLocator></mods:copyInformation></mods:holdingSimple>
+  </mods:location>
+</mods:mods>
+</mods:modsCollection>`;
+
+const DUBLIN_CORE = `<oai_dc:dc xmlns:oai_dc="http://www.openarchives.org/OAI/2.0/oai_dc/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <dc:title>View of Delft</dc:title>
+  <dc:creator>Vermeer, Johannes</dc:creator>
+  <dc:date>ca. 1660-1661</dc:date>
+  <dc:type>Image</dc:type>
+  <dc:type>painting</dc:type>
+  <dc:publisher>Mauritshuis</dc:publisher>
+  <dc:identifier>https://doi.org/10.1234/delft.92</dc:identifier>
+  <dc:language>nl</dc:language>
+</oai_dc:dc>`;
+
+const JSON_LD = JSON.stringify({
+  "@context": "https://schema.org",
+  "@graph": [
+    { "@type": "WebPage", name: "Catalog page" },
+    {
+      "@type": "Map",
+      name: "Nova totius terrarum orbis tabula",
+      author: { "@type": "Person", familyName: "Blaeu", givenName: "Willem Janszoon" },
+      publisher: { "@type": "Organization", name: "Blaeu", location: "Amsterdam" },
+      datePublished: "1635",
+      inLanguage: ["la"],
+      identifier: [{ "@type": "PropertyValue", propertyID: "OCLC", value: "987654" }],
+      sameAs: "https://hdl.handle.net/1887.1/item:1234"
+    }
+  ]
+});
+
+test("MARCXML: positional leader and 008, ISBD punctuation, relator codes", () => {
+  const r = parseSeeAlsoRecord(MARCXML, "marcxml");
+  assert.equal(r.title, "Hamlet: a tragedy");
+  assert.equal(r.place, "London");
+  assert.equal(r.publisher, "Printed for N.L.");
+  assert.equal(r.issued, "ca. 1599/1600");
+  assert.deepEqual(r.languages, ["eng"]);
+  assert.deepEqual(r.names, [
+    { text: "Shakespeare, William, 1564-1616", role: "author", corporate: false },
+    { text: "Ling, Nicholas", role: "publisher", corporate: false },
+    { literal: "Bodleian Library", role: "former owner", corporate: true }
+  ]);
+  assert.deepEqual(r.identifiers, { ISBN: ["0198129149"], OCLC: ["12345678"] });
+  assert.equal(r.extent, "96 leaves");
+  assert.equal(r.repository, "Bodleian Library");
+  assert.equal(r.shelfmark, "Arch. G d.41");
+  assert.deepEqual(r.typeHints, ["marc/text"]);
+});
+
+test("MARCXML: an 008 date of type s only fills in a missing 260 $c", () => {
+  const record = MARCXML
+    .replace(F008, "850101s1599    enk".padEnd(35, " ") + "eng d")
+    .replace("<subfield code=\"c\">1599.</subfield>", "<subfield code=\"c\">[1599?]</subfield>");
+  assert.equal(parseSeeAlsoRecord(record, "marcxml").issued, "[1599?]");
+  const undated = MARCXML
+    .replace(F008, "850101s15uu    enk".padEnd(35, " ") + "eng d")
+    .replace("<subfield code=\"c\">1599.</subfield>", "");
+  assert.equal(parseSeeAlsoRecord(undated, "marcxml").issued, "1500");
+});
+
+test("MODS: nonSort, relators, [s.n.], encoded date ranges", () => {
+  const r = parseSeeAlsoRecord(MODS, "");
+  assert.equal(r.format, "mods");
+  assert.equal(r.title, "The boke of keruynge");
+  assert.deepEqual(r.names, [
+    { family: "Worde", given: "Wynkyn de", role: "printer", corporate: false },
+    { literal: "Cambridge University Library", role: "former owner", corporate: true }
+  ]);
+  assert.equal(r.place, "Enprynted at London");
+  assert.equal(r.publisher, "");
+  assert.equal(r.issued, "1508/1513");
+  assert.deepEqual(r.identifiers, { OCLC: ["00001234"] });
+  assert.equal(r.repository, "Cambridge University Library");
+  assert.equal(r.shelfmark, "Sel.5.19");
+  assert.deepEqual(r.typeHints, ["mods/text", "genre/cookbooks"]);
+});
+
+test("Dublin Core: DCMI types and identifiers", () => {
+  assert.equal(sniffRecordFormat(DUBLIN_CORE), "dc");
+  const r = parseSeeAlsoRecord(DUBLIN_CORE, "dc");
+  assert.equal(r.title, "View of Delft");
+  assert.deepEqual(r.names, [{ text: "Vermeer, Johannes", role: "author", corporate: false }]);
+  assert.equal(r.issued, "ca. 1660-1661");
+  assert.equal(r.publisher, "Mauritshuis");
+  assert.deepEqual(r.identifiers, { DOI: ["10.1234/delft.92"] });
+  assert.deepEqual(r.typeHints, ["dcmitype/image", "genre/painting"]);
+});
+
+test("schema.org JSON-LD: main node of a @graph, people and organizations", () => {
+  const r = parseSeeAlsoRecord(JSON_LD, "jsonld");
+  assert.equal(r.title, "Nova totius terrarum orbis tabula");
+  assert.deepEqual(r.names, [{ family: "Blaeu", given: "Willem Janszoon", role: "author", corporate: false }]);
+  assert.equal(r.publisher, "Blaeu");
+  assert.equal(r.place, "Amsterdam");
+  assert.equal(r.issued, "1635");
+  assert.deepEqual(r.languages, ["la"]);
+  assert.deepEqual(r.identifiers, { OCLC: ["987654"], Handle: ["https://hdl.handle.net/1887.1/item:1234"] });
+  assert.deepEqual(r.typeHints, ["schema.org/map"]);
+});
+
+test("unparseable bodies throw", () => {
+  assert.throws(() => parseSeeAlsoRecord("just text", ""), /Unrecognized record format/);
+  assert.throws(() => parseSeeAlsoRecord("no tags here", "mods"), /Not XML/);
+});
+
+test("--explain-type explains the type the record's hints lead to", () => {
+  const manifest = {
+    "@context": "http://iiif.io/api/presentation/3/context.json",
+    id: "https://example.org/iiif/blaeu/manifest",
+    type: "Manifest",
+    label: { en: ["World map"] },
+    items: []
+  };
+  const record = parseSeeAlsoRecord(JSON_LD, "jsonld");
+  const item = manifestToCSLItem(manifest, manifest.id, {
+    explainType: true,
+    seeAlsoRecords: [{ url: "https://example.org/blaeu.jsonld", format: "jsonld", status: "ok", record }]
+  });
+  assert.equal(item.type, "map");
+  assert.match(item.note, /^Type: map\b/m);
+});
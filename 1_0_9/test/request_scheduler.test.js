@@ -0,0 +1,60 @@
+"use strict";
+
+/**
+ * createRequestScheduler(): overall and per-host limits, host delays and
+ * start order.
+ *
+ * Run with:
+ *   node --test 1_0_9/test/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRequestScheduler } = require("../iiif_to_csl_core_1_1_0_fruittimer.js");
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run jobs for `urls`, each taking `ms`, and record when they start.
+async function runJobs(scheduler, urls, ms) {
+  const started = [];
+  let active = 0;
+  let maxActive = 0;
+  await Promise.all(urls.map(url => scheduler.run(url, async () => {
+    started.push({ url, at: Date.now() });
+    maxActive = Math.max(maxActive, ++active);
+    await sleep(ms);
+    active--;
+    return url;
+  })));
+  return { started, maxActive };
+}
+
+test("one request at a time by default, in submission order", async () => {
+  const urls = ["https://a.example/1", "https://b.example/1", "https://a.example/2"];
+  const { started, maxActive } = await runJobs(createRequestScheduler(), urls, 5);
+  assert.equal(maxActive, 1);
+  assert.deepEqual(started.map(s => s.url), urls);
+});
+
+test("a busy host does not hold up other hosts", async () => {
+  const scheduler = createRequestScheduler({ concurrency: 2, perHostConcurrency: 1 });
+  const urls = ["https://a.example/1", "https://a.example/2", "https://b.example/1"];
+  const { started, maxActive } = await runJobs(scheduler, urls, 20);
+  assert.equal(maxActive, 2);
+  assert.deepEqual(started.map(s => s.url), ["https://a.example/1", "https://b.example/1", "https://a.example/2"]);
+});
+
+test("hostDelayMs spaces out requests to the same host only", async () => {
+  const scheduler = createRequestScheduler({ concurrency: 3, hostDelayMs: 60 });
+  const urls = ["https://a.example/1", "https://a.example/2", "https://b.example/1"];
+  const { started } = await runJobs(scheduler, urls, 1);
+  const at = Object.fromEntries(started.map(s => [s.url, s.at]));
+  assert.ok(at["https://a.example/2"] - at["https://a.example/1"] >= 55);
+  assert.ok(at["https://b.example/1"] - at["https://a.example/1"] < 55);
+});
+
+test("run() passes on the job's result and rejection", async () => {
+  const scheduler = createRequestScheduler();
+  assert.equal(await scheduler.run("https://a.example/", async () => 42), 42);
+  await assert.rejects(scheduler.run("https://a.example/", async () => { throw new Error("boom"); }), /boom/);
+});